@@ -0,0 +1,19 @@
+// Module hooks for tests
+// Resolves the `@/` import alias to src/ and loads the source files as ES modules
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith('@/')) {
+        const path = specifier.slice(2);
+        return nextResolve(new URL(/\.[cm]?jsx?$/.test(path) ? path : `${path}.js`, SRC_URL).href, context);
+    }
+    return nextResolve(specifier, context);
+}
+
+// package.json has no "type": "module", but everything under src/ is written as one
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(SRC_URL) && url.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,5 @@
+// Test setup
+// Registers the module hooks that let node:test import the app's source files
+import { register } from 'node:module';
+
+register('./test-hooks.mjs', import.meta.url);
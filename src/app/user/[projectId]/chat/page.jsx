@@ -2,18 +2,36 @@
 // Main chat interface for interacting with AI, managing conversations, and viewing visualizations
 'use client';
 
-import { useState, useRef, useEffect, useCallback, Suspense } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo, Suspense } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { useParams, useSearchParams } from 'next/navigation';
-import { sendMessage, addHumanMessage, addAiMessage, clearChat, getVisualizations, getChatHistory, markMessageImportant, unmarkMessageImportant, deleteMessage, getImportantMessages, getConversations, generateVisualization, cancelChatRequest } from '@/lib/store/users-panel/chat/chatSlice';
-import { FaRobot, FaPaperPlane, FaUser, FaStar, FaChevronDown, FaTrash, FaChartBar, FaMicrophone, FaMicrophoneSlash, FaVolumeUp, FaVolumeMute, FaPause, FaPlay, FaStop } from 'react-icons/fa';
+import { useParams, useSearchParams, useRouter } from 'next/navigation';
+import { sendMessage, addHumanMessage, addPolicyNotice, addAiMessage, clearChat, getVisualizations, getChatHistory, markMessageImportant, unmarkMessageImportant, deleteMessage, getImportantMessages, getConversations, generateVisualization, cancelChatRequest, rerunGeneratedSql, editAndBranch, switchBranch, regenerateStarted, selectAnswerVersion, keepAnswerVersion, submitMessageFeedback, clearInputInsertion, isArchivedConversation } from '@/lib/store/users-panel/chat/chatSlice';
+import { FaRobot, FaPaperPlane, FaUser, FaStar, FaChevronDown, FaTrash, FaChartBar, FaMicrophone, FaMicrophoneSlash, FaVolumeUp, FaVolumeMute, FaPause, FaPlay, FaStop, FaFileExport, FaEdit, FaChevronLeft, FaChevronRight, FaRedo, FaBookmark, FaListAlt, FaLock, FaEye, FaEyeSlash } from 'react-icons/fa';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { getProjects } from '@/lib/store/users-panel/projects/projectSlice';
+import { getProjects, getProjectSchema } from '@/lib/store/users-panel/projects/projectSlice';
 import { format, isValid, isToday, isYesterday } from 'date-fns';
 import { useVoiceRecognition } from '@/hooks/useVoiceRecognition';
 import { useTextToSpeech } from '@/hooks/useTextToSpeech';
+import { useConversationExport } from '@/hooks/useConversationExport';
+import { useDataMasking } from '@/hooks/useDataMasking';
+import { EXPORT_FORMATS } from '@/lib/conversationExport';
 import { toast } from 'react-hot-toast';
+import SqlPanel from '@/components/users/chat/SqlPanel';
+import ResultGrid from '@/components/users/chat/ResultGrid';
+import InteractiveChart from '@/components/users/chat/InteractiveChart';
+import MessageFeedback from '@/components/users/chat/MessageFeedback';
+import SavedQueriesPanel from '@/components/users/chat/SavedQueriesPanel';
+import SaveQueryModal from '@/components/users/modals/SaveQueryModal';
+import TemplateFormModal from '@/components/users/modals/TemplateFormModal';
+import { getSavedQueries } from '@/lib/store/users-panel/savedQueries/savedQueriesSlice';
+import { isTemplate } from '@/lib/questionTemplates';
+import SlashCommandMenu from '@/components/users/chat/SlashCommandMenu';
+import { getSlashSuggestions, parseSlashCommand } from '@/lib/slashCommands';
+import SchemaSuggestionMenu from '@/components/users/chat/SchemaSuggestionMenu';
+import { buildSchemaEntries, getWordAtCursor, getSchemaSuggestions } from '@/lib/schemaAutocomplete';
+import { getChartSpec } from '@/lib/chartSpec';
+import { getProjectAccessPolicy, filterSchemaByPolicy, findBlockedReferences, formatBlockedReference } from '@/lib/accessPolicy';
 
 // Enhanced Visualization Component with Labels
 const VisualizationComponent = ({ visualization }) => {
@@ -58,9 +76,15 @@ const VisualizationComponent = ({ visualization }) => {
     return null;
   };
 
-  const vizData = getVisualizationData();
+  // Prefer drawing the chart from its spec; the PNG is only a fallback
+  const chartSpec = getChartSpec(visualization);
+  const vizData = getVisualizationData() || (chartSpec && {
+    type: chartSpec.type,
+    title: chartSpec.title,
+    query: visualization.query_used || visualization.query
+  });
   
-  if (!vizData || !vizData.data) {
+  if (!vizData || (!vizData.data && !chartSpec)) {
     return null;
   }
 
@@ -105,7 +129,13 @@ const VisualizationComponent = ({ visualization }) => {
         </div>
       </div>
 
-      {/* Visualization Image */}
+      {/* Interactive chart when a spec is available */}
+      {chartSpec ? (
+        <div className="mb-3 p-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-600">
+          <InteractiveChart spec={chartSpec} />
+        </div>
+      ) : (
+      /* Visualization Image */
       <div className="flex justify-center mb-3">
         <div className="relative">
           {/* Handle both base64 string and data URL */}
@@ -137,6 +167,7 @@ const VisualizationComponent = ({ visualization }) => {
           </div>
         </div>
       </div>
+      )}
 
       {/* Metadata Section */}
       <div className="space-y-2">
@@ -175,7 +206,7 @@ const VisualizationComponent = ({ visualization }) => {
             </span>
           </div>
           <div className="text-xs text-gray-400 dark:text-gray-500">
-            Interactive
+            {chartSpec ? "Interactive" : "Static image"}
           </div>
         </div>
       </div>
@@ -481,6 +512,31 @@ const modernLLMStyles = `
 //     };
 // };
 
+// Pager for the versions of a question or an answer (‹ 2/3 ›)
+const VersionPager = ({ index, count, onChange, disabled = false, label }) => (
+  <div className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+    <button
+      onClick={() => onChange(index - 1)}
+      disabled={disabled || index === 0}
+      className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700/50 disabled:opacity-30 disabled:cursor-not-allowed"
+      title={`Previous ${label}`}
+    >
+      <FaChevronLeft className="w-2.5 h-2.5" />
+    </button>
+    <span className="tabular-nums">
+      {index + 1}/{count}
+    </span>
+    <button
+      onClick={() => onChange(index + 1)}
+      disabled={disabled || index === count - 1}
+      className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700/50 disabled:opacity-30 disabled:cursor-not-allowed"
+      title={`Next ${label}`}
+    >
+      <FaChevronRight className="w-2.5 h-2.5" />
+    </button>
+  </div>
+);
+
 // Modern LLM-style MessageBubble Component
 // Modern LLM-style MessageBubble Component
 const MessageBubble = ({
@@ -492,8 +548,47 @@ const MessageBubble = ({
   tts,
   currentSpeakingId,
   onSpeak,
+  streamProgress = null,
+  onRerunSql,
+  onReaskWithSql,
+  isBusy = false,
+  branchCount = 0,
+  onSwitchBranch,
+  onEditAndResend,
+  onRegenerate,
+  onSelectVersion,
+  onKeepVersion,
+  onFeedback,
+  onSaveQuery,
 }) => {
   const isAi = message.role === "ai";
+  // A stopped answer shown as a version has only a local id
+  const isSaved = Boolean(message.id) && !message.isCancelled;
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+
+  const startEditing = () => {
+    setDraft(message.content || "");
+    setIsEditing(true);
+  };
+
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    const content = draft.trim();
+    if (!content || isBusy) return;
+    setIsEditing(false);
+    if (content !== message.content?.trim()) {
+      onEditAndResend(message, content);
+    }
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      handleEditSubmit(e);
+    } else if (e.key === "Escape") {
+      setIsEditing(false);
+    }
+  };
 
   // Modern LLM-style layout - full width with centered content
   const containerClasses = "w-full flex justify-center";
@@ -599,10 +694,100 @@ const MessageBubble = ({
           <div className={`text-xs font-semibold mb-3 ${authorTextClasses}`}>
             {isAi ? aiAgentName : "You"}
           </div>
+          {isEditing ? (
+            <form onSubmit={handleEditSubmit} className="w-[min(36rem,70vw)]">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={handleEditKeyDown}
+                rows={Math.min(8, Math.max(2, draft.split("\n").length))}
+                autoFocus
+                className="w-full px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+              />
+              <div className="flex justify-end gap-2 mt-2">
+                <button
+                  type="button"
+                  onClick={() => setIsEditing(false)}
+                  className="px-3 py-1.5 text-xs rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={!draft.trim() || isBusy}
+                  className="px-3 py-1.5 text-xs rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Save & send
+                </button>
+              </div>
+            </form>
+          ) : (
           <div className={proseClasses}>
             <ReactMarkdown remarkPlugins={[remarkGfm]}>
               {message.content}
             </ReactMarkdown>
+            {/* Blinking caret while the answer is still streaming in */}
+            {message.isStreaming && (
+              <span className="inline-block w-2 h-4 align-middle bg-gray-500 dark:bg-gray-400 animate-pulse" />
+            )}
+            {message.isStreaming && streamProgress !== null && (
+              <div className="not-prose mt-3 h-1 w-full rounded-full bg-gray-100 dark:bg-gray-700 overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-blue-500 to-indigo-600 transition-all duration-500"
+                  style={{ width: `${streamProgress}%` }}
+                />
+              </div>
+            )}
+            {message.isCancelled && (
+              <p className="text-xs italic text-gray-400 dark:text-gray-500">
+                Response stopped
+              </p>
+            )}
+
+            {/* Tables and columns the access policy kept this question from using */}
+            {isAi && message.blockedObjects?.length > 0 && (
+              <div className="not-prose mt-3 p-3 rounded-lg border border-amber-200 dark:border-amber-900/50 bg-amber-50 dark:bg-amber-900/20">
+                <p className="flex items-center gap-2 text-xs font-semibold text-amber-700 dark:text-amber-300">
+                  <FaLock className="w-3 h-3" />
+                  Blocked by the project&apos;s access policy
+                </p>
+                <div className="mt-2 flex flex-wrap gap-1.5">
+                  {message.blockedObjects.map((reference) => (
+                    <code
+                      key={formatBlockedReference(reference)}
+                      className="px-2 py-0.5 text-xs rounded bg-white dark:bg-gray-900 border border-amber-200 dark:border-amber-900/50 text-gray-700 dark:text-gray-300"
+                    >
+                      {formatBlockedReference(reference)}
+                    </code>
+                  ))}
+                </div>
+                <p className="mt-2 text-xs text-gray-600 dark:text-gray-400">
+                  Rephrase the question without these, or ask an admin to change the policy.
+                </p>
+              </div>
+            )}
+
+            {/* Generated SQL behind this answer */}
+            {isAi && message.generatedSql && !message.isStreaming && (
+              <div className="not-prose">
+                <SqlPanel
+                  sql={message.generatedSql}
+                  isBusy={isBusy}
+                  onRerun={onRerunSql ? (sql) => onRerunSql(message, sql) : undefined}
+                  onReask={onReaskWithSql ? (sql) => onReaskWithSql(message, sql) : undefined}
+                />
+              </div>
+            )}
+
+            {/* Result rows behind this answer */}
+            {isAi && message.resultSet && !message.isStreaming && (
+              <div className="not-prose">
+                <ResultGrid
+                  resultSet={message.resultSet}
+                  title={`query-results-${message.id || 'answer'}`}
+                />
+              </div>
+            )}
 
             {/* Visualization Component */}
             {isAi && message.visualization && (
@@ -610,7 +795,20 @@ const MessageBubble = ({
                 <VisualizationComponent visualization={message.visualization} />
                   </div>
                 )}
+            {isAi && message.isWithheld && (
+              <p className="not-prose mt-4 flex items-center gap-2 px-3 py-2 rounded-lg text-xs bg-gray-100 dark:bg-gray-800 text-gray-500 dark:text-gray-400">
+                <FaEyeSlash className="w-3 h-3" />
+                This answer is hidden until the project&apos;s masking rules have loaded.
+              </p>
+            )}
+            {isAi && message.isChartMasked && !message.isWithheld && (
+              <p className="not-prose mt-4 flex items-center gap-2 px-3 py-2 rounded-lg text-xs bg-gray-100 dark:bg-gray-800 text-gray-500 dark:text-gray-400">
+                <FaEyeSlash className="w-3 h-3" />
+                This chart is hidden because it may show masked personal data.
+              </p>
+            )}
               </div>
+          )}
           {/* Timestamp and actions */}
           <div className="flex items-center justify-between mt-4 pt-3 border-t border-gray-200 dark:border-gray-700/50">
             <div className="flex items-center gap-3">
@@ -620,6 +818,46 @@ const MessageBubble = ({
               >
                 {formattedDateTime}
               </div>
+              {/* Switch between alternate phrasings of this question */}
+              {!isAi && branchCount > 1 && (
+                <VersionPager
+                  index={message.branchIndex}
+                  count={branchCount}
+                  onChange={onSwitchBranch}
+                  disabled={isBusy}
+                  label="version"
+                />
+              )}
+              {/* Rate the answer */}
+              {isAi && onFeedback && isSaved && !message.isStreaming && !message.isError && (
+                <MessageFeedback
+                  feedback={message.feedback}
+                  onSubmit={(feedback) => onFeedback(message, feedback)}
+                  disabled={isBusy}
+                />
+              )}
+              {/* Page between regenerated answers */}
+              {isAi && message.versions?.length > 1 && (
+                <>
+                  <VersionPager
+                    index={message.versionIndex}
+                    count={message.versions.length}
+                    onChange={onSelectVersion}
+                    disabled={isBusy}
+                    label="answer"
+                  />
+                  {onKeepVersion && isSaved && (
+                    <button
+                      onClick={() => onKeepVersion(message)}
+                      disabled={isBusy}
+                      className="px-2 py-0.5 text-xs rounded-md text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 disabled:opacity-50"
+                      title="Keep this answer and discard the other versions"
+                    >
+                      Keep this one
+                    </button>
+                  )}
+                </>
+              )}
               {/* Accuracy Metric - Only show for AI messages with accuracy data */}
               {isAi && message.accuracy !== null && message.accuracy !== undefined && (
                 <div 
@@ -682,8 +920,40 @@ const MessageBubble = ({
                   )}
                 </button>
               )}
+              {/* Save the question behind this answer to the library */}
+              {isAi && onSaveQuery && isSaved && !message.isStreaming && !message.isError && (
+                <button
+                  onClick={() => onSaveQuery(message)}
+                  className="p-2 rounded-lg text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700/50 transition-all duration-200"
+                  title="Save to saved queries"
+                >
+                  <FaBookmark className="w-3.5 h-3.5" />
+                </button>
+              )}
+              {/* Regenerate (latest answer only) */}
+              {isAi && onRegenerate && (
+                <button
+                  onClick={() => onRegenerate(message)}
+                  disabled={isBusy}
+                  className="p-2 rounded-lg text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700/50 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Regenerate answer"
+                >
+                  <FaRedo className="w-3.5 h-3.5" />
+                </button>
+              )}
+              {/* Edit and resend (human messages only) */}
+              {!isAi && onEditAndResend && isSaved && !isEditing && (
+                <button
+                  onClick={startEditing}
+                  disabled={isBusy}
+                  className="p-2 rounded-lg text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700/50 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Edit and resend"
+                >
+                  <FaEdit className="w-3.5 h-3.5" />
+                </button>
+              )}
               {/* Star Button */}
-              {message.id && message.id !== null && (
+              {isSaved && (
                 <button
                   onClick={handleStarClick}
                   disabled={isMarkingImportant}
@@ -761,7 +1031,32 @@ const ChatPageContent = () => {
     const [currentSpeakingId, setCurrentSpeakingId] = useState(null);
     const [autoReadEnabled, setAutoReadEnabled] = useState(false);
 
+    // Conversation export
+    const { exportConversation, isExporting } = useConversationExport();
+    const { hasRules: hasMaskingRules, canUnmask, isRevealed, setRevealed, maskMessage } = useDataMasking(projectId);
+    const [showExportMenu, setShowExportMenu] = useState(false);
+
+    // Saved queries library
+    const [showSavedQueries, setShowSavedQueries] = useState(false);
+    const [queryToSave, setQueryToSave] = useState(null); // draft or saved query shown in SaveQueryModal
+    const handledQuestionRef = useRef(null);
+    const [queuedQuestion, setQueuedQuestion] = useState(null); // { question, projectId } from the URL
+    const [showTemplates, setShowTemplates] = useState(false);
+    const [templateRun, setTemplateRun] = useState(null); // { template, newChat } while its form is open
+
+    // Slash command autocomplete
+    const [slashIndex, setSlashIndex] = useState(0);
+    const [slashDismissed, setSlashDismissed] = useState(false);
+    const slashSuggestions = useMemo(() => getSlashSuggestions(inputValue), [inputValue]);
+    const showSlashMenu = slashSuggestions.length > 0 && !slashDismissed;
+
+    // Table/column autocomplete, from typing or an @mention
+    const [cursorPosition, setCursorPosition] = useState(0);
+    const [schemaIndex, setSchemaIndex] = useState(0);
+    const [schemaDismissed, setSchemaDismissed] = useState(false);
+
     const dispatch = useDispatch();
+    const router = useRouter();
     const routerParams = useParams();
     const searchParams = useSearchParams();
     const { projectId } = routerParams;
@@ -769,12 +1064,24 @@ const ChatPageContent = () => {
     // Get conversationId from URL query parameters
     const urlConversationId = searchParams.get('conversationId');
     const isNewChat = searchParams.get('new') === '1';
+    // Message to jump to when opened from project search
+    const targetMessageId = searchParams.get('messageId');
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+    const handledJumpRef = useRef(null);
+    const pinnedMessageCountRef = useRef(null);
     
 
-    const { projects, status: projectStatus } = useSelector((state) => state.projects);
-    const { messages, status, conversationId, currentConversation, importantMessages = [], error, conversations = [], conversationsStatus, importanceOperationStatus } = useSelector((state) => state.chat);
+    const { projects, status: projectStatus, schema, schemaStatus } = useSelector((state) => state.projects);
+    const { queries: savedQueries, projectId: savedQueriesProjectId, status: savedQueriesStatus } = useSelector((state) => state.savedQueries);
+    const questionTemplates = savedQueries.filter(query => isTemplate(query.question));
+    const { messages, status, conversationId, currentConversation, importantMessages = [], error, conversations = [], conversationsStatus, importanceOperationStatus, streamProgress, streamStage, branches = {} } = useSelector((state) => state.chat);
     const isLoading = status === 'loading'; // Only for AI responses, not importance operations
     
+    // Streaming responses report real progress; otherwise fall back to the simulation below
+    const hasStreamProgress = streamProgress !== null && streamProgress !== undefined;
+    const displayProgress = hasStreamProgress ? streamProgress : responseProgress;
+    const streamingMessage = messages.find(m => m.isStreaming);
+    
     // Use URL conversationId if available, otherwise use state conversationId
     const activeConversationId = urlConversationId || conversationId;
     
@@ -808,8 +1115,12 @@ const ChatPageContent = () => {
     }, [conversationId, urlConversationId, isNewChat, isLoading, messages.length, projectId, searchParams]);
     
     // Realistic progress simulation - progresses slowly and naturally
+    // Skipped once the stream starts reporting real progress
     useEffect(() => {
         if (isLoading) {
+            if (hasStreamProgress) {
+                return;
+            }
             // Reset progress when loading starts
             setResponseProgress(0);
             let currentProgress = 0;
@@ -875,10 +1186,31 @@ const ChatPageContent = () => {
                 clearTimeout(progressIntervalRef.current);
             }
         }
-    }, [isLoading]); // Remove responseProgress from dependencies to avoid re-triggering
+    }, [isLoading, hasStreamProgress]); // Remove responseProgress from dependencies to avoid re-triggering
     
     const currentProject = projects.find(p => p.id === projectId);
     const agentName = currentProject?.bot_name || 'AI Business Agent';
+
+    // Load the project schema for composer autocomplete
+    const hasSchema = schema.projectId === projectId;
+    useEffect(() => {
+        if (projectId && !hasSchema && schemaStatus !== 'loading') {
+            dispatch(getProjectSchema(projectId));
+        }
+    }, [projectId, hasSchema, schemaStatus, dispatch]);
+
+    // Blocked tables and columns are left out of suggestions
+    const accessPolicy = useMemo(() => getProjectAccessPolicy(currentProject), [currentProject]);
+    const schemaEntries = useMemo(
+        () => (hasSchema ? buildSchemaEntries(filterSchemaByPolicy(schema.tables, accessPolicy)) : []),
+        [schema, hasSchema, accessPolicy]
+    );
+    const schemaWord = useMemo(() => getWordAtCursor(inputValue, cursorPosition), [inputValue, cursorPosition]);
+    const schemaSuggestions = useMemo(
+        () => (inputValue.startsWith('/') && !inputValue.includes(' ') ? [] : getSchemaSuggestions(schemaEntries, schemaWord)),
+        [schemaEntries, schemaWord, inputValue]
+    );
+    const showSchemaMenu = schemaSuggestions.length > 0 && !schemaDismissed;
     
     // Use conversation title if available, otherwise fallback to agent name
     const chatHeaderTitle = currentConversation?.title || agentName;
@@ -903,6 +1235,7 @@ const ChatPageContent = () => {
                     const url = new URL(window.location.href);
                     url.searchParams.delete('new');
                     url.searchParams.delete('t'); // Remove timestamp parameter
+                    url.searchParams.delete('ask');
                     const newUrl = url.pathname + (url.search ? url.search : '');
                     window.history.replaceState({}, '', newUrl);
                 }
@@ -911,6 +1244,17 @@ const ChatPageContent = () => {
         // Note: Chat history loading is handled in the useEffect below to avoid duplicate loads
     }, [projectId, projectStatus, isNewChat, dispatch]);
 
+    // Take a question handed over in the URL, e.g. a saved query run in a new chat.
+    // It is kept here because the URL is tidied up before it can be asked.
+    const pendingQuestion = searchParams.get('ask');
+    useEffect(() => {
+        if (!pendingQuestion || !isNewChat || !projectId) return;
+        const questionKey = `${searchParams.get('t')}:${pendingQuestion}`;
+        if (handledQuestionRef.current === questionKey) return;
+        handledQuestionRef.current = questionKey;
+        setQueuedQuestion({ question: pendingQuestion, projectId });
+    }, [pendingQuestion, isNewChat, projectId, searchParams]);
+
     // Always fetch important messages when projectId changes (not conversationId)
     useEffect(() => {
         if (projectId) {
@@ -918,8 +1262,42 @@ const ChatPageContent = () => {
         }
     }, [projectId, dispatch]);
 
+    // Leaving a search result releases the pinned scroll position
+    useEffect(() => {
+        if (!targetMessageId) {
+            pinnedMessageCountRef.current = null;
+            handledJumpRef.current = null;
+        }
+    }, [urlConversationId, targetMessageId]);
+
+    // Jump to and briefly highlight the message opened from project search
+    useEffect(() => {
+        if (!targetMessageId || !urlConversationId) return;
+        const jumpKey = `${urlConversationId}:${targetMessageId}`;
+        if (handledJumpRef.current === jumpKey) return;
+        if (!messages.some(m => String(m.id) === String(targetMessageId))) return;
+
+        handledJumpRef.current = jumpKey;
+        pinnedMessageCountRef.current = messages.length;
+        let clearTimer;
+        const jumpTimer = setTimeout(() => {
+            document.getElementById(`message-${targetMessageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            setHighlightedMessageId(String(targetMessageId));
+            clearTimer = setTimeout(() => setHighlightedMessageId(null), 2500);
+        }, 300);
+        return () => {
+            clearTimeout(jumpTimer);
+            clearTimeout(clearTimer);
+        };
+    }, [targetMessageId, urlConversationId, messages]);
+
     // Scroll to bottom when component mounts, conversation changes, or messages load
     useEffect(() => {
+        // Stay on a search result until a new message arrives
+        if (pinnedMessageCountRef.current !== null) {
+            if (messages.length <= pinnedMessageCountRef.current) return;
+            pinnedMessageCountRef.current = null;
+        }
         if (chatContainerRef.current && messages.length > 0) {
             // Small delay to ensure DOM is updated
             setTimeout(() => {
@@ -952,30 +1330,42 @@ const ChatPageContent = () => {
         }
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        const userMessage = inputValue.trim();
-        
-        if (!userMessage) {
-            return;
-        }
-
-        // Stop voice recognition if it's active
-        if (isListening) {
-            stopListening();
-        }
-
-        // Add optimistic user message
+    // Answer text naming blocked tables or columns in place; the server refuses it anyway,
+    // answering here saves the round trip. `question` is what the chat shows as asked.
+    const isBlockedByPolicy = useCallback((text, question = text) => {
+        const blockedObjects = hasSchema ? findBlockedReferences(text, accessPolicy, schema.tables) : [];
+        if (!blockedObjects.length) return false;
+        dispatch(addPolicyNotice({ question, blockedObjects }));
+        return true;
+    }, [hasSchema, accessPolicy, schema, dispatch]);
+
+    // Add the question optimistically and send it to the AI
+    const submitQuestion = useCallback((question) => {
+        if (isBlockedByPolicy(question)) return;
         dispatch(addHumanMessage({ 
-            content: userMessage,
+            content: question,
             conversationId: activeConversationId || null // Only set if we have one
         }));
         dispatch(sendMessage({
-            naturalLanguageQuery: userMessage,
+            naturalLanguageQuery: question,
             conversationId: activeConversationId || null, // Pass null/undefined for new chats to let backend create it
             projectId: projectId
         }));
+    }, [isBlockedByPolicy, activeConversationId, projectId, dispatch]);
 
+    // Ask the question taken from the URL once the access policy can be checked,
+    // after the new chat has been cleared and its URL tidied up
+    const isPolicyReady = Boolean(currentProject) && (hasSchema || schemaStatus === 'failed');
+    useEffect(() => {
+        if (!queuedQuestion || queuedQuestion.projectId !== projectId || !isPolicyReady) return;
+        const timer = setTimeout(() => {
+            setQueuedQuestion(null);
+            submitQuestion(queuedQuestion.question);
+        }, 150);
+        return () => clearTimeout(timer);
+    }, [queuedQuestion, projectId, isPolicyReady, submitQuestion]);
+
+    const resetInput = () => {
         setInputValue('');
         resetTranscript();
         // Reset textarea height
@@ -984,7 +1374,8 @@ const ChatPageContent = () => {
         }
     };
 
-    const handleGenerateVisualization = async () => {
+    const handleSubmit = async (e) => {
+        e.preventDefault();
         const userMessage = inputValue.trim();
         
         if (!userMessage) {
@@ -996,6 +1387,37 @@ const ChatPageContent = () => {
             stopListening();
         }
 
+        const slashCommand = parseSlashCommand(userMessage);
+        if (slashCommand) {
+            // Keep the input when the command could not run so it can be fixed
+            if (runSlashCommand(slashCommand)) {
+                resetInput();
+            }
+            return;
+        }
+
+        submitQuestion(userMessage);
+        resetInput();
+    };
+
+    const handleGenerateVisualization = () => {
+        const userMessage = inputValue.trim();
+        
+        if (!userMessage) {
+            return;
+        }
+
+        // Stop voice recognition if it's active
+        if (isListening) {
+            stopListening();
+        }
+
+        requestChart(userMessage);
+        resetInput();
+    };
+
+    // Ask for a visualization with a placeholder answer until it arrives
+    const requestChart = (userMessage) => {
         dispatch(addHumanMessage({ 
             content: userMessage,
             conversationId: activeConversationId || null
@@ -1013,12 +1435,150 @@ const ChatPageContent = () => {
             conversationId: activeConversationId || null, // Pass null for new chats
             projectId: projectId
         }));
+    };
 
-        setInputValue('');
-        resetTranscript();
-        // Reset textarea height
-        if (inputRef.current) {
-            inputRef.current.style.height = 'auto';
+    // Run a parsed /command; returns false when it could not run
+    const runSlashCommand = ({ name, args, command }) => {
+        if (!command) {
+            toast.error(`Unknown command /${name}`);
+            return false;
+        }
+        const usage = `Usage: /${command.name} ${command.args}`.trim();
+
+        switch (command.name) {
+            case 'chart':
+                if (!args) {
+                    toast.error(usage);
+                    return false;
+                }
+                requestChart(args);
+                return true;
+            case 'sql': {
+                // Only SQL the agent generated for an answer is run, never SQL typed here
+                if (args) {
+                    toast.error(usage);
+                    return false;
+                }
+                const latestAnswer = [...messages].reverse().find(m => m.role === 'ai' && m.id && m.generatedSql);
+                if (!latestAnswer) {
+                    toast.error('There is no generated SQL to run again');
+                    return false;
+                }
+                handleRerunSql(latestAnswer, latestAnswer.generatedSql);
+                return true;
+            }
+            case 'export': {
+                const exportFormat = (args || 'markdown').toLowerCase();
+                if (!EXPORT_FORMATS[exportFormat]) {
+                    toast.error(usage);
+                    return false;
+                }
+                if (!activeConversationId) {
+                    toast.error('Start a conversation before exporting it');
+                    return false;
+                }
+                exportConversation(activeConversationId, exportFormat, { assistantName: agentName, maskMessage });
+                return true;
+            }
+            case 'schema':
+                submitQuestion(args
+                    ? `Describe the columns of the ${args} table, with their types and what they contain.`
+                    : 'List the tables in the database and briefly describe what each one contains.');
+                return true;
+            case 'template': {
+                const search = args.toLowerCase();
+                const template = search && questionTemplates.find(query => query.title.toLowerCase().includes(search));
+                if (template) {
+                    setTemplateRun({ template, newChat: false });
+                } else {
+                    if (search && savedQueriesProjectId === projectId && savedQueriesStatus === 'succeeded') {
+                        toast.error(`No template matches "${args}"`);
+                    }
+                    if (!showTemplates) handleToggleTemplates();
+                }
+                return true;
+            }
+            case 'clear':
+                router.push(`/user/${projectId}/chat?new=1&t=${Date.now()}`);
+                return true;
+            default:
+                return false;
+        }
+    };
+
+    const handleInputChange = (e) => {
+        setInputValue(e.target.value);
+        setCursorPosition(e.target.selectionStart);
+        setSlashIndex(0);
+        setSlashDismissed(false);
+        setSchemaIndex(0);
+        setSchemaDismissed(false);
+    };
+
+    // Replace the word at the cursor with the picked name
+    const handleSelectSchemaSuggestion = (suggestion) => {
+        const { start, end } = schemaWord;
+        const rest = inputValue.slice(end);
+        const separator = rest.startsWith(' ') ? '' : ' ';
+        const nextCursor = start + suggestion.insert.length + 1;
+        setInputValue(`${inputValue.slice(0, start)}${suggestion.insert}${separator}${rest}`);
+        setCursorPosition(nextCursor);
+        setSchemaDismissed(true);
+        requestAnimationFrame(() => {
+            inputRef.current?.focus();
+            inputRef.current?.setSelectionRange(nextCursor, nextCursor);
+        });
+    };
+
+    const handleSelectSlashCommand = (command) => {
+        setInputValue(command.args ? `/${command.name} ` : `/${command.name}`);
+        setSlashDismissed(!command.args);
+        inputRef.current?.focus();
+    };
+
+    const handleInputKeyDown = (e) => {
+        if (showSchemaMenu) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setSchemaIndex(prev => (prev + step + schemaSuggestions.length) % schemaSuggestions.length);
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                setSchemaDismissed(true);
+                return;
+            }
+            // Enter still sends while suggestions come from plain typing
+            if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && schemaWord.isMention)) {
+                e.preventDefault();
+                handleSelectSchemaSuggestion(schemaSuggestions[schemaIndex] || schemaSuggestions[0]);
+                return;
+            }
+        }
+        if (showSlashMenu) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setSlashIndex(prev => (prev + step + slashSuggestions.length) % slashSuggestions.length);
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                setSlashDismissed(true);
+                return;
+            }
+            const selected = slashSuggestions[slashIndex] || slashSuggestions[0];
+            // Enter on a fully typed command runs it, otherwise it completes the selection
+            if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && inputValue.trim() !== `/${selected.name}`)) {
+                e.preventDefault();
+                handleSelectSlashCommand(selected);
+                return;
+            }
+        }
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            handleSubmit(e);
         }
     };
 
@@ -1041,6 +1601,22 @@ const ChatPageContent = () => {
         }
     }, [inputValue]);
     
+    // Insert table/column names picked in the schema explorer at the cursor
+    const inputInsertion = useSelector((state) => state.chat.inputInsertion);
+    useEffect(() => {
+        if (!inputInsertion) return;
+        const input = inputRef.current;
+        setInputValue(prev => {
+            const start = input ? input.selectionStart ?? prev.length : prev.length;
+            const end = input ? input.selectionEnd ?? prev.length : prev.length;
+            const before = prev.slice(0, start);
+            const spacer = before && !/\s$/.test(before) ? ' ' : '';
+            return `${before}${spacer}${inputInsertion.text}${prev.slice(end)}`;
+        });
+        dispatch(clearInputInsertion());
+        input?.focus();
+    }, [inputInsertion, dispatch]);
+
     // Update input value when transcript changes
     useEffect(() => {
         if (transcript) {
@@ -1087,8 +1663,8 @@ const ChatPageContent = () => {
             tts.stop();
         }
 
-        // Extract text content from message (remove markdown/HTML)
-        const textContent = message.content
+        // Extract text content from message (remove markdown/HTML); masked values are never read out
+        const textContent = maskMessage(message).content
             .replace(/<[^>]*>/g, '') // Remove HTML tags
             .replace(/[#*_`]/g, '') // Remove markdown formatting
             .replace(/\n+/g, ' ') // Replace newlines with spaces
@@ -1108,7 +1684,7 @@ const ChatPageContent = () => {
                 setCurrentSpeakingId(null);
             }
         });
-    }, [tts, currentSpeakingId]);
+    }, [tts, currentSpeakingId, maskMessage]);
 
     // Auto-read new AI messages when auto-read is enabled
     useEffect(() => {
@@ -1119,6 +1695,9 @@ const ChatPageContent = () => {
 
         const lastAiMessage = aiMessages[aiMessages.length - 1];
         
+        // Wait until a streamed answer is complete before reading it
+        if (lastAiMessage.isStreaming) return;
+        
         // Only auto-read if it's a new message (not already speaking)
         if (currentSpeakingId !== lastAiMessage.id && !tts.isSpeaking) {
             // Small delay to ensure message is fully rendered
@@ -1161,6 +1740,106 @@ const ChatPageContent = () => {
         });
     };
 
+    // Execute an answer's generated SQL again and append the fresh result
+    const handleRerunSql = (message, sql) => {
+        if (isLoading) return;
+        // Edited SQL may name tables the agent would not have used
+        if (isBlockedByPolicy(sql, `Run the query again:\n\n\`\`\`sql\n${sql}\n\`\`\``)) return;
+        dispatch(rerunGeneratedSql({
+            sql,
+            projectId,
+            sourceMessageId: message.id,
+        }));
+    };
+
+    // Fork the conversation at a question and ask the edited version
+    const handleEditAndResend = (message, content) => {
+        if (isLoading) return;
+        // A refused edit leaves the thread as it was and is answered below it, like a new question
+        if (isBlockedByPolicy(content)) return;
+        dispatch(editAndBranch({ messageId: message.id, content }));
+        dispatch(sendMessage({
+            naturalLanguageQuery: content,
+            conversationId: activeConversationId || null,
+            projectId: projectId
+        }));
+    };
+
+    // Ask the latest question again and keep the current answer as a version
+    const handleRegenerate = (message) => {
+        if (isLoading) return;
+        const index = messages.findIndex(m => m.id === message.id);
+        const question = messages[index - 1];
+        if (!question || question.role !== 'human') return;
+        dispatch(regenerateStarted({ messageId: message.id }));
+        dispatch(sendMessage({
+            naturalLanguageQuery: question.content,
+            conversationId: activeConversationId || null,
+            projectId: projectId,
+            regenerate: true
+        }));
+    };
+
+    // Open the save dialog for the question behind an answer
+    const handleSaveQuery = (message) => {
+        const index = messages.findIndex(m => m.id === message.id);
+        const question = messages.slice(0, index).reverse().find(m => m.role === 'human');
+        setQueryToSave({
+            question: question?.content || '',
+            sql: message.generatedSql || '',
+        });
+    };
+
+    const runQuestion = (question, newChat) => {
+        if (newChat) {
+            router.push(`/user/${projectId}/chat?new=1&t=${Date.now()}&ask=${encodeURIComponent(question)}`);
+        } else {
+            submitQuestion(question);
+        }
+    };
+
+    // Templates ask for their placeholder values before running
+    const handleRunSavedQuery = (query, { newChat }) => {
+        if (isLoading) return;
+        setShowSavedQueries(false);
+        if (isTemplate(query.question)) {
+            setTemplateRun({ template: query, newChat });
+        } else {
+            runQuestion(query.question, newChat);
+        }
+    };
+
+    const handleToggleTemplates = () => {
+        if (!showTemplates && (savedQueriesProjectId !== projectId || savedQueriesStatus === 'idle')) {
+            dispatch(getSavedQueries(projectId));
+        }
+        setShowTemplates(!showTemplates);
+    };
+
+    const handleTemplateSubmit = (question) => {
+        const { newChat } = templateRun;
+        setTemplateRun(null);
+        runQuestion(question, newChat);
+    };
+
+    const handleFeedback = (message, feedback) =>
+        dispatch(submitMessageFeedback({ messageId: message.id, ...feedback })).unwrap();
+
+    const handleKeepVersion = (message) => {
+        dispatch(keepAnswerVersion(message.id));
+    };
+
+    const handleSwitchBranch = (message, branchIndex) => {
+        if (isLoading) return;
+        dispatch(switchBranch({ groupId: message.branchGroupId, branchIndex }));
+    };
+
+    // Ask the agent again, instructing it to use the edited SQL
+    const handleReaskWithSql = (message, sql) => {
+        if (isLoading) return;
+        submitQuestion(`Answer using this SQL query instead:\n\n\`\`\`sql\n${sql}\n\`\`\``);
+    };
+
     const handleDeleteMessage = (messageId) => {
         dispatch(deleteMessage(messageId));
     };
@@ -1278,7 +1957,7 @@ const ChatPageContent = () => {
                     // Additional check: Verify conversation is not deleted or archived
                     const conversation = conversationsRef.current.find(c => c.id === urlConversationId);
                     if (conversation) {
-                        const isArchived = conversation.is_archived === true || conversation.is_archived === 1 || conversation.is_archived === '1';
+                        const isArchived = isArchivedConversation(conversation);
                         const isDeleted = conversation.status === 'deleted';
                         if (isDeleted || isArchived) {
                             // Conversation is deleted/archived, redirect
@@ -1287,7 +1966,7 @@ const ChatPageContent = () => {
                             if (conversationsRef.current.length > 0) {
                                 // Find first non-deleted conversation
                                 const activeConversation = conversationsRef.current.find(c => {
-                                    const cArchived = c.is_archived === true || c.is_archived === 1 || c.is_archived === '1';
+                                    const cArchived = isArchivedConversation(c);
                                     const cDeleted = c.status === 'deleted';
                                     return !cDeleted && !cArchived;
                                 });
@@ -1475,6 +2154,13 @@ useEffect(() => {
             return true;
         }
     );
+
+    // Only the latest answer to a question can be regenerated
+    const lastMessage = filteredMessages[filteredMessages.length - 1];
+    const latestAnswerId = lastMessage?.role === 'ai' && !lastMessage.isStreaming && !lastMessage.isError
+        && filteredMessages[filteredMessages.length - 2]?.role === 'human'
+        ? lastMessage.id
+        : null;
     
     // Debug logging for message ordering
     if (messages.length > 0) {
@@ -1500,6 +2186,62 @@ useEffect(() => {
                             <h3 className="font-medium text-sm text-gray-900 dark:text-gray-100">{chatHeaderTitle}</h3>
                         </div>
                     </div>
+                    <div className="flex items-center gap-2">
+                        {/* Admins and managers can see values the project's masking rules hide */}
+                        {hasMaskingRules && canUnmask && (
+                            <button
+                                onClick={() => setRevealed(!isRevealed)}
+                                className={`p-2 rounded-lg transition-all duration-200 ${
+                                    isRevealed
+                                        ? 'bg-amber-100 text-amber-700 hover:bg-amber-200 dark:bg-amber-900/30 dark:text-amber-300'
+                                        : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-200 dark:hover:bg-gray-800'
+                                }`}
+                                title={isRevealed ? 'Mask personal data again' : 'Show masked values'}
+                            >
+                                {isRevealed ? <FaEye className="w-4 h-4" /> : <FaEyeSlash className="w-4 h-4" />}
+                            </button>
+                        )}
+                        {/* Saved queries library */}
+                        <button
+                            onClick={() => setShowSavedQueries(true)}
+                            className="p-2 rounded-lg text-gray-500 hover:text-gray-700 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-200 dark:hover:bg-gray-800 transition-all duration-200"
+                            title="Saved queries"
+                        >
+                            <FaBookmark className="w-4 h-4" />
+                        </button>
+                        {/* Export the open conversation */}
+                        {activeConversationId && messages.length > 0 && (
+                            <div className="relative">
+                                <button
+                                    onClick={() => setShowExportMenu(!showExportMenu)}
+                                    disabled={isExporting}
+                                    className="p-2 rounded-lg text-gray-500 hover:text-gray-700 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-200 dark:hover:bg-gray-800 transition-all duration-200 disabled:opacity-50"
+                                    title="Export conversation"
+                                >
+                                    <FaFileExport className={`w-4 h-4 ${isExporting ? 'animate-pulse' : ''}`} />
+                                </button>
+                                {showExportMenu && (
+                                    <>
+                                        <div className="fixed inset-0 z-20" onClick={() => setShowExportMenu(false)} />
+                                        <ul className="absolute right-0 top-full mt-1 w-44 py-1 z-30 bg-white dark:bg-gray-900 rounded-lg shadow-lg border border-gray-200 dark:border-gray-800">
+                                            {Object.entries(EXPORT_FORMATS).map(([exportFormat, label]) => (
+                                                <li key={exportFormat}>
+                                                    <button
+                                                        onClick={() => {
+                                                            setShowExportMenu(false);
+                                                            exportConversation(activeConversationId, exportFormat, { assistantName: agentName, maskMessage });
+                                                        }}
+                                                        className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-800/60"
+                                                    >
+                                                        Export as {label}
+                                                    </button>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </>
+                                )}
+                            </div>
+                        )}
                         {/* Voice Settings - Only render on client to avoid hydration mismatch */}
                         {typeof window !== 'undefined' && tts.isSupported && (
                             <div className="flex items-center gap-2">
@@ -1553,6 +2295,7 @@ useEffect(() => {
                             </button>
                         </div>
                         )}
+                    </div>
                 </div>
 
                 {/* Chat Messages */}
@@ -1611,9 +2354,17 @@ useEffect(() => {
                     ) : status !== 'failed' ? (
                         <>
                             {filteredMessages.map((message, idx) => (
-                                <div key={`${activeConversationId || 'new'}-${message.id || idx}`} className="flex flex-col">
+                                <div
+                                    key={`${activeConversationId || 'new'}-${message.id || idx}`}
+                                    id={message.id ? `message-${message.id}` : undefined}
+                                    className={`flex flex-col rounded-xl transition-colors duration-700 ${
+                                        highlightedMessageId && String(message.id) === highlightedMessageId
+                                            ? 'bg-yellow-100/70 dark:bg-yellow-500/10 ring-2 ring-yellow-300 dark:ring-yellow-600/50'
+                                            : ''
+                                    }`}
+                                >
                                     <MessageBubble 
-                                        message={message} 
+                                        message={maskMessage(message)} 
                                         aiAgentName={agentName} 
                                         onToggleImportance={handleToggleImportance} 
                                         isImportant={isMessageImportant(message.id)}
@@ -1621,10 +2372,22 @@ useEffect(() => {
                                         tts={tts}
                                         currentSpeakingId={currentSpeakingId}
                                         onSpeak={handleSpeakMessage}
+                                        streamProgress={message.isStreaming ? displayProgress : null}
+                                        onRerunSql={handleRerunSql}
+                                        onReaskWithSql={handleReaskWithSql}
+                                        isBusy={isLoading}
+                                        branchCount={branches[message.branchGroupId]?.tails.length || 0}
+                                        onSwitchBranch={(branchIndex) => handleSwitchBranch(message, branchIndex)}
+                                        onEditAndResend={handleEditAndResend}
+                                        onRegenerate={message.id && message.id === latestAnswerId ? handleRegenerate : undefined}
+                                        onSelectVersion={(versionIndex) => dispatch(selectAnswerVersion({ messageId: message.id, versionIndex }))}
+                                        onKeepVersion={handleKeepVersion}
+                                        onFeedback={handleFeedback}
+                                        onSaveQuery={handleSaveQuery}
                                     />
                                 </div>
                             ))}
-                            {isLoading && (
+                            {isLoading && !streamingMessage?.content && (
                                 <div className="flex items-start gap-4 w-full px-4 sm:px-6 animate-fade-in">
                                     <div className="w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0 bg-gradient-to-br from-blue-500 to-indigo-600 shadow-sm">
                                         <FaRobot className="text-white text-sm" />
@@ -1644,12 +2407,21 @@ useEffect(() => {
                                                 <span className="w-2 h-2 bg-gray-400 dark:bg-gray-500 rounded-full animate-bounce" style={{ animationDelay: '0.3s' }}></span>
                                             </div>
                                             <span className="text-xs text-gray-500 dark:text-gray-500">
-                                                {responseProgress < 30 ? 'Thinking...' : 
-                                                 responseProgress < 60 ? 'Processing...' : 
-                                                 responseProgress < 90 ? 'Almost done...' : 
-                                                 'Finalizing...'}
+                                                {streamStage || (
+                                                 displayProgress < 30 ? 'Thinking...' : 
+                                                 displayProgress < 60 ? 'Processing...' : 
+                                                 displayProgress < 90 ? 'Almost done...' : 
+                                                 'Finalizing...')}
                                             </span>
                                         </div>
+                                        
+                                        {/* Response progress bar */}
+                                        <div className="mt-3 h-1 w-48 rounded-full bg-gray-100 dark:bg-gray-700 overflow-hidden">
+                                            <div
+                                                className="h-full bg-gradient-to-r from-blue-500 to-indigo-600 transition-all duration-500"
+                                                style={{ width: `${displayProgress}%` }}
+                                            />
+                                        </div>
                                     </div>
                                 </div>
                             )}
@@ -1667,21 +2439,34 @@ useEffect(() => {
                                 ref={inputRef}
                                 id="userInput"
                                 value={inputValue}
-                                onChange={(e) => setInputValue(e.target.value)}
-                                placeholder={`Message ${agentName}...`}
+                                onChange={handleInputChange}
+                                placeholder={`Message ${agentName}... (type / for commands)`}
                                 className="chat-input w-full rounded-2xl py-3.5 px-4 border outline-none transition resize-none overflow-hidden
                                            bg-gray-50 text-gray-900 border-gray-200 placeholder:text-gray-400 focus:border-gray-300 focus:bg-white focus:shadow-sm
                                            dark:bg-gray-800 dark:text-gray-100 dark:border-gray-700 dark:placeholder:text-gray-500 dark:focus:border-gray-600 dark:focus:bg-gray-800
                                            min-h-[52px] max-h-32 text-sm"
                                 disabled={isLoading}
                                 rows={1}
-                                onKeyDown={(e) => {
-                                    if (e.key === 'Enter' && !e.shiftKey) {
-                                        e.preventDefault();
-                                        handleSubmit(e);
-                                    }
-                                }}
+                                onKeyDown={handleInputKeyDown}
+                                onSelect={(e) => setCursorPosition(e.target.selectionStart)}
                             />
+                            {showSchemaMenu && (
+                                <SchemaSuggestionMenu
+                                    suggestions={schemaSuggestions}
+                                    activeIndex={schemaIndex}
+                                    onSelect={handleSelectSchemaSuggestion}
+                                    onHover={setSchemaIndex}
+                                    acceptKeys={schemaWord.isMention ? 'Tab or Enter' : 'Tab'}
+                                />
+                            )}
+                            {showSlashMenu && !showSchemaMenu && (
+                                <SlashCommandMenu
+                                    commands={slashSuggestions}
+                                    activeIndex={slashIndex}
+                                    onSelect={handleSelectSlashCommand}
+                                    onHover={setSlashIndex}
+                                />
+                            )}
                             {/* Voice listening indicator */}
                             {isListening && (
                                 <div className="absolute top-2 right-2 flex items-center gap-2 px-2.5 py-1 bg-red-500 text-white rounded-full text-xs animate-pulse shadow-sm">
@@ -1690,6 +2475,57 @@ useEffect(() => {
                                 </div>
                             )}
                         </div>
+                        {/* Question templates */}
+                        <div className="relative">
+                            <button
+                                type="button"
+                                onClick={handleToggleTemplates}
+                                disabled={isLoading}
+                                className={`rounded-xl p-3 transition-all duration-200 disabled:opacity-50 ${
+                                    showTemplates
+                                        ? 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300'
+                                        : 'bg-gray-100 hover:bg-gray-200 text-gray-600 dark:bg-gray-800 dark:hover:bg-gray-700 dark:text-gray-300'
+                                }`}
+                                title="Question templates"
+                            >
+                                <FaListAlt className="w-4 h-4" />
+                            </button>
+                            {showTemplates && (
+                                <>
+                                    <div className="fixed inset-0 z-20" onClick={() => setShowTemplates(false)} />
+                                    <div className="absolute bottom-full right-0 mb-2 w-72 max-h-80 overflow-y-auto custom-scrollbar z-30 bg-white dark:bg-gray-900 rounded-xl shadow-lg border border-gray-200 dark:border-gray-800">
+                                        <p className="px-4 pt-3 pb-1 text-[11px] font-semibold uppercase tracking-wide text-gray-400 dark:text-gray-500">
+                                            Question templates
+                                        </p>
+                                        {savedQueriesStatus === 'loading' && questionTemplates.length === 0 ? (
+                                            <p className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+                                        ) : questionTemplates.length === 0 ? (
+                                            <p className="px-4 py-3 text-xs text-gray-500 dark:text-gray-400">
+                                                No templates yet. Save a question with placeholders like {'{region}'} to the saved queries library.
+                                            </p>
+                                        ) : (
+                                            <ul className="py-1">
+                                                {questionTemplates.map(template => (
+                                                    <li key={template.id}>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => {
+                                                                setShowTemplates(false);
+                                                                setTemplateRun({ template, newChat: false });
+                                                            }}
+                                                            className="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-800/60"
+                                                        >
+                                                            <span className="block text-sm text-gray-800 dark:text-gray-200 truncate">{template.title}</span>
+                                                            <span className="block text-xs text-gray-400 dark:text-gray-500 truncate">{template.question}</span>
+                                                        </button>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </div>
+                                </>
+                            )}
+                        </div>
                         {/* Stop Button - Left of microphone button, show when loading */}
                         {isLoading && (
                             <button
@@ -1745,12 +2581,34 @@ useEffect(() => {
                     </form>
                     <div className="text-xs text-gray-400 dark:text-gray-500 mt-3 text-center hidden sm:block px-4 sm:px-6">
                         {isVoiceSupported 
-                            ? 'Press Enter to send, Shift+Enter for new line'
-                            : 'Press Enter to send, Shift+Enter for new line'
+                            ? 'Press Enter to send, Shift+Enter for new line, / for commands'
+                            : 'Press Enter to send, Shift+Enter for new line, / for commands'
                         }
                     </div>
                 </div>
             </div>
+
+            <SavedQueriesPanel
+                isOpen={showSavedQueries}
+                onClose={() => setShowSavedQueries(false)}
+                projectId={projectId}
+                onRun={handleRunSavedQuery}
+                onEdit={setQueryToSave}
+                isBusy={isLoading}
+            />
+            <TemplateFormModal
+                isOpen={Boolean(templateRun)}
+                onClose={() => setTemplateRun(null)}
+                template={templateRun?.template}
+                onSubmit={handleTemplateSubmit}
+                isBusy={isLoading}
+            />
+            <SaveQueryModal
+                isOpen={Boolean(queryToSave)}
+                onClose={() => setQueryToSave(null)}
+                projectId={projectId}
+                query={queryToSave}
+            />
         </div>
     );
 };
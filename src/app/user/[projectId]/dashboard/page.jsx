@@ -0,0 +1,359 @@
+// Project dashboard page component
+// Board of pinned visualizations that can be resized and reordered, with the layout saved per project
+'use client';
+
+import { useEffect, useState, useRef } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { useParams, useRouter } from 'next/navigation';
+import { FaThLarge, FaThumbtack, FaTimes, FaExpandAlt, FaGripVertical, FaArrowLeft, FaArrowRight, FaHeart, FaComments, FaChartBar, FaSync, FaHistory } from 'react-icons/fa';
+import { formatDistanceToNow, isValid } from 'date-fns';
+import { getVisualizations, refreshVisualization, updateVisualizationSchedule } from '@/lib/store/users-panel/chat/chatSlice';
+import {
+    getDashboardLayout,
+    saveDashboardLayout,
+    pinVisualization,
+    unpinVisualization,
+    resizeTile,
+    moveTile,
+    TILE_SIZES,
+} from '@/lib/store/users-panel/dashboard/dashboardSlice';
+import { getProjects } from '@/lib/store/users-panel/projects/projectSlice';
+import VisualizationSnapshot from '@/components/users/dashboard/VisualizationSnapshot';
+import VisualizationHistoryModal from '@/components/users/modals/VisualizationHistoryModal';
+import { REFRESH_SCHEDULES, REFRESH_SCHEDULE_LABELS, getLastRefreshedAt, getVisualizationHistory, isRefreshDue } from '@/lib/visualizationRefresh';
+
+// Grid span for each tile size on the 3-column board; large tiles are two rows high
+const TILE_CLASSES = {
+    sm: 'md:col-span-1',
+    md: 'md:col-span-2',
+    lg: 'md:col-span-2 md:row-span-2',
+    xl: 'md:col-span-3',
+};
+const TILE_CHART_HEIGHTS = { sm: 200, md: 240, lg: 600, xl: 420 };
+const TILE_LABELS = { sm: 'Small', md: 'Medium', lg: 'Large', xl: 'Full width' };
+const SAVE_DELAY = 800; // ms to wait after the last change before saving the layout
+const SCHEDULE_CHECK_INTERVAL = 60 * 1000; // ms between checks for scheduled refreshes
+
+const formatRefreshedAt = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && isValid(date) ? `Updated ${formatDistanceToNow(date, { addSuffix: true })}` : '';
+};
+
+const DashboardTile = ({ tile, index, count, visualization, isDragOver, isRefreshing, onResize, onUnpin, onMove, onRefresh, onScheduleChange, onShowHistory, dragHandlers }) => {
+    const historyCount = visualization ? getVisualizationHistory(visualization).length : 0;
+    const nextSize = TILE_SIZES[(TILE_SIZES.indexOf(tile.size) + 1) % TILE_SIZES.length];
+    const iconButtonClasses = "p-1.5 rounded-md text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30 disabled:cursor-not-allowed";
+
+    return (
+        <div
+            className={`col-span-1 ${TILE_CLASSES[tile.size]} bg-white dark:bg-gray-800 rounded-2xl border shadow-sm transition-colors ${
+                isDragOver ? 'border-blue-400 dark:border-blue-500 ring-2 ring-blue-400/30' : 'border-gray-200 dark:border-gray-700'
+            }`}
+            {...dragHandlers.target}
+        >
+            {/* Only the header starts a drag so the chart keeps its own drag-to-zoom */}
+            <div
+                className="flex items-center justify-between gap-2 px-4 py-3 border-b border-gray-100 dark:border-gray-700/60"
+                {...dragHandlers.source}
+            >
+                <div className="flex items-center gap-2 min-w-0">
+                    <FaGripVertical className="w-3 h-3 text-gray-400 cursor-grab flex-shrink-0" title="Drag to reorder" />
+                    <h3 className="text-sm font-semibold text-gray-900 dark:text-white truncate">
+                        {visualization?.title || 'Untitled visualization'}
+                    </h3>
+                </div>
+                <div className="flex items-center gap-0.5 flex-shrink-0">
+                    <button type="button" onClick={() => onMove(index, index - 1)} disabled={index === 0} className={iconButtonClasses} title="Move earlier">
+                        <FaArrowLeft className="w-3 h-3" />
+                    </button>
+                    <button type="button" onClick={() => onMove(index, index + 1)} disabled={index === count - 1} className={iconButtonClasses} title="Move later">
+                        <FaArrowRight className="w-3 h-3" />
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onRefresh(tile.visualizationId)}
+                        disabled={!visualization?.query_used || isRefreshing}
+                        className={iconButtonClasses}
+                        title={visualization?.query_used ? 'Refresh with its saved query' : 'No saved query to refresh'}
+                    >
+                        <FaSync className={`w-3 h-3 ${isRefreshing ? 'animate-spin' : ''}`} />
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onShowHistory(tile.visualizationId)}
+                        disabled={!visualization}
+                        className={iconButtonClasses}
+                        title="Version history"
+                    >
+                        <FaHistory className="w-3 h-3" />
+                    </button>
+                    <button type="button" onClick={() => onResize(tile.visualizationId, nextSize)} className={iconButtonClasses} title={`Resize (${TILE_LABELS[tile.size]})`}>
+                        <FaExpandAlt className="w-3 h-3" />
+                    </button>
+                    <button type="button" onClick={() => onUnpin(tile.visualizationId)} className={`${iconButtonClasses} hover:text-red-500 dark:hover:text-red-400`} title="Unpin">
+                        <FaTimes className="w-3 h-3" />
+                    </button>
+                </div>
+            </div>
+            <div className="p-4">
+                {visualization ? (
+                    <VisualizationSnapshot visualization={visualization} height={TILE_CHART_HEIGHTS[tile.size]} />
+                ) : (
+                    <div className="flex items-center justify-center text-xs text-gray-400 dark:text-gray-500" style={{ height: TILE_CHART_HEIGHTS[tile.size] }}>
+                        This visualization is no longer available
+                    </div>
+                )}
+            </div>
+            {visualization && (
+                <div className="flex items-center justify-between gap-2 px-4 py-2 border-t border-gray-100 dark:border-gray-700/60 text-xs text-gray-500 dark:text-gray-400">
+                    <span className="truncate">
+                        {isRefreshing ? 'Refreshing...' : formatRefreshedAt(getLastRefreshedAt(visualization))}
+                        {historyCount > 0 && ` · ${historyCount} earlier version${historyCount !== 1 ? 's' : ''}`}
+                    </span>
+                    {visualization.query_used && (
+                        <select
+                            value={visualization.refresh_schedule || 'off'}
+                            onChange={(e) => onScheduleChange(tile.visualizationId, e.target.value)}
+                            className="px-1.5 py-0.5 rounded border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+                            title="Refresh schedule"
+                        >
+                            {Object.keys(REFRESH_SCHEDULES).map(schedule => (
+                                <option key={schedule} value={schedule}>{REFRESH_SCHEDULE_LABELS[schedule]}</option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default function ProjectDashboardPage() {
+    const params = useParams();
+    const router = useRouter();
+    const dispatch = useDispatch();
+    const projectId = params?.projectId;
+
+    const { visualizations, visualizationsStatus, refreshingVisualizationIds } = useSelector((state) => state.chat);
+    const { layout, status, saveStatus, isDirty } = useSelector((state) => state.dashboard);
+    const projectStatus = useSelector((state) => state.projects.status);
+
+    const [dragIndex, setDragIndex] = useState(null);
+    const [dragOverIndex, setDragOverIndex] = useState(null);
+    const [historyVisualizationId, setHistoryVisualizationId] = useState(null);
+    const lastRefreshAttemptRef = useRef({}); // visualizationId -> ms of the last scheduled attempt
+
+    useEffect(() => {
+        if (projectId) {
+            dispatch(getVisualizations({ projectId, limit: 100 }));
+            dispatch(getDashboardLayout(projectId));
+        }
+    }, [projectId, dispatch]);
+
+    // The masking rules come with the project list
+    useEffect(() => {
+        if (projectStatus === 'idle') {
+            dispatch(getProjects());
+        }
+    }, [projectStatus, dispatch]);
+
+    // Persist the layout shortly after the last change. Only a loaded board is saved,
+    // and after a failed save only the Retry button saves again.
+    useEffect(() => {
+        if (!isDirty || !projectId || status !== 'succeeded' || saveStatus === 'failed') return;
+        const timer = setTimeout(() => {
+            dispatch(saveDashboardLayout({ projectId, layout }));
+        }, SAVE_DELAY);
+        return () => clearTimeout(timer);
+    }, [isDirty, layout, projectId, status, saveStatus, dispatch]);
+
+    // Re-run pinned visualizations whose refresh schedule is due while the board is open
+    useEffect(() => {
+        if (!projectId || visualizationsStatus !== 'succeeded') return;
+
+        const runDueRefreshes = () => {
+            const now = Date.now();
+            layout.forEach(({ visualizationId }) => {
+                const visualization = visualizations.find(viz => viz.id === visualizationId);
+                const lastAttemptAt = lastRefreshAttemptRef.current[visualizationId] || 0;
+                if (!visualization || refreshingVisualizationIds.includes(visualizationId)) return;
+                if (!isRefreshDue(visualization, now, lastAttemptAt)) return;
+                lastRefreshAttemptRef.current[visualizationId] = now;
+                dispatch(refreshVisualization({ visualizationId, projectId }));
+            });
+        };
+
+        runDueRefreshes();
+        const timer = setInterval(runDueRefreshes, SCHEDULE_CHECK_INTERVAL);
+        return () => clearInterval(timer);
+    }, [layout, visualizations, visualizationsStatus, refreshingVisualizationIds, projectId, dispatch]);
+
+    const visualizationsById = new Map((visualizations || []).map(viz => [viz.id, viz]));
+    const pinnedIds = new Set(layout.map(tile => tile.visualizationId));
+    const pinnableFavorites = (visualizations || []).filter(viz => viz.is_favorite && !pinnedIds.has(viz.id));
+    const isLoading = status === 'loading' || visualizationsStatus === 'loading';
+
+    const handleMove = (from, to) => dispatch(moveTile({ from, to }));
+
+    const getDragHandlers = (index) => ({
+        source: {
+            draggable: true,
+            onDragStart: (e) => {
+                setDragIndex(index);
+                e.dataTransfer.effectAllowed = 'move';
+            },
+            onDragEnd: () => {
+                setDragIndex(null);
+                setDragOverIndex(null);
+            },
+        },
+        target: {
+            onDragOver: (e) => {
+                if (dragIndex === null) return;
+                e.preventDefault();
+                setDragOverIndex(index);
+            },
+            onDragLeave: () => setDragOverIndex(null),
+            onDrop: (e) => {
+                e.preventDefault();
+                if (dragIndex !== null) handleMove(dragIndex, index);
+                setDragIndex(null);
+                setDragOverIndex(null);
+            },
+        },
+    });
+
+    const isSaveFailed = saveStatus === 'failed';
+    const saveLabel = isSaveFailed
+        ? 'Not saved'
+        : isDirty || saveStatus === 'loading'
+            ? 'Saving...'
+            : saveStatus === 'succeeded' ? 'All changes saved' : '';
+
+    return (
+        <div className="w-full h-full overflow-y-auto custom-scrollbar p-4 sm:p-6 bg-gray-50 dark:bg-gray-950">
+            {/* Header */}
+            <div className="flex flex-wrap items-start justify-between gap-4 mb-6 pl-12 lg:pl-0">
+                <div>
+                    <h1 className="flex items-center gap-2 text-2xl sm:text-3xl font-semibold text-gray-900 dark:text-white mb-2">
+                        <FaThLarge className="text-blue-600 dark:text-blue-400 text-xl" />
+                        Project Dashboard
+                    </h1>
+                    <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400">
+                        Pin your favorite visualizations and arrange them into a board
+                    </p>
+                </div>
+                <div className="flex items-center gap-3">
+                    {saveLabel && (
+                        <span className={`text-xs ${isSaveFailed ? 'text-red-500' : 'text-gray-500 dark:text-gray-400'}`}>
+                            {saveLabel}
+                        </span>
+                    )}
+                    {isSaveFailed && (
+                        <button
+                            type="button"
+                            onClick={() => dispatch(saveDashboardLayout({ projectId, layout }))}
+                            className="flex items-center gap-1.5 text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                        >
+                            <FaSync className="w-3 h-3" />
+                            Retry
+                        </button>
+                    )}
+                    <button
+                        type="button"
+                        onClick={() => router.push(`/user/${projectId}/chat`)}
+                        className="flex items-center gap-2 px-4 py-2 text-sm rounded-lg bg-gradient-to-r from-blue-500 to-blue-700 hover:from-blue-600 hover:to-blue-800 text-white"
+                    >
+                        <FaComments className="w-4 h-4" />
+                        Back to Chat
+                    </button>
+                </div>
+            </div>
+
+            {/* Favorites waiting to be pinned */}
+            {status === 'succeeded' && pinnableFavorites.length > 0 && (
+                <div className="mb-6 bg-white dark:bg-gray-800 rounded-2xl border border-gray-200 dark:border-gray-700 p-4">
+                    <h2 className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">
+                        <FaHeart className="text-red-500 w-3.5 h-3.5" />
+                        Favorites
+                    </h2>
+                    <div className="flex flex-wrap gap-2">
+                        {pinnableFavorites.map(viz => (
+                            <button
+                                key={viz.id}
+                                type="button"
+                                onClick={() => dispatch(pinVisualization(viz.id))}
+                                className="flex items-center gap-2 px-3 py-1.5 text-xs rounded-lg border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:border-blue-400 hover:text-blue-600 dark:hover:text-blue-400 transition-colors"
+                                title="Pin to dashboard"
+                            >
+                                <FaThumbtack className="w-3 h-3" />
+                                <span className="max-w-[200px] truncate">{viz.title || 'Untitled visualization'}</span>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Board */}
+            {isLoading && layout.length === 0 ? (
+                <div className="p-12 text-center">
+                    <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+                    <p className="mt-3 text-sm text-gray-500 dark:text-gray-400">Loading dashboard...</p>
+                </div>
+            ) : status === 'failed' ? (
+                <div className="p-12 text-center bg-white dark:bg-gray-800 rounded-2xl border border-red-200 dark:border-red-900/50">
+                    <p className="text-sm text-gray-600 dark:text-gray-300">The dashboard could not be loaded</p>
+                    <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                        Pinning is paused so the saved board is not overwritten
+                    </p>
+                    <button
+                        type="button"
+                        onClick={() => dispatch(getDashboardLayout(projectId))}
+                        className="mt-4 inline-flex items-center gap-2 px-4 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:border-blue-400 hover:text-blue-600 dark:hover:text-blue-400"
+                    >
+                        <FaSync className="w-3 h-3" />
+                        Reload
+                    </button>
+                </div>
+            ) : layout.length === 0 ? (
+                <div className="p-12 text-center bg-white dark:bg-gray-800 rounded-2xl border border-dashed border-gray-300 dark:border-gray-600">
+                    <div className="w-12 h-12 mx-auto mb-3 rounded-full bg-gray-100 dark:bg-gray-700 flex items-center justify-center">
+                        <FaChartBar className="w-5 h-5 text-gray-400 dark:text-gray-500" />
+                    </div>
+                    <p className="text-sm text-gray-600 dark:text-gray-300">Nothing pinned yet</p>
+                    <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                        Favorite a visualization in the chat, then pin it here
+                    </p>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 sm:gap-6">
+                    {layout.map((tile, index) => (
+                        <DashboardTile
+                            key={tile.visualizationId}
+                            tile={tile}
+                            index={index}
+                            count={layout.length}
+                            visualization={visualizationsById.get(tile.visualizationId)}
+                            isDragOver={dragOverIndex === index && dragIndex !== index}
+                            isRefreshing={refreshingVisualizationIds.includes(tile.visualizationId)}
+                            onResize={(visualizationId, size) => dispatch(resizeTile({ visualizationId, size }))}
+                            onUnpin={(visualizationId) => dispatch(unpinVisualization(visualizationId))}
+                            onMove={handleMove}
+                            onRefresh={(visualizationId) => dispatch(refreshVisualization({ visualizationId, projectId }))}
+                            onScheduleChange={(visualizationId, refreshSchedule) => dispatch(updateVisualizationSchedule({ visualizationId, refreshSchedule }))}
+                            onShowHistory={setHistoryVisualizationId}
+                            dragHandlers={getDragHandlers(index)}
+                        />
+                    ))}
+                </div>
+            )}
+
+            <VisualizationHistoryModal
+                key={historyVisualizationId || 'closed'}
+                isOpen={!!historyVisualizationId}
+                onClose={() => setHistoryVisualizationId(null)}
+                visualization={historyVisualizationId ? visualizationsById.get(historyVisualizationId) : null}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,212 @@
+// Project feedback report page component
+// Lists rated AI answers with their reasons and generated SQL so flagged answers can be reviewed
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { useParams, useRouter } from 'next/navigation';
+import { FaFlag, FaComments, FaThumbsUp, FaThumbsDown, FaSync, FaExternalLinkAlt } from 'react-icons/fa';
+import { format, isValid } from 'date-fns';
+import { getProjectFeedback } from '@/lib/store/users-panel/chat/chatSlice';
+import { getProjects } from '@/lib/store/users-panel/projects/projectSlice';
+import { HighlightedSql } from '@/components/users/chat/SqlPanel';
+import { FEEDBACK_CATEGORIES, getFeedbackCategoryLabel } from '@/lib/feedback';
+import { useDataMasking } from '@/hooks/useDataMasking';
+
+const RATING_FILTERS = { down: 'Flagged', up: 'Helpful', all: 'All' };
+
+const formatFeedbackDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && isValid(date) ? format(date, 'MMM d, yyyy h:mm a') : '';
+};
+
+// Question and answer are masked like chat answers, since reviewers may not be allowed to see the data
+const FeedbackCard = ({ item, onOpen, maskText }) => {
+    const isFlagged = item.rating === 'down';
+    return (
+        <div className={`bg-white dark:bg-gray-800 rounded-2xl border p-4 sm:p-5 ${
+            isFlagged ? 'border-red-200 dark:border-red-900/50' : 'border-gray-200 dark:border-gray-700'
+        }`}>
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+                <span className={`flex items-center gap-1.5 px-2 py-1 text-xs font-semibold rounded-md ${
+                    isFlagged
+                        ? 'bg-red-50 text-red-700 dark:bg-red-900/30 dark:text-red-300'
+                        : 'bg-green-50 text-green-700 dark:bg-green-900/30 dark:text-green-300'
+                }`}>
+                    {isFlagged ? <FaThumbsDown className="w-3 h-3" /> : <FaThumbsUp className="w-3 h-3" />}
+                    {getFeedbackCategoryLabel(item.category)}
+                </span>
+                <span className="text-xs text-gray-400 dark:text-gray-500">{formatFeedbackDate(item.createdAt)}</span>
+                {item.conversationId && (
+                    <button
+                        type="button"
+                        onClick={() => onOpen(item)}
+                        className="ml-auto flex items-center gap-1.5 text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                        <FaExternalLinkAlt className="w-3 h-3" />
+                        {item.conversationTitle || 'Open conversation'}
+                    </button>
+                )}
+            </div>
+
+            {item.comment && (
+                <p className="mb-3 text-sm text-gray-800 dark:text-gray-200 italic">&ldquo;{item.comment}&rdquo;</p>
+            )}
+            {item.question && (
+                <p className="text-sm text-gray-700 dark:text-gray-300">
+                    <span className="font-semibold">Question: </span>{maskText(item.question)}
+                </p>
+            )}
+            {item.answer && (
+                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400 line-clamp-3">
+                    <span className="font-semibold">Answer: </span>{maskText(item.answer)}
+                </p>
+            )}
+            {item.generatedSql && (
+                <div className="mt-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-900/60 border border-gray-200 dark:border-gray-700 overflow-x-auto">
+                    <HighlightedSql sql={item.generatedSql} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default function ProjectFeedbackPage() {
+    const params = useParams();
+    const router = useRouter();
+    const dispatch = useDispatch();
+    const projectId = params?.projectId;
+
+    const { feedbackReport = [], feedbackReportStatus } = useSelector((state) => state.chat);
+    const projectStatus = useSelector((state) => state.projects.status);
+    const { maskText } = useDataMasking(projectId);
+
+    const [ratingFilter, setRatingFilter] = useState('down');
+    const [categoryFilter, setCategoryFilter] = useState('all');
+
+    useEffect(() => {
+        if (projectId) {
+            dispatch(getProjectFeedback(projectId));
+        }
+    }, [projectId, dispatch]);
+
+    // The masking rules come with the project list
+    useEffect(() => {
+        if (projectStatus === 'idle') {
+            dispatch(getProjects());
+        }
+    }, [projectStatus, dispatch]);
+
+    const filtered = useMemo(() => feedbackReport
+        .filter(item => ratingFilter === 'all' || item.rating === ratingFilter)
+        .filter(item => categoryFilter === 'all' || item.category === categoryFilter)
+        .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0)),
+    [feedbackReport, ratingFilter, categoryFilter]);
+
+    // Flag counts per reason, for the summary chips
+    const categoryCounts = useMemo(() => {
+        const counts = {};
+        feedbackReport
+            .filter(item => ratingFilter === 'all' || item.rating === ratingFilter)
+            .forEach(item => {
+                counts[item.category || 'none'] = (counts[item.category || 'none'] || 0) + 1;
+            });
+        return counts;
+    }, [feedbackReport, ratingFilter]);
+
+    const handleOpen = (item) => {
+        const messageParam = item.messageId ? `&messageId=${item.messageId}` : '';
+        router.push(`/user/${projectId}/chat?conversationId=${item.conversationId}${messageParam}`);
+    };
+
+    const isLoading = feedbackReportStatus === 'loading';
+
+    return (
+        <div className="w-full h-full overflow-y-auto custom-scrollbar p-4 sm:p-6 bg-gray-50 dark:bg-gray-950">
+            {/* Header */}
+            <div className="flex flex-wrap items-start justify-between gap-4 mb-6 pl-12 lg:pl-0">
+                <div>
+                    <h1 className="flex items-center gap-2 text-2xl sm:text-3xl font-semibold text-gray-900 dark:text-white mb-2">
+                        <FaFlag className="text-red-500 dark:text-red-400 text-xl" />
+                        Answer Feedback
+                    </h1>
+                    <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400">
+                        Review rated answers and the SQL behind them
+                    </p>
+                </div>
+                <div className="flex items-center gap-3">
+                    <button
+                        type="button"
+                        onClick={() => dispatch(getProjectFeedback(projectId))}
+                        disabled={isLoading}
+                        className="p-2.5 rounded-lg text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-white dark:hover:bg-gray-800 disabled:opacity-50"
+                        title="Refresh"
+                    >
+                        <FaSync className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => router.push(`/user/${projectId}/chat`)}
+                        className="flex items-center gap-2 px-4 py-2 text-sm rounded-lg bg-gradient-to-r from-blue-500 to-blue-700 hover:from-blue-600 hover:to-blue-800 text-white"
+                    >
+                        <FaComments className="w-4 h-4" />
+                        Back to Chat
+                    </button>
+                </div>
+            </div>
+
+            {/* Filters */}
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+                {Object.entries(RATING_FILTERS).map(([value, label]) => (
+                    <button
+                        key={value}
+                        type="button"
+                        onClick={() => { setRatingFilter(value); setCategoryFilter('all'); }}
+                        className={`px-3 py-1.5 text-sm rounded-lg border transition-colors ${
+                            ratingFilter === value
+                                ? 'border-blue-400 bg-blue-50 text-blue-700 dark:border-blue-600 dark:bg-blue-900/20 dark:text-blue-300'
+                                : 'border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:bg-white dark:hover:bg-gray-800'
+                        }`}
+                    >
+                        {label}
+                    </button>
+                ))}
+                <span className="w-px h-6 bg-gray-200 dark:bg-gray-700 mx-1" />
+                <select
+                    value={categoryFilter}
+                    onChange={(e) => setCategoryFilter(e.target.value)}
+                    className="px-3 py-1.5 text-sm rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300"
+                >
+                    <option value="all">All reasons</option>
+                    {Object.entries(FEEDBACK_CATEGORIES).map(([category, label]) => (
+                        <option key={category} value={category}>
+                            {label} ({categoryCounts[category] || 0})
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {isLoading && feedbackReport.length === 0 ? (
+                <div className="p-12 text-center">
+                    <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+                    <p className="mt-3 text-sm text-gray-500 dark:text-gray-400">Loading feedback...</p>
+                </div>
+            ) : feedbackReportStatus === 'failed' ? (
+                <p className="p-12 text-center text-sm text-red-500 dark:text-red-400">Failed to load feedback</p>
+            ) : filtered.length === 0 ? (
+                <div className="p-12 text-center bg-white dark:bg-gray-800 rounded-2xl border border-dashed border-gray-300 dark:border-gray-600">
+                    <p className="text-sm text-gray-600 dark:text-gray-300">No feedback here yet</p>
+                    <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                        Rate answers with the thumbs buttons in the chat
+                    </p>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {filtered.map(item => (
+                        <FeedbackCard key={item.id} item={item} onOpen={handleOpen} maskText={maskText} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
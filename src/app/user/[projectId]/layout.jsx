@@ -1,13 +1,17 @@
 // Layout component for project-specific pages
-// Wraps project pages with sidebar navigation for chat interface
+// Wraps project pages with sidebar navigation for chat interface and the database schema explorer
 'use client';
 
 import { useState } from 'react';
+import { useParams } from 'next/navigation';
 import Sidebar from '@/components/Sidebar';
+import SchemaExplorerPanel from '@/components/users/chat/SchemaExplorerPanel';
 import { FaBars, FaTimes } from 'react-icons/fa';
 
 export default function UserPagesLayout({ children }) {
     const [sidebarOpen, setSidebarOpen] = useState(false);
+    const [schemaOpen, setSchemaOpen] = useState(false);
+    const { projectId } = useParams();
 
     return (
         <div className="w-full h-full flex relative">
@@ -27,7 +31,11 @@ export default function UserPagesLayout({ children }) {
                 inset-y-0 left-0 z-50
                 transition-transform duration-300 ease-in-out
             `}>
-                <Sidebar onClose={() => setSidebarOpen(false)} />
+                <Sidebar
+                    onClose={() => setSidebarOpen(false)}
+                    onToggleSchema={() => setSchemaOpen(!schemaOpen)}
+                    isSchemaOpen={schemaOpen}
+                />
             </div>
             
             {/* Main Content */}
@@ -46,6 +54,13 @@ export default function UserPagesLayout({ children }) {
                 </button>
                 {children}
             </div>
+
+            {/* Database schema explorer */}
+            <SchemaExplorerPanel
+                isOpen={schemaOpen}
+                onClose={() => setSchemaOpen(false)}
+                projectId={projectId}
+            />
         </div>
     );
 }
\ No newline at end of file
@@ -1,42 +1,51 @@
 // Add new project page component
-// Form for creating a new project with database credentials and AI agent configuration
+// Step-by-step wizard for creating a project: details, connection, schema, agent persona and review
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import {
     FaFolder,
-    FaDatabase,
-    FaUserShield,
-    FaKey,
     FaInfoCircle,
     FaRobot,
     FaImage,
     FaArrowRight,
+    FaArrowLeft,
     FaCheckCircle,
-    FaServer
+    FaSync,
+    FaHistory
 } from 'react-icons/fa';
 import * as Yup from 'yup';
 import { useSelector, useDispatch } from 'react-redux';
 import { useRouter } from 'next/navigation';
-import { createProject, reset } from '@/lib/store/users-panel/projects/projectSlice';
+import { createProject, reset, testProjectConnection } from '@/lib/store/users-panel/projects/projectSlice';
 import WebsiteButton from '@/components/WebsiteButton';
+import GlossaryEditor from '@/components/users/project/GlossaryEditor';
+import DatabaseConnectionFields from '@/components/users/project/DatabaseConnectionFields';
+import ConnectionTestPanel from '@/components/users/project/ConnectionTestPanel';
+import WizardSteps from '@/components/users/project/WizardSteps';
+import TableSelector from '@/components/users/project/TableSelector';
+import AgentPreview from '@/components/users/project/AgentPreview';
+import { CONNECTION_FIELDS, SSL_MODES, getEngine, buildConnectionSchema, toConnectionPayload } from '@/lib/databaseEngines';
+import { getDuplicateTerms, toGlossaryPayload } from '@/lib/glossary';
+import { createAllowListPolicy, toAccessPolicyPayload } from '@/lib/accessPolicy';
+import {
+    WIZARD_STEPS,
+    BOT_TONES,
+    BOT_AVATARS,
+    createEmptyDraft,
+    getConnectionIdentity,
+    loadDraft,
+    saveDraft,
+    clearDraft,
+    hasDraftContent,
+} from '@/lib/projectWizard';
 
-// Dummy data for bot avatars
-const avatars = [
-    '/bot-avatar-1.png',
-    '/bot-avatar-2.png'
-];
+const DRAFT_SAVE_DELAY_MS = 400;
 
-// Validation schema for the project form
+// Validation schema for the project details step; connection fields are validated per engine
 const projectSchema = Yup.object().shape({
     projectName: Yup.string().required('Project Name is required'),
-    dbHost: Yup.string().required('Database Host is required'),
-    dbUser: Yup.string().required('Database User is required'),
-    dbPassword: Yup.string().required('Database Password is required'),
-    databaseName: Yup.string().required('Database Name is required'),
     projectInfo: Yup.string(),
-    dbInfo: Yup.string(),
-    botName: Yup.string(),
 });
 
 // Stable sub-components with theme classes
@@ -88,263 +97,437 @@ const FormTextArea = ({ icon, id, label, value, onChange, placeholder, rows = 4,
     </div>
 );
 
+const SectionTitle = ({ children }) => (
+    <h2 className="text-xl font-semibold border-b pb-3 mb-6
+                 text-gray-900 dark:text-white
+                 border-gray-200 dark:border-gray-700">{children}</h2>
+);
+
+const ReviewSection = ({ title, onEdit, children }) => (
+    <div className="rounded-lg border border-gray-200 dark:border-gray-700">
+        <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200 dark:border-gray-700">
+            <h3 className="text-sm font-semibold text-gray-800 dark:text-gray-200">{title}</h3>
+            <button type="button" onClick={onEdit} className="text-xs font-medium text-sky-600 dark:text-sky-400 hover:underline">
+                Edit
+            </button>
+        </div>
+        <dl className="px-4 py-3 grid grid-cols-1 sm:grid-cols-3 gap-x-4 gap-y-2 text-sm">{children}</dl>
+    </div>
+);
+
+const ReviewRow = ({ label, value, warning }) => (
+    <>
+        <dt className="text-gray-500 dark:text-gray-400">{label}</dt>
+        <dd className={`sm:col-span-2 break-words ${warning ? 'text-amber-600 dark:text-amber-400' : 'text-gray-800 dark:text-gray-200'}`}>
+            {warning || value || '—'}
+        </dd>
+    </>
+);
+
+// Errors for one step of the wizard, empty when it is complete
+const validateStep = async (stepId, draft) => {
+    const collect = async (schema, values) => {
+        try {
+            await schema.validate(values, { abortEarly: false });
+            return {};
+        } catch (validationErrors) {
+            const newErrors = {};
+            validationErrors.inner.forEach(error => {
+                newErrors[error.path] = error.message;
+            });
+            return newErrors;
+        }
+    };
+
+    if (stepId === 'details') {
+        return collect(projectSchema, draft);
+    }
+    if (stepId === 'connection') {
+        const { connection } = draft;
+        return collect(buildConnectionSchema(connection.dbEngine), toConnectionPayload(connection.dbEngine, connection));
+    }
+    if (stepId === 'schema') {
+        const newErrors = {};
+        if (draft.tableAccess === 'selected' && draft.selectedTables.length === 0) {
+            newErrors.selectedTables = 'Select at least one table, or give the agent all tables';
+        }
+        if (getDuplicateTerms(draft.glossary).length) {
+            newErrors.glossary = 'Each business term can only be defined once';
+        }
+        return newErrors;
+    }
+    return {};
+};
 
 const AddProjectPage = () => {
-    // State for all form fields
-    const [databaseName, setDatabaseName] = useState('');
-    const [projectName, setProjectName] = useState('');
-    const [projectInfo, setProjectInfo] = useState('');
-    const [dbHost, setDbHost] = useState('');
-    const [dbUser, setDbUser] = useState('');
-    const [dbPassword, setDbPassword] = useState('');
-    const [dbPort, setDbPort] = useState('3306');
-    const [dbInfo, setDbInfo] = useState('');
-    const [botName, setBotName] = useState('');
-    const [dbType, setDbType] = useState('aws'); // 'local' or 'aws'
-    const [selectedAvatar, setSelectedAvatar] = useState(avatars[0]);
+    // The whole wizard lives in one draft object so it can be saved and restored
+    const [draft, setDraft] = useState(createEmptyDraft);
+    const [isDraftReady, setIsDraftReady] = useState(false);
+    const [restoredAt, setRestoredAt] = useState(null);
     const [errors, setErrors] = useState({});
 
     // Setup Redux hooks
     const dispatch = useDispatch();
     const router = useRouter();
 
-    const { isLoading, isSuccess, isError } = useSelector((state) => state.projects);
+    const { isLoading } = useSelector((state) => state.projects);
+    const connectionTest = useSelector((state) => state.projects.connectionTest);
+
+    const { step, connection } = draft;
+    const stepId = WIZARD_STEPS[step].id;
+    const engine = getEngine(connection.dbEngine);
+    const connectionPayload = toConnectionPayload(connection.dbEngine, connection);
+    const tablesAreCurrent = draft.tables.length > 0 && draft.tablesSource === getConnectionIdentity(connection);
+
+    const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+    const updateConnection = (changes) => setDraft(prev => ({ ...prev, connection: { ...prev.connection, ...changes } }));
+
+    // Restore the draft after mounting; localStorage isn't available while rendering on the server
+    useEffect(() => {
+        const saved = loadDraft();
+        if (hasDraftContent(saved)) {
+            setDraft(saved);
+            setRestoredAt(saved.savedAt);
+        }
+        setIsDraftReady(true);
+    }, []);
+
+    useEffect(() => {
+        if (!isDraftReady) return;
+        const timer = setTimeout(() => saveDraft(draft), DRAFT_SAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [draft, isDraftReady]);
+
+    // Keep the tables of every successful test; the schema step offers them for selection
+    useEffect(() => {
+        if (connectionTest.status !== 'succeeded' || !connectionTest.result) return;
+        const { tables } = connectionTest.result;
+        setDraft(prev => ({
+            ...prev,
+            tables,
+            tablesSource: getConnectionIdentity(prev.connection),
+            selectedTables: prev.selectedTables.filter(table => tables.includes(table)),
+        }));
+    }, [connectionTest.status, connectionTest.result]);
+
+    const handleHostingChange = (hosting) => {
+        updateDraft({ hosting });
+        if (hosting === 'local' && !connection.dbHost) {
+            updateConnection({ dbHost: 'localhost' });
+        }
+    };
+
+    // Moving forward checks every step on the way; moving back never does
+    const goToStep = async (target, from = step) => {
+        for (let index = from; index < target; index++) {
+            const stepErrors = await validateStep(WIZARD_STEPS[index].id, draft);
+            if (Object.keys(stepErrors).length) {
+                setErrors(stepErrors);
+                updateDraft({ step: index });
+                return false;
+            }
+        }
+        setErrors({});
+        updateDraft({ step: target });
+        return true;
+    };
+
+    const handleStartOver = () => {
+        clearDraft();
+        setDraft(createEmptyDraft());
+        setRestoredAt(null);
+        setErrors({});
+    };
+
+    const handleLoadTables = () => {
+        dispatch(testProjectConnection({ projectId: null, connection: connectionPayload }));
+    };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
+        if (stepId !== 'review') {
+            goToStep(step + 1);
+            return;
+        }
+        // A restored draft can reach the review without its secrets; send the user back to them
+        if (!(await goToStep(step, 0))) return;
+
         const projectData = {
-            projectName, projectInfo, dbHost, dbUser, dbPassword, dbPort, databaseName, dbInfo, botName, botAvatar: selectedAvatar
+            projectName: draft.projectName,
+            projectInfo: draft.projectInfo,
+            dbInfo: draft.dbInfo,
+            botName: draft.botName,
+            botAvatar: draft.botAvatar,
+            botTone: draft.botTone,
+            ...connectionPayload,
+            ...(draft.tableAccess === 'selected' && { accessPolicy: toAccessPolicyPayload(createAllowListPolicy(draft.selectedTables)) }),
+            glossary: toGlossaryPayload(draft.glossary),
         };
-        try {
-            await projectSchema.validate(projectData, { abortEarly: false });
-            setErrors({});
-            await dispatch(createProject(projectData));
-            if (isSuccess) {
-                router.push('/user/dashboard');
-            }
-            if (isSuccess || isError) {
-                dispatch(reset());
-            }
-        } catch (validationErrors) {
-            const newErrors = {};
-            validationErrors.inner.forEach(error => {
-                newErrors[error.path] = error.message;
-            });
-            setErrors(newErrors);
+        const result = await dispatch(createProject(projectData));
+        if (createProject.fulfilled.match(result)) {
+            clearDraft();
+            setIsDraftReady(false);
+            router.push('/user/dashboard');
         }
+        dispatch(reset());
     };
 
+    const glossaryTables = (draft.tableAccess === 'selected' ? draft.selectedTables : draft.tables)
+        .map(name => ({ name, columns: [] }));
+    const passwordMissing = engine.required.includes('dbPassword') && !connection.dbPassword;
+
     return (
         <div className="h-full w-full flex flex-col">
             {/* The layout file now handles the main page header */}
             <main className="flex-1 overflow-y-auto">
-                <div className="w-full max-w-4xl mx-auto p-4 lg:p-6">
+                <div className="w-full max-w-4xl mx-auto p-4 lg:p-6 space-y-4">
+                    <WizardSteps steps={WIZARD_STEPS} currentStep={step} onStepClick={goToStep} />
+
+                    {restoredAt && (
+                        <div className="flex flex-wrap items-center gap-3 px-4 py-3 rounded-lg border border-sky-200 dark:border-sky-900/50 bg-sky-50 dark:bg-sky-900/20 text-sm">
+                            <FaHistory className="text-sky-600 dark:text-sky-400" />
+                            <span className="flex-1 text-gray-700 dark:text-gray-300">
+                                Restored your draft from {new Date(restoredAt).toLocaleString()}. Passwords and keys are not kept in drafts.
+                            </span>
+                            <button type="button" onClick={handleStartOver} className="text-xs font-medium text-sky-600 dark:text-sky-400 hover:underline">
+                                Start over
+                            </button>
+                        </div>
+                    )}
+
                     <form onSubmit={handleSubmit} className="p-6 lg:p-8 rounded-xl border space-y-6 lg:space-y-8
                                                          bg-white border-gray-200
                                                          dark:bg-gray-900 dark:border-gray-800">
 
-                        {/* --- Section 1: Project Details --- */}
-                        <section>
-                            <h2 className="text-xl font-semibold border-b pb-3 mb-6
-                                         text-gray-900 dark:text-white
-                                         border-gray-200 dark:border-gray-700">Project Details</h2>
-                            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                                <FormInput
-                                    icon={<FaFolder className="text-gray-500 dark:text-gray-400" />}
-                                    id="projectName"
-                                    label="Project Name"
-                                    value={projectName}
-                                    onChange={(e) => setProjectName(e.target.value)}
-                                    required
-                                    placeholder="e.g., E-commerce Analytics"
-                                    error={errors.projectName}
-                                />
-                                <div className="md:col-span-2">
-                                    <FormTextArea
-                                        icon={<FaInfoCircle className="text-gray-500 dark:text-gray-400" />}
-                                        id="projectInfo"
-                                        label="Project Information (Optional)"
-                                        value={projectInfo}
-                                        onChange={(e) => setProjectInfo(e.target.value)}
-                                        placeholder="Briefly describe what this project is for."
-                                        rows={3}
-                                        error={errors.projectInfo}
+                        {/* --- Step 1: Project Details --- */}
+                        {stepId === 'details' && (
+                            <section>
+                                <SectionTitle>Project Details</SectionTitle>
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    <FormInput
+                                        icon={<FaFolder className="text-gray-500 dark:text-gray-400" />}
+                                        id="projectName"
+                                        label="Project Name"
+                                        value={draft.projectName}
+                                        onChange={(e) => updateDraft({ projectName: e.target.value })}
+                                        required
+                                        placeholder="e.g., E-commerce Analytics"
+                                        error={errors.projectName}
                                     />
+                                    <div className="md:col-span-2">
+                                        <FormTextArea
+                                            icon={<FaInfoCircle className="text-gray-500 dark:text-gray-400" />}
+                                            id="projectInfo"
+                                            label="Project Information (Optional)"
+                                            value={draft.projectInfo}
+                                            onChange={(e) => updateDraft({ projectInfo: e.target.value })}
+                                            placeholder="Briefly describe what this project is for."
+                                            rows={3}
+                                            error={errors.projectInfo}
+                                        />
+                                    </div>
                                 </div>
-                            </div>
-                        </section>
-
-                        {/* --- Section 2: Database Credentials --- */}
-                        <section>
-                            <h2 className="text-xl font-semibold border-b pb-3 mb-6
-                                         text-gray-900 dark:text-white
-                                         border-gray-200 dark:border-gray-700">Database Credentials</h2>
-                            
-                            {/* Database Type Selector */}
-                            <div className="mb-6">
-                                <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3 block">
-                                    Database Type
-                                </label>
-                                <div className="flex gap-4">
-                                    <button
-                                        type="button"
-                                        onClick={() => {
-                                            setDbType('aws');
-                                            if (!dbHost) setDbHost('');
-                                            if (!dbPort) setDbPort('3306');
-                                        }}
-                                        className={`px-4 py-2 rounded-lg border-2 transition-all ${
-                                            dbType === 'aws'
-                                                ? 'bg-sky-500 text-white border-sky-500 dark:bg-sky-600 dark:border-sky-600'
-                                                : 'bg-gray-50 text-gray-700 border-gray-300 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 hover:border-sky-400'
-                                        }`}
-                                    >
-                                        AWS RDS
-                                    </button>
-                                    <button
-                                        type="button"
-                                        onClick={() => {
-                                            setDbType('local');
-                                            if (!dbHost) setDbHost('localhost');
-                                            if (!dbPort) setDbPort('3306');
-                                        }}
-                                        className={`px-4 py-2 rounded-lg border-2 transition-all ${
-                                            dbType === 'local'
-                                                ? 'bg-sky-500 text-white border-sky-500 dark:bg-sky-600 dark:border-sky-600'
-                                                : 'bg-gray-50 text-gray-700 border-gray-300 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 hover:border-sky-400'
-                                        }`}
-                                    >
-                                        Local Database
-                                    </button>
-                                </div>
-                            </div>
-
-                            <p className="text-xs -mt-4 mb-4 text-gray-600 dark:text-gray-500">
-                                {dbType === 'aws' 
-                                    ? 'Provide your AWS RDS MySQL connection details. Use the endpoint (hostname), admin user, and database you created in RDS.'
-                                    : 'Provide your local MySQL database connection details. Make sure your local MySQL server is running and accessible.'
-                                }
-                            </p>
-                            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                                <FormInput
-                                    icon={<FaDatabase className="text-gray-500 dark:text-gray-400" />}
-                                    id="dbHost"
-                                    label="Database Host"
-                                    value={dbHost}
-                                    onChange={(e) => setDbHost(e.target.value)}
-                                    required
-                                    placeholder={dbType === 'aws' 
-                                        ? 'e.g., my-db.cluster-123456789012.us-east-1.rds.amazonaws.com'
-                                        : 'e.g., localhost or 127.0.0.1'
-                                    }
-                                    error={errors.dbHost}
-                                />
-                                <FormInput
-                                    icon={<FaUserShield className="text-gray-500 dark:text-gray-400" />}
-                                    id="dbUser"
-                                    label="Database User"
-                                    value={dbUser}
-                                    onChange={(e) => setDbUser(e.target.value)}
-                                    required
-                                    placeholder={dbType === 'aws' ? 'e.g., rds_admin' : 'e.g., root'}
-                                    error={errors.dbUser}
-                                />
-                                <FormInput
-                                    icon={<FaKey className="text-gray-500 dark:text-gray-400" />}
-                                    id="dbPassword"
-                                    label="Database Password"
-                                    type="password"
-                                    value={dbPassword}
-                                    onChange={(e) => setDbPassword(e.target.value)}
-                                    required
-                                    placeholder="••••••••"
-                                    error={errors.dbPassword}
-                                />
-                                <FormInput
-                                    icon={<FaServer className="text-gray-500 dark:text-gray-400" />}
-                                    id="databaseName"
-                                    label="Database Name"
-                                    value={databaseName}
-                                    onChange={(e) => setDatabaseName(e.target.value)}
-                                    required
-                                    placeholder="e.g., chatbot"
-                                    error={errors.databaseName}
-                                />
-                                <FormInput
-                                    icon={<FaDatabase className="text-gray-500 dark:text-gray-400" />}
-                                    id="dbPort"
-                                    label="Database Port"
-                                    value={dbPort}
-                                    onChange={(e) => setDbPort(e.target.value)}
-                                    placeholder={dbType === 'aws' 
-                                        ? 'Default 3306 for AWS RDS MySQL'
-                                        : 'Default 3306 for local MySQL'
-                                    }
-                                    error={errors.dbPort}
+                            </section>
+                        )}
+
+                        {/* --- Step 2: Database Credentials --- */}
+                        {stepId === 'connection' && (
+                            <section>
+                                <SectionTitle>Database Credentials</SectionTitle>
+                                <DatabaseConnectionFields
+                                    values={connection}
+                                    onValuesChange={updateConnection}
+                                    errors={errors}
+                                    hosting={draft.hosting}
+                                    onHostingChange={handleHostingChange}
                                 />
-                            </div>
-                        </section>
-
-                        {/* --- Section 3: AI Agent Configuration --- */}
-                        <section>
-                            <h2 className="text-xl font-semibold border-b pb-3 mb-6
-                                         text-gray-900 dark:text-white
-                                         border-gray-200 dark:border-gray-700">AI Agent Configuration</h2>
-                            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                                <FormInput
-                                    icon={<FaRobot className="text-gray-500 dark:text-gray-400" />}
-                                    id="botName"
-                                    label="Give a name to your business bot (Optional)"
-                                    value={botName}
-                                    onChange={(e) => setBotName(e.target.value)}
-                                    placeholder="e.g., SalesBot"
+                                <ConnectionTestPanel connection={connectionPayload} />
+                            </section>
+                        )}
+
+                        {/* --- Step 3: Schema Selection --- */}
+                        {stepId === 'schema' && (
+                            <section className="space-y-8">
+                                <div>
+                                    <SectionTitle>Tables the Agent May Use</SectionTitle>
+                                    {tablesAreCurrent ? (
+                                        <TableSelector
+                                            tables={draft.tables}
+                                            access={draft.tableAccess}
+                                            selected={draft.selectedTables}
+                                            onAccessChange={(tableAccess) => updateDraft({ tableAccess })}
+                                            onSelectedChange={(selectedTables) => updateDraft({ selectedTables })}
+                                            error={errors.selectedTables}
+                                        />
+                                    ) : (
+                                        <div className="p-4 rounded-lg border border-dashed border-gray-300 dark:border-gray-700 text-sm text-gray-600 dark:text-gray-400 space-y-3">
+                                            <p>
+                                                {draft.tables.length > 0
+                                                    ? 'The connection changed since its tables were loaded. Load them again to choose tables.'
+                                                    : 'Load the tables of this database to choose which ones the agent may query, or continue to give it all tables.'}
+                                            </p>
+                                            <button
+                                                type="button"
+                                                onClick={handleLoadTables}
+                                                disabled={connectionTest.status === 'loading'}
+                                                className="flex items-center gap-2 px-4 py-2 rounded-lg border-2 border-sky-500 text-sky-600 dark:text-sky-400 font-medium hover:bg-sky-50 dark:hover:bg-sky-900/20 transition disabled:opacity-50"
+                                            >
+                                                <FaSync className={connectionTest.status === 'loading' ? 'animate-spin' : ''} />
+                                                {connectionTest.status === 'loading' ? 'Loading tables...' : 'Load tables'}
+                                            </button>
+                                            {connectionTest.status === 'failed' && connectionTest.error && (
+                                                <p className="text-xs text-red-600 dark:text-red-400 break-words">{connectionTest.error.message}</p>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+
+                                <FormTextArea
+                                    icon={<FaInfoCircle className="text-gray-500 dark:text-gray-400" />}
+                                    id="dbInfo"
+                                    label="Database Information (For Technical Structure Explanation, Optional)"
+                                    value={draft.dbInfo}
+                                    onChange={(e) => updateDraft({ dbInfo: e.target.value })}
+                                    placeholder="e.g., 'The `users` table contains customer data...'"
                                 />
-                                <div className="md:col-span-2">
-                                    <FormTextArea
-                                        icon={<FaInfoCircle className="text-gray-500 dark:text-gray-400" />}
-                                        id="dbInfo"
-                                        label="Database Information (For Technical Structure Explanation, Optional)"
-                                        value={dbInfo}
-                                        onChange={(e) => setDbInfo(e.target.value)}
-                                        placeholder="e.g., 'The `users` table contains customer data...'"
-                                    />
+
+                                <div>
+                                    <SectionTitle>Business Glossary (Optional)</SectionTitle>
+                                    <GlossaryEditor value={draft.glossary} onChange={(glossary) => updateDraft({ glossary })} tables={glossaryTables} />
+                                    {errors.glossary && <p className="text-red-500 text-xs mt-3">{errors.glossary}</p>}
                                 </div>
-                                <div className="md:col-span-2">
-                                    <label className="text-sm font-medium flex items-center mb-2 text-gray-700 dark:text-gray-300">
-                                        <FaImage className="text-gray-500 dark:text-gray-400" />
-                                        <span className="ml-2">Choose Avatar (Optional)</span>
-                                    </label>
-                                    <div className="flex items-center gap-4 mt-2">
-                                        {avatars.map((avatarUrl) => (
-                                            <div key={avatarUrl} className="relative cursor-pointer" onClick={() => setSelectedAvatar(avatarUrl)}>
-                                                <img
-                                                    src={avatarUrl}
-                                                    alt="Bot Avatar"
-                                                    className={`w-16 h-16 rounded-full object-cover border-2 transition ${selectedAvatar === avatarUrl 
-                                                        ? 'border-sky-500 dark:border-sky-400' 
-                                                        : 'border-gray-200 hover:border-gray-400 dark:border-gray-700 dark:hover:border-gray-500'}`}
-                                                />
-                                                {selectedAvatar === avatarUrl && (
-                                                    <div className="absolute top-0 right-0 w-5 h-5 rounded-full flex items-center justify-center border-2
-                                                                  bg-sky-500 dark:bg-sky-400
-                                                                  border-white dark:border-gray-900">
-                                                        <FaCheckCircle className="text-white text-xs" />
-                                                    </div>
-                                                )}
-                                            </div>
-                                        ))}
+                            </section>
+                        )}
+
+                        {/* --- Step 4: Agent Persona --- */}
+                        {stepId === 'persona' && (
+                            <section>
+                                <SectionTitle>AI Agent Persona</SectionTitle>
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    <FormInput
+                                        icon={<FaRobot className="text-gray-500 dark:text-gray-400" />}
+                                        id="botName"
+                                        label="Give a name to your business bot (Optional)"
+                                        value={draft.botName}
+                                        onChange={(e) => updateDraft({ botName: e.target.value })}
+                                        placeholder="e.g., SalesBot"
+                                    />
+                                    <div className="md:col-span-2">
+                                        <label className="text-sm font-medium flex items-center mb-2 text-gray-700 dark:text-gray-300">
+                                            <FaImage className="text-gray-500 dark:text-gray-400" />
+                                            <span className="ml-2">Choose Avatar (Optional)</span>
+                                        </label>
+                                        <div className="flex items-center gap-4 mt-2">
+                                            {BOT_AVATARS.map((avatarUrl) => (
+                                                <div key={avatarUrl} className="relative cursor-pointer" onClick={() => updateDraft({ botAvatar: avatarUrl })}>
+                                                    <img
+                                                        src={avatarUrl}
+                                                        alt="Bot Avatar"
+                                                        className={`w-16 h-16 rounded-full object-cover border-2 transition ${draft.botAvatar === avatarUrl
+                                                            ? 'border-sky-500 dark:border-sky-400'
+                                                            : 'border-gray-200 hover:border-gray-400 dark:border-gray-700 dark:hover:border-gray-500'}`}
+                                                    />
+                                                    {draft.botAvatar === avatarUrl && (
+                                                        <div className="absolute top-0 right-0 w-5 h-5 rounded-full flex items-center justify-center border-2
+                                                                      bg-sky-500 dark:bg-sky-400
+                                                                      border-white dark:border-gray-900">
+                                                            <FaCheckCircle className="text-white text-xs" />
+                                                        </div>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                    <div className="md:col-span-2">
+                                        <label className="text-sm font-medium block mb-2 text-gray-700 dark:text-gray-300">Tone</label>
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                            {Object.entries(BOT_TONES).map(([key, tone]) => (
+                                                <button
+                                                    key={key}
+                                                    type="button"
+                                                    onClick={() => updateDraft({ botTone: key })}
+                                                    className={`text-left p-3 rounded-lg border-2 transition ${draft.botTone === key
+                                                        ? 'border-sky-500 bg-sky-50 dark:bg-sky-900/20'
+                                                        : 'border-gray-300 dark:border-gray-600 hover:border-sky-400'}`}
+                                                >
+                                                    <span className="block text-sm font-medium text-gray-800 dark:text-gray-200">{tone.label}</span>
+                                                    <span className="block text-xs text-gray-500 dark:text-gray-400">{tone.description}</span>
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                    <div className="md:col-span-2">
+                                        <AgentPreview botName={draft.botName} botAvatar={draft.botAvatar} botTone={draft.botTone} projectName={draft.projectName} />
                                     </div>
                                 </div>
-                            </div>
-                        </section>
+                            </section>
+                        )}
+
+                        {/* --- Step 5: Review --- */}
+                        {stepId === 'review' && (
+                            <section className="space-y-4">
+                                <SectionTitle>Review</SectionTitle>
+                                <ReviewSection title="Project details" onEdit={() => goToStep(0)}>
+                                    <ReviewRow label="Name" value={draft.projectName} />
+                                    <ReviewRow label="Description" value={draft.projectInfo} />
+                                </ReviewSection>
+                                <ReviewSection title="Connection" onEdit={() => goToStep(1)}>
+                                    <ReviewRow label="Engine" value={engine.label} />
+                                    {engine.fields.filter(field => field !== 'dbPassword').map(field => (
+                                        <ReviewRow key={field} label={CONNECTION_FIELDS[field].label} value={connection[field]} />
+                                    ))}
+                                    {engine.fields.includes('dbPassword') && (
+                                        <ReviewRow
+                                            label={CONNECTION_FIELDS.dbPassword.label}
+                                            value={connection.dbPassword ? '••••••••' : null}
+                                            warning={passwordMissing ? 'Not entered. Drafts don\'t keep passwords; enter it on the Connection step.' : null}
+                                        />
+                                    )}
+                                    {engine.supportsNetworkOptions && (
+                                        <>
+                                            <ReviewRow label="SSL mode" value={SSL_MODES[connection.sslMode]?.label} />
+                                            <ReviewRow label="SSH tunnel" value={connection.sshEnabled ? `${connection.sshUser}@${connection.sshHost}:${connection.sshPort}` : 'Off'} />
+                                        </>
+                                    )}
+                                </ReviewSection>
+                                <ReviewSection title="Schema" onEdit={() => goToStep(2)}>
+                                    <ReviewRow
+                                        label="Tables"
+                                        value={draft.tableAccess === 'selected'
+                                            ? `${draft.selectedTables.length} selected: ${draft.selectedTables.join(', ')}`
+                                            : 'All tables'}
+                                    />
+                                    <ReviewRow label="Database information" value={draft.dbInfo} />
+                                    <ReviewRow
+                                        label="Glossary"
+                                        value={`${draft.glossary.terms.length} terms, ${draft.glossary.columnDescriptions.length} column descriptions`}
+                                    />
+                                </ReviewSection>
+                                <ReviewSection title="Agent persona" onEdit={() => goToStep(3)}>
+                                    <ReviewRow label="Name" value={draft.botName || 'AI Assistant'} />
+                                    <ReviewRow label="Tone" value={BOT_TONES[draft.botTone]?.label} />
+                                </ReviewSection>
+                                <AgentPreview botName={draft.botName} botAvatar={draft.botAvatar} botTone={draft.botTone} projectName={draft.projectName} />
+                            </section>
+                        )}
 
-                        {/* --- Form Submission --- */}
-                        <div className="flex justify-end pt-6 border-t border-gray-200 dark:border-gray-700">
+                        {/* --- Wizard Navigation --- */}
+                        <div className="flex items-center justify-between pt-6 border-t border-gray-200 dark:border-gray-700">
+                            {step > 0 ? (
+                                <button
+                                    type="button"
+                                    onClick={() => goToStep(step - 1)}
+                                    className="flex items-center gap-2 px-4 py-3 rounded-lg text-gray-700 dark:text-gray-300 font-medium hover:bg-gray-100 dark:hover:bg-gray-800 transition"
+                                >
+                                    <FaArrowLeft />
+                                    Back
+                                </button>
+                            ) : <span />}
                             <WebsiteButton
                                 type="submit"
                                 disabled={isLoading}
                             >
-                                {isLoading ? 'Creating...' : 'Create Project'}
+                                {stepId !== 'review' ? 'Continue' : isLoading ? 'Creating...' : 'Create Project'}
                                 {!isLoading && <FaArrowRight className="ml-2" />}
                             </WebsiteButton>
                         </div>
@@ -355,4 +538,4 @@ const AddProjectPage = () => {
     );
 };
 
-export default AddProjectPage;
\ No newline at end of file
+export default AddProjectPage;
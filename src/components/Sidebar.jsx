@@ -15,16 +15,29 @@ import {
     FaPlus,
     FaStar,
     FaSync,
-    FaExclamationTriangle
+    FaExclamationTriangle,
+    FaThLarge,
+    FaFileExport,
+    FaSearch,
+    FaArchive,
+    FaUndo,
+    FaFlag,
+    FaDatabase
 } from 'react-icons/fa';
 import { 
     getConversations, 
     deleteConversation, 
     updateConversation,
     getImportantMessages,
-    clearChat
+    getArchivedConversations,
+    clearChat,
+    isArchivedConversation
 } from '@/lib/store/users-panel/chat/chatSlice';
 import { format, isValid, isToday, isYesterday } from 'date-fns';
+import { useConversationExport } from '@/hooks/useConversationExport';
+import { useDataMasking } from '@/hooks/useDataMasking';
+import { EXPORT_FORMATS } from '@/lib/conversationExport';
+import SearchPalette from '@/components/users/chat/SearchPalette';
 
 // Enhanced CSS for sidebar scrollbar
 const sidebarScrollbarStyles = `
@@ -73,7 +86,7 @@ const sidebarScrollbarStyles = `
   }
 `;
 
-const Sidebar = ({ onClose }) => {
+const Sidebar = ({ onClose, onToggleSchema, isSchemaOpen = false }) => {
     const [isExpanded, setIsExpanded] = useState(true);
     const [openMenuId, setOpenMenuId] = useState(null);
     const [editingId, setEditingId] = useState(null);
@@ -81,6 +94,9 @@ const Sidebar = ({ onClose }) => {
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [conversationToDelete, setConversationToDelete] = useState(null);
     const [isDeleting, setIsDeleting] = useState(false);
+    const [isSearchOpen, setIsSearchOpen] = useState(false);
+    const [showArchived, setShowArchived] = useState(false);
+    const [archivingId, setArchivingId] = useState(null);
     const menuRef = useRef(null);
     const editInputRef = useRef(null);
     const lastRefreshTimeRef = useRef(0);
@@ -93,12 +109,18 @@ const Sidebar = ({ onClose }) => {
     const params = useParams();
     const projectId = params?.projectId;
     const currentConversationId = searchParams.get('conversationId');
+    const { exportConversation, exportingId } = useConversationExport();
+    const { maskMessage } = useDataMasking(projectId);
+    const { projects = [] } = useSelector((state) => state.projects);
+    const assistantName = projects.find(p => p.id === projectId)?.bot_name || 'AI Business Agent';
 
     const { 
         conversations = [], 
         conversationsStatus,
         importantMessages = [],
         importantMessagesStatus,
+        archivedConversations = [],
+        archivedConversationsStatus,
         status: chatStatus,
         conversationId: reduxConversationId,
         deleteStatus
@@ -165,6 +187,20 @@ const Sidebar = ({ onClose }) => {
         };
     }, []);
 
+    // Open the search palette with Ctrl+K / Cmd+K
+    useEffect(() => {
+        const handleShortcut = (event) => {
+            if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k') {
+                event.preventDefault();
+                if (projectId) setIsSearchOpen(true);
+            }
+        };
+        document.addEventListener('keydown', handleShortcut);
+        return () => {
+            document.removeEventListener('keydown', handleShortcut);
+        };
+    }, [projectId]);
+
     // Focus edit input when editing starts
     useEffect(() => {
         if (editingId && editInputRef.current) {
@@ -254,6 +290,41 @@ const handleNewChat = async () => {
         }
     };
 
+    const handleExport = (e, conversation, exportFormat) => {
+        e.stopPropagation();
+        setOpenMenuId(null);
+        exportConversation(conversation.id, exportFormat, { assistantName, maskMessage });
+    };
+
+    const handleArchiveToggle = async (e, conversation, isArchived) => {
+        e.stopPropagation();
+        setOpenMenuId(null);
+        setArchivingId(conversation.id);
+        try {
+            await dispatch(updateConversation({
+                conversationId: conversation.id,
+                isArchived
+            })).unwrap();
+
+            // An archived conversation can't stay open in the chat view
+            if (isArchived && currentConversationId === conversation.id) {
+                dispatch(clearChat());
+                router.replace(`/user/${projectId}/chat?new=1`);
+            }
+        } catch (err) {
+            console.error(isArchived ? 'Archive failed:' : 'Restore failed:', err);
+        } finally {
+            setArchivingId(null);
+        }
+    };
+
+    const handleToggleArchived = () => {
+        if (!showArchived && projectId) {
+            dispatch(getArchivedConversations(projectId));
+        }
+        setShowArchived(prev => !prev);
+    };
+
     const handleDeleteClick = (e, conversation) => {
         e.stopPropagation();
         setConversationToDelete(conversation);
@@ -330,7 +401,7 @@ const handleNewChat = async () => {
         
         // Filter out deleted conversations (backend should filter, but double-check)
         const activeConversations = conversations.filter(conv => {
-            const isArchived = conv.is_archived === true || conv.is_archived === 1 || conv.is_archived === '1';
+            const isArchived = isArchivedConversation(conv);
             const isDeleted = conv.status === 'deleted';
             return !isDeleted && !isArchived;
         });
@@ -461,6 +532,51 @@ const handleNewChat = async () => {
                                 <FaPlus className="w-4 h-4" />
                                 New Chat
                             </button>
+                            <div className="grid grid-cols-2 gap-2 mt-2">
+                                {[
+                                    { path: 'dashboard', label: 'Dashboard', icon: FaThLarge },
+                                    { path: 'feedback', label: 'Feedback', icon: FaFlag },
+                                ].map(({ path, label, icon: Icon }) => (
+                                    <button
+                                        key={path}
+                                        onClick={() => router.push(`/user/${projectId}/${path}`)}
+                                        disabled={!projectId}
+                                        className={`w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg border transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                                            pathname?.endsWith(`/${path}`)
+                                                ? 'border-blue-300 dark:border-blue-700 bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+                                                : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800/40'
+                                        }`}
+                                    >
+                                        <Icon className="w-4 h-4" />
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                            <div className="flex gap-2 mt-2">
+                                <button
+                                    onClick={() => setIsSearchOpen(true)}
+                                    disabled={!projectId}
+                                    className="flex-1 flex items-center gap-2 px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 text-gray-500 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-800/40 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    <FaSearch className="w-3.5 h-3.5" />
+                                    <span className="flex-1 text-left text-sm">Search</span>
+                                    <kbd className="px-1.5 py-0.5 text-[10px] font-sans rounded border border-gray-200 dark:border-gray-600">Ctrl K</kbd>
+                                </button>
+                                {onToggleSchema && (
+                                    <button
+                                        onClick={onToggleSchema}
+                                        disabled={!projectId}
+                                        className={`px-3 py-2 rounded-lg border transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                                            isSchemaOpen
+                                                ? 'border-blue-300 dark:border-blue-700 bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-300'
+                                                : 'border-gray-200 dark:border-gray-700 text-gray-500 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-800/40'
+                                        }`}
+                                        title="Database schema"
+                                    >
+                                        <FaDatabase className="w-3.5 h-3.5" />
+                                    </button>
+                                )}
+                            </div>
                         </div>
 
                         {/* Conversations List */}
@@ -587,6 +703,28 @@ const handleNewChat = async () => {
                                                                                             {isImportant ? 'Remove from Important' : 'Mark as Important'}
                                                                                         </button>
                                                                                     </li>
+                                                                                    {Object.entries(EXPORT_FORMATS).map(([exportFormat, label]) => (
+                                                                                        <li key={exportFormat}>
+                                                                                            <button
+                                                                                                onClick={(e) => handleExport(e, conversation, exportFormat)}
+                                                                                                disabled={exportingId === conversation.id}
+                                                                                                className="w-full text-left px-4 py-2 text-sm flex items-center gap-2 text-gray-700 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-800/40 disabled:opacity-50"
+                                                                                            >
+                                                                                                <FaFileExport className="w-3 h-3" />
+                                                                                                Export as {label}
+                                                                                            </button>
+                                                                                        </li>
+                                                                                    ))}
+                                                                                    <li>
+                                                                                        <button
+                                                                                            onClick={(e) => handleArchiveToggle(e, conversation, true)}
+                                                                                            disabled={archivingId === conversation.id}
+                                                                                            className="w-full text-left px-4 py-2 text-sm flex items-center gap-2 text-gray-700 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-800/40 disabled:opacity-50"
+                                                                                        >
+                                                                                            <FaArchive className="w-3 h-3" />
+                                                                                            Archive
+                                                                                        </button>
+                                                                                    </li>
                                                                                     <li>
                                                                                         <button
                                                                                             onClick={(e) => handleDeleteClick(e, conversation)}
@@ -610,6 +748,69 @@ const handleNewChat = async () => {
                                     ))}
                                 </div>
                             )}
+
+                            {/* Archived Conversations */}
+                            <div className="px-2 pb-2">
+                                <button
+                                    onClick={handleToggleArchived}
+                                    disabled={!projectId}
+                                    className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide hover:bg-gray-50 dark:hover:bg-gray-800/30 transition-colors"
+                                >
+                                    {showArchived ? <FaChevronDown className="w-3 h-3" /> : <FaChevronRight className="w-3 h-3" />}
+                                    <FaArchive className="w-3 h-3" />
+                                    Archived
+                                    {showArchived && archivedConversationsStatus === 'succeeded' && (
+                                        <span className="ml-auto font-normal normal-case">{archivedConversations.length}</span>
+                                    )}
+                                </button>
+
+                                {showArchived && (
+                                    archivedConversationsStatus === 'loading' ? (
+                                        <div className="p-4 text-center">
+                                            <div className="inline-block animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>
+                                        </div>
+                                    ) : archivedConversationsStatus === 'failed' ? (
+                                        <p className="px-3 py-2 text-xs text-red-500 dark:text-red-400">Failed to load archived conversations</p>
+                                    ) : archivedConversations.length === 0 ? (
+                                        <p className="px-3 py-2 text-xs text-gray-400 dark:text-gray-500">No archived conversations</p>
+                                    ) : (
+                                        <div className="space-y-1 mt-1">
+                                            {archivedConversations.map((conversation) => (
+                                                <div
+                                                    key={conversation.id}
+                                                    className="group flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800/30"
+                                                >
+                                                    <FaArchive className="w-3.5 h-3.5 flex-shrink-0 text-gray-400" />
+                                                    <div className="flex-1 min-w-0">
+                                                        <h3 className="text-sm truncate text-gray-600 dark:text-gray-300">
+                                                            {conversation.title || 'Untitled Chat'}
+                                                        </h3>
+                                                        <p className="text-xs text-gray-400 dark:text-gray-500">
+                                                            {formatDate(conversation.updated_at || conversation.created_at)}
+                                                        </p>
+                                                    </div>
+                                                    <button
+                                                        onClick={(e) => handleArchiveToggle(e, conversation, false)}
+                                                        disabled={archivingId === conversation.id || isDeleting}
+                                                        className="p-1.5 rounded text-gray-500 hover:text-blue-600 hover:bg-gray-200 dark:hover:bg-gray-700/50 dark:hover:text-blue-400 disabled:opacity-50"
+                                                        title="Restore conversation"
+                                                    >
+                                                        <FaUndo className="w-3 h-3" />
+                                                    </button>
+                                                    <button
+                                                        onClick={(e) => handleDeleteClick(e, conversation)}
+                                                        disabled={archivingId === conversation.id || isDeleting}
+                                                        className="p-1.5 rounded text-gray-500 hover:text-red-600 hover:bg-gray-200 dark:hover:bg-gray-700/50 dark:hover:text-red-400 disabled:opacity-50"
+                                                        title="Delete permanently"
+                                                    >
+                                                        <FaTrash className="w-3 h-3" />
+                                                    </button>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )
+                                )}
+                            </div>
                         </div>
                     </div>
                 )}
@@ -665,6 +866,12 @@ const handleNewChat = async () => {
                     </div>
                 </div>
             )}
+
+            <SearchPalette
+                isOpen={isSearchOpen}
+                onClose={() => setIsSearchOpen(false)}
+                projectId={projectId}
+            />
         </aside>
     );
 };
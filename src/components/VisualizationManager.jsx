@@ -12,6 +12,8 @@ import {
 } from '@/lib/store/users-panel/chat/chatSlice';
 import { FaHeart, FaTrash, FaDownload, FaEye, FaChartBar, FaCalendarAlt, FaDatabase } from 'react-icons/fa';
 import { format } from 'date-fns';
+import InteractiveChart from '@/components/users/chat/InteractiveChart';
+import { getChartSpec } from '@/lib/chartSpec';
 
 const VisualizationManager = ({ projectId, conversationId, onVisualizationSelect }) => {
     const dispatch = useDispatch();
@@ -215,7 +217,13 @@ const VisualizationManager = ({ projectId, conversationId, onVisualizationSelect
                                         )}
                                         
                                         {/* Mini preview of the visualization */}
-                                        {visualization.chart_data && (
+                                        {getChartSpec(visualization) ? (
+                                            <div className="mt-2 flex justify-center">
+                                                <div className="w-16 h-12 overflow-hidden rounded border border-gray-200 dark:border-gray-600 opacity-75 hover:opacity-100 transition-opacity">
+                                                    <InteractiveChart spec={getChartSpec(visualization)} height={48} compact />
+                                                </div>
+                                            </div>
+                                        ) : visualization.chart_data && (
                                             <div className="mt-2 flex justify-center">
                                                 <img 
                                                     src={`data:image/png;base64,${visualization.chart_data}`}
@@ -237,13 +245,15 @@ const VisualizationManager = ({ projectId, conversationId, onVisualizationSelect
                                             <FaHeart className="text-xs" />
                                         </button>
                                         
-                                        <button
-                                            onClick={(e) => handleDownload(visualization, e)}
-                                            className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-gray-400"
-                                            title="Download visualization"
-                                        >
-                                            <FaDownload className="text-xs" />
-                                        </button>
+                                        {visualization.chart_data && (
+                                            <button
+                                                onClick={(e) => handleDownload(visualization, e)}
+                                                className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-gray-400"
+                                                title="Download visualization"
+                                            >
+                                                <FaDownload className="text-xs" />
+                                            </button>
+                                        )}
                                         
                                         <button
                                             onClick={(e) => handleDelete(visualization.id, e)}
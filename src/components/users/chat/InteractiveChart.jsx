@@ -0,0 +1,426 @@
+// Interactive chart component
+// Draws bar, line, pie and scatter charts from a normalized chart spec as SVG with tooltips, drag-to-zoom and legend toggling
+'use client';
+
+import { useState, useRef, useEffect } from 'react';
+import { FaSearchMinus } from 'react-icons/fa';
+import { useTheme } from '@/contexts/ThemeContext';
+import { niceTicks, formatChartValue } from '@/lib/chartSpec';
+
+const PALETTES = {
+    light: ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'],
+    dark: ['#60a5fa', '#34d399', '#fbbf24', '#f87171', '#a78bfa', '#22d3ee', '#f472b6', '#a3e635'],
+};
+
+const THEME_COLORS = {
+    light: { axis: '#9ca3af', grid: '#e5e7eb', text: '#4b5563', brush: 'rgba(59, 130, 246, 0.15)', surface: '#ffffff' },
+    dark: { axis: '#6b7280', grid: '#374151', text: '#d1d5db', brush: 'rgba(96, 165, 250, 0.2)', surface: '#1f2937' },
+};
+
+const MARGIN = { top: 16, right: 16, bottom: 44, left: 56 };
+const COMPACT_MARGIN = { top: 2, right: 2, bottom: 2, left: 2 };
+const MIN_BRUSH_WIDTH = 8; // px, smaller drags are treated as clicks
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const polarToCartesian = (cx, cy, radius, angle) => ({
+    x: cx + radius * Math.cos(angle - Math.PI / 2),
+    y: cy + radius * Math.sin(angle - Math.PI / 2),
+});
+
+const slicePath = (cx, cy, radius, startAngle, endAngle) => {
+    // A full circle can't be drawn with a single arc command
+    if (endAngle - startAngle >= Math.PI * 2 - 1e-6) {
+        return `M ${cx} ${cy - radius} A ${radius} ${radius} 0 1 1 ${cx - 0.01} ${cy - radius} Z`;
+    }
+    const start = polarToCartesian(cx, cy, radius, startAngle);
+    const end = polarToCartesian(cx, cy, radius, endAngle);
+    const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+    return `M ${cx} ${cy} L ${start.x} ${start.y} A ${radius} ${radius} 0 ${largeArc} 1 ${end.x} ${end.y} Z`;
+};
+
+const InteractiveChart = ({ spec, height = 300, compact = false }) => {
+    const { theme } = useTheme() || {};
+    const mode = theme === 'dark' ? 'dark' : 'light';
+    const palette = PALETTES[mode];
+    const colors = THEME_COLORS[mode];
+
+    const containerRef = useRef(null);
+    const svgRef = useRef(null);
+    const [width, setWidth] = useState(600);
+    const [hidden, setHidden] = useState([]); // hidden series names (or slice labels for pie charts)
+    const [tooltip, setTooltip] = useState(null);
+    const [zoom, setZoom] = useState(null); // { start, end } category indexes or { min, max } x values
+    const [brush, setBrush] = useState(null); // { from, to } in plot pixels while dragging
+
+    // Follow the container width so the chart stays responsive
+    useEffect(() => {
+        const element = containerRef.current;
+        if (!element || typeof ResizeObserver === 'undefined') return;
+        const observer = new ResizeObserver((entries) => {
+            const nextWidth = Math.floor(entries[0].contentRect.width);
+            if (nextWidth > 0) setWidth(nextWidth);
+        });
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, []);
+
+    if (!spec) return null;
+
+    const margin = compact ? COMPACT_MARGIN : MARGIN;
+    const plotWidth = Math.max(10, width - margin.left - margin.right);
+    const plotHeight = Math.max(10, height - margin.top - margin.bottom);
+
+    const toggleHidden = (name) => {
+        setHidden(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+    };
+
+    const showTooltip = (event, title, lines) => {
+        if (compact || !containerRef.current) return;
+        const rect = containerRef.current.getBoundingClientRect();
+        setTooltip({
+            x: Math.min(event.clientX - rect.left + 12, rect.width - 170),
+            y: event.clientY - rect.top + 12,
+            title,
+            lines,
+        });
+    };
+
+    const hideTooltip = () => setTooltip(null);
+
+    // --- Pie charts ---
+    const renderPie = () => {
+        const slices = (spec.series[0]?.points || [])
+            .map((point, index) => ({ label: point.x, value: point.y, color: palette[index % palette.length] }))
+            .filter(slice => slice.value > 0);
+        const visibleSlices = slices.filter(slice => !hidden.includes(slice.label));
+        const total = visibleSlices.reduce((sum, slice) => sum + slice.value, 0);
+        const cx = width / 2;
+        const cy = height / 2;
+        const radius = Math.max(4, Math.min(width, height) / 2 - (compact ? 2 : 16));
+
+        let angle = 0;
+        const paths = visibleSlices.map((slice) => {
+            const sweep = total > 0 ? (slice.value / total) * Math.PI * 2 : 0;
+            const path = slicePath(cx, cy, radius, angle, angle + sweep);
+            angle += sweep;
+            return (
+                <path
+                    key={slice.label}
+                    d={path}
+                    fill={slice.color}
+                    stroke={colors.surface}
+                    strokeWidth={compact ? 0.5 : 1.5}
+                    className="transition-opacity hover:opacity-80"
+                    onMouseMove={(e) => showTooltip(e, slice.label, [
+                        { label: spec.series[0].name, value: formatChartValue(slice.value), color: slice.color },
+                        { label: 'Share', value: `${((slice.value / total) * 100).toFixed(1)}%` },
+                    ])}
+                    onMouseLeave={hideTooltip}
+                />
+            );
+        });
+
+        return {
+            svg: paths,
+            legend: slices.map(slice => ({ name: slice.label, color: slice.color })),
+        };
+    };
+
+    // --- Bar, line and scatter charts ---
+    const renderCartesian = () => {
+        const coloredSeries = spec.series.map((series, index) => ({ ...series, color: palette[index % palette.length] }));
+        const visibleSeries = coloredSeries.filter(series => !hidden.includes(series.name));
+        const isCategory = spec.xKind === 'category';
+
+        // X scale
+        let xPosition;
+        let categories = [];
+        let band = 0;
+        let xDomain = [0, 1];
+        if (isCategory) {
+            const allCategories = [];
+            const seen = new Set();
+            spec.series.forEach(series => series.points.forEach((point) => {
+                if (!seen.has(point.x)) {
+                    seen.add(point.x);
+                    allCategories.push(point.x);
+                }
+            }));
+            const start = zoom?.start ?? 0;
+            const end = zoom?.end ?? allCategories.length - 1;
+            categories = allCategories.slice(start, end + 1);
+            band = plotWidth / Math.max(1, categories.length);
+            const categoryIndex = new Map(categories.map((category, index) => [category, index]));
+            xPosition = (x) => (categoryIndex.has(x) ? categoryIndex.get(x) * band + band / 2 : null);
+        } else {
+            const xs = spec.series.flatMap(series => series.points.map(point => point.x));
+            xDomain = zoom ? [zoom.min, zoom.max] : [Math.min(...xs), Math.max(...xs)];
+            const span = xDomain[1] - xDomain[0] || 1;
+            xPosition = (x) => (x < xDomain[0] || x > xDomain[1] ? null : ((x - xDomain[0]) / span) * plotWidth);
+        }
+
+        const plotted = visibleSeries.map(series => ({
+            ...series,
+            points: series.points
+                .map(point => ({ ...point, px: xPosition(point.x) }))
+                .filter(point => point.px !== null),
+        }));
+
+        // Y scale, bars always start from zero
+        const ys = plotted.flatMap(series => series.points.map(point => point.y));
+        let yMin = ys.length ? Math.min(...ys) : 0;
+        let yMax = ys.length ? Math.max(...ys) : 1;
+        if (spec.type === 'bar') {
+            yMin = Math.min(0, yMin);
+            yMax = Math.max(0, yMax);
+        }
+        const yTicks = niceTicks(yMin, yMax, compact ? 2 : 5);
+        const yLow = yTicks[0];
+        const yHigh = yTicks[yTicks.length - 1];
+        const yPosition = (y) => plotHeight - ((y - yLow) / (yHigh - yLow || 1)) * plotHeight;
+
+        const elements = [];
+
+        if (!compact) {
+            // Grid lines and y axis labels
+            yTicks.forEach((tick) => {
+                const y = yPosition(tick);
+                elements.push(
+                    <g key={`y-${tick}`}>
+                        <line x1={0} x2={plotWidth} y1={y} y2={y} stroke={colors.grid} strokeDasharray={tick === 0 ? undefined : '3 3'} />
+                        <text x={-8} y={y} dy="0.32em" textAnchor="end" fontSize={10} fill={colors.text}>
+                            {formatChartValue(tick)}
+                        </text>
+                    </g>
+                );
+            });
+
+            // X axis labels, thinned out so they don't overlap
+            if (isCategory) {
+                const maxLabels = Math.max(1, Math.floor(plotWidth / 64));
+                const step = Math.ceil(categories.length / maxLabels);
+                categories.forEach((category, index) => {
+                    if (index % step !== 0) return;
+                    elements.push(
+                        <text key={`x-${category}`} x={index * band + band / 2} y={plotHeight + 16} textAnchor="middle" fontSize={10} fill={colors.text}>
+                            {truncate(category, 12)}
+                        </text>
+                    );
+                });
+            } else {
+                niceTicks(xDomain[0], xDomain[1], Math.max(2, Math.floor(plotWidth / 80)))
+                    .filter(tick => tick >= xDomain[0] && tick <= xDomain[1])
+                    .forEach((tick) => {
+                        elements.push(
+                            <text key={`x-${tick}`} x={xPosition(tick)} y={plotHeight + 16} textAnchor="middle" fontSize={10} fill={colors.text}>
+                                {formatChartValue(tick)}
+                            </text>
+                        );
+                    });
+            }
+            elements.push(
+                <line key="x-axis" x1={0} x2={plotWidth} y1={plotHeight} y2={plotHeight} stroke={colors.axis} />
+            );
+        }
+
+        const pointTooltip = (event, series, point) => showTooltip(
+            event,
+            isCategory ? point.x : `${spec.xLabel || 'x'}: ${formatChartValue(point.x)}`,
+            [{ label: series.name, value: formatChartValue(point.y), color: series.color }]
+        );
+
+        if (spec.type === 'bar') {
+            const groupWidth = band * 0.8;
+            const barWidth = groupWidth / Math.max(1, plotted.length);
+            const zeroY = yPosition(0);
+            plotted.forEach((series, seriesIndex) => {
+                series.points.forEach((point) => {
+                    const y = yPosition(Math.max(0, point.y));
+                    elements.push(
+                        <rect
+                            key={`bar-${series.name}-${point.x}`}
+                            x={point.px - groupWidth / 2 + seriesIndex * barWidth}
+                            y={y}
+                            width={Math.max(1, barWidth - 1)}
+                            height={Math.max(0, Math.abs(yPosition(point.y) - zeroY))}
+                            fill={series.color}
+                            rx={compact ? 0 : 2}
+                            className="transition-opacity hover:opacity-80"
+                            onMouseMove={(e) => pointTooltip(e, series, point)}
+                            onMouseLeave={hideTooltip}
+                        />
+                    );
+                });
+            });
+        } else {
+            plotted.forEach((series) => {
+                if (spec.type === 'line' && series.points.length > 1) {
+                    const path = series.points
+                        .map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.px} ${yPosition(point.y)}`)
+                        .join(' ');
+                    elements.push(
+                        <path key={`line-${series.name}`} d={path} fill="none" stroke={series.color} strokeWidth={compact ? 1 : 2} />
+                    );
+                }
+                if (compact && spec.type === 'line') return;
+                series.points.forEach((point, index) => {
+                    elements.push(
+                        <circle
+                            key={`pt-${series.name}-${index}`}
+                            cx={point.px}
+                            cy={yPosition(point.y)}
+                            r={spec.type === 'scatter' ? 4 : 3}
+                            fill={series.color}
+                            fillOpacity={spec.type === 'scatter' ? 0.75 : 1}
+                            stroke={colors.surface}
+                            strokeWidth={1}
+                            onMouseMove={(e) => pointTooltip(e, series, point)}
+                            onMouseLeave={hideTooltip}
+                        />
+                    );
+                });
+            });
+        }
+
+        // Drag across the plot to zoom into an x range
+        const applyBrush = (from, to) => {
+            const left = Math.max(0, Math.min(from, to));
+            const right = Math.min(plotWidth, Math.max(from, to));
+            if (right - left < MIN_BRUSH_WIDTH) return;
+            if (isCategory) {
+                const offset = zoom?.start ?? 0;
+                const startIndex = Math.floor(left / band);
+                const endIndex = Math.min(categories.length - 1, Math.floor((right - 0.001) / band));
+                if (endIndex >= startIndex) {
+                    setZoom({ start: offset + startIndex, end: offset + endIndex });
+                }
+            } else {
+                const span = xDomain[1] - xDomain[0];
+                setZoom({
+                    min: xDomain[0] + (left / plotWidth) * span,
+                    max: xDomain[0] + (right / plotWidth) * span,
+                });
+            }
+        };
+
+        return {
+            svg: elements,
+            legend: coloredSeries.map(series => ({ name: series.name, color: series.color })),
+            applyBrush,
+        };
+    };
+
+    const chart = spec.type === 'pie' ? renderPie() : renderCartesian();
+    const isCartesian = spec.type !== 'pie';
+
+    const getPlotX = (event) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        return event.clientX - rect.left - margin.left;
+    };
+
+    const brushHandlers = isCartesian && !compact ? {
+        onMouseDown: (e) => {
+            const x = getPlotX(e);
+            setBrush({ from: x, to: x });
+        },
+        onMouseMove: (e) => {
+            if (brush) setBrush({ ...brush, to: getPlotX(e) });
+        },
+        onMouseUp: () => {
+            if (brush) chart.applyBrush(brush.from, brush.to);
+            setBrush(null);
+        },
+        onMouseLeave: () => setBrush(null),
+    } : {};
+
+    return (
+        <div ref={containerRef} className="relative w-full select-none">
+            {!compact && isCartesian && zoom && (
+                <button
+                    type="button"
+                    onClick={() => setZoom(null)}
+                    className="absolute top-0 right-0 z-10 flex items-center gap-1 px-2 py-1 text-xs rounded-md bg-white/90 dark:bg-gray-800/90 text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                    <FaSearchMinus className="w-3 h-3" />
+                    Reset zoom
+                </button>
+            )}
+
+            <svg
+                ref={svgRef}
+                width={width}
+                height={height}
+                className={isCartesian && !compact ? 'cursor-crosshair' : undefined}
+                role="img"
+                aria-label={spec.title || `${spec.type} chart`}
+                {...brushHandlers}
+            >
+                {isCartesian ? (
+                    <g transform={`translate(${margin.left}, ${margin.top})`}>
+                        {chart.svg}
+                        {brush && (
+                            <rect
+                                x={Math.max(0, Math.min(brush.from, brush.to))}
+                                y={0}
+                                width={Math.min(plotWidth, Math.abs(brush.to - brush.from))}
+                                height={plotHeight}
+                                fill={colors.brush}
+                                pointerEvents="none"
+                            />
+                        )}
+                        {!compact && spec.xLabel && (
+                            <text x={plotWidth / 2} y={plotHeight + 36} textAnchor="middle" fontSize={11} fontWeight={600} fill={colors.text}>
+                                {spec.xLabel}
+                            </text>
+                        )}
+                        {!compact && spec.yLabel && (
+                            <text transform={`translate(${-44}, ${plotHeight / 2}) rotate(-90)`} textAnchor="middle" fontSize={11} fontWeight={600} fill={colors.text}>
+                                {spec.yLabel}
+                            </text>
+                        )}
+                    </g>
+                ) : chart.svg}
+            </svg>
+
+            {/* Legend: click an entry to show or hide it */}
+            {!compact && (
+                <div className="flex flex-wrap justify-center gap-x-3 gap-y-1 mt-2">
+                    {chart.legend.map(item => (
+                        <button
+                            key={item.name}
+                            type="button"
+                            onClick={() => toggleHidden(item.name)}
+                            className={`flex items-center gap-1.5 text-xs text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white ${
+                                hidden.includes(item.name) ? 'opacity-40 line-through' : ''
+                            }`}
+                        >
+                            <span className="inline-block w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: item.color }} />
+                            {truncate(String(item.name), 24)}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {tooltip && (
+                <div
+                    className="absolute z-20 pointer-events-none min-w-[140px] px-3 py-2 rounded-md shadow-lg text-xs bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-600 text-gray-800 dark:text-gray-100"
+                    style={{ left: Math.max(0, tooltip.x), top: tooltip.y }}
+                >
+                    <div className="font-semibold mb-1">{tooltip.title}</div>
+                    {tooltip.lines.map(line => (
+                        <div key={line.label} className="flex items-center justify-between gap-3">
+                            <span className="flex items-center gap-1.5 text-gray-500 dark:text-gray-400">
+                                {line.color && <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: line.color }} />}
+                                {line.label}
+                            </span>
+                            <span className="font-medium">{line.value}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default InteractiveChart;
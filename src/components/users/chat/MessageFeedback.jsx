@@ -0,0 +1,113 @@
+// Answer feedback component
+// Thumbs up/down on an AI answer with an optional reason and comment
+'use client';
+
+import { useState } from 'react';
+import { FaThumbsUp, FaThumbsDown } from 'react-icons/fa';
+import { FEEDBACK_CATEGORIES, FEEDBACK_RATINGS } from '@/lib/feedback';
+
+const MessageFeedback = ({ feedback, onSubmit, disabled = false }) => {
+    const [draft, setDraft] = useState(null); // { rating, category, comment } while the form is open
+    const [isSaving, setIsSaving] = useState(false);
+
+    const currentRating = draft?.rating || feedback?.rating;
+
+    const openForm = (rating) => {
+        setDraft({
+            rating,
+            category: feedback?.rating === rating ? feedback.category : null,
+            comment: feedback?.rating === rating ? feedback.comment || '' : '',
+        });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        try {
+            await onSubmit({ ...draft, comment: draft.comment.trim() });
+            setDraft(null);
+        } catch {
+            // The slice reports the error; keep the form open so nothing typed is lost
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="relative flex items-center">
+            {['up', 'down'].map((rating) => {
+                const Icon = rating === 'up' ? FaThumbsUp : FaThumbsDown;
+                const isActive = currentRating === rating;
+                return (
+                    <button
+                        key={rating}
+                        onClick={() => (draft?.rating === rating ? setDraft(null) : openForm(rating))}
+                        disabled={disabled || isSaving}
+                        className={`p-2 rounded-lg transition-all duration-200 disabled:opacity-50 ${
+                            isActive
+                                ? rating === 'up'
+                                    ? 'text-green-600 dark:text-green-400 bg-green-50 dark:bg-green-900/30'
+                                    : 'text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/30'
+                                : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700/50'
+                        }`}
+                        title={FEEDBACK_RATINGS[rating]}
+                    >
+                        <Icon className="w-3.5 h-3.5" />
+                    </button>
+                );
+            })}
+
+            {draft && (
+                <form
+                    onSubmit={handleSubmit}
+                    className="absolute right-0 bottom-full mb-2 z-20 w-72 p-3 rounded-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow-lg"
+                >
+                    <p className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                        {draft.rating === 'up' ? 'What was good?' : 'What went wrong?'}
+                    </p>
+                    <div className="flex flex-wrap gap-1.5 mb-2">
+                        {Object.entries(FEEDBACK_CATEGORIES).map(([category, label]) => (
+                            <button
+                                key={category}
+                                type="button"
+                                onClick={() => setDraft(prev => ({ ...prev, category: prev.category === category ? null : category }))}
+                                className={`px-2 py-1 text-[11px] rounded-full border transition-colors ${
+                                    draft.category === category
+                                        ? 'border-blue-400 bg-blue-50 text-blue-700 dark:border-blue-600 dark:bg-blue-900/30 dark:text-blue-300'
+                                        : 'border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700/50'
+                                }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <textarea
+                        value={draft.comment}
+                        onChange={(e) => setDraft(prev => ({ ...prev, comment: e.target.value }))}
+                        rows={2}
+                        placeholder="Add details (optional)"
+                        className="w-full px-2 py-1.5 text-xs rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+                    />
+                    <div className="flex justify-end gap-2 mt-2">
+                        <button
+                            type="button"
+                            onClick={() => setDraft(null)}
+                            className="px-2.5 py-1 text-xs rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSaving}
+                            className="px-2.5 py-1 text-xs rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                        >
+                            {isSaving ? 'Sending...' : 'Send feedback'}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default MessageFeedback;
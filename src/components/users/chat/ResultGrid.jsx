@@ -0,0 +1,254 @@
+// Query result grid component
+// Virtualized table for structured answer rows with sorting, filtering, pagination and CSV/XLSX export
+'use client';
+
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { FaTable, FaSort, FaSortUp, FaSortDown, FaSearch, FaFileCsv, FaFileExcel, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { downloadCsv, downloadXlsx, toFileName } from '@/lib/export';
+
+const ROW_HEIGHT = 34; // px, every row is rendered at a fixed height so we can window them
+const VIEWPORT_HEIGHT = 340;
+const OVERSCAN = 8;
+const PAGE_SIZES = [100, 500, 1000];
+
+const formatCell = (value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const compareValues = (a, b) => {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    const numA = Number(a);
+    const numB = Number(b);
+    if (a !== '' && b !== '' && !isNaN(numA) && !isNaN(numB)) {
+        return numA - numB;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+const SortIcon = ({ active, direction }) => {
+    if (!active) return <FaSort className="w-2.5 h-2.5 opacity-40" />;
+    return direction === 'asc'
+        ? <FaSortUp className="w-2.5 h-2.5 text-blue-600 dark:text-blue-400" />
+        : <FaSortDown className="w-2.5 h-2.5 text-blue-600 dark:text-blue-400" />;
+};
+
+const ResultGrid = ({ resultSet, title = 'query-results' }) => {
+    const [filterText, setFilterText] = useState('');
+    const [sort, setSort] = useState({ columnIndex: null, direction: 'asc' });
+    const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+    const [page, setPage] = useState(0);
+    const [scrollTop, setScrollTop] = useState(0);
+    const scrollContainerRef = useRef(null);
+    const [isExporting, setIsExporting] = useState(false);
+
+    const columns = resultSet?.columns || [];
+    const rows = resultSet?.rows || [];
+
+    const filteredRows = useMemo(() => {
+        const query = filterText.trim().toLowerCase();
+        if (!query) return rows;
+        return rows.filter(row =>
+            row.some(value => (formatCell(value) || '').toLowerCase().includes(query))
+        );
+    }, [rows, filterText]);
+
+    const sortedRows = useMemo(() => {
+        if (sort.columnIndex === null) return filteredRows;
+        const sorted = [...filteredRows].sort((a, b) => compareValues(a[sort.columnIndex], b[sort.columnIndex]));
+        return sort.direction === 'desc' ? sorted.reverse() : sorted;
+    }, [filteredRows, sort]);
+
+    const pageCount = Math.max(1, Math.ceil(sortedRows.length / pageSize));
+    const pageRows = sortedRows.slice(page * pageSize, (page + 1) * pageSize);
+
+    // Jump back to the first page whenever the visible set changes shape
+    useEffect(() => {
+        setPage(0);
+    }, [filterText, sort, pageSize]);
+
+    // Show the top of the new rows; the window follows the container's real offset
+    useEffect(() => {
+        if (scrollContainerRef.current) scrollContainerRef.current.scrollTop = 0;
+        setScrollTop(0);
+    }, [filterText, sort, pageSize, page]);
+
+    if (columns.length === 0) return null;
+
+    // Only render the rows inside the scroll viewport (plus a small overscan)
+    const startIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const endIndex = Math.min(pageRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+    const visibleRows = pageRows.slice(startIndex, endIndex);
+    const topSpacer = startIndex * ROW_HEIGHT;
+    const bottomSpacer = (pageRows.length - endIndex) * ROW_HEIGHT;
+
+    const handleSort = (columnIndex) => {
+        setSort(prev => {
+            if (prev.columnIndex !== columnIndex) return { columnIndex, direction: 'asc' };
+            if (prev.direction === 'asc') return { columnIndex, direction: 'desc' };
+            return { columnIndex: null, direction: 'asc' };
+        });
+    };
+
+    const handleExport = async (format) => {
+        const fileName = toFileName(title, 'query-results');
+        try {
+            setIsExporting(true);
+            if (format === 'xlsx') {
+                await downloadXlsx(columns, sortedRows, fileName);
+            } else {
+                downloadCsv(columns, sortedRows, fileName);
+            }
+        } catch (error) {
+            console.error('Failed to export results:', error);
+            toast.error('Failed to export results');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const toolbarButtonClasses = "flex items-center gap-1.5 px-2 py-1 text-xs rounded-md text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed";
+
+    return (
+        <div className="mt-4 rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden">
+            {/* Toolbar */}
+            <div className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 bg-gray-50 dark:bg-gray-900/40 border-b border-gray-200 dark:border-gray-700">
+                <div className="flex items-center gap-2 text-xs font-semibold text-gray-600 dark:text-gray-400">
+                    <FaTable className="w-3.5 h-3.5" />
+                    <span>
+                        {sortedRows.length.toLocaleString()} row{sortedRows.length !== 1 ? 's' : ''}
+                        {filterText && ` (filtered from ${rows.length.toLocaleString()})`}
+                    </span>
+                </div>
+                <div className="flex items-center gap-1">
+                    <div className="relative">
+                        <FaSearch className="absolute left-2 top-1/2 -translate-y-1/2 w-2.5 h-2.5 text-gray-400" />
+                        <input
+                            type="text"
+                            value={filterText}
+                            onChange={(e) => setFilterText(e.target.value)}
+                            placeholder="Filter rows..."
+                            className="pl-6 pr-2 py-1 w-36 text-xs rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-500/50"
+                        />
+                    </div>
+                    <button type="button" onClick={() => handleExport('csv')} disabled={isExporting} className={toolbarButtonClasses} title="Export as CSV">
+                        <FaFileCsv className="w-3 h-3" />
+                        CSV
+                    </button>
+                    <button type="button" onClick={() => handleExport('xlsx')} disabled={isExporting} className={toolbarButtonClasses} title="Export as Excel">
+                        <FaFileExcel className="w-3 h-3" />
+                        XLSX
+                    </button>
+                </div>
+            </div>
+
+            {/* Virtualized table */}
+            <div
+                ref={scrollContainerRef}
+                className="overflow-auto custom-scrollbar bg-white dark:bg-gray-800"
+                style={{ maxHeight: VIEWPORT_HEIGHT }}
+                onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+            >
+                <table className="min-w-full text-xs border-collapse">
+                    <thead className="sticky top-0 z-10 bg-gray-100 dark:bg-gray-700">
+                        <tr>
+                            {columns.map((column, columnIndex) => (
+                                <th
+                                    key={`${column}-${columnIndex}`}
+                                    onClick={() => handleSort(columnIndex)}
+                                    className="px-3 py-2 text-left font-semibold text-gray-700 dark:text-gray-200 whitespace-nowrap cursor-pointer select-none hover:bg-gray-200 dark:hover:bg-gray-600"
+                                >
+                                    <span className="inline-flex items-center gap-1">
+                                        {column}
+                                        <SortIcon active={sort.columnIndex === columnIndex} direction={sort.direction} />
+                                    </span>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {topSpacer > 0 && <tr style={{ height: topSpacer }} aria-hidden="true" />}
+                        {visibleRows.map((row, offset) => (
+                            <tr
+                                key={startIndex + offset}
+                                style={{ height: ROW_HEIGHT }}
+                                className="border-t border-gray-100 dark:border-gray-700/60 hover:bg-blue-50/50 dark:hover:bg-gray-700/40"
+                            >
+                                {columns.map((column, columnIndex) => {
+                                    const display = formatCell(row[columnIndex]);
+                                    return (
+                                        <td
+                                            key={columnIndex}
+                                            className="px-3 whitespace-nowrap max-w-xs truncate text-gray-800 dark:text-gray-200"
+                                            title={display ?? 'NULL'}
+                                        >
+                                            {display === null
+                                                ? <span className="italic text-gray-400 dark:text-gray-500">NULL</span>
+                                                : display}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                        {bottomSpacer > 0 && <tr style={{ height: bottomSpacer }} aria-hidden="true" />}
+                        {pageRows.length === 0 && (
+                            <tr>
+                                <td colSpan={columns.length} className="px-3 py-6 text-center text-gray-500 dark:text-gray-400">
+                                    {rows.length === 0 ? 'The query returned no rows' : 'No rows match the filter'}
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Pagination */}
+            <div className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 text-xs text-gray-500 dark:text-gray-400 bg-gray-50 dark:bg-gray-900/40 border-t border-gray-200 dark:border-gray-700">
+                <div className="flex items-center gap-2">
+                    <span>Rows per page</span>
+                    <select
+                        value={pageSize}
+                        onChange={(e) => setPageSize(Number(e.target.value))}
+                        className="px-1.5 py-0.5 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+                    >
+                        {PAGE_SIZES.map(size => (
+                            <option key={size} value={size}>{size}</option>
+                        ))}
+                    </select>
+                    {resultSet.totalRows > rows.length && (
+                        <span className="italic">
+                            First {rows.length.toLocaleString()} of {Number(resultSet.totalRows).toLocaleString()} rows returned
+                        </span>
+                    )}
+                </div>
+                <div className="flex items-center gap-2">
+                    <button
+                        type="button"
+                        onClick={() => setPage(p => Math.max(0, p - 1))}
+                        disabled={page === 0}
+                        className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                        aria-label="Previous page"
+                    >
+                        <FaChevronLeft className="w-2.5 h-2.5" />
+                    </button>
+                    <span>Page {page + 1} of {pageCount}</span>
+                    <button
+                        type="button"
+                        onClick={() => setPage(p => Math.min(pageCount - 1, p + 1))}
+                        disabled={page >= pageCount - 1}
+                        className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                        aria-label="Next page"
+                    >
+                        <FaChevronRight className="w-2.5 h-2.5" />
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ResultGrid;
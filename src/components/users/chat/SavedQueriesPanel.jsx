@@ -0,0 +1,207 @@
+// Saved queries panel component
+// Slide-over library of a project's saved questions with search, tag filters and one-click run
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { FaBookmark, FaTimes, FaSearch, FaPlay, FaPlus, FaEdit, FaTrash, FaTag } from 'react-icons/fa';
+import { getSavedQueries, deleteSavedQuery } from '@/lib/store/users-panel/savedQueries/savedQueriesSlice';
+import DeleteConfirmationModal from '@/components/users/modals/DeleteConfirmationModal';
+import { getSearchTerms, matchesTerms } from '@/lib/search';
+import { isTemplate } from '@/lib/questionTemplates';
+
+const SavedQueriesPanel = ({ isOpen, onClose, projectId, onRun, onEdit, isBusy = false }) => {
+    const dispatch = useDispatch();
+    const { queries, status } = useSelector((state) => state.savedQueries);
+
+    const [search, setSearch] = useState('');
+    const [activeTag, setActiveTag] = useState(null);
+    const [queryToDelete, setQueryToDelete] = useState(null);
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    useEffect(() => {
+        if (isOpen && projectId) {
+            dispatch(getSavedQueries(projectId));
+        }
+    }, [isOpen, projectId, dispatch]);
+
+    const allTags = useMemo(
+        () => [...new Set(queries.flatMap(query => query.tags))].sort((a, b) => a.localeCompare(b)),
+        [queries]
+    );
+
+    const visibleQueries = useMemo(() => {
+        const terms = getSearchTerms(search);
+        return queries
+            .filter(query => !activeTag || query.tags.includes(activeTag))
+            .filter(query => !terms.length || matchesTerms(
+                [query.title, query.question, query.description, query.sql, ...query.tags].join(' '),
+                terms
+            ));
+    }, [queries, search, activeTag]);
+
+    const handleConfirmDelete = async () => {
+        if (!queryToDelete) return;
+        setIsDeleting(true);
+        await dispatch(deleteSavedQuery(queryToDelete.id));
+        setIsDeleting(false);
+        setQueryToDelete(null);
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-40 flex justify-end bg-black/30" onClick={onClose}>
+            <aside
+                className="w-full max-w-md h-full flex flex-col bg-white dark:bg-gray-900 border-l border-gray-200 dark:border-gray-700 shadow-xl"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-5 py-4 border-b border-gray-200 dark:border-gray-700">
+                    <h2 className="flex items-center gap-2 text-base font-semibold text-gray-900 dark:text-white">
+                        <FaBookmark className="text-blue-600 dark:text-blue-400" />
+                        Saved queries
+                    </h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-2 rounded-lg text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800"
+                        aria-label="Close saved queries"
+                    >
+                        <FaTimes className="w-4 h-4" />
+                    </button>
+                </div>
+
+                <div className="px-5 py-3 space-y-3 border-b border-gray-200 dark:border-gray-700">
+                    <div className="flex items-center gap-2 px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700">
+                        <FaSearch className="w-3.5 h-3.5 text-gray-400" />
+                        <input
+                            type="text"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder="Search saved queries..."
+                            className="flex-1 bg-transparent text-sm text-gray-900 dark:text-white placeholder-gray-400 focus:outline-none"
+                        />
+                    </div>
+                    {allTags.length > 0 && (
+                        <div className="flex flex-wrap gap-1.5">
+                            {allTags.map(tag => (
+                                <button
+                                    key={tag}
+                                    type="button"
+                                    onClick={() => setActiveTag(prev => (prev === tag ? null : tag))}
+                                    className={`flex items-center gap-1 px-2 py-0.5 text-xs rounded-full border transition-colors ${
+                                        activeTag === tag
+                                            ? 'border-blue-400 bg-blue-50 text-blue-700 dark:border-blue-600 dark:bg-blue-900/30 dark:text-blue-300'
+                                            : 'border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-800'
+                                    }`}
+                                >
+                                    <FaTag className="w-2.5 h-2.5" />
+                                    {tag}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex-1 overflow-y-auto custom-scrollbar p-3">
+                    {status === 'loading' && queries.length === 0 ? (
+                        <div className="p-8 text-center">
+                            <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+                        </div>
+                    ) : status === 'failed' ? (
+                        <p className="p-8 text-center text-sm text-red-500 dark:text-red-400">Failed to load saved queries</p>
+                    ) : visibleQueries.length === 0 ? (
+                        <p className="p-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                            {queries.length === 0
+                                ? 'No saved queries yet. Use the bookmark on an answer to save its question.'
+                                : 'No saved queries match your search'}
+                        </p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {visibleQueries.map(query => (
+                                <li key={query.id} className="group p-3 rounded-xl border border-gray-200 dark:border-gray-700 hover:border-blue-300 dark:hover:border-blue-700 transition-colors">
+                                    <div className="flex items-start justify-between gap-2">
+                                        <h3 className="text-sm font-semibold text-gray-900 dark:text-white">
+                                            {query.title}
+                                            {isTemplate(query.question) && (
+                                                <span className="ml-2 px-1.5 py-0.5 text-[10px] font-semibold rounded bg-purple-50 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300 align-middle">
+                                                    Template
+                                                </span>
+                                            )}
+                                        </h3>
+                                        <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                                            <button
+                                                type="button"
+                                                onClick={() => onEdit(query)}
+                                                className="p-1.5 rounded text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-800"
+                                                title="Edit"
+                                            >
+                                                <FaEdit className="w-3 h-3" />
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => setQueryToDelete(query)}
+                                                className="p-1.5 rounded text-gray-400 hover:text-red-600 dark:hover:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-800"
+                                                title="Delete"
+                                            >
+                                                <FaTrash className="w-3 h-3" />
+                                            </button>
+                                        </div>
+                                    </div>
+                                    {query.question !== query.title && (
+                                        <p className="mt-1 text-xs text-gray-600 dark:text-gray-300 line-clamp-2">{query.question}</p>
+                                    )}
+                                    {query.description && (
+                                        <p className="mt-1 text-xs text-gray-400 dark:text-gray-500 line-clamp-2">{query.description}</p>
+                                    )}
+                                    {query.tags.length > 0 && (
+                                        <div className="flex flex-wrap gap-1 mt-2">
+                                            {query.tags.map(tag => (
+                                                <span key={tag} className="px-1.5 py-0.5 text-[10px] rounded bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-400">
+                                                    {tag}
+                                                </span>
+                                            ))}
+                                        </div>
+                                    )}
+                                    <div className="flex gap-2 mt-3">
+                                        <button
+                                            type="button"
+                                            onClick={() => onRun(query, { newChat: false })}
+                                            disabled={isBusy}
+                                            className="flex items-center gap-1.5 px-2.5 py-1 text-xs rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            <FaPlay className="w-2.5 h-2.5" />
+                                            Run here
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => onRun(query, { newChat: true })}
+                                            disabled={isBusy}
+                                            className="flex items-center gap-1.5 px-2.5 py-1 text-xs rounded-lg border border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            <FaPlus className="w-2.5 h-2.5" />
+                                            Run in new chat
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </aside>
+
+            <div onClick={(e) => e.stopPropagation()}>
+                <DeleteConfirmationModal
+                    isOpen={Boolean(queryToDelete)}
+                    onClose={() => setQueryToDelete(null)}
+                    onConfirm={handleConfirmDelete}
+                    title="Delete saved query"
+                    message={`Delete "${queryToDelete?.title || ''}" from the library? This action cannot be undone.`}
+                    isLoading={isDeleting}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default SavedQueriesPanel;
@@ -0,0 +1,209 @@
+// Schema explorer panel component
+// Side panel listing the project database's tables and columns, with search, insert-into-chat actions and the access policy
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { usePathname, useRouter } from 'next/navigation';
+import { FaDatabase, FaTimes, FaSearch, FaSync, FaTable, FaChevronRight, FaChevronDown, FaKey, FaLink, FaPlusCircle, FaLock } from 'react-icons/fa';
+import { getProjectSchema } from '@/lib/store/users-panel/projects/projectSlice';
+import { insertIntoChatInput } from '@/lib/store/users-panel/chat/chatSlice';
+import { getSearchTerms, matchesTerms } from '@/lib/search';
+import { getProjectAccessPolicy, hasRestrictions, isTableAllowed, isColumnAllowed } from '@/lib/accessPolicy';
+
+const formatRowCount = (count) => {
+    if (count === null || count === undefined) return null;
+    return `${Number(count).toLocaleString()} ${Number(count) === 1 ? 'row' : 'rows'}`;
+};
+
+const InsertButton = ({ label, onClick }) => (
+    <button
+        type="button"
+        onClick={onClick}
+        className="p-1 rounded text-gray-400 opacity-0 group-hover:opacity-100 hover:text-blue-600 dark:hover:text-blue-400 transition-opacity"
+        title={`Insert ${label} into the chat`}
+    >
+        <FaPlusCircle className="w-3 h-3" />
+    </button>
+);
+
+const SchemaExplorerPanel = ({ isOpen, onClose, projectId }) => {
+    const dispatch = useDispatch();
+    const router = useRouter();
+    const pathname = usePathname();
+    const { schema, schemaStatus, schemaError, project, projects } = useSelector((state) => state.projects);
+
+    const [search, setSearch] = useState('');
+    const [expanded, setExpanded] = useState({});
+
+    const isCurrent = schema.projectId === projectId;
+    const policy = getProjectAccessPolicy(project?.id === projectId ? project : projects.find(p => p.id === projectId));
+
+    useEffect(() => {
+        if (isOpen && projectId && (!isCurrent || schemaStatus === 'idle')) {
+            dispatch(getProjectSchema(projectId));
+        }
+    }, [isOpen, projectId, isCurrent, schemaStatus, dispatch]);
+
+    // Tables whose name matches keep all their columns; otherwise only the matching columns are listed
+    const visibleTables = useMemo(() => {
+        const tables = isCurrent ? schema.tables : [];
+        const terms = getSearchTerms(search);
+        if (!terms.length) return tables;
+        return tables
+            .map(table => matchesTerms(table.name, terms)
+                ? table
+                : { ...table, columns: table.columns.filter(column => matchesTerms(`${column.name} ${column.type}`, terms)) })
+            .filter(table => matchesTerms(table.name, terms) || table.columns.length > 0);
+    }, [schema, isCurrent, search]);
+
+    const handleInsert = (text) => {
+        dispatch(insertIntoChatInput(text));
+        if (!pathname?.endsWith('/chat')) {
+            router.push(`/user/${projectId}/chat`);
+        }
+    };
+
+    if (!isOpen) return null;
+
+    const isSearching = getSearchTerms(search).length > 0;
+    const isLoading = schemaStatus === 'loading';
+    const schemaTables = isCurrent ? schema.tables : [];
+    const blockedTableCount = schemaTables.filter(table => !isTableAllowed(policy, table.name)).length;
+    const blockedColumnCount = schemaTables
+        .filter(table => isTableAllowed(policy, table.name))
+        .reduce((count, table) => count + table.columns.filter(column => !isColumnAllowed(policy, table.name, column.name)).length, 0);
+
+    return (
+        <aside className="fixed lg:static inset-y-0 right-0 z-40 w-80 max-w-full h-full flex flex-col flex-shrink-0 bg-white dark:bg-gray-900 border-l border-gray-200 dark:border-gray-700 shadow-xl lg:shadow-none">
+            <div className="flex items-center justify-between px-4 py-4 border-b border-gray-200 dark:border-gray-700">
+                <h2 className="flex items-center gap-2 text-base font-semibold text-gray-900 dark:text-white">
+                    <FaDatabase className="text-blue-600 dark:text-blue-400" />
+                    Database schema
+                </h2>
+                <div className="flex items-center gap-1">
+                    <button
+                        type="button"
+                        onClick={() => dispatch(getProjectSchema(projectId))}
+                        disabled={isLoading}
+                        className="p-2 rounded-lg text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50"
+                        title="Refresh schema"
+                    >
+                        <FaSync className={`w-3.5 h-3.5 ${isLoading ? 'animate-spin' : ''}`} />
+                    </button>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-2 rounded-lg text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800"
+                        aria-label="Close schema explorer"
+                    >
+                        <FaTimes className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+                <div className="flex items-center gap-2 px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700">
+                    <FaSearch className="w-3.5 h-3.5 text-gray-400" />
+                    <input
+                        type="text"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Search tables and columns..."
+                        className="flex-1 bg-transparent text-sm text-gray-900 dark:text-white placeholder-gray-400 focus:outline-none"
+                    />
+                </div>
+                {hasRestrictions(policy) && (blockedTableCount > 0 || blockedColumnCount > 0) && (
+                    <p className="flex items-center gap-2 mt-2 text-[11px] text-gray-500 dark:text-gray-400">
+                        <FaLock className="w-2.5 h-2.5 text-red-500 flex-shrink-0" />
+                        Access policy blocks {blockedTableCount} table{blockedTableCount === 1 ? '' : 's'} and {blockedColumnCount} column{blockedColumnCount === 1 ? '' : 's'}
+                    </p>
+                )}
+            </div>
+
+            <div className="flex-1 overflow-y-auto custom-scrollbar p-2">
+                {isLoading && visibleTables.length === 0 ? (
+                    <div className="p-8 text-center">
+                        <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+                    </div>
+                ) : schemaStatus === 'failed' ? (
+                    <p className="p-8 text-center text-sm text-red-500 dark:text-red-400">{schemaError}</p>
+                ) : visibleTables.length === 0 ? (
+                    <p className="p-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                        {isSearching ? 'No tables or columns match your search' : 'No tables found in this database'}
+                    </p>
+                ) : (
+                    <ul className="space-y-0.5">
+                        {visibleTables.map(table => {
+                            const isExpanded = isSearching || expanded[table.name];
+                            const tableAllowed = isTableAllowed(policy, table.name);
+                            return (
+                                <li key={`${table.schema || ''}.${table.name}`}>
+                                    <div className="group flex items-center gap-2 px-2 py-1.5 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800/60">
+                                        <button
+                                            type="button"
+                                            onClick={() => setExpanded(prev => ({ ...prev, [table.name]: !prev[table.name] }))}
+                                            className="flex-1 min-w-0 flex items-center gap-2 text-left"
+                                        >
+                                            {isExpanded
+                                                ? <FaChevronDown className="w-2.5 h-2.5 text-gray-400 flex-shrink-0" />
+                                                : <FaChevronRight className="w-2.5 h-2.5 text-gray-400 flex-shrink-0" />}
+                                            {tableAllowed
+                                                ? <FaTable className="w-3 h-3 text-blue-500 dark:text-blue-400 flex-shrink-0" />
+                                                : <FaLock className="w-3 h-3 text-red-500 flex-shrink-0" title="Blocked by the access policy" />}
+                                            <span className={`text-sm font-medium truncate ${tableAllowed ? 'text-gray-800 dark:text-gray-200' : 'text-gray-400 dark:text-gray-500 line-through'}`}>{table.name}</span>
+                                            {formatRowCount(table.rowCount) && (
+                                                <span className="ml-auto text-[11px] text-gray-400 dark:text-gray-500 whitespace-nowrap">
+                                                    {formatRowCount(table.rowCount)}
+                                                </span>
+                                            )}
+                                        </button>
+                                        {tableAllowed && <InsertButton label={table.name} onClick={() => handleInsert(table.name)} />}
+                                    </div>
+                                    {isExpanded && (
+                                        <ul className="ml-6 pl-2 border-l border-gray-100 dark:border-gray-800">
+                                            {table.columns.map(column => {
+                                                const columnAllowed = isColumnAllowed(policy, table.name, column.name);
+                                                return (
+                                                    <li key={column.name} className="group flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-50 dark:hover:bg-gray-800/60">
+                                                        {!columnAllowed ? (
+                                                            <FaLock className="w-2.5 h-2.5 text-red-500 flex-shrink-0" title="Blocked by the access policy" />
+                                                        ) : column.isPrimaryKey ? (
+                                                            <FaKey className="w-2.5 h-2.5 text-yellow-500 flex-shrink-0" title="Primary key" />
+                                                        ) : column.foreignKey ? (
+                                                            <FaLink className="w-2.5 h-2.5 text-purple-500 flex-shrink-0" title="Foreign key" />
+                                                        ) : (
+                                                            <span className="w-2.5 flex-shrink-0" />
+                                                        )}
+                                                        <div className="flex-1 min-w-0">
+                                                            <p className={`text-xs truncate ${columnAllowed ? 'text-gray-800 dark:text-gray-200' : 'text-gray-400 dark:text-gray-500 line-through'}`}>
+                                                                {column.name}
+                                                                {!column.nullable && <span className="ml-1 text-[10px] text-gray-400">not null</span>}
+                                                            </p>
+                                                            {column.foreignKey && (
+                                                                <p className="text-[10px] text-purple-600 dark:text-purple-400 truncate">
+                                                                    → {column.foreignKey.table}{column.foreignKey.column ? `.${column.foreignKey.column}` : ''}
+                                                                </p>
+                                                            )}
+                                                        </div>
+                                                        <span className="font-mono text-[10px] text-gray-400 dark:text-gray-500 whitespace-nowrap">{column.type}</span>
+                                                        {columnAllowed && <InsertButton label={column.name} onClick={() => handleInsert(`${table.name}.${column.name}`)} />}
+                                                    </li>
+                                                );
+                                            })}
+                                            {table.columns.length === 0 && (
+                                                <li className="px-2 py-1 text-xs text-gray-400 dark:text-gray-500">No columns</li>
+                                            )}
+                                        </ul>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+        </aside>
+    );
+};
+
+export default SchemaExplorerPanel;
@@ -0,0 +1,49 @@
+// Schema suggestion menu component
+// Autocomplete list of table names, column names and column values shown above the chat input
+'use client';
+
+import { FaTable, FaColumns, FaTag } from 'react-icons/fa';
+
+const KIND_ICONS = {
+    table: FaTable,
+    column: FaColumns,
+    value: FaTag,
+};
+
+const SchemaSuggestionMenu = ({ suggestions, activeIndex, onSelect, onHover, acceptKeys }) => {
+    if (!suggestions.length) return null;
+
+    return (
+        <ul
+            role="listbox"
+            className="absolute bottom-full left-0 mb-2 w-full max-w-md py-1 z-30 bg-white dark:bg-gray-900 rounded-xl shadow-lg border border-gray-200 dark:border-gray-800"
+        >
+            {suggestions.map((suggestion, index) => {
+                const Icon = KIND_ICONS[suggestion.kind];
+                return (
+                    <li key={`${suggestion.kind}:${suggestion.insert}:${suggestion.detail}`} role="option" aria-selected={index === activeIndex}>
+                        <button
+                            type="button"
+                            // Keep focus in the textarea
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => onSelect(suggestion)}
+                            onMouseEnter={() => onHover(index)}
+                            className={`w-full flex items-center gap-2 px-4 py-1.5 text-left text-sm ${
+                                index === activeIndex ? 'bg-gray-100 dark:bg-gray-800' : ''
+                            }`}
+                        >
+                            <Icon className="w-3 h-3 text-gray-400 flex-shrink-0" />
+                            <span className="font-mono text-gray-800 dark:text-gray-200 truncate">{suggestion.insert}</span>
+                            <span className="ml-auto text-xs text-gray-400 dark:text-gray-500 truncate">{suggestion.detail}</span>
+                        </button>
+                    </li>
+                );
+            })}
+            <li className="px-4 pt-1 pb-1.5 text-[11px] text-gray-400 dark:text-gray-500 border-t border-gray-100 dark:border-gray-800 mt-1">
+                ↑↓ to navigate · {acceptKeys} to insert · Esc to dismiss
+            </li>
+        </ul>
+    );
+};
+
+export default SchemaSuggestionMenu;
@@ -0,0 +1,247 @@
+// Project search palette component
+// Searches conversation titles, messages, generated SQL and important messages, and jumps to the match
+'use client';
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { useRouter } from 'next/navigation';
+import { FaSearch, FaTimes, FaComments, FaStar, FaDatabase, FaRobot, FaUser } from 'react-icons/fa';
+import { searchProject, clearSearch } from '@/lib/store/users-panel/chat/chatSlice';
+import { getSearchTerms, matchesTerms, buildSnippet } from '@/lib/search';
+import { useDataMasking } from '@/hooks/useDataMasking';
+
+const MIN_QUERY_LENGTH = 2;
+const SEARCH_DEBOUNCE_MS = 250;
+
+const FIELD_BADGES = {
+    title: { label: 'Title', icon: FaComments },
+    important: { label: 'Important', icon: FaStar },
+    sql: { label: 'SQL', icon: FaDatabase },
+};
+
+const Snippet = ({ text, terms }) => (
+    <>
+        {buildSnippet(text, terms).map((part, index) => (
+            part.isMatch ? (
+                <mark key={index} className="bg-yellow-200 dark:bg-yellow-500/30 text-inherit rounded-sm px-0.5">
+                    {part.text}
+                </mark>
+            ) : (
+                <span key={index}>{part.text}</span>
+            )
+        ))}
+    </>
+);
+
+const SearchPalette = ({ isOpen, onClose, projectId }) => {
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const inputRef = useRef(null);
+    const listRef = useRef(null);
+    const { maskText } = useDataMasking(projectId);
+
+    const dispatch = useDispatch();
+    const router = useRouter();
+    const {
+        conversations = [],
+        importantMessages = [],
+        searchResults = [],
+        searchStatus,
+        searchQuery,
+    } = useSelector((state) => state.chat);
+
+    const trimmedQuery = query.trim();
+    const terms = useMemo(() => getSearchTerms(trimmedQuery), [trimmedQuery]);
+
+    // Reset and focus the input every time the palette opens
+    useEffect(() => {
+        if (!isOpen) return;
+        setQuery('');
+        setActiveIndex(0);
+        dispatch(clearSearch());
+        const timer = setTimeout(() => inputRef.current?.focus(), 0);
+        return () => clearTimeout(timer);
+    }, [isOpen, dispatch]);
+
+    // Debounced server search over message contents and generated SQL
+    useEffect(() => {
+        if (!isOpen || !projectId || trimmedQuery.length < MIN_QUERY_LENGTH) return;
+        const timer = setTimeout(() => {
+            dispatch(searchProject({ projectId, query: trimmedQuery }));
+        }, SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [isOpen, projectId, trimmedQuery, dispatch]);
+
+    const results = useMemo(() => {
+        if (trimmedQuery.length < MIN_QUERY_LENGTH) return [];
+
+        const titleById = new Map(conversations.map(conv => [String(conv.id), conv.title]));
+
+        // Titles and important messages are already loaded, so match them locally for instant results
+        const localResults = [
+            ...conversations
+                .filter(conv => !conv.is_deleted && matchesTerms(conv.title, terms))
+                .map(conv => ({
+                    conversationId: conv.id,
+                    messageId: null,
+                    conversationTitle: conv.title,
+                    field: 'title',
+                    text: conv.title,
+                })),
+            ...importantMessages
+                .filter(msg => matchesTerms(`${msg.title || ''} ${msg.content || ''}`, terms))
+                .map(msg => ({
+                    conversationId: msg.conversation_id || msg.conversationId,
+                    messageId: msg.message_id || msg.id,
+                    conversationTitle: titleById.get(String(msg.conversation_id || msg.conversationId)),
+                    field: 'important',
+                    text: matchesTerms(msg.title, terms) ? msg.title : msg.content,
+                })),
+        ];
+
+        const serverResults = searchQuery === trimmedQuery ? searchResults : [];
+        const seen = new Set();
+        return [...localResults, ...serverResults]
+            .filter(result => result.conversationId)
+            .filter((result) => {
+                const key = `${result.conversationId}:${result.messageId || ''}:${result.field}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .map(result => ({
+                ...result,
+                conversationTitle: result.conversationTitle || titleById.get(String(result.conversationId)) || 'Untitled Chat',
+            }));
+    }, [trimmedQuery, terms, conversations, importantMessages, searchResults, searchQuery]);
+
+    useEffect(() => {
+        setActiveIndex(0);
+    }, [trimmedQuery]);
+
+    // Keep the highlighted result visible while navigating with the keyboard
+    useEffect(() => {
+        listRef.current?.querySelector(`[data-index="${activeIndex}"]`)?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    if (!isOpen) return null;
+
+    const handleSelect = (result) => {
+        const messageParam = result.messageId ? `&messageId=${result.messageId}` : '';
+        router.push(`/user/${projectId}/chat?conversationId=${result.conversationId}${messageParam}`);
+        onClose();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(index => Math.min(index + 1, results.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(index => Math.max(index - 1, 0));
+        } else if (e.key === 'Enter' && results[activeIndex]) {
+            e.preventDefault();
+            handleSelect(results[activeIndex]);
+        }
+    };
+
+    const isSearching = searchStatus === 'loading' && searchQuery === trimmedQuery;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-start justify-center bg-black/50 p-4 pt-[12vh]" onClick={onClose}>
+            <div
+                className="w-full max-w-2xl bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 overflow-hidden"
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={handleKeyDown}
+            >
+                <div className="flex items-center gap-3 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+                    <FaSearch className="w-4 h-4 text-gray-400" />
+                    <input
+                        ref={inputRef}
+                        type="text"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="Search conversations, messages and SQL..."
+                        className="flex-1 bg-transparent text-sm text-gray-900 dark:text-white placeholder-gray-400 focus:outline-none"
+                    />
+                    {isSearching && (
+                        <div className="w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+                    )}
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-1.5 rounded-lg text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        aria-label="Close search"
+                    >
+                        <FaTimes className="w-3.5 h-3.5" />
+                    </button>
+                </div>
+
+                <div ref={listRef} className="max-h-[60vh] overflow-y-auto custom-scrollbar">
+                    {trimmedQuery.length < MIN_QUERY_LENGTH ? (
+                        <p className="px-4 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                            Type at least {MIN_QUERY_LENGTH} characters to search this project
+                        </p>
+                    ) : results.length === 0 ? (
+                        <p className="px-4 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                            {isSearching
+                                ? 'Searching...'
+                                : searchStatus === 'failed' ? 'Search failed. Please try again.' : 'No matches found'}
+                        </p>
+                    ) : (
+                        <ul className="py-2">
+                            {results.map((result, index) => {
+                                const badge = FIELD_BADGES[result.field];
+                                const RoleIcon = result.role === 'human' ? FaUser : FaRobot;
+                                const BadgeIcon = badge?.icon || RoleIcon;
+                                return (
+                                    <li key={`${result.conversationId}-${result.messageId || 'conversation'}-${result.field}`}>
+                                        <button
+                                            type="button"
+                                            data-index={index}
+                                            onClick={() => handleSelect(result)}
+                                            onMouseEnter={() => setActiveIndex(index)}
+                                            className={`w-full text-left px-4 py-2.5 flex items-start gap-3 transition-colors ${
+                                                index === activeIndex ? 'bg-blue-50 dark:bg-blue-900/20' : ''
+                                            }`}
+                                        >
+                                            <BadgeIcon className={`w-3.5 h-3.5 mt-1 flex-shrink-0 ${
+                                                result.field === 'important' ? 'text-yellow-500' : 'text-gray-400'
+                                            }`} />
+                                            <div className="min-w-0 flex-1">
+                                                <div className="flex items-center gap-2">
+                                                    <span className="text-xs font-medium text-gray-500 dark:text-gray-400 truncate">
+                                                        {result.conversationTitle}
+                                                    </span>
+                                                    {badge && (
+                                                        <span className="px-1.5 py-0.5 text-[10px] font-semibold rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                                                            {badge.label}
+                                                        </span>
+                                                    )}
+                                                </div>
+                                                <p className={`text-sm text-gray-800 dark:text-gray-200 break-words ${result.field === 'sql' ? 'font-mono text-xs' : ''}`}>
+                                                    <Snippet text={result.field === 'sql' || result.role === 'human' ? result.text : maskText(result.text)} terms={terms} />
+                                                </p>
+                                            </div>
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="flex items-center gap-4 px-4 py-2 border-t border-gray-200 dark:border-gray-700 text-[11px] text-gray-400">
+                    <span><kbd className="font-sans">↑↓</kbd> to navigate</span>
+                    <span><kbd className="font-sans">Enter</kbd> to open</span>
+                    <span><kbd className="font-sans">Esc</kbd> to close</span>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SearchPalette;
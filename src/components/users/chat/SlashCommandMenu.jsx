@@ -0,0 +1,40 @@
+// Slash command menu component
+// Autocomplete list shown above the chat input while a /command is being typed
+'use client';
+
+const SlashCommandMenu = ({ commands, activeIndex, onSelect, onHover }) => {
+    if (!commands.length) return null;
+
+    return (
+        <ul
+            role="listbox"
+            className="absolute bottom-full left-0 mb-2 w-full max-w-md py-1 z-30 bg-white dark:bg-gray-900 rounded-xl shadow-lg border border-gray-200 dark:border-gray-800"
+        >
+            {commands.map((command, index) => (
+                <li key={command.name} role="option" aria-selected={index === activeIndex}>
+                    <button
+                        type="button"
+                        // Keep focus in the textarea
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => onSelect(command)}
+                        onMouseEnter={() => onHover(index)}
+                        className={`w-full flex items-baseline gap-2 px-4 py-2 text-left text-sm ${
+                            index === activeIndex ? 'bg-gray-100 dark:bg-gray-800' : ''
+                        }`}
+                    >
+                        <span className="font-mono font-semibold text-blue-600 dark:text-blue-400">/{command.name}</span>
+                        {command.args && (
+                            <span className="font-mono text-xs text-gray-400 dark:text-gray-500">{command.args}</span>
+                        )}
+                        <span className="ml-auto text-xs text-gray-500 dark:text-gray-400 truncate">{command.description}</span>
+                    </button>
+                </li>
+            ))}
+            <li className="px-4 pt-1 pb-1.5 text-[11px] text-gray-400 dark:text-gray-500 border-t border-gray-100 dark:border-gray-800 mt-1">
+                ↑↓ to navigate · Tab or Enter to pick · Esc to dismiss
+            </li>
+        </ul>
+    );
+};
+
+export default SlashCommandMenu;
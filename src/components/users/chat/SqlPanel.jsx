@@ -0,0 +1,137 @@
+// Generated SQL panel component
+// Collapsible, syntax-highlighted view of the SQL behind an AI answer with copy, re-run and edit actions
+'use client';
+
+import { useState } from 'react';
+import { FaCode, FaChevronDown, FaChevronRight, FaCopy, FaCheck, FaRedo, FaEdit, FaPaperPlane, FaTimes } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { tokenizeSql } from '@/lib/sql';
+
+const TOKEN_CLASSES = {
+    keyword: 'text-purple-600 dark:text-purple-400 font-semibold',
+    function: 'text-blue-600 dark:text-blue-400',
+    string: 'text-green-700 dark:text-green-400',
+    number: 'text-orange-600 dark:text-orange-400',
+    comment: 'text-gray-400 dark:text-gray-500 italic',
+    operator: 'text-gray-500 dark:text-gray-400',
+    identifier: 'text-gray-800 dark:text-gray-200',
+};
+
+export const HighlightedSql = ({ sql }) => (
+    <pre className="text-xs leading-relaxed font-mono whitespace-pre-wrap break-words">
+        <code>
+            {tokenizeSql(sql).map((token, index) => (
+                <span key={index} className={TOKEN_CLASSES[token.type] || ''}>
+                    {token.value}
+                </span>
+            ))}
+        </code>
+    </pre>
+);
+
+const SqlPanel = ({ sql, onRerun, onReask, isBusy = false }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
+    const [draftSql, setDraftSql] = useState(sql);
+    const [copied, setCopied] = useState(false);
+
+    if (!sql) return null;
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(sql);
+            setCopied(true);
+            toast.success('SQL copied to clipboard', { duration: 2000 });
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.error('Failed to copy SQL:', error);
+            toast.error('Could not copy SQL');
+        }
+    };
+
+    const handleStartEdit = () => {
+        setDraftSql(sql);
+        setIsEditing(true);
+        setIsOpen(true);
+    };
+
+    const handleReask = () => {
+        const editedSql = draftSql.trim();
+        if (!editedSql || !onReask) return;
+        onReask(editedSql);
+        setIsEditing(false);
+    };
+
+    const actionButtonClasses = "p-1.5 rounded-md text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700/50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+    return (
+        <div className="mt-4 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40">
+            <div className="flex items-center justify-between px-3 py-2">
+                <button
+                    type="button"
+                    onClick={() => setIsOpen(!isOpen)}
+                    className="flex items-center gap-2 text-xs font-semibold text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200"
+                    aria-expanded={isOpen}
+                >
+                    {isOpen ? <FaChevronDown className="w-3 h-3" /> : <FaChevronRight className="w-3 h-3" />}
+                    <FaCode className="w-3.5 h-3.5" />
+                    Generated SQL
+                </button>
+                <div className="flex items-center gap-1">
+                    <button type="button" onClick={handleCopy} className={actionButtonClasses} title="Copy SQL">
+                        {copied ? <FaCheck className="w-3 h-3 text-green-600" /> : <FaCopy className="w-3 h-3" />}
+                    </button>
+                    {onRerun && (
+                        <button type="button" onClick={() => onRerun(sql)} disabled={isBusy} className={actionButtonClasses} title="Re-run this query">
+                            <FaRedo className="w-3 h-3" />
+                        </button>
+                    )}
+                    {onReask && (
+                        <button type="button" onClick={handleStartEdit} disabled={isBusy} className={actionButtonClasses} title="Edit SQL and re-ask">
+                            <FaEdit className="w-3 h-3" />
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {isOpen && (
+                <div className="px-3 pb-3 border-t border-gray-200 dark:border-gray-700 pt-3">
+                    {isEditing ? (
+                        <div className="space-y-2">
+                            <textarea
+                                value={draftSql}
+                                onChange={(e) => setDraftSql(e.target.value)}
+                                rows={Math.min(12, Math.max(4, draftSql.split('\n').length + 1))}
+                                spellCheck={false}
+                                className="w-full font-mono text-xs rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 p-2 outline-none focus:ring-2 focus:ring-blue-500/50"
+                            />
+                            <div className="flex justify-end gap-2">
+                                <button
+                                    type="button"
+                                    onClick={() => setIsEditing(false)}
+                                    className="flex items-center gap-1.5 px-3 py-1.5 text-xs rounded-md text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                                >
+                                    <FaTimes className="w-3 h-3" />
+                                    Cancel
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={handleReask}
+                                    disabled={isBusy || !draftSql.trim()}
+                                    className="flex items-center gap-1.5 px-3 py-1.5 text-xs rounded-md bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    <FaPaperPlane className="w-3 h-3" />
+                                    Ask with this SQL
+                                </button>
+                            </div>
+                        </div>
+                    ) : (
+                        <HighlightedSql sql={sql} />
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SqlPanel;
@@ -0,0 +1,44 @@
+// Visualization snapshot component
+// Renders one version of a stored visualization as an interactive chart, or its PNG when no spec is available
+'use client';
+
+import { useParams } from 'next/navigation';
+import { FaEyeSlash } from 'react-icons/fa';
+import InteractiveChart from '@/components/users/chat/InteractiveChart';
+import { getChartSpec, getChartImage } from '@/lib/chartSpec';
+import { useDataMasking } from '@/hooks/useDataMasking';
+
+const VisualizationSnapshot = ({ visualization, height = 240 }) => {
+    const { projectId } = useParams();
+    const { maskVisualization } = useDataMasking(projectId);
+
+    // Stored visualizations have no result rows to check, so charts are hidden while any column is masked
+    if (visualization && !maskVisualization(visualization)) {
+        return (
+            <div className="flex flex-col items-center justify-center gap-2 text-xs text-gray-400 dark:text-gray-500" style={{ height }}>
+                <FaEyeSlash className="w-4 h-4" />
+                Hidden because it may show masked personal data
+            </div>
+        );
+    }
+
+    const spec = getChartSpec(visualization);
+    if (spec) return <InteractiveChart spec={spec} height={height} />;
+
+    const image = getChartImage(visualization);
+    if (image) {
+        return (
+            <div className="flex justify-center items-center" style={{ height }}>
+                <img src={image} alt={visualization.title || 'Visualization'} className="max-w-full max-h-full object-contain rounded" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex items-center justify-center text-xs text-gray-400 dark:text-gray-500" style={{ height }}>
+            No chart data available
+        </div>
+    );
+};
+
+export default VisualizationSnapshot;
@@ -0,0 +1,227 @@
+// Save query modal component
+// Form for saving a question with its generated SQL to the project's saved queries library, or editing a saved one.
+// Questions with {placeholders} become templates whose field types are set here.
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { FaBookmark, FaTimes } from 'react-icons/fa';
+import { createSavedQuery, updateSavedQuery } from '@/lib/store/users-panel/savedQueries/savedQueriesSlice';
+import { HighlightedSql } from '@/components/users/chat/SqlPanel';
+import { PARAMETER_TYPES, getTemplateParameters } from '@/lib/questionTemplates';
+
+const EMPTY_FORM = { title: '', question: '', sql: '', description: '', tags: [], parameters: {} };
+
+// `query` is either a draft from the chat ({ question, sql }) or an existing saved query (has an id)
+const SaveQueryModal = ({ isOpen, onClose, projectId, query }) => {
+    const dispatch = useDispatch();
+    const { saveStatus } = useSelector((state) => state.savedQueries);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [tagInput, setTagInput] = useState('');
+
+    const isEditing = Boolean(query?.id);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setForm({
+            ...EMPTY_FORM,
+            ...query,
+            title: query?.title || query?.question?.slice(0, 80) || '',
+            tags: query?.tags || [],
+            parameters: query?.parameters || {},
+        });
+        setTagInput('');
+    }, [isOpen, query]);
+
+    if (!isOpen) return null;
+
+    const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const addTag = (value) => {
+        const tag = value.trim().replace(/,$/, '');
+        if (tag && !form.tags.includes(tag)) {
+            setForm(prev => ({ ...prev, tags: [...prev.tags, tag] }));
+        }
+        setTagInput('');
+    };
+
+    const handleTagKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTag(tagInput);
+        } else if (e.key === 'Backspace' && !tagInput && form.tags.length) {
+            setForm(prev => ({ ...prev, tags: prev.tags.slice(0, -1) }));
+        }
+    };
+
+    const updateParameter = (name, changes) => setForm(prev => ({
+        ...prev,
+        parameters: { ...prev.parameters, [name]: { ...prev.parameters[name], ...changes } },
+    }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.title.trim() || !form.question.trim()) return;
+
+        // Only keep settings for placeholders still in the question
+        const parameters = Object.fromEntries(
+            getTemplateParameters(form.question, form.parameters).map(({ name, type, options }) => [
+                name,
+                { type, options: options.map(option => option.trim()).filter(Boolean) },
+            ])
+        );
+        const payload = {
+            ...form,
+            parameters,
+            title: form.title.trim(),
+            question: form.question.trim(),
+            description: form.description.trim(),
+            tags: tagInput.trim() ? [...form.tags, tagInput.trim()] : form.tags,
+        };
+        const result = await dispatch(isEditing
+            ? updateSavedQuery({ queryId: query.id, query: payload })
+            : createSavedQuery({ projectId, query: payload }));
+
+        if (!result.error) onClose();
+    };
+
+    const isSaving = saveStatus === 'loading';
+    const templateParameters = getTemplateParameters(form.question, form.parameters);
+    const inputClasses = 'w-full px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <form
+                onSubmit={handleSubmit}
+                className="w-full max-w-xl max-h-[90vh] overflow-y-auto custom-scrollbar bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-5 py-4 border-b border-gray-200 dark:border-gray-700">
+                    <h2 className="flex items-center gap-2 text-base font-semibold text-gray-900 dark:text-white">
+                        <FaBookmark className="text-blue-600 dark:text-blue-400" />
+                        {isEditing ? 'Edit saved query' : 'Save query'}
+                    </h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-2 rounded-lg text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        aria-label="Close"
+                    >
+                        <FaTimes className="w-4 h-4" />
+                    </button>
+                </div>
+
+                <div className="p-5 space-y-4">
+                    <label className="block">
+                        <span className="block text-xs font-semibold text-gray-600 dark:text-gray-300 mb-1">Title</span>
+                        <input type="text" value={form.title} onChange={updateField('title')} className={inputClasses} required />
+                    </label>
+                    <label className="block">
+                        <span className="block text-xs font-semibold text-gray-600 dark:text-gray-300 mb-1">Question</span>
+                        <textarea value={form.question} onChange={updateField('question')} rows={3} className={`${inputClasses} resize-y`} required />
+                        <span className="block mt-1 text-[11px] text-gray-400 dark:text-gray-500">
+                            Use placeholders such as {'{start_date}'} or {'{region}'} to turn the question into a template
+                        </span>
+                    </label>
+                    {templateParameters.length > 0 && (
+                        <div>
+                            <span className="block text-xs font-semibold text-gray-600 dark:text-gray-300 mb-1">Template fields</span>
+                            <div className="space-y-2">
+                                {templateParameters.map(parameter => (
+                                    <div key={parameter.name} className="flex flex-wrap items-center gap-2">
+                                        <code className="px-2 py-1 text-xs rounded bg-gray-100 dark:bg-gray-900 text-gray-700 dark:text-gray-300">
+                                            {`{${parameter.name}}`}
+                                        </code>
+                                        <select
+                                            value={parameter.type}
+                                            onChange={(e) => updateParameter(parameter.name, { type: e.target.value })}
+                                            className="px-2 py-1 text-xs rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300"
+                                        >
+                                            {Object.entries(PARAMETER_TYPES).map(([type, label]) => (
+                                                <option key={type} value={type}>{label}</option>
+                                            ))}
+                                        </select>
+                                        {parameter.type === 'select' && (
+                                            <input
+                                                type="text"
+                                                value={(form.parameters[parameter.name]?.options || []).join(', ')}
+                                                onChange={(e) => updateParameter(parameter.name, {
+                                                    options: e.target.value.split(',').map(option => option.trimStart()),
+                                                })}
+                                                placeholder="Options, comma separated"
+                                                className="flex-1 min-w-[160px] px-2 py-1 text-xs rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+                                            />
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    <label className="block">
+                        <span className="block text-xs font-semibold text-gray-600 dark:text-gray-300 mb-1">Description</span>
+                        <textarea
+                            value={form.description}
+                            onChange={updateField('description')}
+                            rows={2}
+                            placeholder="What this query answers and when to use it"
+                            className={`${inputClasses} resize-y`}
+                        />
+                    </label>
+                    <div>
+                        <span className="block text-xs font-semibold text-gray-600 dark:text-gray-300 mb-1">Tags</span>
+                        <div className={`${inputClasses} flex flex-wrap items-center gap-1.5`}>
+                            {form.tags.map(tag => (
+                                <span key={tag} className="flex items-center gap-1 px-2 py-0.5 text-xs rounded-full bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300">
+                                    {tag}
+                                    <button
+                                        type="button"
+                                        onClick={() => setForm(prev => ({ ...prev, tags: prev.tags.filter(t => t !== tag) }))}
+                                        aria-label={`Remove ${tag}`}
+                                    >
+                                        <FaTimes className="w-2.5 h-2.5" />
+                                    </button>
+                                </span>
+                            ))}
+                            <input
+                                type="text"
+                                value={tagInput}
+                                onChange={(e) => setTagInput(e.target.value)}
+                                onKeyDown={handleTagKeyDown}
+                                onBlur={() => tagInput && addTag(tagInput)}
+                                placeholder={form.tags.length ? '' : 'Press Enter to add a tag'}
+                                className="flex-1 min-w-[120px] bg-transparent text-sm focus:outline-none"
+                            />
+                        </div>
+                    </div>
+                    {form.sql && (
+                        <div>
+                            <span className="block text-xs font-semibold text-gray-600 dark:text-gray-300 mb-1">Generated SQL</span>
+                            <div className="max-h-48 overflow-auto p-3 rounded-lg bg-gray-50 dark:bg-gray-900/60 border border-gray-200 dark:border-gray-700">
+                                <HighlightedSql sql={form.sql} />
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex justify-end gap-2 px-5 py-4 border-t border-gray-200 dark:border-gray-700">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={isSaving || !form.title.trim() || !form.question.trim()}
+                        className="px-4 py-2 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {isSaving ? 'Saving...' : isEditing ? 'Save changes' : 'Save query'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default SaveQueryModal;
@@ -0,0 +1,122 @@
+// Template form modal component
+// Collects values for a question template's placeholders and previews the question before it is asked
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { FaListAlt, FaTimes, FaPaperPlane } from 'react-icons/fa';
+import { getTemplateParameters, fillTemplate } from '@/lib/questionTemplates';
+
+const TemplateFormModal = ({ isOpen, onClose, template, onSubmit, isBusy = false }) => {
+    const [values, setValues] = useState({});
+
+    const parameters = useMemo(
+        () => (template ? getTemplateParameters(template.question, template.parameters) : []),
+        [template]
+    );
+
+    // Start each dropdown on its first option, everything else empty
+    useEffect(() => {
+        if (!isOpen) return;
+        setValues(Object.fromEntries(parameters.map(parameter => [
+            parameter.name,
+            parameter.type === 'select' ? parameter.options[0] || '' : '',
+        ])));
+    }, [isOpen, parameters]);
+
+    if (!isOpen || !template) return null;
+
+    const isComplete = parameters.every(parameter => String(values[parameter.name] ?? '').trim());
+    const preview = fillTemplate(template.question, values);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!isComplete || isBusy) return;
+        onSubmit(fillTemplate(template.question, Object.fromEntries(
+            Object.entries(values).map(([name, value]) => [name, String(value).trim()])
+        )));
+    };
+
+    const inputClasses = 'w-full px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <form
+                onSubmit={handleSubmit}
+                className="w-full max-w-lg max-h-[90vh] overflow-y-auto custom-scrollbar bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-5 py-4 border-b border-gray-200 dark:border-gray-700">
+                    <h2 className="flex items-center gap-2 text-base font-semibold text-gray-900 dark:text-white">
+                        <FaListAlt className="text-blue-600 dark:text-blue-400" />
+                        {template.title}
+                    </h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-2 rounded-lg text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        aria-label="Close"
+                    >
+                        <FaTimes className="w-4 h-4" />
+                    </button>
+                </div>
+
+                <div className="p-5 space-y-4">
+                    {template.description && (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">{template.description}</p>
+                    )}
+                    {parameters.map((parameter, index) => (
+                        <label key={parameter.name} className="block">
+                            <span className="block text-xs font-semibold text-gray-600 dark:text-gray-300 mb-1">{parameter.label}</span>
+                            {parameter.type === 'select' && parameter.options.length > 0 ? (
+                                <select
+                                    value={values[parameter.name] ?? ''}
+                                    onChange={(e) => setValues(prev => ({ ...prev, [parameter.name]: e.target.value }))}
+                                    className={inputClasses}
+                                    autoFocus={index === 0}
+                                >
+                                    {parameter.options.map(option => (
+                                        <option key={option} value={option}>{option}</option>
+                                    ))}
+                                </select>
+                            ) : (
+                                <input
+                                    type={parameter.type === 'date' || parameter.type === 'number' ? parameter.type : 'text'}
+                                    value={values[parameter.name] ?? ''}
+                                    onChange={(e) => setValues(prev => ({ ...prev, [parameter.name]: e.target.value }))}
+                                    className={inputClasses}
+                                    autoFocus={index === 0}
+                                    required
+                                />
+                            )}
+                        </label>
+                    ))}
+
+                    <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900/60 border border-gray-200 dark:border-gray-700">
+                        <span className="block text-[11px] font-semibold uppercase tracking-wide text-gray-400 dark:text-gray-500 mb-1">Question</span>
+                        <p className="text-sm text-gray-800 dark:text-gray-200 whitespace-pre-wrap">{preview}</p>
+                    </div>
+                </div>
+
+                <div className="flex justify-end gap-2 px-5 py-4 border-t border-gray-200 dark:border-gray-700">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={!isComplete || isBusy}
+                        className="flex items-center gap-2 px-4 py-2 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        <FaPaperPlane className="w-3 h-3" />
+                        Ask
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default TemplateFormModal;
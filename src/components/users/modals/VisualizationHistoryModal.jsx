@@ -0,0 +1,99 @@
+// Visualization history modal component
+// Compares the current chart of a visualization side by side with one of its earlier snapshots
+'use client';
+
+import { useState } from 'react';
+import { format, isValid } from 'date-fns';
+import { FaHistory, FaTimes } from 'react-icons/fa';
+import VisualizationSnapshot from '@/components/users/dashboard/VisualizationSnapshot';
+import { getLastRefreshedAt, getVisualizationHistory } from '@/lib/visualizationRefresh';
+
+const formatSnapshotDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && isValid(date) ? format(date, 'MMM d, yyyy HH:mm') : 'Unknown date';
+};
+
+const VisualizationHistoryModal = ({ isOpen, onClose, visualization }) => {
+    const [selectedIndex, setSelectedIndex] = useState(0);
+
+    if (!isOpen || !visualization) return null;
+
+    const history = getVisualizationHistory(visualization);
+    const selected = history[Math.min(selectedIndex, history.length - 1)];
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+            <div
+                className="w-full max-w-5xl max-h-[90vh] overflow-y-auto custom-scrollbar bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between px-5 py-4 border-b border-gray-200 dark:border-gray-700">
+                    <h2 className="flex items-center gap-2 text-base font-semibold text-gray-900 dark:text-white">
+                        <FaHistory className="text-blue-600 dark:text-blue-400" />
+                        Version history · {visualization.title || 'Untitled visualization'}
+                    </h2>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="p-2 rounded-lg text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        aria-label="Close"
+                    >
+                        <FaTimes className="w-4 h-4" />
+                    </button>
+                </div>
+
+                {history.length === 0 ? (
+                    <p className="p-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                        No earlier versions yet. Refresh the visualization to start building its history.
+                    </p>
+                ) : (
+                    <div className="p-5">
+                        {/* Snapshot picker, newest first */}
+                        <div className="flex flex-wrap gap-2 mb-4">
+                            {history.map((snapshot, index) => (
+                                <button
+                                    key={`${snapshot.refreshed_at}-${index}`}
+                                    type="button"
+                                    onClick={() => setSelectedIndex(index)}
+                                    className={`px-3 py-1.5 text-xs rounded-lg border transition-colors ${
+                                        index === selectedIndex
+                                            ? 'border-blue-400 bg-blue-50 text-blue-700 dark:border-blue-600 dark:bg-blue-900/20 dark:text-blue-300'
+                                            : 'border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700/50'
+                                    }`}
+                                >
+                                    {formatSnapshotDate(snapshot.refreshed_at)}
+                                </button>
+                            ))}
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div className="rounded-xl border border-gray-200 dark:border-gray-700 p-3">
+                                <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-2">
+                                    Earlier · {formatSnapshotDate(selected.refreshed_at)}
+                                </p>
+                                {/* Only the snapshot's own chart, so a missing one never falls back to the current chart */}
+                                <VisualizationSnapshot
+                                    visualization={{
+                                        title: visualization.title,
+                                        chart_type: visualization.chart_type,
+                                        chart_spec: selected.chart_spec,
+                                        chart_data: selected.chart_data,
+                                    }}
+                                    height={280}
+                                />
+                            </div>
+                            <div className="rounded-xl border border-blue-200 dark:border-blue-800 p-3">
+                                <p className="text-xs font-semibold text-blue-600 dark:text-blue-400 mb-2">
+                                    Current · {formatSnapshotDate(getLastRefreshedAt(visualization))}
+                                </p>
+                                <VisualizationSnapshot visualization={visualization} height={280} />
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default VisualizationHistoryModal;
@@ -0,0 +1,184 @@
+// Access policy editor component
+// Allows or denies the agent each table and column of the project's database
+'use client';
+
+import { useState } from 'react';
+import { FaSearch, FaTable, FaChevronDown, FaChevronRight, FaLock, FaLockOpen } from 'react-icons/fa';
+import {
+    isTableAllowed,
+    isColumnAllowed,
+    setTableAccess,
+    setColumnAccess,
+    setDefaultAccess,
+} from '@/lib/accessPolicy';
+
+const accessButtonClasses = (isActive, access) => `px-2.5 py-1 text-xs font-medium rounded-md transition ${
+    isActive
+        ? access === 'allow'
+            ? 'bg-green-600 text-white'
+            : 'bg-red-600 text-white'
+        : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+}`;
+
+// `value` is a normalized access policy; `tables` is the project schema
+const AccessPolicyEditor = ({ value, onChange, tables = [], readOnly = false }) => {
+    const [search, setSearch] = useState('');
+    const [expandedTables, setExpandedTables] = useState([]);
+
+    const query = search.trim().toLowerCase();
+    const visibleTables = query
+        ? tables.filter(table => table.name.toLowerCase().includes(query)
+            || table.columns.some(column => column.name.toLowerCase().includes(query)))
+        : tables;
+    const blockedCount = tables.filter(table => !isTableAllowed(value, table.name)).length;
+
+    const toggleExpanded = (tableName) => {
+        setExpandedTables(prev => (prev.includes(tableName) ? prev.filter(name => name !== tableName) : [...prev, tableName]));
+    };
+
+    if (tables.length === 0) {
+        return (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+                The tables of this database could not be loaded. Check the connection, then reload this page to edit its access policy.
+            </p>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            {readOnly && (
+                <p className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs bg-amber-50 dark:bg-amber-900/20 text-amber-700 dark:text-amber-300">
+                    <FaLock />
+                    Only admins can change the access policy.
+                </p>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-3">
+                {[
+                    { access: 'allow', label: 'Allow by default', help: 'Every table is available except the ones denied below.' },
+                    { access: 'deny', label: 'Deny by default', help: 'Only the tables allowed below are available, including new ones.' },
+                ].map(option => (
+                    <label
+                        key={option.access}
+                        className={`flex-1 flex gap-3 p-3 rounded-lg border-2 transition ${readOnly ? 'cursor-default' : 'cursor-pointer'}
+                                    ${value.defaultAccess === option.access
+                                        ? 'border-sky-500 bg-sky-50 dark:bg-sky-900/20'
+                                        : 'border-gray-300 dark:border-gray-600 hover:border-sky-400'}`}
+                    >
+                        <input
+                            type="radio"
+                            name="defaultAccess"
+                            checked={value.defaultAccess === option.access}
+                            onChange={() => onChange(setDefaultAccess(value, option.access, tables.map(table => table.name)))}
+                            disabled={readOnly}
+                            className="mt-1 accent-sky-500"
+                        />
+                        <span>
+                            <span className="block text-sm font-medium text-gray-800 dark:text-gray-200">{option.label}</span>
+                            <span className="block text-xs text-gray-500 dark:text-gray-400">{option.help}</span>
+                        </span>
+                    </label>
+                ))}
+            </div>
+
+            <div className="rounded-lg border border-gray-200 dark:border-gray-700">
+                <div className="flex flex-wrap items-center gap-3 p-3 border-b border-gray-200 dark:border-gray-700">
+                    <div className="relative flex-1 min-w-[12rem]">
+                        <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 w-3 h-3 text-gray-400" />
+                        <input
+                            type="text"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder="Filter tables and columns"
+                            className="w-full pl-8 pr-3 py-2 text-sm rounded-lg border outline-none bg-gray-50 text-gray-900 border-gray-300
+                                       dark:bg-gray-800 dark:text-white dark:border-gray-700 focus:border-sky-500"
+                        />
+                    </div>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                        {tables.length - blockedCount} allowed · {blockedCount} denied
+                    </span>
+                </div>
+
+                <ul className="max-h-[28rem] overflow-y-auto divide-y divide-gray-100 dark:divide-gray-800">
+                    {visibleTables.map(table => {
+                        const allowed = isTableAllowed(value, table.name);
+                        const deniedColumns = value.tables[table.name]?.deniedColumns || [];
+                        const isExpanded = expandedTables.includes(table.name) || (query && !table.name.toLowerCase().includes(query));
+                        return (
+                            <li key={table.name}>
+                                <div className="flex items-center gap-2 px-3 py-2">
+                                    <button
+                                        type="button"
+                                        onClick={() => toggleExpanded(table.name)}
+                                        disabled={!allowed}
+                                        className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 disabled:opacity-30"
+                                        aria-label={isExpanded ? `Hide columns of ${table.name}` : `Show columns of ${table.name}`}
+                                    >
+                                        {isExpanded && allowed ? <FaChevronDown className="w-3 h-3" /> : <FaChevronRight className="w-3 h-3" />}
+                                    </button>
+                                    <FaTable className={`w-3 h-3 flex-shrink-0 ${allowed ? 'text-gray-400' : 'text-red-400'}`} />
+                                    <span className={`flex-1 font-mono text-sm truncate ${allowed ? 'text-gray-800 dark:text-gray-200' : 'text-gray-400 line-through'}`}>
+                                        {table.name}
+                                    </span>
+                                    {allowed && deniedColumns.length > 0 && (
+                                        <span className="text-xs text-red-600 dark:text-red-400">
+                                            {deniedColumns.length} column{deniedColumns.length === 1 ? '' : 's'} denied
+                                        </span>
+                                    )}
+                                    <div className="flex rounded-lg border border-gray-200 dark:border-gray-700 p-0.5">
+                                        {['allow', 'deny'].map(access => (
+                                            <button
+                                                key={access}
+                                                type="button"
+                                                onClick={() => onChange(setTableAccess(value, table.name, access))}
+                                                disabled={readOnly}
+                                                className={accessButtonClasses(allowed === (access === 'allow'), access)}
+                                            >
+                                                {access === 'allow' ? 'Allow' : 'Deny'}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                {isExpanded && allowed && (
+                                    <ul className="pl-12 pr-3 pb-2 grid grid-cols-1 sm:grid-cols-2 gap-1">
+                                        {table.columns.map(column => {
+                                            const columnAllowed = isColumnAllowed(value, table.name, column.name);
+                                            return (
+                                                <li key={column.name}>
+                                                    <label className={`flex items-center gap-2 px-2 py-1 rounded text-sm ${readOnly ? '' : 'cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800'}`}>
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={columnAllowed}
+                                                            onChange={(e) => onChange(setColumnAccess(value, table.name, column.name, e.target.checked))}
+                                                            disabled={readOnly}
+                                                            className="w-4 h-4 accent-sky-500"
+                                                        />
+                                                        {columnAllowed
+                                                            ? <FaLockOpen className="w-3 h-3 text-gray-300 dark:text-gray-600" />
+                                                            : <FaLock className="w-3 h-3 text-red-500" />}
+                                                        <span className={`font-mono truncate ${columnAllowed ? 'text-gray-700 dark:text-gray-300' : 'text-gray-400 line-through'}`}>
+                                                            {column.name}
+                                                        </span>
+                                                        <span className="ml-auto text-xs text-gray-400 truncate">{column.type}</span>
+                                                    </label>
+                                                </li>
+                                            );
+                                        })}
+                                    </ul>
+                                )}
+                            </li>
+                        );
+                    })}
+                    {visibleTables.length === 0 && (
+                        <li className="px-3 py-4 text-center text-sm text-gray-500 dark:text-gray-400">
+                            No tables or columns match &quot;{search}&quot;
+                        </li>
+                    )}
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+export default AccessPolicyEditor;
@@ -0,0 +1,39 @@
+// Agent preview component
+// Shows how the project's agent introduces itself with the chosen name, avatar and tone
+'use client';
+
+import { BOT_TONES, DEFAULT_TONE } from '@/lib/projectWizard';
+
+const AgentPreview = ({ botName, botAvatar, botTone, projectName }) => {
+    const tone = BOT_TONES[botTone] || BOT_TONES[DEFAULT_TONE];
+    const name = botName || 'AI Assistant';
+
+    return (
+        <div className="rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800/60 p-4">
+            <p className="text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-3">Preview</p>
+            <div className="flex items-start gap-3">
+                {botAvatar ? (
+                    <img src={botAvatar} alt={name} className="w-10 h-10 rounded-full object-cover flex-shrink-0" />
+                ) : (
+                    <div className="w-10 h-10 rounded-full bg-sky-500 flex items-center justify-center text-white font-semibold flex-shrink-0">
+                        {name.charAt(0).toUpperCase()}
+                    </div>
+                )}
+                <div className="min-w-0">
+                    <p className="text-sm font-semibold text-gray-900 dark:text-white">
+                        {name}
+                        <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">{tone.label}</span>
+                    </p>
+                    <div className="mt-1 inline-block px-4 py-2 rounded-2xl rounded-tl-sm bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 text-sm text-gray-800 dark:text-gray-200">
+                        {tone.greeting}
+                        {projectName && (
+                            <span className="block mt-1 text-xs text-gray-500 dark:text-gray-400">Connected to {projectName}</span>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AgentPreview;
@@ -0,0 +1,119 @@
+// Connection test panel component
+// Tests a project's database connection details before saving and shows latency, server version and visible tables
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { FaPlug, FaCheckCircle, FaExclamationTriangle } from 'react-icons/fa';
+import { testProjectConnection, resetConnectionTest } from '@/lib/store/users-panel/projects/projectSlice';
+import { CONNECTION_ERROR_TYPES } from '@/lib/databaseEngines';
+
+const TABLE_PREVIEW_LIMIT = 12;
+
+// `connection` is the payload the form would save; `projectId` is set when editing
+const ConnectionTestPanel = ({ connection, projectId = null }) => {
+    const dispatch = useDispatch();
+    const { status, result, error } = useSelector((state) => state.projects.connectionTest);
+    const [testedConnection, setTestedConnection] = useState(null);
+    const [showAllTables, setShowAllTables] = useState(false);
+
+    // Results belong to the form that ran them
+    useEffect(() => {
+        dispatch(resetConnectionTest());
+        return () => dispatch(resetConnectionTest());
+    }, [dispatch]);
+
+    const connectionKey = JSON.stringify(connection);
+    const isStale = testedConnection !== null && testedConnection !== connectionKey && status !== 'loading';
+
+    const handleTest = () => {
+        setTestedConnection(connectionKey);
+        setShowAllTables(false);
+        dispatch(testProjectConnection({ projectId, connection }));
+    };
+
+    const errorInfo = error ? CONNECTION_ERROR_TYPES[error.errorType] || CONNECTION_ERROR_TYPES.unknown : null;
+    const tables = result?.tables || [];
+    const visibleTables = showAllTables ? tables : tables.slice(0, TABLE_PREVIEW_LIMIT);
+
+    return (
+        <div className="mt-6 space-y-3">
+            <div className="flex flex-wrap items-center gap-3">
+                <button
+                    type="button"
+                    onClick={handleTest}
+                    disabled={status === 'loading'}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg border-2 border-sky-500 text-sky-600 dark:text-sky-400 text-sm font-medium hover:bg-sky-50 dark:hover:bg-sky-900/20 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    <FaPlug className={status === 'loading' ? 'animate-pulse' : ''} />
+                    {status === 'loading' ? 'Testing connection...' : 'Test connection'}
+                </button>
+                {isStale && (status === 'succeeded' || status === 'failed') && (
+                    <span className="text-xs text-amber-600 dark:text-amber-400">
+                        Connection details changed since the last test
+                    </span>
+                )}
+            </div>
+
+            {status === 'succeeded' && result && (
+                <div className="p-4 rounded-lg border border-green-200 dark:border-green-900/50 bg-green-50 dark:bg-green-900/20">
+                    <p className="flex items-center gap-2 text-sm font-semibold text-green-700 dark:text-green-300">
+                        <FaCheckCircle />
+                        Connected successfully
+                    </p>
+                    <dl className="mt-2 grid grid-cols-1 sm:grid-cols-3 gap-2 text-xs">
+                        <div>
+                            <dt className="text-gray-500 dark:text-gray-400">Latency</dt>
+                            <dd className="font-medium text-gray-800 dark:text-gray-200">
+                                {result.latencyMs !== null ? `${Math.round(result.latencyMs)} ms` : '—'}
+                            </dd>
+                        </div>
+                        <div>
+                            <dt className="text-gray-500 dark:text-gray-400">Server version</dt>
+                            <dd className="font-medium text-gray-800 dark:text-gray-200 break-words">{result.serverVersion || '—'}</dd>
+                        </div>
+                        <div>
+                            <dt className="text-gray-500 dark:text-gray-400">Visible tables</dt>
+                            <dd className="font-medium text-gray-800 dark:text-gray-200">{tables.length}</dd>
+                        </div>
+                    </dl>
+                    {tables.length > 0 ? (
+                        <div className="mt-3 flex flex-wrap gap-1.5">
+                            {visibleTables.map(table => (
+                                <span key={table} className="px-2 py-0.5 text-xs font-mono rounded bg-white dark:bg-gray-800 border border-green-200 dark:border-green-900/50 text-gray-700 dark:text-gray-300">
+                                    {table}
+                                </span>
+                            ))}
+                            {tables.length > TABLE_PREVIEW_LIMIT && (
+                                <button
+                                    type="button"
+                                    onClick={() => setShowAllTables(!showAllTables)}
+                                    className="px-2 py-0.5 text-xs text-green-700 dark:text-green-300 hover:underline"
+                                >
+                                    {showAllTables ? 'Show less' : `+${tables.length - TABLE_PREVIEW_LIMIT} more`}
+                                </button>
+                            )}
+                        </div>
+                    ) : (
+                        <p className="mt-3 text-xs text-amber-600 dark:text-amber-400">
+                            This user cannot see any tables. Check its permissions before chatting with the database.
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {status === 'failed' && error && (
+                <div className="p-4 rounded-lg border border-red-200 dark:border-red-900/50 bg-red-50 dark:bg-red-900/20">
+                    <p className="flex items-center gap-2 text-sm font-semibold text-red-700 dark:text-red-300">
+                        <FaExclamationTriangle />
+                        {errorInfo.label}
+                    </p>
+                    <p className="mt-1 text-xs text-gray-700 dark:text-gray-300">{errorInfo.hint}</p>
+                    <p className="mt-2 text-xs font-mono text-red-600 dark:text-red-400 break-words">{error.message}</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ConnectionTestPanel;
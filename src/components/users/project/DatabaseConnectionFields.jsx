@@ -0,0 +1,134 @@
+// Database connection fields component
+// Engine selector plus the connection inputs, default port and help text of the chosen engine
+'use client';
+
+import { FaDatabase, FaUserShield, FaKey, FaServer, FaFileAlt, FaCloud, FaLayerGroup, FaUserTag, FaWarehouse, FaNetworkWired } from 'react-icons/fa';
+import { CONNECTION_FIELDS, DATABASE_ENGINES, getEngine } from '@/lib/databaseEngines';
+import NetworkOptionsFields from '@/components/users/project/NetworkOptionsFields';
+import ConnectionStringField from '@/components/users/project/ConnectionStringField';
+
+const FIELD_ICONS = {
+    dbHost: FaDatabase,
+    dbPort: FaNetworkWired,
+    dbUser: FaUserShield,
+    dbPassword: FaKey,
+    databaseName: FaServer,
+    dbFilePath: FaFileAlt,
+    dbAccount: FaCloud,
+    dbWarehouse: FaWarehouse,
+    dbSchema: FaLayerGroup,
+    dbRole: FaUserTag,
+};
+
+const HOSTING_OPTIONS = { aws: 'Cloud (AWS RDS)', local: 'Local Database' };
+
+const toggleClasses = (isActive) => `px-4 py-2 rounded-lg border-2 transition-all text-sm ${
+    isActive
+        ? 'bg-sky-500 text-white border-sky-500 dark:bg-sky-600 dark:border-sky-600'
+        : 'bg-gray-50 text-gray-700 border-gray-300 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 hover:border-sky-400'
+}`;
+
+const getPlaceholder = (field, engine, hosting, isEdit) => {
+    if (field === 'dbPort') {
+        return engine.defaultPort ? `Default ${engine.defaultPort} for ${engine.label}` : 'Port number';
+    }
+    if (field === 'dbHost' && engine.supportsHosting && hosting === 'aws') {
+        return 'e.g., my-db.cluster-123456789012.us-east-1.rds.amazonaws.com';
+    }
+    if (isEdit && field === 'dbPassword') {
+        return 'Enter new password';
+    }
+    return CONNECTION_FIELDS[field].placeholder;
+};
+
+// `values` holds dbEngine and the connection fields; `onValuesChange` receives partial updates
+const DatabaseConnectionFields = ({ values, onValuesChange, errors = {}, hosting, onHostingChange, isEdit = false }) => {
+    const engineKey = values.dbEngine;
+    const engine = getEngine(engineKey);
+
+    // Move the port along with the engine unless the user typed their own
+    const handleEngineChange = (nextKey) => {
+        const portIsDefault = !values.dbPort || values.dbPort === engine.defaultPort;
+        onValuesChange({
+            dbEngine: nextKey,
+            ...(portIsDefault && { dbPort: DATABASE_ENGINES[nextKey].defaultPort }),
+        });
+    };
+
+    return (
+        <div>
+            <ConnectionStringField values={values} onValuesChange={onValuesChange} isEdit={isEdit} />
+
+            {/* Database Engine Selector */}
+            <div className="mb-6">
+                <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3 block">
+                    Database Engine
+                </label>
+                <div className="flex flex-wrap gap-3">
+                    {Object.entries(DATABASE_ENGINES).map(([key, { label }]) => (
+                        <button key={key} type="button" onClick={() => handleEngineChange(key)} className={toggleClasses(engineKey === key)}>
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {engine.supportsHosting && (
+                <div className="mb-6">
+                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3 block">
+                        Hosting
+                    </label>
+                    <div className="flex gap-4">
+                        {Object.entries(HOSTING_OPTIONS).map(([key, label]) => (
+                            <button key={key} type="button" onClick={() => onHostingChange(key)} className={toggleClasses(hosting === key)}>
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <p className="text-xs mb-4 text-gray-600 dark:text-gray-500">
+                {engine.help}
+                {isEdit && ' Leave fields blank to keep them unchanged.'}
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {engine.fields.map(field => {
+                    const Icon = FIELD_ICONS[field];
+                    const isRequired = !isEdit && engine.required.includes(field);
+                    return (
+                        <div key={field} className={`space-y-2 ${field === 'dbFilePath' ? 'md:col-span-2' : ''}`}>
+                            <label htmlFor={field} className="text-sm font-medium flex items-center text-gray-700 dark:text-gray-300">
+                                <Icon className="text-gray-500 dark:text-gray-400" />
+                                <span className="ml-2">
+                                    {CONNECTION_FIELDS[field].label}
+                                    {isRequired && <span className="text-sky-500 dark:text-sky-400 ml-1">*</span>}
+                                </span>
+                            </label>
+                            <input
+                                type={CONNECTION_FIELDS[field].type || 'text'}
+                                id={field}
+                                name={field}
+                                value={values[field] || ''}
+                                onChange={(e) => onValuesChange({ [field]: e.target.value })}
+                                className={`w-full px-4 py-3 rounded-lg border outline-none transition
+                                           bg-gray-50 text-gray-900 dark:bg-gray-800 dark:text-white
+                                           ${errors[field] ? 'border-red-500' : 'border-gray-300 dark:border-gray-700'}
+                                           focus:border-sky-500 focus:ring-2 focus:ring-sky-500/50
+                                           dark:focus:border-sky-400 dark:focus:ring-sky-400/50`}
+                                placeholder={getPlaceholder(field, engine, hosting, isEdit)}
+                            />
+                            {errors[field] && <p className="text-red-500 text-xs mt-1">{errors[field]}</p>}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {engine.supportsNetworkOptions && (
+                <NetworkOptionsFields values={values} onValuesChange={onValuesChange} errors={errors} isEdit={isEdit} />
+            )}
+        </div>
+    );
+};
+
+export default DatabaseConnectionFields;
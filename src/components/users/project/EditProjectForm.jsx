@@ -5,9 +5,19 @@
 import { useState, useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { useParams, useRouter } from 'next/navigation';
-import { getProjectById, updateProject, reset } from '@/lib/store/users-panel/projects/projectSlice';
+import { getProjectById, updateProject, getProjectSchema, reset } from '@/lib/store/users-panel/projects/projectSlice';
+import GlossaryEditor from '@/components/users/project/GlossaryEditor';
+import DatabaseConnectionFields from '@/components/users/project/DatabaseConnectionFields';
+import ConnectionTestPanel from '@/components/users/project/ConnectionTestPanel';
+import { DEFAULT_ENGINE, DEFAULT_NETWORK_OPTIONS, getEngine, detectEngine, buildConnectionSchema, toConnectionPayload, getSavedNetworkOptions } from '@/lib/databaseEngines';
+import { EMPTY_GLOSSARY, normalizeGlossary, getDuplicateTerms, toGlossaryPayload } from '@/lib/glossary';
+import { BOT_TONES, DEFAULT_TONE } from '@/lib/projectWizard';
+import { EMPTY_ACCESS_POLICY, getProjectAccessPolicy, toAccessPolicyPayload } from '@/lib/accessPolicy';
+import AccessPolicyEditor from '@/components/users/project/AccessPolicyEditor';
+import { getProjectMaskingRules, toMaskingRulesPayload, toPatternRegExp } from '@/lib/dataMasking';
+import MaskingRulesEditor from '@/components/users/project/MaskingRulesEditor';
 import * as Yup from 'yup';
-import { FaFolder, FaDatabase, FaUserShield, FaKey, FaInfoCircle, FaRobot, FaImage, FaArrowRight, FaCheckCircle, FaServer } from 'react-icons/fa';
+import { FaFolder, FaInfoCircle, FaRobot, FaImage, FaArrowRight, FaCheckCircle, FaComments } from 'react-icons/fa';
 
 // Reusable Input Component with theme classes
 const FormInput = ({ icon, id, label, value, onChange, type = 'text', placeholder, error }) => (
@@ -59,6 +69,32 @@ const FormTextArea = ({ icon, id, label, value, onChange, placeholder, rows = 4,
     </div>
 );
 
+// Reusable Select Component with theme classes; options are [{ value, label }]
+const FormSelect = ({ icon, id, label, value, onChange, options, error }) => (
+    <div className="space-y-2">
+        <label htmlFor={id} className="text-sm font-medium flex items-center text-gray-700 dark:text-gray-300">
+            {icon}
+            <span className="ml-2">{label}</span>
+        </label>
+        <select
+            id={id}
+            name={id}
+            value={value}
+            onChange={onChange}
+            className={`w-full px-4 py-3 rounded-lg border outline-none transition
+                       bg-gray-50 text-gray-900 dark:bg-gray-800 dark:text-white
+                       ${error ? 'border-red-500' : 'border-gray-300 dark:border-gray-700'}
+                       focus:border-sky-500 focus:ring-2 focus:ring-sky-500/50
+                       dark:focus:border-sky-400 dark:focus:ring-sky-400/50`}
+        >
+            {options.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+        </select>
+        {error && <p className="text-red-500 text-xs mt-1">{error}</p>}
+    </div>
+);
+
 // Dummy avatar data
 const avatars = [
     '/bot-avatar-1.png',
@@ -66,21 +102,22 @@ const avatars = [
 ];
 
 // Validation schema for editing
+// Database fields are optional in edit mode - user can leave blank to keep unchanged
 const editProjectSchema = Yup.object().shape({
     projectName: Yup.string().required('Project Name is required'),
-    // Database fields are optional in edit mode - user can leave blank to keep unchanged
-    dbHost: Yup.string(),
-    dbUser: Yup.string(),
-    dbPassword: Yup.string(),
-    dbPort: Yup.string(),
-    databaseName: Yup.string(),
 });
 
 const EditProjectForm = () => {
     const [formData, setFormData] = useState({
-        projectName: '', projectInfo: '', dbHost: '', dbUser: '', dbPassword: '', dbPort: '3306', databaseName: '', dbInfo: '', botName: '',
+        projectName: '', projectInfo: '', dbEngine: DEFAULT_ENGINE, dbHost: '', dbUser: '', dbPassword: '', dbPort: getEngine(DEFAULT_ENGINE).defaultPort,
+        databaseName: '', dbFilePath: '', dbAccount: '', dbWarehouse: '', dbSchema: '', dbRole: '', dbInfo: '', botName: '',
+        botTone: DEFAULT_TONE, ...DEFAULT_NETWORK_OPTIONS,
     });
     const [selectedAvatar, setSelectedAvatar] = useState('');
+    const [glossary, setGlossary] = useState(EMPTY_GLOSSARY);
+    const [accessPolicy, setAccessPolicy] = useState(EMPTY_ACCESS_POLICY);
+    const [maskingRules, setMaskingRules] = useState([]);
+    const [isClient, setIsClient] = useState(false);
     const [errors, setErrors] = useState({});
     const [dbType, setDbType] = useState('aws'); // 'local' or 'aws'
 
@@ -89,17 +126,29 @@ const EditProjectForm = () => {
     const params = useParams();
     const { projectId } = params;
 
-    const { project, status, isLoading, isSuccess, isError } = useSelector((state) => state.projects);
+    const { project, status, isLoading, isSuccess, isError, schema, schemaStatus } = useSelector((state) => state.projects);
+    const { user } = useSelector((state) => state.auth);
+    // The stored user is only known in the browser
+    const isAdmin = isClient && user?.role === 'admin';
+    // Blank connection fields keep their saved values only while the engine is unchanged
+    const savedEngine = project?.id === projectId ? detectEngine(project) : formData.dbEngine;
+
+    useEffect(() => {
+        setIsClient(true);
+    }, []);
 
     useEffect(() => {
         if (projectId) {
             dispatch(getProjectById(projectId));
+            // Table and column names for the glossary editor
+            dispatch(getProjectSchema(projectId));
         }
     }, [projectId, dispatch]);
 
     useEffect(() => {
         if (project && project.id === projectId) {
             const currentDbHost = project.dbHost || project.db_host || '';
+            const engine = detectEngine(project);
             // Detect if it's local or AWS based on the host
             const detectedType = (currentDbHost === 'localhost' || currentDbHost === '127.0.0.1' || currentDbHost === '') ? 'local' : 'aws';
             setDbType(detectedType);
@@ -109,13 +158,26 @@ const EditProjectForm = () => {
                 projectInfo: project.project_info || '',
                 dbInfo: project.db_info || '',
                 botName: project.bot_name || '',
+                botTone: BOT_TONES[project.bot_tone] ? project.bot_tone : DEFAULT_TONE,
                 dbHost: currentDbHost, // Show current host
                 dbUser: '', // Leave blank - user can enter new username
                 dbPassword: '', // Leave blank - user can enter new password
-                dbPort: project.db_port || '3306', // Show current port
+                dbPort: project.db_port || getEngine(engine).defaultPort, // Show current port
                 databaseName: '', // Leave blank - user can enter new database name
+                dbEngine: engine,
+                // Non-secret engine settings are shown as saved
+                dbFilePath: project.db_file_path || '',
+                dbAccount: project.db_account || '',
+                dbWarehouse: project.db_warehouse || '',
+                dbSchema: project.db_schema || '',
+                dbRole: project.db_role || '',
+                // SSL/SSH settings without certificates, keys or passwords
+                ...getSavedNetworkOptions(project),
             });
             setSelectedAvatar(project.bot_avatar || '');
+            setGlossary(normalizeGlossary(project.glossary));
+            setAccessPolicy(getProjectAccessPolicy(project));
+            setMaskingRules(getProjectMaskingRules(project));
         }
     }, [project, projectId]);
 
@@ -126,10 +188,29 @@ const EditProjectForm = () => {
         setFormData(prev => ({ ...prev, [id]: value }));
     };
 
+    const handleHostingChange = (hosting) => {
+        setDbType(hosting);
+        if (hosting === 'aws' && (formData.dbHost === 'localhost' || formData.dbHost === '127.0.0.1')) {
+            setFormData(prev => ({ ...prev, dbHost: '' }));
+        } else if (hosting === 'local' && (!formData.dbHost || formData.dbHost.includes('rds.amazonaws.com'))) {
+            setFormData(prev => ({ ...prev, dbHost: 'localhost' }));
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         try {
-            await editProjectSchema.validate(formData, { abortEarly: false });
+            await editProjectSchema
+                .concat(buildConnectionSchema(formData.dbEngine, { isEdit: true, savedEngine }))
+                .validate(formData, { abortEarly: false });
+            if (getDuplicateTerms(glossary).length) {
+                setErrors({ glossary: 'Each business term can only be defined once' });
+                return;
+            }
+            if (maskingRules.some(rule => rule.type === 'pattern' && rule.target && !toPatternRegExp(rule.target))) {
+                setErrors({ maskingRules: 'Fix or remove the invalid masking patterns' });
+                return;
+            }
             setErrors({});
             
             // Prepare data to submit - map form fields to API expected format
@@ -140,14 +221,20 @@ const EditProjectForm = () => {
             
             // Add optional fields only if they have values
             if (formData.projectInfo) dataToSubmit.projectInfo = formData.projectInfo;
-            if (formData.dbHost) dataToSubmit.dbHost = formData.dbHost;
-            if (formData.dbUser) dataToSubmit.dbUser = formData.dbUser;
-            if (formData.dbPassword) dataToSubmit.dbPassword = formData.dbPassword;
-            if (formData.dbPort) dataToSubmit.dbPort = formData.dbPort;
-            if (formData.databaseName) dataToSubmit.databaseName = formData.databaseName;
+            Object.entries(toConnectionPayload(formData.dbEngine, formData)).forEach(([field, value]) => {
+                // Switches like sshEnabled are sent even when turned off
+                if (value || typeof value === 'boolean') dataToSubmit[field] = value;
+            });
             if (formData.dbInfo) dataToSubmit.dbInfo = formData.dbInfo;
             if (formData.botName) dataToSubmit.botName = formData.botName;
             if (selectedAvatar) dataToSubmit.botAvatar = selectedAvatar;
+            dataToSubmit.botTone = formData.botTone;
+            // Always sent so removing every term clears the glossary
+            dataToSubmit.glossary = toGlossaryPayload(glossary);
+            if (isAdmin) {
+                dataToSubmit.accessPolicy = toAccessPolicyPayload(accessPolicy);
+                dataToSubmit.maskingRules = toMaskingRulesPayload(maskingRules);
+            }
             
             const result = await dispatch(updateProject({ projectId, projectData: dataToSubmit }));
             
@@ -196,107 +283,15 @@ const EditProjectForm = () => {
                                              text-gray-900 dark:text-white
                                              border-gray-200 dark:border-gray-700">Database Credentials</h2>
                                 
-                                {/* Database Type Selector */}
-                                <div className="mb-6">
-                                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3 block">
-                                        Database Type
-                                    </label>
-                                    <div className="flex gap-4">
-                                        <button
-                                            type="button"
-                                            onClick={() => {
-                                                setDbType('aws');
-                                                if (!formData.dbHost || formData.dbHost === 'localhost' || formData.dbHost === '127.0.0.1') {
-                                                    setFormData({ ...formData, dbHost: '' });
-                                                }
-                                            }}
-                                            className={`px-4 py-2 rounded-lg border-2 transition-all ${
-                                                dbType === 'aws'
-                                                    ? 'bg-sky-500 text-white border-sky-500 dark:bg-sky-600 dark:border-sky-600'
-                                                    : 'bg-gray-50 text-gray-700 border-gray-300 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 hover:border-sky-400'
-                                            }`}
-                                        >
-                                            AWS RDS
-                                        </button>
-                                        <button
-                                            type="button"
-                                            onClick={() => {
-                                                setDbType('local');
-                                                if (!formData.dbHost || formData.dbHost.includes('rds.amazonaws.com')) {
-                                                    setFormData({ ...formData, dbHost: 'localhost' });
-                                                }
-                                            }}
-                                            className={`px-4 py-2 rounded-lg border-2 transition-all ${
-                                                dbType === 'local'
-                                                    ? 'bg-sky-500 text-white border-sky-500 dark:bg-sky-600 dark:border-sky-600'
-                                                    : 'bg-gray-50 text-gray-700 border-gray-300 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 hover:border-sky-400'
-                                            }`}
-                                        >
-                                            Local Database
-                                        </button>
-                                    </div>
-                                </div>
-
-                                <p className="text-xs -mt-4 mb-4 text-gray-600 dark:text-gray-500">
-                                    {dbType === 'aws' 
-                                        ? 'Update your AWS RDS MySQL connection details. Leave fields blank to keep them unchanged.'
-                                        : 'Update your local MySQL database connection details. Leave fields blank to keep them unchanged.'
-                                    }
-                                </p>
-                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                                    <FormInput 
-                                        icon={<FaDatabase className="text-gray-500 dark:text-gray-400"/>} 
-                                        id="dbHost" 
-                                        label="Database Host" 
-                                        value={formData.dbHost} 
-                                        onChange={handleInputChange} 
-                                        error={errors.dbHost} 
-                                        placeholder={dbType === 'aws' 
-                                            ? 'Enter new host (e.g., my-db.cluster-123456789012.us-east-1.rds.amazonaws.com)'
-                                            : 'Enter new host (e.g., localhost or 127.0.0.1)'
-                                        } 
-                                    />
-                                    <FormInput 
-                                        icon={<FaUserShield className="text-gray-500 dark:text-gray-400"/>} 
-                                        id="dbUser" 
-                                        label="Database User" 
-                                        value={formData.dbUser} 
-                                        onChange={handleInputChange} 
-                                        error={errors.dbUser} 
-                                        placeholder={dbType === 'aws' ? 'Enter new username (e.g., rds_admin)' : 'Enter new username (e.g., root)'} 
-                                    />
-                                    <FormInput 
-                                        icon={<FaKey className="text-gray-500 dark:text-gray-400"/>} 
-                                        id="dbPassword" 
-                                        type="password" 
-                                        label="Database Password" 
-                                        value={formData.dbPassword} 
-                                        onChange={handleInputChange} 
-                                        error={errors.dbPassword} 
-                                        placeholder="Enter new password" 
-                                    />
-                                    <FormInput 
-                                        icon={<FaServer className="text-gray-500 dark:text-gray-400"/>} 
-                                        id="databaseName" 
-                                        label="Database Name" 
-                                        value={formData.databaseName} 
-                                        onChange={handleInputChange} 
-                                        error={errors.databaseName} 
-                                        placeholder="Enter new database name (e.g., chatbot)" 
-                                    />
-                                    <FormInput 
-                                        icon={<FaDatabase className="text-gray-500 dark:text-gray-400"/>} 
-                                        id="dbPort" 
-                                        label="Database Port" 
-                                        value={formData.dbPort} 
-                                        onChange={handleInputChange} 
-                                        error={errors.dbPort} 
-                                        placeholder={dbType === 'aws' 
-                                            ? 'Default 3306 for AWS RDS MySQL'
-                                            : 'Default 3306 for local MySQL'
-                                        } 
-                                    />
-                                </div>
+                                <DatabaseConnectionFields
+                                    values={formData}
+                                    onValuesChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+                                    errors={errors}
+                                    hosting={dbType}
+                                    onHostingChange={handleHostingChange}
+                                    isEdit={formData.dbEngine === savedEngine}
+                                />
+                                <ConnectionTestPanel connection={toConnectionPayload(formData.dbEngine, formData)} projectId={projectId} />
                             </section>
 
                             <section>
@@ -305,6 +300,17 @@ const EditProjectForm = () => {
                                              border-gray-200 dark:border-gray-700">AI Agent Configuration</h2>
                                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                                     <FormInput icon={<FaRobot className="text-gray-500 dark:text-gray-400"/>} id="botName" label="AI Agent Name (Optional)" value={formData.botName} onChange={handleInputChange} error={errors.botName} />
+                                    <FormSelect
+                                        icon={<FaComments className="text-gray-500 dark:text-gray-400" />}
+                                        id="botTone"
+                                        label="Tone"
+                                        value={formData.botTone}
+                                        onChange={handleInputChange}
+                                        options={Object.entries(BOT_TONES).map(([key, tone]) => ({
+                                            value: key,
+                                            label: `${tone.label} — ${tone.description}`,
+                                        }))}
+                                    />
                                     <div className="md:col-span-2">
                                         <FormTextArea icon={<FaInfoCircle className="text-gray-500 dark:text-gray-400"/>} id="dbInfo" label="Database Information (Optional)" value={formData.dbInfo} onChange={handleInputChange} error={errors.dbInfo} />
                                     </div>
@@ -322,6 +328,47 @@ const EditProjectForm = () => {
                                 </div>
                             </section>
 
+                            <section>
+                                <h2 className="text-xl font-semibold border-b pb-3 mb-6
+                                             text-gray-900 dark:text-white
+                                             border-gray-200 dark:border-gray-700">Business Glossary</h2>
+                                <GlossaryEditor
+                                    value={glossary}
+                                    onChange={setGlossary}
+                                    tables={schema.projectId === projectId ? schema.tables : []}
+                                />
+                                {errors.glossary && <p className="text-red-500 text-xs mt-3">{errors.glossary}</p>}
+                            </section>
+
+                            <section>
+                                <h2 className="text-xl font-semibold border-b pb-3 mb-6
+                                             text-gray-900 dark:text-white
+                                             border-gray-200 dark:border-gray-700">Data Access Policy</h2>
+                                {schemaStatus === 'loading' ? (
+                                    <p className="text-sm text-gray-500 dark:text-gray-400">Loading tables...</p>
+                                ) : (
+                                    <AccessPolicyEditor
+                                        value={accessPolicy}
+                                        onChange={setAccessPolicy}
+                                        tables={schema.projectId === projectId ? schema.tables : []}
+                                        readOnly={!isAdmin}
+                                    />
+                                )}
+                            </section>
+
+                            <section>
+                                <h2 className="text-xl font-semibold border-b pb-3 mb-6
+                                             text-gray-900 dark:text-white
+                                             border-gray-200 dark:border-gray-700">Personal Data Masking</h2>
+                                <MaskingRulesEditor
+                                    value={maskingRules}
+                                    onChange={setMaskingRules}
+                                    tables={schema.projectId === projectId ? schema.tables : []}
+                                    readOnly={!isAdmin}
+                                />
+                                {errors.maskingRules && <p className="text-red-500 text-xs mt-3">{errors.maskingRules}</p>}
+                            </section>
+
                             <div className="flex justify-end pt-6 border-t border-gray-200 dark:border-gray-700">
                                 <button type="submit" className="bg-sky-500 hover:bg-sky-600 text-white font-medium py-3 px-6 rounded-lg flex items-center transition transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed" disabled={isLoading}>
                                     {isLoading ? 'Updating...' : 'Save Changes'}
@@ -0,0 +1,222 @@
+// Glossary editor component
+// Edits a project's business terms (mapped to tables, columns or SQL) and column descriptions
+'use client';
+
+import { FaPlus, FaTrash, FaBook, FaColumns } from 'react-icons/fa';
+import {
+    GLOSSARY_MAPPING_TYPES,
+    createGlossaryTerm,
+    createColumnDescription,
+    getDuplicateTerms,
+} from '@/lib/glossary';
+
+const inputClasses = `w-full px-3 py-2 rounded-lg border outline-none transition text-sm
+                      bg-gray-50 text-gray-900 dark:bg-gray-800 dark:text-white
+                      border-gray-300 dark:border-gray-700
+                      focus:border-sky-500 focus:ring-2 focus:ring-sky-500/50
+                      dark:focus:border-sky-400 dark:focus:ring-sky-400/50`;
+
+const MAPPING_PLACEHOLDERS = {
+    table: 'e.g., customers',
+    column: 'e.g., orders.total_amount',
+    expression: "e.g., SUM(CASE WHEN status = 'active' THEN mrr END)",
+};
+
+// `tables` is the project schema when it is known, used to suggest table and column names
+const GlossaryEditor = ({ value, onChange, tables = [] }) => {
+    const duplicates = getDuplicateTerms(value);
+    const columnsOf = (tableName) => tables.find(table => table.name === tableName)?.columns || [];
+
+    const updateList = (list, id, changes) => onChange({
+        ...value,
+        [list]: value[list].map(item => (item.id === id ? { ...item, ...changes } : item)),
+    });
+    const removeFromList = (list, id) => onChange({ ...value, [list]: value[list].filter(item => item.id !== id) });
+
+    return (
+        <div className="space-y-8">
+            {/* Business terms */}
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-sm font-medium flex items-center text-gray-700 dark:text-gray-300">
+                        <FaBook className="text-gray-500 dark:text-gray-400" />
+                        <span className="ml-2">Business Terms</span>
+                    </h3>
+                    <button
+                        type="button"
+                        onClick={() => onChange({ ...value, terms: [...value.terms, createGlossaryTerm()] })}
+                        className="flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-lg border border-sky-500 text-sky-600 dark:text-sky-400 hover:bg-sky-50 dark:hover:bg-sky-900/20"
+                    >
+                        <FaPlus className="w-3 h-3" />
+                        Add term
+                    </button>
+                </div>
+                <p className="text-xs mb-4 text-gray-600 dark:text-gray-500">
+                    Define what terms like &ldquo;active customer&rdquo; or &ldquo;MRR&rdquo; mean in this database so the agent uses them consistently.
+                </p>
+
+                {value.terms.length === 0 ? (
+                    <p className="p-4 text-center text-sm rounded-lg border border-dashed border-gray-300 dark:border-gray-700 text-gray-500 dark:text-gray-400">
+                        No business terms yet
+                    </p>
+                ) : (
+                    <div className="space-y-4">
+                        {value.terms.map(term => {
+                            const isDuplicate = duplicates.includes(term.term.trim().toLowerCase());
+                            return (
+                                <div key={term.id} className="p-4 rounded-lg border border-gray-200 dark:border-gray-700 space-y-3">
+                                    <div className="flex items-start gap-3">
+                                        <div className="flex-1">
+                                            <input
+                                                type="text"
+                                                value={term.term}
+                                                onChange={(e) => updateList('terms', term.id, { term: e.target.value })}
+                                                placeholder="Term, e.g., Active customer"
+                                                className={`${inputClasses} font-medium ${isDuplicate ? '!border-red-500' : ''}`}
+                                            />
+                                            {isDuplicate && <p className="text-red-500 text-xs mt-1">This term is defined more than once</p>}
+                                        </div>
+                                        <button
+                                            type="button"
+                                            onClick={() => removeFromList('terms', term.id)}
+                                            className="p-2.5 rounded-lg text-gray-400 hover:text-red-600 dark:hover:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-800"
+                                            title="Remove term"
+                                        >
+                                            <FaTrash className="w-3.5 h-3.5" />
+                                        </button>
+                                    </div>
+                                    <div className="grid grid-cols-1 md:grid-cols-[160px_1fr] gap-3">
+                                        <select
+                                            value={term.mappingType}
+                                            onChange={(e) => updateList('terms', term.id, { mappingType: e.target.value })}
+                                            className={inputClasses}
+                                            aria-label="Maps to"
+                                        >
+                                            {Object.entries(GLOSSARY_MAPPING_TYPES).map(([type, label]) => (
+                                                <option key={type} value={type}>{label}</option>
+                                            ))}
+                                        </select>
+                                        {term.mappingType === 'expression' ? (
+                                            <textarea
+                                                value={term.mapping}
+                                                onChange={(e) => updateList('terms', term.id, { mapping: e.target.value })}
+                                                rows={2}
+                                                placeholder={MAPPING_PLACEHOLDERS.expression}
+                                                className={`${inputClasses} font-mono`}
+                                            />
+                                        ) : (
+                                            <input
+                                                type="text"
+                                                value={term.mapping}
+                                                onChange={(e) => updateList('terms', term.id, { mapping: e.target.value })}
+                                                placeholder={MAPPING_PLACEHOLDERS[term.mappingType]}
+                                                list={term.mappingType === 'table' ? 'glossary-tables' : 'glossary-columns'}
+                                                className={`${inputClasses} font-mono`}
+                                            />
+                                        )}
+                                    </div>
+                                    <input
+                                        type="text"
+                                        value={term.definition}
+                                        onChange={(e) => updateList('terms', term.id, { definition: e.target.value })}
+                                        placeholder="Definition, e.g., A customer with an order in the last 90 days"
+                                        className={inputClasses}
+                                    />
+                                    <input
+                                        type="text"
+                                        value={term.synonyms.join(', ')}
+                                        onChange={(e) => updateList('terms', term.id, {
+                                            synonyms: e.target.value.split(',').map(synonym => synonym.trimStart()),
+                                        })}
+                                        placeholder="Synonyms, comma separated, e.g., engaged customer, live account"
+                                        className={inputClasses}
+                                    />
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            {/* Column descriptions */}
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-sm font-medium flex items-center text-gray-700 dark:text-gray-300">
+                        <FaColumns className="text-gray-500 dark:text-gray-400" />
+                        <span className="ml-2">Column Descriptions</span>
+                    </h3>
+                    <button
+                        type="button"
+                        onClick={() => onChange({ ...value, columnDescriptions: [...value.columnDescriptions, createColumnDescription()] })}
+                        className="flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-lg border border-sky-500 text-sky-600 dark:text-sky-400 hover:bg-sky-50 dark:hover:bg-sky-900/20"
+                    >
+                        <FaPlus className="w-3 h-3" />
+                        Add description
+                    </button>
+                </div>
+                <p className="text-xs mb-4 text-gray-600 dark:text-gray-500">
+                    Explain columns whose names don&apos;t say what they hold, such as codes, flags or units.
+                </p>
+
+                {value.columnDescriptions.length === 0 ? (
+                    <p className="p-4 text-center text-sm rounded-lg border border-dashed border-gray-300 dark:border-gray-700 text-gray-500 dark:text-gray-400">
+                        No column descriptions yet
+                    </p>
+                ) : (
+                    <div className="space-y-3">
+                        {value.columnDescriptions.map(entry => (
+                            <div key={entry.id} className="grid grid-cols-1 md:grid-cols-[1fr_1fr_2fr_auto] gap-3 items-start">
+                                <input
+                                    type="text"
+                                    value={entry.table}
+                                    onChange={(e) => updateList('columnDescriptions', entry.id, { table: e.target.value })}
+                                    placeholder="Table"
+                                    list="glossary-tables"
+                                    className={`${inputClasses} font-mono`}
+                                />
+                                <input
+                                    type="text"
+                                    value={entry.column}
+                                    onChange={(e) => updateList('columnDescriptions', entry.id, { column: e.target.value })}
+                                    placeholder="Column"
+                                    list={`glossary-columns-${entry.id}`}
+                                    className={`${inputClasses} font-mono`}
+                                />
+                                <datalist id={`glossary-columns-${entry.id}`}>
+                                    {columnsOf(entry.table).map(column => <option key={column.name} value={column.name} />)}
+                                </datalist>
+                                <input
+                                    type="text"
+                                    value={entry.description}
+                                    onChange={(e) => updateList('columnDescriptions', entry.id, { description: e.target.value })}
+                                    placeholder="e.g., Order status: P = pending, S = shipped"
+                                    className={inputClasses}
+                                />
+                                <button
+                                    type="button"
+                                    onClick={() => removeFromList('columnDescriptions', entry.id)}
+                                    className="p-2.5 rounded-lg text-gray-400 hover:text-red-600 dark:hover:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-800"
+                                    title="Remove description"
+                                >
+                                    <FaTrash className="w-3.5 h-3.5" />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* Schema suggestions for the name inputs above */}
+            <datalist id="glossary-tables">
+                {tables.map(table => <option key={table.name} value={table.name} />)}
+            </datalist>
+            <datalist id="glossary-columns">
+                {tables.flatMap(table => table.columns.map(column => (
+                    <option key={`${table.name}.${column.name}`} value={`${table.name}.${column.name}`} />
+                )))}
+            </datalist>
+        </div>
+    );
+};
+
+export default GlossaryEditor;
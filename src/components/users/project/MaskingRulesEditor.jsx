@@ -0,0 +1,175 @@
+// Masking rules editor component
+// Edits a project's personal data masking rules (result columns or text patterns) with a live preview
+'use client';
+
+import { useState } from 'react';
+import { FaPlus, FaTrash, FaUserSecret, FaLock } from 'react-icons/fa';
+import {
+    MASKING_RULE_TYPES,
+    MASKING_STRATEGIES,
+    MASKING_PRESETS,
+    createMaskingRule,
+    toPatternRegExp,
+    maskText,
+} from '@/lib/dataMasking';
+
+const inputClasses = `w-full px-3 py-2 rounded-lg border outline-none transition text-sm
+                      bg-gray-50 text-gray-900 dark:bg-gray-800 dark:text-white
+                      border-gray-300 dark:border-gray-700
+                      focus:border-sky-500 focus:ring-2 focus:ring-sky-500/50
+                      dark:focus:border-sky-400 dark:focus:ring-sky-400/50
+                      disabled:opacity-60 disabled:cursor-not-allowed`;
+
+const SAMPLE_ANSWER = 'Jane Doe (jane.doe@example.com, +1 415-555-0132) has the highest salary.';
+
+// `tables` is the project schema when it is known, used to suggest column names
+const MaskingRulesEditor = ({ value, onChange, tables = [], readOnly = false }) => {
+    const [sample, setSample] = useState(SAMPLE_ANSWER);
+
+    const columnNames = [...new Set(tables.flatMap(table => table.columns.map(column => `${table.name}.${column.name}`)))];
+    const usedPresets = value.filter(rule => rule.type === 'pattern').map(rule => rule.target);
+
+    const updateRule = (id, changes) => onChange(value.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+    const removeRule = (id) => onChange(value.filter(rule => rule.id !== id));
+    const addPreset = (key) => onChange([
+        ...value,
+        { ...createMaskingRule('pattern', MASKING_PRESETS[key].pattern), label: MASKING_PRESETS[key].label },
+    ]);
+
+    return (
+        <div className="space-y-6">
+            <p className="text-xs text-gray-600 dark:text-gray-500">
+                Masked values are hidden in answers, result tables and exports. Admins and managers can reveal them in the chat.
+            </p>
+            {readOnly && (
+                <p className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs bg-amber-50 dark:bg-amber-900/20 text-amber-700 dark:text-amber-300">
+                    <FaLock />
+                    Only admins can change the masking rules.
+                </p>
+            )}
+
+            {!readOnly && (
+                <div className="flex flex-wrap items-center gap-2">
+                    <button
+                        type="button"
+                        onClick={() => onChange([...value, createMaskingRule('column')])}
+                        className="flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-lg border border-sky-500 text-sky-600 dark:text-sky-400 hover:bg-sky-50 dark:hover:bg-sky-900/20"
+                    >
+                        <FaPlus className="w-3 h-3" />
+                        Mask a column
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onChange([...value, createMaskingRule('pattern')])}
+                        className="flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-lg border border-sky-500 text-sky-600 dark:text-sky-400 hover:bg-sky-50 dark:hover:bg-sky-900/20"
+                    >
+                        <FaPlus className="w-3 h-3" />
+                        Mask a pattern
+                    </button>
+                    <span className="text-xs text-gray-500 dark:text-gray-400 ml-2">Presets:</span>
+                    {Object.entries(MASKING_PRESETS).map(([key, preset]) => (
+                        <button
+                            key={key}
+                            type="button"
+                            onClick={() => addPreset(key)}
+                            disabled={usedPresets.includes(preset.pattern)}
+                            className="px-2.5 py-1 text-xs rounded-full border border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:border-sky-400 disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                            {preset.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {value.length === 0 ? (
+                <p className="p-4 text-center text-sm rounded-lg border border-dashed border-gray-300 dark:border-gray-700 text-gray-500 dark:text-gray-400">
+                    No masking rules yet
+                </p>
+            ) : (
+                <div className="space-y-3">
+                    {value.map(rule => {
+                        const isInvalidPattern = rule.type === 'pattern' && rule.target && !toPatternRegExp(rule.target);
+                        return (
+                            <div key={rule.id} className="p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+                                <div className="grid grid-cols-1 md:grid-cols-[150px_1fr_190px_auto] gap-3 items-start">
+                                    <select
+                                        value={rule.type}
+                                        onChange={(e) => updateRule(rule.id, { type: e.target.value })}
+                                        disabled={readOnly}
+                                        className={inputClasses}
+                                        aria-label="Rule type"
+                                    >
+                                        {Object.entries(MASKING_RULE_TYPES).map(([type, label]) => (
+                                            <option key={type} value={type}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <div>
+                                        <input
+                                            type="text"
+                                            value={rule.target}
+                                            onChange={(e) => updateRule(rule.id, { target: e.target.value })}
+                                            disabled={readOnly}
+                                            placeholder={rule.type === 'column' ? 'e.g., employees.salary or email' : 'Regular expression, e.g., \\d{3}-\\d{2}-\\d{4}'}
+                                            list={rule.type === 'column' ? 'masking-columns' : undefined}
+                                            spellCheck={false}
+                                            className={`${inputClasses} font-mono ${isInvalidPattern ? '!border-red-500' : ''}`}
+                                        />
+                                        {isInvalidPattern && <p className="text-red-500 text-xs mt-1">This is not a valid regular expression</p>}
+                                        {rule.label && <p className="text-xs mt-1 text-gray-500 dark:text-gray-400">{rule.label}</p>}
+                                    </div>
+                                    <select
+                                        value={rule.strategy}
+                                        onChange={(e) => updateRule(rule.id, { strategy: e.target.value })}
+                                        disabled={readOnly}
+                                        className={inputClasses}
+                                        aria-label="Masking"
+                                    >
+                                        {Object.entries(MASKING_STRATEGIES).map(([strategy, { label }]) => (
+                                            <option key={strategy} value={strategy}>{label}</option>
+                                        ))}
+                                    </select>
+                                    {!readOnly && (
+                                        <button
+                                            type="button"
+                                            onClick={() => removeRule(rule.id)}
+                                            className="p-2.5 rounded-lg text-gray-400 hover:text-red-600 dark:hover:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-800"
+                                            title="Remove rule"
+                                        >
+                                            <FaTrash className="w-3.5 h-3.5" />
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {/* Pattern rules applied to a sample answer */}
+            {value.some(rule => rule.type === 'pattern') && (
+                <div className="space-y-2">
+                    <label htmlFor="maskingSample" className="text-sm font-medium flex items-center text-gray-700 dark:text-gray-300">
+                        <FaUserSecret className="text-gray-500 dark:text-gray-400" />
+                        <span className="ml-2">Try the patterns</span>
+                    </label>
+                    <textarea
+                        id="maskingSample"
+                        value={sample}
+                        onChange={(e) => setSample(e.target.value)}
+                        rows={2}
+                        className={inputClasses}
+                    />
+                    <p className="px-3 py-2 rounded-lg text-sm bg-gray-50 dark:bg-gray-800/60 border border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 break-words">
+                        {maskText(sample, value) || '—'}
+                    </p>
+                </div>
+            )}
+
+            <datalist id="masking-columns">
+                {columnNames.map(name => <option key={name} value={name} />)}
+            </datalist>
+        </div>
+    );
+};
+
+export default MaskingRulesEditor;
@@ -0,0 +1,210 @@
+// Network options fields component
+// SSL/TLS mode with certificate uploads and SSH tunnel (bastion) settings for a database connection
+'use client';
+
+import { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { FaChevronDown, FaChevronRight, FaLock, FaUpload, FaTimes, FaCheckCircle } from 'react-icons/fa';
+import { SSL_MODES, DEFAULT_NETWORK_OPTIONS } from '@/lib/databaseEngines';
+
+const MAX_KEY_FILE_BYTES = 64 * 1024;
+
+const inputClasses = (error) => `w-full px-4 py-3 rounded-lg border outline-none transition
+                                bg-gray-50 text-gray-900 dark:bg-gray-800 dark:text-white
+                                ${error ? 'border-red-500' : 'border-gray-300 dark:border-gray-700'}
+                                focus:border-sky-500 focus:ring-2 focus:ring-sky-500/50
+                                dark:focus:border-sky-400 dark:focus:ring-sky-400/50`;
+
+const Field = ({ label, error, children }) => (
+    <div className="space-y-2">
+        <label className="text-sm font-medium block text-gray-700 dark:text-gray-300">{label}</label>
+        {children}
+        {error && <p className="text-red-500 text-xs mt-1">{error}</p>}
+    </div>
+);
+
+// Reads a PEM certificate or key file into the form as text
+const PemUpload = ({ label, value, fileName, onChange, error, isEdit }) => {
+    const handleFile = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        if (file.size > MAX_KEY_FILE_BYTES) {
+            toast.error(`${file.name} is too large for a certificate or key`);
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => onChange(String(reader.result), file.name);
+        reader.onerror = () => toast.error(`Could not read ${file.name}`);
+        reader.readAsText(file);
+    };
+
+    return (
+        <Field label={label} error={error}>
+            {value ? (
+                <div className="flex items-center gap-2 px-4 py-3 rounded-lg border border-green-200 dark:border-green-900/50 bg-green-50 dark:bg-green-900/20 text-sm">
+                    <FaCheckCircle className="text-green-600 dark:text-green-400 flex-shrink-0" />
+                    <span className="flex-1 truncate text-gray-700 dark:text-gray-300">{fileName || 'Loaded'}</span>
+                    <button
+                        type="button"
+                        onClick={() => onChange('', '')}
+                        className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        aria-label={`Remove ${label}`}
+                    >
+                        <FaTimes className="w-3 h-3" />
+                    </button>
+                </div>
+            ) : (
+                <label className={`flex items-center gap-2 px-4 py-3 rounded-lg border border-dashed cursor-pointer text-sm transition
+                                   ${error ? 'border-red-500' : 'border-gray-300 dark:border-gray-700'}
+                                   text-gray-500 dark:text-gray-400 hover:border-sky-400 hover:text-sky-600 dark:hover:text-sky-400`}>
+                    <FaUpload className="flex-shrink-0" />
+                    <span>{isEdit ? 'Upload to replace the saved file' : 'Upload .pem / .crt / .key file'}</span>
+                    <input type="file" onChange={handleFile} className="hidden" />
+                </label>
+            )}
+        </Field>
+    );
+};
+
+// `values` holds the connection values; uploaded file names are kept beside them as `<field>Name`
+const NetworkOptionsFields = ({ values, onValuesChange, errors = {}, isEdit = false }) => {
+    const options = { ...DEFAULT_NETWORK_OPTIONS, ...values };
+    const [isOpen, setIsOpen] = useState(options.sshEnabled || options.sslMode !== DEFAULT_NETWORK_OPTIONS.sslMode);
+    const needsCa = options.sslMode === 'verify-ca' || options.sslMode === 'verify-full';
+    // Keep the section open while one of its fields has a validation error
+    const hasErrors = Object.keys(DEFAULT_NETWORK_OPTIONS).some(field => errors[field]);
+    const isExpanded = isOpen || hasErrors;
+
+    const pemProps = (field) => ({
+        value: options[field],
+        fileName: values[`${field}Name`],
+        onChange: (text, name) => onValuesChange({ [field]: text, [`${field}Name`]: name }),
+        error: errors[field],
+        isEdit,
+    });
+
+    return (
+        <div className="mt-6 rounded-lg border border-gray-200 dark:border-gray-700">
+            <button
+                type="button"
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex items-center gap-2 px-4 py-3 text-sm font-medium text-gray-700 dark:text-gray-300"
+            >
+                {isExpanded ? <FaChevronDown className="w-3 h-3" /> : <FaChevronRight className="w-3 h-3" />}
+                <FaLock className="text-gray-500 dark:text-gray-400" />
+                SSL/TLS and SSH tunnel
+                <span className="ml-auto text-xs font-normal text-gray-500 dark:text-gray-400">
+                    SSL: {SSL_MODES[options.sslMode]?.label}{options.sshEnabled ? ` · via ${options.sshHost || 'bastion'}` : ''}
+                </span>
+            </button>
+
+            {isExpanded && (
+                <div className="px-4 pb-5 space-y-6 border-t border-gray-200 dark:border-gray-700 pt-4">
+                    {/* SSL/TLS */}
+                    <div className="space-y-4">
+                        <Field label="SSL Mode" error={errors.sslMode}>
+                            <select
+                                value={options.sslMode}
+                                onChange={(e) => onValuesChange({ sslMode: e.target.value })}
+                                className={inputClasses(errors.sslMode)}
+                            >
+                                {Object.entries(SSL_MODES).map(([mode, { label }]) => (
+                                    <option key={mode} value={mode}>{label}</option>
+                                ))}
+                            </select>
+                            <p className="text-xs text-gray-600 dark:text-gray-500">{SSL_MODES[options.sslMode]?.help}</p>
+                        </Field>
+                        {options.sslMode !== 'disable' && (
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                <PemUpload label={`CA Certificate${needsCa ? '' : ' (Optional)'}`} {...pemProps('sslCaCert')} />
+                                <PemUpload label="Client Certificate (Optional)" {...pemProps('sslClientCert')} />
+                                <PemUpload label="Client Key (Optional)" {...pemProps('sslClientKey')} />
+                            </div>
+                        )}
+                    </div>
+
+                    {/* SSH tunnel */}
+                    <div className="space-y-4">
+                        <label className="flex items-center gap-3 text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={options.sshEnabled}
+                                onChange={(e) => onValuesChange({ sshEnabled: e.target.checked })}
+                                className="w-4 h-4 accent-sky-500"
+                            />
+                            Connect through an SSH tunnel (bastion host)
+                        </label>
+                        {options.sshEnabled && (
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <Field label="Bastion Host" error={errors.sshHost}>
+                                    <input
+                                        type="text"
+                                        value={options.sshHost}
+                                        onChange={(e) => onValuesChange({ sshHost: e.target.value })}
+                                        placeholder="e.g., bastion.example.com"
+                                        className={inputClasses(errors.sshHost)}
+                                    />
+                                </Field>
+                                <Field label="SSH Port" error={errors.sshPort}>
+                                    <input
+                                        type="text"
+                                        value={options.sshPort}
+                                        onChange={(e) => onValuesChange({ sshPort: e.target.value })}
+                                        placeholder="Default 22"
+                                        className={inputClasses(errors.sshPort)}
+                                    />
+                                </Field>
+                                <Field label="SSH User" error={errors.sshUser}>
+                                    <input
+                                        type="text"
+                                        value={options.sshUser}
+                                        onChange={(e) => onValuesChange({ sshUser: e.target.value })}
+                                        placeholder="e.g., ec2-user"
+                                        className={inputClasses(errors.sshUser)}
+                                    />
+                                </Field>
+                                <Field label="Authentication">
+                                    <select
+                                        value={options.sshAuthMethod}
+                                        onChange={(e) => onValuesChange({ sshAuthMethod: e.target.value })}
+                                        className={inputClasses()}
+                                    >
+                                        <option value="key">Private key</option>
+                                        <option value="password">Password</option>
+                                    </select>
+                                </Field>
+                                {options.sshAuthMethod === 'key' ? (
+                                    <>
+                                        <PemUpload label="Private Key" {...pemProps('sshPrivateKey')} />
+                                        <Field label="Key Passphrase (Optional)" error={errors.sshPassphrase}>
+                                            <input
+                                                type="password"
+                                                value={options.sshPassphrase}
+                                                onChange={(e) => onValuesChange({ sshPassphrase: e.target.value })}
+                                                placeholder={isEdit ? 'Leave blank to keep unchanged' : '••••••••'}
+                                                className={inputClasses(errors.sshPassphrase)}
+                                            />
+                                        </Field>
+                                    </>
+                                ) : (
+                                    <Field label="SSH Password" error={errors.sshPassword}>
+                                        <input
+                                            type="password"
+                                            value={options.sshPassword}
+                                            onChange={(e) => onValuesChange({ sshPassword: e.target.value })}
+                                            placeholder={isEdit ? 'Leave blank to keep unchanged' : '••••••••'}
+                                            className={inputClasses(errors.sshPassword)}
+                                        />
+                                    </Field>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NetworkOptionsFields;
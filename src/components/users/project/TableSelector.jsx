@@ -0,0 +1,106 @@
+// Table selector component
+// Lets the user give the agent every table of the database or only the ones they tick
+'use client';
+
+import { useState } from 'react';
+import { FaSearch, FaTable } from 'react-icons/fa';
+
+const TableSelector = ({ tables, access, selected, onAccessChange, onSelectedChange, error }) => {
+    const [search, setSearch] = useState('');
+
+    const query = search.trim().toLowerCase();
+    const visibleTables = query ? tables.filter(table => table.toLowerCase().includes(query)) : tables;
+
+    const toggleTable = (table) => {
+        onSelectedChange(selected.includes(table) ? selected.filter(name => name !== table) : [...selected, table]);
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-col sm:flex-row gap-3">
+                {[
+                    { value: 'all', label: `All tables (${tables.length})`, help: 'Including tables added to the database later.' },
+                    { value: 'selected', label: 'Only selected tables', help: 'The agent cannot query anything else.' },
+                ].map(option => (
+                    <label
+                        key={option.value}
+                        className={`flex-1 flex gap-3 p-3 rounded-lg border-2 cursor-pointer transition
+                                    ${access === option.value
+                                        ? 'border-sky-500 bg-sky-50 dark:bg-sky-900/20'
+                                        : 'border-gray-300 dark:border-gray-600 hover:border-sky-400'}`}
+                    >
+                        <input
+                            type="radio"
+                            name="tableAccess"
+                            value={option.value}
+                            checked={access === option.value}
+                            onChange={() => onAccessChange(option.value)}
+                            className="mt-1 accent-sky-500"
+                        />
+                        <span>
+                            <span className="block text-sm font-medium text-gray-800 dark:text-gray-200">{option.label}</span>
+                            <span className="block text-xs text-gray-500 dark:text-gray-400">{option.help}</span>
+                        </span>
+                    </label>
+                ))}
+            </div>
+
+            {access === 'selected' && (
+                <div className="rounded-lg border border-gray-200 dark:border-gray-700">
+                    <div className="flex flex-wrap items-center gap-3 p-3 border-b border-gray-200 dark:border-gray-700">
+                        <div className="relative flex-1 min-w-[12rem]">
+                            <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 w-3 h-3 text-gray-400" />
+                            <input
+                                type="text"
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                placeholder="Filter tables"
+                                className="w-full pl-8 pr-3 py-2 text-sm rounded-lg border outline-none bg-gray-50 text-gray-900 border-gray-300
+                                           dark:bg-gray-800 dark:text-white dark:border-gray-700 focus:border-sky-500"
+                            />
+                        </div>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">{selected.length} of {tables.length} selected</span>
+                        <button
+                            type="button"
+                            onClick={() => onSelectedChange([...new Set([...selected, ...visibleTables])])}
+                            className="text-xs font-medium text-sky-600 dark:text-sky-400 hover:underline"
+                        >
+                            Select {query ? 'matching' : 'all'}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => onSelectedChange(selected.filter(table => !visibleTables.includes(table)))}
+                            className="text-xs font-medium text-gray-500 dark:text-gray-400 hover:underline"
+                        >
+                            Clear {query ? 'matching' : 'all'}
+                        </button>
+                    </div>
+                    <ul className="max-h-72 overflow-y-auto p-2 grid grid-cols-1 sm:grid-cols-2 gap-1">
+                        {visibleTables.map(table => (
+                            <li key={table}>
+                                <label className="flex items-center gap-2 px-2 py-1.5 rounded cursor-pointer text-sm hover:bg-gray-50 dark:hover:bg-gray-800">
+                                    <input
+                                        type="checkbox"
+                                        checked={selected.includes(table)}
+                                        onChange={() => toggleTable(table)}
+                                        className="w-4 h-4 accent-sky-500"
+                                    />
+                                    <FaTable className="w-3 h-3 text-gray-400 flex-shrink-0" />
+                                    <span className="font-mono truncate text-gray-700 dark:text-gray-300" title={table}>{table}</span>
+                                </label>
+                            </li>
+                        ))}
+                        {visibleTables.length === 0 && (
+                            <li className="col-span-full px-2 py-4 text-center text-sm text-gray-500 dark:text-gray-400">
+                                No tables match &quot;{search}&quot;
+                            </li>
+                        )}
+                    </ul>
+                </div>
+            )}
+            {error && <p className="text-red-500 text-xs">{error}</p>}
+        </div>
+    );
+};
+
+export default TableSelector;
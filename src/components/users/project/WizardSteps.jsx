@@ -0,0 +1,43 @@
+// Wizard steps component
+// Numbered step indicator of the add-project wizard; finished and current steps can be clicked
+'use client';
+
+import { FaCheck } from 'react-icons/fa';
+
+const WizardSteps = ({ steps, currentStep, onStepClick }) => (
+    <ol className="flex items-center gap-2 overflow-x-auto pb-1">
+        {steps.map((step, index) => {
+            const isDone = index < currentStep;
+            const isCurrent = index === currentStep;
+            return (
+                <li key={step.id} className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                        type="button"
+                        onClick={() => onStepClick(index)}
+                        className="flex items-center gap-2 group"
+                        aria-current={isCurrent ? 'step' : undefined}
+                    >
+                        <span className={`w-7 h-7 rounded-full flex items-center justify-center text-xs font-semibold border-2 transition
+                                          ${isCurrent
+                                              ? 'bg-sky-500 border-sky-500 text-white dark:bg-sky-600 dark:border-sky-600'
+                                              : isDone
+                                                  ? 'bg-sky-50 border-sky-500 text-sky-600 dark:bg-sky-900/30 dark:text-sky-400'
+                                                  : 'border-gray-300 text-gray-500 dark:border-gray-600 dark:text-gray-400 group-hover:border-sky-400'}`}>
+                            {isDone ? <FaCheck className="w-3 h-3" /> : index + 1}
+                        </span>
+                        <span className={`text-sm whitespace-nowrap ${isCurrent
+                            ? 'font-semibold text-gray-900 dark:text-white'
+                            : 'text-gray-500 dark:text-gray-400 group-hover:text-sky-600 dark:group-hover:text-sky-400'}`}>
+                            {step.label}
+                        </span>
+                    </button>
+                    {index < steps.length - 1 && (
+                        <span className={`w-6 lg:w-10 h-0.5 ${isDone ? 'bg-sky-500' : 'bg-gray-200 dark:bg-gray-700'}`} />
+                    )}
+                </li>
+            );
+        })}
+    </ol>
+);
+
+export default WizardSteps;
@@ -0,0 +1,45 @@
+// Custom hook for exporting conversations
+// Loads a conversation with its visualizations and downloads it as Markdown, HTML or a printable PDF
+import { useState, useCallback } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { getConversationExport } from '@/lib/store/users-panel/chat/chatSlice';
+import { exportConversation, EXPORT_FORMATS } from '@/lib/conversationExport';
+
+/**
+ * Custom hook for exporting a conversation report
+ * @returns {Object} exportConversation(conversationId, format, options) and the id being exported;
+ * options.maskMessage masks each message before it is written
+ */
+export const useConversationExport = () => {
+    const dispatch = useDispatch();
+    const [exportingId, setExportingId] = useState(null);
+
+    const runExport = useCallback(async (conversationId, exportFormat, { maskMessage, ...options } = {}) => {
+        if (!conversationId || !EXPORT_FORMATS[exportFormat]) return;
+
+        setExportingId(conversationId);
+        try {
+            const { conversation, messages } = await dispatch(getConversationExport(conversationId)).unwrap();
+            if (!messages.length) {
+                toast.error('This conversation has no messages to export');
+                return;
+            }
+            await exportConversation(exportFormat, conversation, maskMessage ? messages.map(maskMessage) : messages, options);
+            if (exportFormat !== 'pdf') {
+                toast.success(`Conversation exported as ${EXPORT_FORMATS[exportFormat]}`);
+            }
+        } catch (error) {
+            console.error('Failed to export conversation:', error);
+            toast.error(typeof error === 'string' ? error : 'Failed to export conversation');
+        } finally {
+            setExportingId(null);
+        }
+    }, [dispatch]);
+
+    return {
+        exportConversation: runExport,
+        exportingId,
+        isExporting: exportingId !== null,
+    };
+};
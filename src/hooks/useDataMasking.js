@@ -0,0 +1,71 @@
+// Custom hook for a project's data masking rules
+// Decides whether answers are masked for the current user and masks them for display and export
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { setRevealMaskedValues } from '@/lib/store/users-panel/chat/chatSlice';
+import {
+    getProjectMaskingRules,
+    canUnmaskRole,
+    maskMessage as applyMaskingRules,
+    maskText,
+    maskVisualization,
+    withholdMessage,
+    withholdText,
+} from '@/lib/dataMasking';
+
+/**
+ * Custom hook for masking personal data in a project's answers
+ * @param {string} projectId - Project whose masking rules apply
+ * @returns {Object} Rules, whether the user may reveal values, the reveal switch and masking functions
+ */
+export const useDataMasking = (projectId) => {
+    const dispatch = useDispatch();
+    const { project, projects = [] } = useSelector((state) => state.projects);
+    const { user } = useSelector((state) => state.auth);
+    const revealMaskedValues = useSelector((state) => state.chat.revealMaskedValues);
+    // The stored user is only known in the browser
+    const [isClient, setIsClient] = useState(false);
+
+    useEffect(() => {
+        setIsClient(true);
+    }, []);
+
+    const currentProject = project?.id === projectId ? project : projects.find(p => p.id === projectId);
+    const rules = useMemo(() => getProjectMaskingRules(currentProject), [currentProject]);
+    // Until the project is loaded its rules are unknown, and answers are withheld rather than shown unmasked
+    const isPending = !currentProject;
+    const canUnmask = isClient && canUnmaskRole(user?.role);
+    const isMasking = (isPending || rules.length > 0) && !(canUnmask && revealMaskedValues);
+
+    const maskMessage = useCallback((message) => {
+        if (!isMasking) return message;
+        return isPending ? withholdMessage(message) : applyMaskingRules(message, rules);
+    }, [isMasking, isPending, rules]);
+
+    const maskAnswerText = useCallback((text) => {
+        if (!isMasking) return text;
+        return isPending ? withholdText(text) : maskText(text, rules);
+    }, [isMasking, isPending, rules]);
+
+    const maskChart = useCallback((visualization, resultSet) => {
+        if (!isMasking) return visualization;
+        return isPending ? null : maskVisualization(visualization, rules, resultSet);
+    }, [isMasking, isPending, rules]);
+
+    const setRevealed = useCallback((revealed) => {
+        dispatch(setRevealMaskedValues(revealed));
+    }, [dispatch]);
+
+    return {
+        rules,
+        hasRules: rules.length > 0,
+        isPending,
+        canUnmask,
+        isRevealed: canUnmask && revealMaskedValues,
+        isMasking,
+        setRevealed,
+        maskMessage,
+        maskText: maskAnswerText,
+        maskVisualization: maskChart,
+    };
+};
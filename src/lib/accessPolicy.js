@@ -0,0 +1,141 @@
+// Project access policy helpers
+// Which tables and columns of a project's database the agent may query, and checks of questions against it
+
+// `defaultAccess` applies to tables without a rule; denied columns only matter on allowed tables
+export const EMPTY_ACCESS_POLICY = { defaultAccess: 'allow', tables: {} };
+
+const ACCESS_VALUES = ['allow', 'deny'];
+
+// Policies arrive as an object or a JSON string, in camelCase or snake_case, with tables as a map or a list
+export const normalizeAccessPolicy = (policy) => {
+    if (typeof policy === 'string') {
+        try {
+            policy = JSON.parse(policy);
+        } catch {
+            policy = null;
+        }
+    }
+    if (!policy || typeof policy !== 'object') return EMPTY_ACCESS_POLICY;
+
+    const rules = Array.isArray(policy.tables)
+        ? policy.tables
+        : Object.entries(policy.tables || {}).map(([table, rule]) => ({ ...rule, table }));
+    const tables = {};
+    rules.forEach(rule => {
+        const table = rule.table || rule.name;
+        if (!table) return;
+        tables[table] = {
+            access: ACCESS_VALUES.includes(rule.access) ? rule.access : 'allow',
+            deniedColumns: [...new Set(rule.deniedColumns || rule.denied_columns || [])],
+        };
+    });
+    const defaultAccess = policy.defaultAccess || policy.default_access;
+    return { defaultAccess: ACCESS_VALUES.includes(defaultAccess) ? defaultAccess : 'allow', tables };
+};
+
+export const getProjectAccessPolicy = (project) => normalizeAccessPolicy(project?.access_policy ?? project?.accessPolicy);
+
+// A policy that only lets the agent see the given tables
+export const createAllowListPolicy = (tableNames) => ({
+    defaultAccess: 'deny',
+    tables: Object.fromEntries(tableNames.map(table => [table, { access: 'allow', deniedColumns: [] }])),
+});
+
+export const isTableAllowed = (policy, table) => (policy.tables[table]?.access || policy.defaultAccess) === 'allow';
+
+export const isColumnAllowed = (policy, table, column) =>
+    isTableAllowed(policy, table) && !(policy.tables[table]?.deniedColumns || []).includes(column);
+
+export const hasRestrictions = (policy) => policy.defaultAccess === 'deny'
+    || Object.values(policy.tables).some(rule => rule.access === 'deny' || rule.deniedColumns.length > 0);
+
+// Rules equal to the default are dropped so the policy stays small
+const withTableRule = (policy, table, rule) => {
+    const tables = { ...policy.tables };
+    if (rule.access === policy.defaultAccess && rule.deniedColumns.length === 0) {
+        delete tables[table];
+    } else {
+        tables[table] = rule;
+    }
+    return { ...policy, tables };
+};
+
+export const setTableAccess = (policy, table, access) => withTableRule(policy, table, {
+    deniedColumns: [],
+    ...policy.tables[table],
+    access,
+});
+
+export const setColumnAccess = (policy, table, column, allowed) => {
+    const rule = policy.tables[table] || { access: policy.defaultAccess, deniedColumns: [] };
+    const deniedColumns = allowed
+        ? rule.deniedColumns.filter(name => name !== column)
+        : [...new Set([...rule.deniedColumns, column])];
+    return withTableRule(policy, table, { ...rule, deniedColumns });
+};
+
+// Switching the default keeps every table's current access
+export const setDefaultAccess = (policy, defaultAccess, tableNames) => {
+    let next = { ...policy, defaultAccess };
+    tableNames.forEach(table => {
+        next = withTableRule(next, table, {
+            deniedColumns: [],
+            ...policy.tables[table],
+            access: isTableAllowed(policy, table) ? 'allow' : 'deny',
+        });
+    });
+    return next;
+};
+
+export const toAccessPolicyPayload = (policy) => ({
+    defaultAccess: policy.defaultAccess,
+    tables: Object.entries(policy.tables).map(([table, rule]) => ({
+        table,
+        access: rule.access,
+        deniedColumns: rule.deniedColumns,
+    })),
+});
+
+// Schema tables without the tables and columns the agent may not see
+export const filterSchemaByPolicy = (tables, policy) => tables
+    .filter(table => isTableAllowed(policy, table.name))
+    .map(table => ({ ...table, columns: table.columns.filter(column => isColumnAllowed(policy, table.name, column.name)) }));
+
+// `order_items` is also matched when written as "order items"
+const namePattern = (name) => new RegExp(
+    `(^|[^a-z0-9_])${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/_/g, '[_ ]')}($|[^a-z0-9_])`
+);
+
+/**
+ * Find blocked tables and columns a question names. The server enforces the policy;
+ * this lets the chat explain a refusal before sending the question.
+ * @param {string} question - The question as typed
+ * @param {Object} policy - A normalized access policy
+ * @param {Array} tables - Schema tables with their columns
+ * @returns {Array<{table: string, column: string|null}>} The blocked objects found
+ */
+export const findBlockedReferences = (question, policy, tables) => {
+    if (!hasRestrictions(policy)) return [];
+    const text = String(question || '').toLowerCase();
+    const allowedColumnNames = new Set(filterSchemaByPolicy(tables, policy).flatMap(table => table.columns.map(column => column.name)));
+    const found = [];
+    tables.forEach(table => {
+        const mentionsTable = namePattern(table.name).test(text);
+        if (!isTableAllowed(policy, table.name)) {
+            if (mentionsTable) found.push({ table: table.name, column: null });
+            return;
+        }
+        // A column name other tables may use only counts next to its table's name
+        table.columns
+            .filter(column => !isColumnAllowed(policy, table.name, column.name) && namePattern(column.name).test(text)
+                && (mentionsTable || !allowedColumnNames.has(column.name)))
+            .forEach(column => found.push({ table: table.name, column: column.name }));
+    });
+    return found;
+};
+
+// Server responses may list blocked objects as plain names
+export const formatBlockedReference = (reference) => {
+    if (typeof reference === 'string') return reference;
+    return reference.column ? `${reference.table}.${reference.column}` : reference.table;
+};
@@ -0,0 +1,144 @@
+// Chart spec helpers for client-side visualizations
+// Normalizes the chart spec returned with visualizations into series the interactive chart can draw
+
+const SUPPORTED_TYPES = ['bar', 'line', 'pie', 'scatter'];
+
+const parseMaybeJson = (value) => {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    if (!trimmed.startsWith('{')) return null;
+    try {
+        return JSON.parse(trimmed);
+    } catch {
+        return null;
+    }
+};
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return isNaN(num) ? null : num;
+};
+
+// Pull the raw spec out of the different shapes the backend uses
+const findRawSpec = (visualization) => {
+    if (!visualization || typeof visualization !== 'object') return null;
+    const candidates = [
+        visualization.spec,
+        visualization.chart_spec,
+        visualization.chartSpec,
+        visualization.visualization?.spec,
+        visualization.visualization?.chart_spec,
+        parseMaybeJson(visualization.chart_data)?.spec,
+    ];
+    for (const candidate of candidates) {
+        const spec = parseMaybeJson(candidate) || (typeof candidate === 'object' ? candidate : null);
+        if (spec && Array.isArray(spec.series)) return spec;
+    }
+    return null;
+};
+
+// Turn one series' data into [{ x, y }] points.
+// Data may be plain numbers aligned with the categories, [x, y] pairs or { x, y } / { name, value } objects.
+const toPoints = (data, categories) => {
+    if (!Array.isArray(data)) return [];
+    return data
+        .map((item, index) => {
+            if (Array.isArray(item)) {
+                return { x: item[0], y: toNumber(item[1]) };
+            }
+            if (item && typeof item === 'object') {
+                return {
+                    x: item.x ?? item.label ?? item.name ?? item.category ?? categories[index] ?? index,
+                    y: toNumber(item.y ?? item.value),
+                };
+            }
+            return { x: categories[index] ?? index, y: toNumber(item) };
+        })
+        .filter(point => point.y !== null);
+};
+
+// Returns { type, title, xLabel, yLabel, xKind, series: [{ name, points }] } or null when no usable spec
+export const getChartSpec = (visualization) => {
+    const raw = findRawSpec(visualization);
+    if (!raw) return null;
+
+    const type = String(raw.type || raw.chart_type || visualization.chart_type || visualization.type || 'bar').toLowerCase();
+    if (!SUPPORTED_TYPES.includes(type)) return null;
+
+    const xAxis = raw.xAxis || raw.x_axis || {};
+    const yAxis = raw.yAxis || raw.y_axis || {};
+    const categories = xAxis.categories || raw.categories || raw.labels || [];
+
+    const series = raw.series
+        .map((item, index) => ({
+            name: item.name || item.label || `Series ${index + 1}`,
+            points: toPoints(item.data || item.values || item.points, categories),
+        }))
+        .filter(item => item.points.length > 0);
+
+    if (series.length === 0) return null;
+
+    // Scatter plots and lines over numeric x values get a continuous axis; everything else is categorical
+    const allNumericX = series.every(item => item.points.every(point => toNumber(point.x) !== null));
+    const xKind = type === 'scatter' || (type === 'line' && allNumericX && categories.length === 0)
+        ? 'number'
+        : 'category';
+
+    return {
+        type,
+        title: raw.title || visualization.title || '',
+        xLabel: xAxis.label || xAxis.title || raw.x_label || '',
+        yLabel: yAxis.label || yAxis.title || raw.y_label || '',
+        xKind,
+        series: series.map(item => ({
+            ...item,
+            points: xKind === 'number'
+                ? item.points
+                    .map(point => ({ x: toNumber(point.x), y: point.y }))
+                    .filter(point => point.x !== null)
+                    .sort((a, b) => a.x - b.x)
+                : item.points.map(point => ({ x: String(point.x), y: point.y })),
+        })),
+    };
+};
+
+// Data URL of the static PNG rendering, if the visualization has one
+export const getChartImage = (visualization) => {
+    if (!visualization) return null;
+    let data = visualization.data || visualization.chart_data;
+    const parsed = parseMaybeJson(data);
+    if (parsed) data = parsed.data;
+    if (!data || typeof data !== 'string') return null;
+    return data.startsWith('data:image/') ? data : `data:image/png;base64,${data}`;
+};
+
+// "Nice" evenly spaced tick values covering [min, max]
+export const niceTicks = (min, max, count = 5) => {
+    if (min === max) {
+        const pad = Math.abs(min) || 1;
+        min -= pad;
+        max += pad;
+    }
+    const rawStep = (max - min) / Math.max(1, count);
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const residual = rawStep / magnitude;
+    const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+    const start = Math.floor(min / step) * step;
+    const end = Math.ceil(max / step) * step;
+    const ticks = [];
+    for (let value = start; value <= end + step / 2; value += step) {
+        ticks.push(Number(value.toPrecision(12)));
+    }
+    return ticks;
+};
+
+// Compact number formatting for axis labels and tooltips
+export const formatChartValue = (value) => {
+    if (typeof value !== 'number') return String(value);
+    const abs = Math.abs(value);
+    if (abs >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (abs >= 1e4) return `${(value / 1e3).toFixed(1)}K`;
+    return Number.isInteger(value) ? value.toLocaleString() : value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+};
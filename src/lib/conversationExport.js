@@ -0,0 +1,214 @@
+// Conversation export helpers
+// Builds Markdown, standalone HTML and printable PDF reports from a conversation's messages
+import { createElement } from 'react';
+import { format, isValid } from 'date-fns';
+import { getChartSpec, getChartImage, formatChartValue } from '@/lib/chartSpec';
+import { downloadBlob, toFileName } from '@/lib/export';
+
+export const EXPORT_FORMATS = {
+    markdown: 'Markdown',
+    html: 'HTML',
+    pdf: 'PDF',
+};
+
+const REPORT_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 820px; margin: 0 auto; padding: 32px 24px; line-height: 1.6; }
+    h1 { font-size: 26px; margin-bottom: 4px; }
+    .meta { color: #6b7280; font-size: 13px; margin-bottom: 32px; }
+    .message { padding: 16px 20px; border-radius: 12px; margin-bottom: 16px; border: 1px solid #e5e7eb; }
+    .message.human { background: #eff6ff; border-color: #bfdbfe; }
+    .author { font-size: 12px; font-weight: 600; color: #4b5563; margin-bottom: 8px; }
+    .author time { font-weight: 400; color: #9ca3af; margin-left: 6px; }
+    .section-label { font-size: 12px; font-weight: 600; color: #6b7280; margin: 16px 0 6px; text-transform: uppercase; letter-spacing: 0.04em; }
+    pre { background: #f3f4f6; padding: 12px; border-radius: 8px; overflow-x: auto; font-size: 12px; white-space: pre-wrap; word-break: break-word; }
+    table { border-collapse: collapse; font-size: 13px; margin: 8px 0; }
+    th, td { border: 1px solid #e5e7eb; padding: 4px 10px; text-align: left; }
+    th { background: #f9fafb; }
+    img { max-width: 100%; border-radius: 8px; border: 1px solid #e5e7eb; }
+    .chart svg { display: block; max-width: 100%; }
+    .chart button { border: 0; background: none; font: inherit; font-size: 12px; color: #4b5563; margin: 4px 8px 0 0; display: inline-flex; align-items: center; gap: 6px; }
+    .chart button span { display: inline-block; width: 10px; height: 10px; border-radius: 2px; }
+    .chart-title { font-size: 13px; font-weight: 600; margin: 0 0 6px; }
+    @media print {
+        body { padding: 0; }
+        .message, pre, img, .chart { break-inside: avoid; }
+    }
+    @page { margin: 16mm; }
+`;
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatTimestamp = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && isValid(date) ? format(date, 'PPpp') : '';
+};
+
+const getTitle = (conversation) => conversation?.title || 'Untitled Chat';
+
+// Turn a chart spec into rows of { x, values per series } for tabular output
+const specToTable = (spec) => {
+    const columns = [spec.xLabel || (spec.type === 'pie' ? 'Label' : 'Category'), ...spec.series.map(series => series.name)];
+    const rowsByX = new Map();
+    spec.series.forEach((series, seriesIndex) => {
+        series.points.forEach((point) => {
+            if (!rowsByX.has(point.x)) rowsByX.set(point.x, [point.x, ...spec.series.map(() => '')]);
+            rowsByX.get(point.x)[seriesIndex + 1] = formatChartValue(point.y);
+        });
+    });
+    return { columns, rows: [...rowsByX.values()] };
+};
+
+// --- Markdown ---
+
+export const conversationToMarkdown = (conversation, messages, { assistantName = 'Assistant' } = {}) => {
+    const lines = [`# ${getTitle(conversation)}`, '', `_Exported ${formatTimestamp(new Date())}_`, ''];
+
+    messages.forEach((message) => {
+        const isAi = message.role === 'ai';
+        const timestamp = formatTimestamp(message.createdAt);
+        lines.push(`## ${isAi ? assistantName : 'You'}${timestamp ? ` · ${timestamp}` : ''}`, '');
+        lines.push(message.content || '', '');
+
+        if (isAi && message.generatedSql) {
+            lines.push('**Generated SQL**', '', '```sql', message.generatedSql.trim(), '```', '');
+        }
+
+        const visualization = isAi ? message.visualization : null;
+        if (visualization) {
+            const title = visualization.title || 'Visualization';
+            const image = getChartImage(visualization);
+            const spec = getChartSpec(visualization);
+            if (image) {
+                lines.push(`![${title.replace(/[[\]]/g, '')}](${image})`, '');
+            } else if (spec) {
+                const { columns, rows } = specToTable(spec);
+                const cell = value => String(value).replace(/\|/g, '\\|');
+                lines.push(`**${title}**`, '');
+                lines.push(`| ${columns.map(cell).join(' | ')} |`);
+                lines.push(`| ${columns.map(() => '---').join(' | ')} |`);
+                rows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+                lines.push('');
+            }
+        }
+
+        lines.push('---', '');
+    });
+
+    return lines.join('\n');
+};
+
+// --- HTML ---
+
+// Rendering helpers are loaded on demand to keep them out of the chat bundle
+export const conversationToHtml = async (conversation, messages, { assistantName = 'Assistant' } = {}) => {
+    const [
+        { renderToStaticMarkup },
+        { default: ReactMarkdown },
+        { default: remarkGfm },
+        { default: InteractiveChart },
+    ] = await Promise.all([
+        import('react-dom/server'),
+        import('react-markdown'),
+        import('remark-gfm'),
+        import('@/components/users/chat/InteractiveChart'),
+    ]);
+
+    const renderMarkdown = (content) =>
+        renderToStaticMarkup(createElement(ReactMarkdown, { remarkPlugins: [remarkGfm] }, content || ''));
+
+    const renderVisualization = (visualization) => {
+        const title = visualization.title ? `<p class="chart-title">${escapeHtml(visualization.title)}</p>` : '';
+        const spec = getChartSpec(visualization);
+        if (spec) {
+            return `<div class="chart">${title}${renderToStaticMarkup(createElement(InteractiveChart, { spec, height: 320 }))}</div>`;
+        }
+        const image = getChartImage(visualization);
+        if (image) {
+            return `<div class="chart">${title}<img src="${image}" alt="${escapeHtml(visualization.title || 'Visualization')}" /></div>`;
+        }
+        return '';
+    };
+
+    const sections = messages.map((message) => {
+        const isAi = message.role === 'ai';
+        const timestamp = formatTimestamp(message.createdAt);
+        const parts = [
+            `<div class="author">${escapeHtml(isAi ? assistantName : 'You')}${timestamp ? `<time>${escapeHtml(timestamp)}</time>` : ''}</div>`,
+            renderMarkdown(message.content),
+        ];
+        if (isAi && message.generatedSql) {
+            parts.push('<div class="section-label">Generated SQL</div>', `<pre><code>${escapeHtml(message.generatedSql.trim())}</code></pre>`);
+        }
+        if (isAi && message.visualization) {
+            parts.push(renderVisualization(message.visualization));
+        }
+        return `<section class="message ${isAi ? 'ai' : 'human'}">${parts.join('\n')}</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(getTitle(conversation))}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(getTitle(conversation))}</h1>
+<div class="meta">Exported ${escapeHtml(formatTimestamp(new Date()))} · ${messages.length} message${messages.length !== 1 ? 's' : ''}</div>
+${sections.join('\n')}
+</body>
+</html>`;
+};
+
+// --- PDF ---
+
+// Print the report from a hidden iframe so the browser's "Save as PDF" produces the file.
+// An iframe avoids popup blockers, which would stop a new window opened after an await.
+const printHtml = (html) => {
+    const iframe = document.createElement('iframe');
+    iframe.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+    document.body.appendChild(iframe);
+
+    const frameWindow = iframe.contentWindow;
+    frameWindow.document.open();
+    frameWindow.document.write(html);
+    frameWindow.document.close();
+
+    let removed = false;
+    const cleanup = () => {
+        if (removed) return;
+        removed = true;
+        iframe.remove();
+    };
+    frameWindow.addEventListener('afterprint', () => setTimeout(cleanup, 0));
+    setTimeout(cleanup, 60 * 1000);
+
+    // Give embedded images a moment to decode before opening the print dialog
+    setTimeout(() => {
+        frameWindow.focus();
+        frameWindow.print();
+    }, 300);
+};
+
+// Export a conversation in one of EXPORT_FORMATS
+export const exportConversation = async (exportFormat, conversation, messages, options = {}) => {
+    const fileName = toFileName(getTitle(conversation), 'conversation');
+
+    if (exportFormat === 'markdown') {
+        const markdown = conversationToMarkdown(conversation, messages, options);
+        downloadBlob(new Blob([markdown], { type: 'text/markdown;charset=utf-8' }), `${fileName}.md`);
+        return;
+    }
+
+    const html = await conversationToHtml(conversation, messages, options);
+    if (exportFormat === 'pdf') {
+        printHtml(html);
+    } else {
+        downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), `${fileName}.html`);
+    }
+};
@@ -0,0 +1,221 @@
+// Data masking helpers
+// Per-project rules that hide personal data (by result column or text pattern) in answers, result tables and exports
+import { v4 as uuidv4 } from 'uuid';
+import { getChartSpec } from '@/lib/chartSpec';
+
+export const MASK = '••••••';
+
+// Roles from the admin roles model that may reveal masked values
+export const UNMASK_ROLES = ['admin', 'manager'];
+
+export const canUnmaskRole = (role) => UNMASK_ROLES.includes(role);
+
+export const MASKING_RULE_TYPES = {
+    column: 'Result column',
+    pattern: 'Text pattern',
+};
+
+export const MASKING_STRATEGIES = {
+    full: { label: 'Hide completely', example: MASK },
+    partial: { label: 'Keep last 4 characters', example: '••••1234' },
+};
+
+// Common patterns an admin can start from
+export const MASKING_PRESETS = {
+    email: { label: 'Email addresses', pattern: '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}' },
+    phone: { label: 'Phone numbers', pattern: '(?:\\+\\d{1,3}[\\s.-]?)?\\(?\\d{3}\\)?[\\s.-]?\\d{3}[\\s.-]?\\d{4}\\b' },
+    card: { label: 'Card numbers', pattern: '\\b(?:\\d[ -]?){12,15}\\d\\b' },
+    ssn: { label: 'US social security numbers', pattern: '\\b\\d{3}-\\d{2}-\\d{4}\\b' },
+};
+
+export const createMaskingRule = (type = 'column', target = '') => ({
+    id: uuidv4(),
+    type,
+    target, // Column name (optionally table.column) or regular expression
+    strategy: 'full',
+    label: '',
+});
+
+/**
+ * Compile a pattern rule's regular expression
+ * @param {string} pattern - The pattern as typed
+ * @returns {RegExp|null} A global, case-insensitive expression, or null when it is invalid or empty
+ */
+export const toPatternRegExp = (pattern) => {
+    if (!pattern) return null;
+    try {
+        return new RegExp(pattern, 'gi');
+    } catch {
+        return null;
+    }
+};
+
+// Rules arrive as a list or a JSON string, in camelCase or snake_case
+export const normalizeMaskingRules = (rules) => {
+    if (typeof rules === 'string') {
+        try {
+            rules = JSON.parse(rules);
+        } catch {
+            rules = null;
+        }
+    }
+    if (!Array.isArray(rules)) return [];
+    return rules
+        .map(rule => ({
+            id: rule.id || uuidv4(),
+            type: MASKING_RULE_TYPES[rule.type] ? rule.type : 'column',
+            target: rule.target || rule.column || rule.pattern || '',
+            strategy: MASKING_STRATEGIES[rule.strategy] ? rule.strategy : 'full',
+            label: rule.label || '',
+        }))
+        .filter(rule => rule.target);
+};
+
+export const getProjectMaskingRules = (project) => normalizeMaskingRules(project?.masking_rules ?? project?.maskingRules);
+
+// Invalid patterns are left out; the editor flags them before saving
+export const toMaskingRulesPayload = (rules) => rules
+    .filter(rule => rule.target.trim() && (rule.type === 'column' || toPatternRegExp(rule.target)))
+    .map(({ id, type, target, strategy, label }) => ({ id, type, target: target.trim(), strategy, label: label.trim() }));
+
+export const maskValue = (value, strategy = 'full') => {
+    if (value === null || value === undefined || value === '') return value;
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (strategy === 'partial' && text.length > 4) {
+        return `••••${text.slice(-4)}`;
+    }
+    return MASK;
+};
+
+// `employees.salary` and `salary` both match a result column named "salary"
+const matchesColumn = (rule, columnName) => {
+    const target = rule.target.trim().toLowerCase();
+    const name = String(columnName || '').toLowerCase();
+    return target === name || target.split('.').pop() === name;
+};
+
+const getColumnRule = (rules, columnName) => rules.find(rule => rule.type === 'column' && matchesColumn(rule, columnName));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Ways a result value may be written in an answer, e.g. 85000 as "85,000"
+const valueVariants = (value) => {
+    const text = String(value).trim();
+    const variants = [text];
+    const number = Number(text);
+    if (text !== '' && !isNaN(number)) {
+        variants.push(number.toLocaleString('en-US'), number.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+    }
+    // Short values like "1" or "NY" would match all over the answer
+    return [...new Set(variants)].filter(variant => variant.length >= 3);
+};
+
+/**
+ * Mask free text: pattern rules everywhere, plus any value of a masked result column
+ * @param {string} text - Answer text
+ * @param {Array} rules - Normalized masking rules
+ * @param {Array<{value, strategy}>} maskedValues - Values taken from masked result columns
+ * @returns {string} The masked text
+ */
+export const maskText = (text, rules, maskedValues = []) => {
+    if (typeof text !== 'string' || !text) return text;
+    let masked = text;
+    maskedValues.forEach(({ value, strategy }) => {
+        valueVariants(value)
+            .sort((a, b) => b.length - a.length)
+            .forEach(variant => {
+                masked = masked.replace(new RegExp(`(^|[^\\w.])${escapeRegExp(variant)}(?![\\w])`, 'g'), (_, before) => `${before}${maskValue(variant, strategy)}`);
+            });
+    });
+    rules.filter(rule => rule.type === 'pattern').forEach(rule => {
+        const pattern = toPatternRegExp(rule.target);
+        if (pattern) masked = masked.replace(pattern, match => maskValue(match, rule.strategy));
+    });
+    return masked;
+};
+
+// Result rows with masked columns hidden and patterns masked in every other text cell
+export const maskResultSet = (resultSet, rules) => {
+    if (!resultSet?.rows || !rules.length) return resultSet;
+    const columnRules = (resultSet.columns || []).map(column => getColumnRule(rules, column?.name ?? column));
+    return {
+        ...resultSet,
+        rows: resultSet.rows.map(row => row.map((value, index) => {
+            if (columnRules[index]) return maskValue(value, columnRules[index].strategy);
+            return typeof value === 'string' ? maskText(value, rules) : value;
+        })),
+    };
+};
+
+// Values of masked columns, so they can be hidden where the answer repeats them
+const getMaskedValues = (resultSet, rules) => {
+    if (!resultSet?.rows) return [];
+    const values = [];
+    (resultSet.columns || []).forEach((column, index) => {
+        const rule = getColumnRule(rules, column?.name ?? column);
+        if (!rule) return;
+        resultSet.rows.forEach(row => {
+            if (row[index] !== null && row[index] !== undefined && typeof row[index] !== 'object') {
+                values.push({ value: row[index], strategy: rule.strategy });
+            }
+        });
+    });
+    return values;
+};
+
+/**
+ * Decide whether a chart can be shown while masking is on. A chart cannot be masked
+ * point by point, so one that may plot a masked column or show a masked pattern is hidden.
+ * @param {Object} visualization - The visualization as stored
+ * @param {Array} rules - Normalized masking rules
+ * @param {Object} [resultSet] - Result rows the chart was drawn from, when known
+ * @returns {Object|null} The visualization, or null when it has to be hidden
+ */
+export const maskVisualization = (visualization, rules, resultSet) => {
+    if (!visualization || !rules.length) return visualization;
+    // A PNG rendering cannot be checked
+    const spec = getChartSpec(visualization);
+    if (!spec) return null;
+    // Without its result columns there is no telling which columns a chart plots
+    if (rules.some(rule => rule.type === 'column')) {
+        const columns = resultSet?.columns;
+        if (!columns || columns.some(column => getColumnRule(rules, column?.name ?? column))) return null;
+    }
+    const chartText = [
+        spec.title,
+        spec.xLabel,
+        spec.yLabel,
+        ...spec.series.flatMap(series => [series.name, ...series.points.map(point => String(point.x))]),
+    ].join('\n');
+    return maskText(chartText, rules) === chartText ? visualization : null;
+};
+
+// Stand-ins used while a project's masking rules are not known yet, so nothing is shown unmasked
+export const withholdText = (text) => (typeof text === 'string' && text ? MASK : text);
+
+export const withholdMessage = (message) => {
+    if (message?.role !== 'ai') return message;
+    return {
+        ...message,
+        content: withholdText(message.content),
+        resultSet: message.resultSet?.rows
+            ? { ...message.resultSet, rows: message.resultSet.rows.map(row => row.map(value => maskValue(value))) }
+            : message.resultSet,
+        visualization: null,
+        isChartMasked: Boolean(message.visualization),
+        isWithheld: true,
+    };
+};
+
+// An answer as a user without unmasking rights may see it; questions are left as typed
+export const maskMessage = (message, rules) => {
+    if (!rules.length || message?.role !== 'ai') return message;
+    const visualization = maskVisualization(message.visualization, rules, message.resultSet);
+    return {
+        ...message,
+        content: maskText(message.content, rules, getMaskedValues(message.resultSet, rules)),
+        resultSet: maskResultSet(message.resultSet, rules),
+        visualization,
+        isChartMasked: Boolean(message.visualization) && !visualization,
+    };
+};
@@ -0,0 +1,204 @@
+// Database engine definitions
+// Connection fields, default ports, help text and validation for each supported database engine
+import * as Yup from 'yup';
+
+// Every connection field an engine can ask for
+export const CONNECTION_FIELDS = {
+    dbHost: { label: 'Database Host', placeholder: 'e.g., localhost or 127.0.0.1' },
+    dbPort: { label: 'Database Port', placeholder: 'Port number' },
+    dbUser: { label: 'Database User', placeholder: 'e.g., analytics_reader' },
+    dbPassword: { label: 'Database Password', type: 'password', placeholder: '••••••••' },
+    databaseName: { label: 'Database Name', placeholder: 'e.g., chatbot' },
+    dbFilePath: { label: 'Database File Path', placeholder: 'e.g., /data/sales.sqlite' },
+    dbAccount: { label: 'Account Identifier', placeholder: 'e.g., xy12345.eu-west-1' },
+    dbWarehouse: { label: 'Warehouse', placeholder: 'e.g., COMPUTE_WH' },
+    dbSchema: { label: 'Schema', placeholder: 'e.g., public' },
+    dbRole: { label: 'Role', placeholder: 'e.g., ANALYST' },
+};
+
+export const DATABASE_ENGINES = {
+    mysql: {
+        label: 'MySQL / MariaDB',
+        defaultPort: '3306',
+        fields: ['dbHost', 'dbUser', 'dbPassword', 'databaseName', 'dbPort'],
+        required: ['dbHost', 'dbUser', 'dbPassword', 'databaseName'],
+        supportsHosting: true,
+        supportsNetworkOptions: true,
+        help: 'Connect to a MySQL or MariaDB server. Use a read-only user where possible.',
+    },
+    postgresql: {
+        label: 'PostgreSQL',
+        defaultPort: '5432',
+        fields: ['dbHost', 'dbUser', 'dbPassword', 'databaseName', 'dbPort', 'dbSchema'],
+        required: ['dbHost', 'dbUser', 'dbPassword', 'databaseName'],
+        supportsHosting: true,
+        supportsNetworkOptions: true,
+        help: 'Connect to a PostgreSQL server. Leave the schema blank to use "public".',
+    },
+    sqlserver: {
+        label: 'SQL Server',
+        defaultPort: '1433',
+        fields: ['dbHost', 'dbUser', 'dbPassword', 'databaseName', 'dbPort', 'dbSchema'],
+        required: ['dbHost', 'dbUser', 'dbPassword', 'databaseName'],
+        supportsHosting: true,
+        supportsNetworkOptions: true,
+        help: 'Connect to Microsoft SQL Server or Azure SQL with SQL authentication. Leave the schema blank to use "dbo".',
+    },
+    sqlite: {
+        label: 'SQLite file',
+        defaultPort: '',
+        fields: ['dbFilePath'],
+        required: ['dbFilePath'],
+        supportsHosting: false,
+        help: 'Point to a SQLite database file the server can read.',
+    },
+    snowflake: {
+        label: 'Snowflake',
+        defaultPort: '',
+        fields: ['dbAccount', 'dbUser', 'dbPassword', 'dbWarehouse', 'databaseName', 'dbSchema', 'dbRole'],
+        required: ['dbAccount', 'dbUser', 'dbPassword', 'dbWarehouse', 'databaseName'],
+        supportsHosting: false,
+        help: 'Connect to a Snowflake warehouse. The account identifier is the part of your URL before ".snowflakecomputing.com".',
+    },
+    redshift: {
+        label: 'Amazon Redshift',
+        defaultPort: '5439',
+        fields: ['dbHost', 'dbUser', 'dbPassword', 'databaseName', 'dbPort', 'dbSchema'],
+        required: ['dbHost', 'dbUser', 'dbPassword', 'databaseName'],
+        supportsHosting: false,
+        supportsNetworkOptions: true,
+        help: 'Connect to a Redshift cluster endpoint, e.g. my-cluster.abc123.us-east-1.redshift.amazonaws.com.',
+    },
+};
+
+export const DEFAULT_ENGINE = 'mysql';
+
+// SSL/TLS modes, in libpq terms; other drivers map them to their own settings
+export const SSL_MODES = {
+    disable: { label: 'Disable', help: 'Never use TLS.' },
+    prefer: { label: 'Prefer', help: 'Use TLS when the server offers it.' },
+    require: { label: 'Require', help: 'Always use TLS, without checking the certificate.' },
+    'verify-ca': { label: 'Verify CA', help: 'Use TLS and check the certificate against the CA below.' },
+    'verify-full': { label: 'Verify full', help: 'Use TLS, check the certificate and that it matches the host name.' },
+};
+
+// SSL and SSH tunnel settings for engines reached over the network
+export const DEFAULT_NETWORK_OPTIONS = {
+    sslMode: 'prefer',
+    sslCaCert: '',
+    sslClientCert: '',
+    sslClientKey: '',
+    sshEnabled: false,
+    sshHost: '',
+    sshPort: '22',
+    sshUser: '',
+    sshAuthMethod: 'key', // 'key' | 'password'
+    sshPrivateKey: '',
+    sshPassphrase: '',
+    sshPassword: '',
+};
+
+export const getEngine = (engine) => DATABASE_ENGINES[engine] || DATABASE_ENGINES[DEFAULT_ENGINE];
+
+// Projects created before the engine selector are MySQL
+export const detectEngine = (project) => {
+    const engine = project?.db_engine || project?.dbEngine;
+    return DATABASE_ENGINES[engine] ? engine : DEFAULT_ENGINE;
+};
+
+// Validation for an engine's connection fields. In edit mode blank fields keep their saved values,
+// unless the project is switched to another engine: nothing saved carries over to that one.
+export const buildConnectionSchema = (engine, { isEdit = false, savedEngine = engine } = {}) => {
+    const { fields, required } = getEngine(engine);
+    const keepsSavedValues = isEdit && engine === savedEngine;
+    const shape = {};
+    fields.forEach(field => {
+        let rule = Yup.string();
+        if (field === 'dbPort') {
+            rule = rule.matches(/^\d{0,5}$/, 'Port must be a number');
+        }
+        if (!keepsSavedValues && required.includes(field)) {
+            rule = rule.required(`${CONNECTION_FIELDS[field].label} is required`);
+        }
+        shape[field] = rule;
+    });
+
+    if (getEngine(engine).supportsNetworkOptions) {
+        const whenTunnel = (message, extra = () => true) => Yup.string().when(['sshEnabled', 'sshAuthMethod'], {
+            is: (sshEnabled, sshAuthMethod) => sshEnabled && extra(sshAuthMethod),
+            then: (rule) => rule.required(message),
+        });
+        shape.sshHost = whenTunnel('Bastion host is required');
+        shape.sshUser = whenTunnel('SSH user is required');
+        shape.sshPort = Yup.string().matches(/^\d{0,5}$/, 'Port must be a number');
+        if (!keepsSavedValues) {
+            shape.sshPrivateKey = whenTunnel('Upload or paste the private key', (method) => method === 'key');
+            shape.sshPassword = whenTunnel('SSH password is required', (method) => method === 'password');
+            shape.sslCaCert = Yup.string().when('sslMode', {
+                is: (mode) => mode === 'verify-ca' || mode === 'verify-full',
+                then: (rule) => rule.required('A CA certificate is required to verify the server'),
+            });
+        }
+    }
+    return Yup.object().shape(shape);
+};
+
+// Only the fields the engine uses, plus the engine itself and its SSL/SSH settings
+export const toConnectionPayload = (engine, values) => {
+    const payload = { dbEngine: engine };
+    getEngine(engine).fields.forEach(field => {
+        payload[field] = values[field] ?? '';
+    });
+    if (getEngine(engine).supportsNetworkOptions) {
+        const options = { ...DEFAULT_NETWORK_OPTIONS, ...values };
+        payload.sslMode = options.sslMode;
+        ['sslCaCert', 'sslClientCert', 'sslClientKey'].forEach(field => {
+            payload[field] = options[field];
+        });
+        payload.sshEnabled = Boolean(options.sshEnabled);
+        if (payload.sshEnabled) {
+            ['sshHost', 'sshPort', 'sshUser', 'sshAuthMethod'].forEach(field => {
+                payload[field] = options[field];
+            });
+            if (options.sshAuthMethod === 'key') {
+                payload.sshPrivateKey = options.sshPrivateKey;
+                payload.sshPassphrase = options.sshPassphrase;
+            } else {
+                payload.sshPassword = options.sshPassword;
+            }
+        }
+    }
+    return payload;
+};
+
+// Saved SSL/SSH settings of a project, without its secrets
+export const getSavedNetworkOptions = (project) => ({
+    ...DEFAULT_NETWORK_OPTIONS,
+    sslMode: SSL_MODES[project?.ssl_mode] ? project.ssl_mode : DEFAULT_NETWORK_OPTIONS.sslMode,
+    sshEnabled: Boolean(project?.ssh_enabled),
+    sshHost: project?.ssh_host || '',
+    sshPort: project?.ssh_port ? String(project.ssh_port) : DEFAULT_NETWORK_OPTIONS.sshPort,
+    sshUser: project?.ssh_user || '',
+    sshAuthMethod: project?.ssh_auth_method === 'password' ? 'password' : 'key',
+});
+
+// Reasons a connection test can fail, with a hint on what to check
+export const CONNECTION_ERROR_TYPES = {
+    auth: { label: 'Authentication failed', hint: 'Check the user name and password, and that the user may connect from this server.' },
+    dns: { label: 'Host not found', hint: 'Check the host name for typos and that it resolves from the server.' },
+    timeout: { label: 'Connection timed out or refused', hint: 'Check the port and that a firewall or security group allows the connection.' },
+    ssl: { label: 'SSL/TLS error', hint: 'Check whether the server requires SSL and that its certificate is trusted.' },
+    database: { label: 'Database not found', hint: 'Check the database name and that the user has access to it.' },
+    unknown: { label: 'Connection failed', hint: 'Check the connection details and try again.' },
+};
+
+// Best guess at the failure reason when the server doesn't say
+export const classifyConnectionError = (message) => {
+    const text = String(message || '').toLowerCase();
+    if (/access denied|authentication|password|login failed|permission denied/.test(text)) return 'auth';
+    if (/getaddrinfo|name or service not known|unknown host|could not translate host|enotfound|nodename/.test(text)) return 'dns';
+    if (/timed? ?out|etimedout|connection refused|econnrefused|unreachable/.test(text)) return 'timeout';
+    if (/ssl|tls|certificate/.test(text)) return 'ssl';
+    if (/unknown database|database .* does not exist|cannot open database|no such file/.test(text)) return 'database';
+    return 'unknown';
+};
@@ -0,0 +1,61 @@
+// File export helpers
+// Builds CSV/XLSX downloads from tabular results and triggers browser downloads
+
+// Turn any title into a safe file name (without extension)
+export const toFileName = (title, fallback = 'export') => {
+    const cleaned = String(title || '')
+        .trim()
+        .replace(/[^a-zA-Z0-9-_]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 80);
+    return cleaned || fallback;
+};
+
+// Trigger a browser download for a Blob
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize columns + row arrays as RFC 4180 CSV
+export const toCsv = (columns, rows) => {
+    const lines = [columns.map(escapeCsvValue).join(',')];
+    rows.forEach((row) => {
+        lines.push(row.map(escapeCsvValue).join(','));
+    });
+    return lines.join('\r\n');
+};
+
+export const downloadCsv = (columns, rows, fileName) => {
+    // Prefix a BOM so Excel opens UTF-8 CSV files correctly
+    const blob = new Blob(['\uFEFF', toCsv(columns, rows)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, `${fileName}.csv`);
+};
+
+// XLSX writing is loaded on demand to keep it out of the main bundle
+export const downloadXlsx = async (columns, rows, fileName) => {
+    const { default: writeExcelFile } = await import('write-excel-file/browser');
+    const sheetData = [
+        columns.map((column) => ({ value: String(column), fontWeight: 'bold' })),
+        ...rows.map((row) =>
+            row.map((value) => {
+                if (value === null || value === undefined) return null;
+                if (typeof value === 'number' || typeof value === 'boolean' || value instanceof Date) return value;
+                return String(value);
+            })
+        ),
+    ];
+    await writeExcelFile(sheetData).toFile(`${fileName}.xlsx`);
+};
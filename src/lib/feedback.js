@@ -0,0 +1,20 @@
+// Answer feedback helpers
+// Ratings and reason categories used when flagging AI answers
+
+export const FEEDBACK_RATINGS = {
+    up: 'Helpful',
+    down: 'Not helpful',
+};
+
+// Reasons offered for a rating, in display order
+export const FEEDBACK_CATEGORIES = {
+    wrong_data: 'Wrong data',
+    wrong_sql: 'Wrong SQL',
+    wrong_chart: 'Wrong chart',
+    hallucination: 'Made-up numbers',
+    slow: 'Slow',
+    other: 'Other',
+};
+
+export const getFeedbackCategoryLabel = (category) =>
+    FEEDBACK_CATEGORIES[category] || category || 'No reason given';
@@ -0,0 +1,85 @@
+// Business glossary helpers
+// Normalizes a project's glossary (business terms and column descriptions) and prepares it for saving
+import { v4 as uuidv4 } from 'uuid';
+
+export const GLOSSARY_MAPPING_TYPES = {
+    table: 'Table',
+    column: 'Column',
+    expression: 'SQL expression',
+};
+
+export const EMPTY_GLOSSARY = { terms: [], columnDescriptions: [] };
+
+export const createGlossaryTerm = () => ({
+    id: uuidv4(),
+    term: '',
+    definition: '',
+    mappingType: 'column',
+    mapping: '',
+    synonyms: [],
+});
+
+export const createColumnDescription = () => ({ id: uuidv4(), table: '', column: '', description: '' });
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','));
+
+// Glossaries arrive as an object or a JSON string, in camelCase or snake_case
+export const normalizeGlossary = (glossary) => {
+    if (typeof glossary === 'string') {
+        try {
+            glossary = JSON.parse(glossary);
+        } catch {
+            glossary = null;
+        }
+    }
+    if (!glossary || typeof glossary !== 'object') return EMPTY_GLOSSARY;
+
+    return {
+        terms: (glossary.terms || []).map(term => ({
+            id: term.id || uuidv4(),
+            term: term.term || term.name || '',
+            definition: term.definition || '',
+            mappingType: GLOSSARY_MAPPING_TYPES[term.mappingType || term.mapping_type] ? term.mappingType || term.mapping_type : 'expression',
+            mapping: term.mapping || term.sql || '',
+            synonyms: toList(term.synonyms).map(synonym => String(synonym).trim()).filter(Boolean),
+        })),
+        columnDescriptions: (glossary.columnDescriptions || glossary.column_descriptions || []).map(entry => ({
+            id: entry.id || uuidv4(),
+            table: entry.table || entry.table_name || '',
+            column: entry.column || entry.column_name || '',
+            description: entry.description || '',
+        })),
+    };
+};
+
+// Term names used more than once, lower-cased
+export const getDuplicateTerms = (glossary) => {
+    const counts = {};
+    glossary.terms.forEach(({ term }) => {
+        const key = term.trim().toLowerCase();
+        if (key) counts[key] = (counts[key] || 0) + 1;
+    });
+    return Object.keys(counts).filter(key => counts[key] > 1);
+};
+
+// Trimmed glossary without empty rows, ready to send with the project
+export const toGlossaryPayload = (glossary) => ({
+    terms: glossary.terms
+        .filter(term => term.term.trim())
+        .map(({ id, term, definition, mappingType, mapping, synonyms }) => ({
+            id,
+            term: term.trim(),
+            definition: definition.trim(),
+            mappingType,
+            mapping: mapping.trim(),
+            synonyms: [...new Set(synonyms.map(synonym => synonym.trim()).filter(Boolean))],
+        })),
+    columnDescriptions: glossary.columnDescriptions
+        .filter(entry => entry.table.trim() && entry.column.trim() && entry.description.trim())
+        .map(({ id, table, column, description }) => ({
+            id,
+            table: table.trim(),
+            column: column.trim(),
+            description: description.trim(),
+        })),
+});
@@ -0,0 +1,123 @@
+// Project wizard helpers
+// Steps, agent tones and the browser-stored draft of the add-project wizard
+import { DEFAULT_ENGINE, DEFAULT_NETWORK_OPTIONS, getEngine } from '@/lib/databaseEngines';
+import { EMPTY_GLOSSARY } from '@/lib/glossary';
+
+export const WIZARD_STEPS = [
+    { id: 'details', label: 'Project details' },
+    { id: 'connection', label: 'Connection' },
+    { id: 'schema', label: 'Schema' },
+    { id: 'persona', label: 'Agent persona' },
+    { id: 'review', label: 'Review' },
+];
+
+// How the agent words its answers; `greeting` is shown in the persona preview
+export const BOT_TONES = {
+    professional: {
+        label: 'Professional',
+        description: 'Clear, neutral business language.',
+        greeting: 'Hello. I can answer questions about your data. What would you like to know?',
+    },
+    friendly: {
+        label: 'Friendly',
+        description: 'Warm and conversational, explains results in plain words.',
+        greeting: 'Hi there! 👋 Ask me anything about your data and I\'ll dig in.',
+    },
+    concise: {
+        label: 'Concise',
+        description: 'Short answers that lead with the numbers.',
+        greeting: 'Ready. Ask a question about your data.',
+    },
+    technical: {
+        label: 'Technical',
+        description: 'Shows the SQL and mentions the tables and joins it used.',
+        greeting: 'Connected. Ask a question and I\'ll show the SQL behind the answer.',
+    },
+};
+
+export const DEFAULT_TONE = 'professional';
+
+export const BOT_AVATARS = [
+    '/bot-avatar-1.png',
+    '/bot-avatar-2.png',
+];
+
+export const DRAFT_STORAGE_KEY = 'project_wizard_draft';
+
+// Secrets stay in memory only and are typed again after a refresh
+const SECRET_FIELDS = ['dbPassword', 'sslClientKey', 'sshPrivateKey', 'sshPassphrase', 'sshPassword'];
+
+export const createEmptyDraft = () => ({
+    step: 0,
+    projectName: '',
+    projectInfo: '',
+    hosting: 'aws', // 'local' or 'aws'
+    connection: {
+        dbEngine: DEFAULT_ENGINE, dbHost: '', dbUser: '', dbPassword: '', dbPort: getEngine(DEFAULT_ENGINE).defaultPort, databaseName: '',
+        ...DEFAULT_NETWORK_OPTIONS,
+    },
+    tables: [], // Table names found by the last successful connection test
+    tablesSource: null, // getConnectionIdentity() of the connection the tables came from
+    tableAccess: 'all', // 'all' | 'selected'
+    selectedTables: [],
+    dbInfo: '',
+    glossary: EMPTY_GLOSSARY,
+    botName: '',
+    botAvatar: BOT_AVATARS[0],
+    botTone: DEFAULT_TONE,
+    savedAt: null,
+});
+
+// Which database a table list belongs to; credentials and network options don't change the tables
+export const getConnectionIdentity = (connection) => [
+    connection.dbEngine,
+    connection.dbHost || connection.dbAccount || connection.dbFilePath || '',
+    connection.dbPort || '',
+    connection.databaseName || '',
+    connection.dbSchema || '',
+].join('|');
+
+/**
+ * Read the saved draft, merged over an empty one so older drafts get new fields
+ * @returns {Object|null} The draft, or null when there is none or it can't be read
+ */
+export const loadDraft = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+        if (!saved || typeof saved !== 'object') return null;
+        const empty = createEmptyDraft();
+        return {
+            ...empty,
+            ...saved,
+            connection: { ...empty.connection, ...saved.connection },
+            step: Math.min(Math.max(Number(saved.step) || 0, 0), WIZARD_STEPS.length - 1),
+        };
+    } catch {
+        return null;
+    }
+};
+
+export const saveDraft = (draft) => {
+    const connection = { ...draft.connection };
+    SECRET_FIELDS.forEach(field => {
+        connection[field] = '';
+    });
+    // Keep the file name of a removed key from suggesting it is still there
+    delete connection.sslClientKeyName;
+    delete connection.sshPrivateKeyName;
+    try {
+        localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ ...draft, connection, savedAt: new Date().toISOString() }));
+    } catch {
+        // Storage full or disabled; the wizard keeps working without a draft
+    }
+};
+
+export const clearDraft = () => {
+    localStorage.removeItem(DRAFT_STORAGE_KEY);
+};
+
+// True when the draft holds anything worth restoring
+export const hasDraftContent = (draft) => Boolean(
+    draft && (draft.projectName || draft.projectInfo || draft.connection?.dbHost || draft.connection?.dbAccount
+        || draft.connection?.dbFilePath || draft.connection?.databaseName || draft.botName || draft.step > 0)
+);
@@ -0,0 +1,48 @@
+// Question template helpers
+// Finds {placeholders} in saved questions, describes their form fields and fills them in
+
+const PLACEHOLDER_PATTERN = /\{([a-zA-Z_]\w*)\}/g;
+
+export const PARAMETER_TYPES = {
+    text: 'Text',
+    date: 'Date',
+    number: 'Number',
+    select: 'Dropdown',
+};
+
+// Unique placeholder names in order of appearance
+export const getTemplatePlaceholders = (question) => [
+    ...new Set([...String(question || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1])),
+];
+
+export const isTemplate = (question) => getTemplatePlaceholders(question).length > 0;
+
+// Best guess at a field type from the placeholder name
+const inferParameterType = (name) => {
+    if (/date|day|_on$|_at$|since|until/i.test(name)) return 'date';
+    if (/count|limit|top|number|year|amount|^n$/i.test(name)) return 'number';
+    return 'text';
+};
+
+const toLabel = (name) => name.replace(/_/g, ' ').replace(/^\w/, char => char.toUpperCase());
+
+// Form fields of a template: [{ name, label, type, options }].
+// `parameters` holds per-placeholder settings saved with the template.
+export const getTemplateParameters = (question, parameters = {}) =>
+    getTemplatePlaceholders(question).map((name) => {
+        const saved = parameters[name] || {};
+        const type = PARAMETER_TYPES[saved.type] ? saved.type : inferParameterType(name);
+        return {
+            name,
+            label: saved.label || toLabel(name),
+            type,
+            options: type === 'select' ? (saved.options || []).filter(Boolean) : [],
+        };
+    });
+
+// Replace every placeholder with its value; unknown placeholders are left as typed
+export const fillTemplate = (question, values) =>
+    String(question || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        const value = values[name];
+        return value === undefined || value === '' ? placeholder : String(value);
+    });
@@ -0,0 +1,70 @@
+// Schema autocomplete helpers
+// Turns the project schema into composer suggestions for table names, column names and known column values
+
+const MIN_TYPED_LENGTH = 3; // Plain typing needs this many characters before suggesting
+const SUGGESTION_LIMIT = 8;
+
+// Flat list of everything that can be suggested: [{ kind, label, insert, detail, table }]
+export const buildSchemaEntries = (tables) => tables.flatMap(table => [
+    { kind: 'table', label: table.name, insert: table.name, detail: `${table.columns.length} columns`, table: table.name },
+    ...table.columns.flatMap(column => [
+        { kind: 'column', label: column.name, insert: column.name, detail: `${table.name} · ${column.type}`, table: table.name },
+        ...(column.values || []).map(value => ({
+            kind: 'value',
+            label: String(value),
+            insert: String(value),
+            detail: `${table.name}.${column.name}`,
+            table: table.name,
+        })),
+    ]),
+]);
+
+// The word around the cursor: { start, end, text, isMention }. A leading @ marks an explicit mention.
+export const getWordAtCursor = (value, cursor) => {
+    const before = value.slice(0, cursor);
+    const after = value.slice(cursor);
+    const start = before.search(/[@\w.]*$/);
+    const end = cursor + after.search(/[^\w.]|$/);
+    const word = value.slice(start, end);
+    const isMention = word.startsWith('@');
+    return { start, end, text: isMention ? word.slice(1) : word, isMention };
+};
+
+const rankEntry = (entry, query) => {
+    const label = entry.label.toLowerCase();
+    if (label === query) return 0;
+    if (label.startsWith(query)) return 1;
+    return label.includes(query) ? 2 : -1;
+};
+
+// Suggestions for the word being typed. "table.col" narrows to that table's columns;
+// a bare "@" lists the tables.
+export const getSchemaSuggestions = (entries, word) => {
+    if (!word || (!word.isMention && word.text.length < MIN_TYPED_LENGTH)) return [];
+
+    const [tablePart, columnPart] = word.text.includes('.') ? word.text.toLowerCase().split('.') : [null, word.text.toLowerCase()];
+    const candidates = tablePart !== null
+        ? entries.filter(entry => entry.kind === 'column' && entry.table.toLowerCase() === tablePart)
+        : entries;
+
+    if (!columnPart) {
+        return word.isMention
+            ? candidates.filter(entry => tablePart !== null || entry.kind === 'table').slice(0, SUGGESTION_LIMIT)
+            : [];
+    }
+
+    const seen = new Set();
+    return candidates
+        .map(entry => ({ entry, rank: rankEntry(entry, columnPart) }))
+        // Plain typing only completes prefixes, and never what is already fully typed
+        .filter(({ rank }) => rank !== -1 && (word.isMention || rank === 1))
+        .sort((a, b) => a.rank - b.rank || a.entry.label.length - b.entry.label.length)
+        .map(({ entry }) => (tablePart !== null ? { ...entry, insert: `${entry.table}.${entry.label}` } : entry))
+        .filter(entry => {
+            const key = `${entry.kind}:${entry.insert}:${entry.detail}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, SUGGESTION_LIMIT);
+};
@@ -0,0 +1,39 @@
+// Search helpers
+// Splits search queries into terms and builds highlighted snippets around the first match
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lower-cased, de-duplicated words of a query
+export const getSearchTerms = (query) => [
+    ...new Set(String(query || '').toLowerCase().split(/\s+/).filter(Boolean)),
+];
+
+// True when every term appears somewhere in the text
+export const matchesTerms = (text, terms) => {
+    if (!terms.length) return false;
+    const haystack = String(text || '').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+};
+
+// Cut the text down to `radius` characters either side of the first match and
+// split it into [{ text, isMatch }] parts so the matches can be highlighted
+export const buildSnippet = (text, terms, radius = 60) => {
+    const source = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!terms.length) return [{ text: source.slice(0, radius * 2), isMatch: false }];
+
+    const lower = source.toLowerCase();
+    const firstMatch = terms
+        .map(term => lower.indexOf(term))
+        .filter(index => index !== -1)
+        .reduce((min, index) => Math.min(min, index), Infinity);
+
+    const start = firstMatch === Infinity ? 0 : Math.max(0, firstMatch - radius);
+    const end = Math.min(source.length, (firstMatch === Infinity ? 0 : firstMatch) + radius * 2);
+    const excerpt = `${start > 0 ? '…' : ''}${source.slice(start, end)}${end < source.length ? '…' : ''}`;
+
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return excerpt
+        .split(pattern)
+        .filter(Boolean)
+        .map(part => ({ text: part, isMatch: terms.includes(part.toLowerCase()) }));
+};
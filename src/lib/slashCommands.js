@@ -0,0 +1,34 @@
+// Slash command helpers
+// Lists the chat input's /commands and parses typed input into a command and its argument
+
+export const SLASH_COMMANDS = [
+    { name: 'chart', args: '<question>', description: 'Answer the question with a visualization' },
+    { name: 'sql', args: '', description: 'Run the SQL of the latest answer again' },
+    { name: 'export', args: '[markdown|html|pdf]', description: 'Export this conversation' },
+    { name: 'schema', args: '[table]', description: 'Describe the database or one of its tables' },
+    { name: 'template', args: '[name]', description: 'Ask a saved question template' },
+    { name: 'clear', args: '', description: 'Start a new chat' },
+];
+
+const COMMAND_PATTERN = /^\/([a-z]*)(?:\s+([\s\S]*))?$/i;
+
+// Commands matching the word being typed, while the input is still just "/word"
+export const getSlashSuggestions = (input) => {
+    const match = /^\/([a-z]*)$/i.exec(String(input || ''));
+    if (!match) return [];
+    const typed = match[1].toLowerCase();
+    return SLASH_COMMANDS.filter(command => command.name.startsWith(typed));
+};
+
+// { name, args, command } for input starting with "/", or null for a plain question.
+// `command` is null when the name is not a known command.
+export const parseSlashCommand = (input) => {
+    const match = COMMAND_PATTERN.exec(String(input || '').trim());
+    if (!match) return null;
+    const name = match[1].toLowerCase();
+    return {
+        name,
+        args: (match[2] || '').trim(),
+        command: SLASH_COMMANDS.find(command => command.name === name) || null,
+    };
+};
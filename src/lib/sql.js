@@ -0,0 +1,61 @@
+// SQL helpers for displaying generated queries
+// Splits SQL into typed tokens so it can be syntax-highlighted without extra dependencies
+
+const SQL_KEYWORDS = new Set([
+    'select', 'from', 'where', 'and', 'or', 'not', 'in', 'is', 'null', 'as', 'on',
+    'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'group', 'by', 'order',
+    'having', 'limit', 'offset', 'distinct', 'union', 'all', 'insert', 'into', 'values',
+    'update', 'set', 'delete', 'create', 'table', 'view', 'drop', 'alter', 'case', 'when',
+    'then', 'else', 'end', 'asc', 'desc', 'between', 'like', 'ilike', 'exists', 'with',
+    'over', 'partition', 'interval', 'true', 'false', 'top', 'fetch', 'next', 'rows', 'only',
+]);
+
+const TOKEN_PATTERNS = [
+    ['comment', /^(--[^\n]*|\/\*[\s\S]*?\*\/)/],
+    ['string', /^('(?:[^']|'')*'?)/],
+    ['identifier', /^("(?:[^"]|"")*"?|`[^`]*`?|\[[^\]]*\]?)/],
+    ['number', /^(\d+(?:\.\d+)?)/],
+    ['word', /^([A-Za-z_][A-Za-z0-9_$]*)/],
+    ['whitespace', /^(\s+)/],
+    ['operator', /^(<>|!=|<=|>=|\|\||::|[=<>+\-*/%,.;()])/],
+];
+
+// Break a SQL string into [{ type, value }] tokens.
+// Types: keyword, function, identifier, string, number, comment, operator, whitespace, text
+export const tokenizeSql = (sql) => {
+    if (!sql || typeof sql !== 'string') return [];
+
+    const tokens = [];
+    let rest = sql;
+
+    while (rest.length > 0) {
+        let matched = false;
+        for (const [type, pattern] of TOKEN_PATTERNS) {
+            const match = rest.match(pattern);
+            if (!match) continue;
+
+            const value = match[1];
+            let tokenType = type;
+            if (type === 'word') {
+                if (SQL_KEYWORDS.has(value.toLowerCase())) {
+                    tokenType = 'keyword';
+                } else if (/^\s*\(/.test(rest.slice(value.length))) {
+                    tokenType = 'function';
+                } else {
+                    tokenType = 'identifier';
+                }
+            }
+            tokens.push({ type: tokenType, value });
+            rest = rest.slice(value.length);
+            matched = true;
+            break;
+        }
+
+        if (!matched) {
+            tokens.push({ type: 'text', value: rest[0] });
+            rest = rest.slice(1);
+        }
+    }
+
+    return tokens;
+};
@@ -1,9 +1,11 @@
 // Redux store configuration
-// Combines all reducers (auth, projects, chat, admin) into a single store
+// Combines all reducers (auth, projects, chat, dashboard, savedQueries, admin) into a single store
 import { configureStore } from '@reduxjs/toolkit';
 import authReducer from './users-panel/auth/authSlice';
 import projectReducer from './users-panel/projects/projectSlice';
 import chatReducer from './users-panel/chat/chatSlice';
+import dashboardReducer from './users-panel/dashboard/dashboardSlice';
+import savedQueriesReducer from './users-panel/savedQueries/savedQueriesSlice';
 import adminReducer from './users-panel/admin/adminSlice';
 
 export const makeStore = () => {
@@ -12,6 +14,8 @@ export const makeStore = () => {
       auth: authReducer,
       projects: projectReducer,
       chat: chatReducer,
+      dashboard: dashboardReducer,
+      savedQueries: savedQueriesReducer,
       admin: adminReducer,
     },
   });
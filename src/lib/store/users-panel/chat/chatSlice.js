@@ -3,18 +3,146 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
 import { toast } from "react-hot-toast";
 import { v4 as uuidv4 } from "uuid";
+import {
+  MAX_VISUALIZATION_HISTORY,
+  getLastRefreshedAt,
+  getVisualizationHistory,
+} from "@/lib/visualizationRefresh";
 
 const API_BASE =
   process.env.NEXT_PUBLIC_API_BASE || "http://localhost:8000/api";
 
+// is_archived comes back as a boolean or as 0/1
+export const isArchivedConversation = (conv) =>
+  conv.is_archived === true ||
+  conv.is_archived === 1 ||
+  conv.is_archived === "1";
+
 // Store AbortController for cancellation
 let currentAbortController = null;
 
+// Stream analyze-data answers token-by-token unless explicitly disabled
+const STREAMING_ENABLED = process.env.NEXT_PUBLIC_CHAT_STREAMING !== "false";
+
+// Normalize the structured result rows the backend returns with an answer.
+// Accepts { results: { columns, rows } }, { columns, rows } or snake_case
+// result_columns/result_rows, with rows as arrays or objects.
+// Returns { columns: string[], rows: any[][], totalRows } or null.
+const normalizeResultSet = (source) => {
+  if (!source) return null;
+  const resultSource = source.results || source.result || source;
+  const rawRows =
+    resultSource.rows || resultSource.resultRows || resultSource.result_rows;
+  if (!Array.isArray(rawRows)) return null;
+
+  let columns = (
+    resultSource.columns ||
+    resultSource.resultColumns ||
+    resultSource.result_columns ||
+    []
+  ).map((column) =>
+    typeof column === "string" ? column : column?.name ?? String(column)
+  );
+  if (columns.length === 0 && rawRows.length > 0) {
+    const firstRow = rawRows[0];
+    columns = Array.isArray(firstRow)
+      ? firstRow.map((_, index) => `column_${index + 1}`)
+      : Object.keys(firstRow || {});
+  }
+  if (columns.length === 0) return null;
+
+  const rows = rawRows.map((row) =>
+    Array.isArray(row) ? row : columns.map((column) => row?.[column] ?? null)
+  );
+
+  return {
+    columns,
+    rows,
+    totalRows:
+      resultSource.totalRows ??
+      resultSource.total_rows ??
+      resultSource.rowCount ??
+      rows.length,
+  };
+};
+
+// Read a text/event-stream body from analyze-data.
+// "token" and "progress" events are forwarded to the store as they arrive;
+// resolves with the payload of the final "done" event.
+const readAnalysisStream = async (response, dispatch) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let finalData = null;
+
+  const handleEvent = (rawEvent) => {
+    let eventName = "message";
+    const dataLines = [];
+    rawEvent.split("\n").forEach((line) => {
+      if (line.startsWith("event:")) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.slice(5).replace(/^ /, ""));
+      }
+    });
+    if (dataLines.length === 0) return;
+
+    const rawData = dataLines.join("\n");
+    let payload;
+    try {
+      payload = JSON.parse(rawData);
+    } catch {
+      payload = { delta: rawData };
+    }
+
+    switch (eventName) {
+      case "token":
+        dispatch(streamChunkReceived(payload.delta ?? payload.token ?? ""));
+        break;
+      case "progress":
+        dispatch(
+          streamProgressUpdated({
+            progress: payload.progress,
+            stage: payload.stage || null,
+          })
+        );
+        break;
+      case "done":
+        finalData = payload.data || payload;
+        break;
+      case "error":
+        throw new Error(payload.error || payload.detail || "Stream failed");
+      default:
+        if (payload.delta) dispatch(streamChunkReceived(payload.delta));
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      handleEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) handleEvent(buffer);
+
+  return finalData;
+};
+
 // --- Async Thunk for sending a message to the AI ---
 export const sendMessage = createAsyncThunk(
   "chat/sendMessage",
   async (messageData, thunkAPI) => {
-    const { naturalLanguageQuery, projectId } = messageData;
+    const {
+      naturalLanguageQuery,
+      projectId,
+      regenerate = false,
+      stream = STREAMING_ENABLED,
+    } = messageData;
     const state = thunkAPI.getState();
     const { token } = state.auth;
 
@@ -26,22 +154,59 @@ export const sendMessage = createAsyncThunk(
     const conversationId = state.chat.conversationId ?? null;
     const wasNewConversation = !conversationId;
 
+    // The question continues from the last saved message on the visible branch
+    const parentMessageId =
+      [...state.chat.messages].reverse().find((m) => m.id && !m.isError)
+        ?.id ?? null;
+
+    // Register this request so cancelChatRequest can abort it
+    cancelCurrentRequest();
+    const abortController = new AbortController();
+    currentAbortController = abortController;
+
     try {
       const response = await fetch(`${API_BASE}/analyze-data`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
           Authorization: `Bearer ${token}`,
+          ...(stream && { Accept: "text/event-stream" }),
         },
         body: JSON.stringify({
           naturalLanguageQuery,
           projectId,
           ...(conversationId && { conversationId }), // 🔥 key fix
+          ...(conversationId && parentMessageId && { parentMessageId }),
+          ...(regenerate && { regenerate: true }), // New answer for an existing question
+          ...(stream && { stream: true }),
         }),
+        signal: abortController.signal,
       });
 
-      const result = await response.json();
-      const data = result.data;
+      let data;
+      const contentType = response.headers.get("content-type") || "";
+
+      // Backends without streaming support answer with plain JSON
+      if (
+        stream &&
+        response.ok &&
+        response.body &&
+        contentType.includes("text/event-stream")
+      ) {
+        thunkAPI.dispatch(streamStarted());
+        data = await readAnalysisStream(response, thunkAPI.dispatch);
+      } else {
+        const result = await response.json();
+        // Questions refused by the project's access policy name what they touched
+        const blockedObjects = result.blocked_objects || result.blockedObjects;
+        if (!response.ok && blockedObjects?.length) {
+          return thunkAPI.rejectWithValue(
+            result.detail || result.message || "This question uses data blocked by the project's access policy",
+            { blockedObjects }
+          );
+        }
+        data = result.data;
+      }
 
       if (!data?.conversationId) {
         return thunkAPI.rejectWithValue("Invalid server response");
@@ -49,7 +214,14 @@ export const sendMessage = createAsyncThunk(
 
       return data;
     } catch (err) {
+      if (err.name === "AbortError") {
+        return thunkAPI.rejectWithValue("Request cancelled");
+      }
       return thunkAPI.rejectWithValue(err.message);
+    } finally {
+      if (currentAbortController === abortController) {
+        currentAbortController = null;
+      }
     }
   }
 );
@@ -70,12 +242,12 @@ export const cancelChatRequest = () => {
   };
 };
 
-// --- Async Thunk for generating visualizations ---
-export const generateVisualization = createAsyncThunk(
-  "chat/generateVisualization",
-  async (messageData, thunkAPI) => {
-    const { naturalLanguageQuery, conversationId, projectId } = messageData;
-    const { token } = thunkAPI.getState().auth;
+// --- Async Thunk for re-running a previously generated SQL query ---
+export const rerunGeneratedSql = createAsyncThunk(
+  "chat/rerunGeneratedSql",
+  async ({ sql, projectId, sourceMessageId }, thunkAPI) => {
+    const state = thunkAPI.getState();
+    const { token } = state.auth;
 
     if (!token) {
       return thunkAPI.rejectWithValue(
@@ -84,42 +256,135 @@ export const generateVisualization = createAsyncThunk(
     }
 
     try {
-      console.log("📊 Generating visualization:", {
-        naturalLanguageQuery,
-        conversationId,
-        projectId,
-      });
-
-      const response = await fetch(`${API_BASE}/generate-visualization`, {
+      const response = await fetch(`${API_BASE}/execute-sql`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
           Authorization: `Bearer ${token}`,
         },
         body: JSON.stringify({
-          naturalLanguageQuery,
-          conversationId,
+          sql,
           projectId,
+          conversationId: state.chat.conversationId,
+          sourceMessageId,
         }),
       });
 
-      const result = await response.json();
-      console.log("📈 Visualization response:", result);
-
-      const data = result.data;
-      if (!data) {
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.data) {
         return thunkAPI.rejectWithValue(
-          (data && data.error) ||
-            result.error ||
-            "Invalid response from server."
+          result.detail || result.error || "Failed to re-run query"
         );
       }
 
+      return { ...result.data, sql };
+    } catch (error) {
+      const message = error.message || error.toString();
+      return thunkAPI.rejectWithValue(message);
+    }
+  }
+);
+
+// The data payload of a visualization endpoint's response
+const readVisualizationResponse = async (response) => {
+  const result = await response.json().catch(() => ({}));
+  if (!result.data) {
+    throw new Error(
+      result.error || result.detail || "Invalid response from server."
+    );
+  }
+  return result.data;
+};
+
+// POST a natural language query to the visualization endpoint and return its data payload
+const requestVisualization = async (
+  { naturalLanguageQuery, conversationId, projectId },
+  token
+) => {
+  const response = await fetch(`${API_BASE}/generate-visualization`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({
+      naturalLanguageQuery,
+      conversationId,
+      projectId,
+    }),
+  });
+
+  return readVisualizationResponse(response);
+};
+
+// Re-run a stored visualization's saved query without adding anything to its conversation
+const requestVisualizationRefresh = async (visualization, projectId, token) => {
+  const response = await fetch(
+    `${API_BASE}/visualizations/${visualization.id}/refresh`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        naturalLanguageQuery: visualization.query_used,
+        projectId,
+      }),
+    }
+  );
+
+  return readVisualizationResponse(response);
+};
+
+// PUT partial updates to a stored visualization and return the server's copy
+const updateStoredVisualization = async (visualizationId, updates, token) => {
+  const response = await fetch(
+    `${API_BASE}/visualizations/${visualizationId}`,
+    {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(updates),
+    }
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.detail || "Failed to update visualization");
+  }
+
+  const result = await response.json();
+  return result.data || {};
+};
+
+// --- Async Thunk for generating visualizations ---
+export const generateVisualization = createAsyncThunk(
+  "chat/generateVisualization",
+  async (messageData, thunkAPI) => {
+    const { naturalLanguageQuery, conversationId, projectId } = messageData;
+    const { token } = thunkAPI.getState().auth;
+
+    if (!token) {
+      return thunkAPI.rejectWithValue(
+        "No authorization token found. Please log in."
+      );
+    }
+
+    try {
+      const data = await requestVisualization(
+        { naturalLanguageQuery, conversationId, projectId },
+        token
+      );
+
       // Log visualization data
       if (data.visualization) {
         console.log(" Generated visualization:", {
           type: data.visualization.type,
           hasData: !!data.visualization.data,
+          hasSpec: !!(data.visualization.spec || data.visualization.chart_spec),
           title: data.visualization.title,
         });
       }
@@ -139,6 +404,106 @@ export const generateVisualization = createAsyncThunk(
 
 // --- Visualization Management Thunks ---
 
+// Re-run a stored visualization's saved query and replace its chart,
+// keeping the previous chart as a snapshot in its version history
+export const refreshVisualization = createAsyncThunk(
+  "chat/refreshVisualization",
+  async ({ visualizationId, projectId }, thunkAPI) => {
+    const { token } = thunkAPI.getState().auth;
+
+    if (!token) {
+      return thunkAPI.rejectWithValue(
+        "No authorization token found. Please log in."
+      );
+    }
+
+    const visualization = thunkAPI
+      .getState()
+      .chat.visualizations.find((v) => v.id === visualizationId);
+    if (!visualization || !visualization.query_used) {
+      return thunkAPI.rejectWithValue(
+        "This visualization has no saved query to re-run."
+      );
+    }
+
+    try {
+      const data = await requestVisualizationRefresh(
+        visualization,
+        visualization.project_id || projectId,
+        token
+      );
+
+      const fresh = data.visualization;
+      if (!fresh || !(fresh.data || fresh.chart_data || fresh.spec || fresh.chart_spec)) {
+        return thunkAPI.rejectWithValue(
+          data.error || "The query did not return a chart."
+        );
+      }
+
+      const snapshot = {
+        chart_data: visualization.chart_data || null,
+        chart_spec: visualization.chart_spec || null,
+        refreshed_at: getLastRefreshedAt(visualization),
+      };
+      const updates = {
+        chart_data: fresh.data || fresh.chart_data || null,
+        chart_spec: fresh.spec || fresh.chart_spec || null,
+        last_refreshed_at: new Date().toISOString(),
+        history: [snapshot, ...getVisualizationHistory(visualization)].slice(
+          0,
+          MAX_VISUALIZATION_HISTORY
+        ),
+      };
+
+      const saved = await updateStoredVisualization(
+        visualizationId,
+        updates,
+        token
+      );
+      return { visualizationId, ...updates, ...saved };
+    } catch (error) {
+      const message =
+        (error.response &&
+          error.response.data &&
+          error.response.data.message) ||
+        error.message ||
+        error.toString();
+      return thunkAPI.rejectWithValue(message);
+    }
+  }
+);
+
+// Set how often a visualization is refreshed ('off' | 'hourly' | 'daily' | 'weekly')
+export const updateVisualizationSchedule = createAsyncThunk(
+  "chat/updateVisualizationSchedule",
+  async ({ visualizationId, refreshSchedule }, thunkAPI) => {
+    const { token } = thunkAPI.getState().auth;
+
+    if (!token) {
+      return thunkAPI.rejectWithValue(
+        "No authorization token found. Please log in."
+      );
+    }
+
+    try {
+      await updateStoredVisualization(
+        visualizationId,
+        { refresh_schedule: refreshSchedule },
+        token
+      );
+      return { visualizationId, refresh_schedule: refreshSchedule };
+    } catch (error) {
+      const message =
+        (error.response &&
+          error.response.data &&
+          error.response.data.message) ||
+        error.message ||
+        error.toString();
+      return thunkAPI.rejectWithValue(message);
+    }
+  }
+);
+
 // Get stored visualizations
 export const getVisualizations = createAsyncThunk(
   "chat/getVisualizations",
@@ -322,6 +687,171 @@ export const deleteVisualization = createAsyncThunk(
   }
 );
 
+// Fetch a conversation and its messages, normalized for the chat state.
+// Shared by getChatHistory and the conversation export.
+const fetchConversationHistory = async (conversationId, token) => {
+  // FIX: Use Next.js proxy endpoint, not direct FastAPI URL
+  const response = await fetch(
+    `${API_BASE}/conversations/${conversationId}`,
+    {
+      method: "GET",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+    }
+  );
+
+  console.log("getChatHistory - Response status:", response.status);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error("getChatHistory - Error response:", errorText);
+
+    let errorData;
+    try {
+      errorData = JSON.parse(errorText);
+    } catch {
+      errorData = { detail: errorText || "Failed to fetch conversation" };
+    }
+
+    throw new Error(
+      errorData.detail || errorData.error || "Failed to fetch conversation"
+    );
+  }
+
+  const responseData = await response.json();
+  console.log("getChatHistory - Response data:", responseData);
+
+  let conversation, messages;
+  let rawMessages = []; // Declare rawMessages here
+
+  // Backend returns: { success: true, data: { conversation, messages } }
+  if (responseData.success && responseData.data) {
+    if (responseData.data.conversation) {
+      conversation = responseData.data.conversation;
+      rawMessages = responseData.data.messages || [];
+    } else if (responseData.data.id) {
+      // Backend might return conversation directly in data
+      conversation = responseData.data;
+      rawMessages = responseData.data.messages || [];
+    } else {
+      // Backend returns conversation with messages directly
+      conversation = responseData.data;
+      rawMessages = responseData.data.messages || [];
+    }
+  } else if (responseData.id) {
+    // Fallback: conversation object directly
+    conversation = responseData;
+    rawMessages = responseData.messages || [];
+    console.warn("[ChatSlice] Received conversation without data wrapper");
+  } else {
+    console.error("Invalid response format:", responseData);
+    throw new Error("Invalid response format from server.");
+  }
+
+  // Process messages...
+  messages = rawMessages
+    .filter((msg) => msg && (msg.id || msg.ID || msg.message_id))
+    .map((msg) => {
+      try {
+        // Ensure message has required fields
+        const messageId = msg.id || msg.ID || msg.message_id;
+        const messageRole = msg.role || "ai";
+        const messageContent = msg.content || "";
+
+        // Handle both camelCase and snake_case for createdAt
+        let createdAt = msg.createdAt || msg.created_at;
+        if (!createdAt) {
+          createdAt = new Date().toISOString();
+        } else if (typeof createdAt === "string") {
+          // Validate and parse date string
+          if (!createdAt.includes("T") && !createdAt.includes("Z")) {
+            // If it's a date string without time, try to parse it
+            const parsedDate = new Date(createdAt);
+            if (!isNaN(parsedDate.getTime())) {
+              createdAt = parsedDate.toISOString();
+            } else {
+              createdAt = new Date().toISOString();
+            }
+          } else {
+            // Validate ISO string
+            const parsedDate = new Date(createdAt);
+            if (isNaN(parsedDate.getTime())) {
+              createdAt = new Date().toISOString();
+            }
+          }
+        } else if (createdAt instanceof Date) {
+          createdAt = createdAt.toISOString();
+        } else {
+          createdAt = new Date().toISOString();
+        }
+
+        // Ensure conversationId is set
+        const msgConversationId =
+          msg.conversation_id || msg.conversationId || conversation?.id;
+
+        return {
+          id: messageId,
+          role: messageRole,
+          content: messageContent,
+          queryType: msg.query_type || msg.queryType || null,
+          generatedSql: msg.generated_sql || msg.generatedSql || null,
+          resultSet: msg.resultSet || normalizeResultSet(msg),
+          createdAt: createdAt,
+          visualization: msg.visualization || null,
+          conversationId: msgConversationId,
+          isImportant: msg.is_important || false,
+          parentId: msg.parent_message_id || msg.parentMessageId || null,
+          feedback: msg.feedback || null,
+        };
+      } catch (error) {
+        console.error("[ChatSlice] Error processing message:", error, msg);
+        return null;
+      }
+    })
+    .filter((msg) => msg !== null);
+
+  // Validate that we have a conversation
+  if (!conversation || !conversation.id) {
+    console.error("Invalid conversation data:", conversation);
+    throw new Error("Invalid conversation data received from server.");
+  }
+
+  // Ensure all messages have the correct conversationId
+  messages = messages.map((msg) => ({
+    ...msg,
+    conversationId: msg.conversationId || conversation.id,
+  }));
+
+  // Ensure messages are sorted by createdAt
+  messages.sort((a, b) => {
+    try {
+      const dateA = new Date(a.createdAt || 0).getTime();
+      const dateB = new Date(b.createdAt || 0).getTime();
+      if (isNaN(dateA) || isNaN(dateB)) {
+        return 0;
+      }
+      return dateA - dateB;
+    } catch (error) {
+      console.error("[ChatSlice] Error sorting messages:", error);
+      return 0;
+    }
+  });
+
+  console.log("getChatHistory - Successfully loaded:", {
+    conversationId: conversation.id,
+    messageCount: messages.length,
+    messagesWithVisualization: messages.filter((m) => m.visualization)
+      .length,
+  });
+
+  return {
+    conversation,
+    messages,
+  };
+};
+
 // Get chat history for a conversation
 export const getChatHistory = createAsyncThunk(
   "chat/getHistory",
@@ -341,176 +871,214 @@ export const getChatHistory = createAsyncThunk(
     }
 
     try {
-      // FIX: Use Next.js proxy endpoint, not direct FastAPI URL
+      return await fetchConversationHistory(conversationId, token);
+    } catch (error) {
+      console.error("getChatHistory - Fetch error:", error);
+      const message = error.message || error.toString();
+      return thunkAPI.rejectWithValue(message);
+    }
+  }
+);
+
+// Load a conversation with its visualizations for exporting, without
+// replacing the conversation that is currently open in the chat
+export const getConversationExport = createAsyncThunk(
+  "chat/getConversationExport",
+  async (conversationId, thunkAPI) => {
+    const { token } = thunkAPI.getState().auth;
+    const chat = thunkAPI.getState().chat;
+
+    if (!token) {
+      return thunkAPI.rejectWithValue(
+        "No authorization token found. Please log in."
+      );
+    }
+
+    // The open conversation is already loaded with its visualizations merged in
+    if (chat.conversationId === conversationId && chat.messages.length > 0) {
+      return {
+        conversation:
+          chat.conversations.find((c) => c.id === conversationId) ||
+          chat.currentConversation || { id: conversationId },
+        messages: chat.messages.filter((m) => !m.isStreaming),
+      };
+    }
+
+    try {
+      const { conversation, messages } = await fetchConversationHistory(
+        conversationId,
+        token
+      );
+
+      // History messages don't carry chart data, so attach stored visualizations
+      const visualizationsByMessage = {};
       const response = await fetch(
-        `${API_BASE}/conversations/${conversationId}`,
+        `${API_BASE}/visualizations?conversation_id=${conversationId}&limit=100`,
         {
           method: "GET",
           headers: {
             Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
           },
         }
       );
+      if (response.ok) {
+        const result = await response.json();
+        (result.data || []).forEach((viz) => {
+          if (!viz.message_id) return;
+          let chartData = viz.chart_data;
+          let spec = viz.chart_spec;
+          if (typeof chartData === "string" && chartData.trim().startsWith("{")) {
+            try {
+              const parsed = JSON.parse(chartData);
+              chartData = parsed.data;
+              spec = spec || parsed.spec;
+            } catch (e) {
+              console.warn(`Failed to parse JSON for viz ${viz.id}:`, e);
+            }
+          }
+          visualizationsByMessage[viz.message_id] = {
+            type: viz.chart_type,
+            data: chartData,
+            spec,
+            title: viz.title,
+            query: viz.query_used,
+          };
+        });
+      }
 
-      console.log("getChatHistory - Response status:", response.status);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error("getChatHistory - Error response:", errorText);
-
-        let errorData;
-        try {
-          errorData = JSON.parse(errorText);
-        } catch {
-          errorData = { detail: errorText || "Failed to fetch conversation" };
-        }
+      return {
+        conversation,
+        messages: messages.map((msg) => ({
+          ...msg,
+          visualization:
+            msg.visualization || visualizationsByMessage[msg.id] || null,
+        })),
+      };
+    } catch (error) {
+      const message =
+        (error.response &&
+          error.response.data &&
+          error.response.data.message) ||
+        error.message ||
+        error.toString();
+      return thunkAPI.rejectWithValue(message);
+    }
+  }
+);
 
-        return thunkAPI.rejectWithValue(
-          errorData.detail || errorData.error || "Failed to fetch conversation"
-        );
-      }
+// Full-text search across a project's conversations: message contents,
+// titles, generated SQL and important-message titles
+export const searchProject = createAsyncThunk(
+  "chat/searchProject",
+  async ({ projectId, query }, thunkAPI) => {
+    const { token } = thunkAPI.getState().auth;
 
-      const responseData = await response.json();
-      console.log("getChatHistory - Response data:", responseData);
-
-      let conversation, messages;
-      let rawMessages = []; // Declare rawMessages here
-
-      // Backend returns: { success: true, data: { conversation, messages } }
-      if (responseData.success && responseData.data) {
-        if (responseData.data.conversation) {
-          conversation = responseData.data.conversation;
-          rawMessages = responseData.data.messages || [];
-        } else if (responseData.data.id) {
-          // Backend might return conversation directly in data
-          conversation = responseData.data;
-          rawMessages = responseData.data.messages || [];
-        } else {
-          // Backend returns conversation with messages directly
-          conversation = responseData.data;
-          rawMessages = responseData.data.messages || [];
-        }
-      } else if (responseData.id) {
-        // Fallback: conversation object directly
-        conversation = responseData;
-        rawMessages = responseData.messages || [];
-        console.warn("[ChatSlice] Received conversation without data wrapper");
-      } else {
-        console.error("Invalid response format:", responseData);
-        return thunkAPI.rejectWithValue("Invalid response format from server.");
-      }
+    if (!token) {
+      return thunkAPI.rejectWithValue(
+        "No authorization token found. Please log in."
+      );
+    }
 
-      // Process messages...
-      messages = rawMessages
-        .filter((msg) => msg && (msg.id || msg.ID || msg.message_id))
-        .map((msg) => {
-          try {
-            // Ensure message has required fields
-            const messageId = msg.id || msg.ID || msg.message_id;
-            const messageRole = msg.role || "ai";
-            const messageContent = msg.content || "";
-
-            // Handle both camelCase and snake_case for createdAt
-            let createdAt = msg.createdAt || msg.created_at;
-            if (!createdAt) {
-              createdAt = new Date().toISOString();
-            } else if (typeof createdAt === "string") {
-              // Validate and parse date string
-              if (!createdAt.includes("T") && !createdAt.includes("Z")) {
-                // If it's a date string without time, try to parse it
-                const parsedDate = new Date(createdAt);
-                if (!isNaN(parsedDate.getTime())) {
-                  createdAt = parsedDate.toISOString();
-                } else {
-                  createdAt = new Date().toISOString();
-                }
-              } else {
-                // Validate ISO string
-                const parsedDate = new Date(createdAt);
-                if (isNaN(parsedDate.getTime())) {
-                  createdAt = new Date().toISOString();
-                }
-              }
-            } else if (createdAt instanceof Date) {
-              createdAt = createdAt.toISOString();
-            } else {
-              createdAt = new Date().toISOString();
-            }
+    try {
+      const queryParams = new URLSearchParams();
+      queryParams.append("project_id", projectId);
+      queryParams.append("q", query);
+      queryParams.append("limit", 50);
 
-            // Ensure conversationId is set
-            const msgConversationId =
-              msg.conversation_id || msg.conversationId || conversation?.id;
-
-            return {
-              id: messageId,
-              role: messageRole,
-              content: messageContent,
-              queryType: msg.query_type || msg.queryType || null,
-              generatedSql: msg.generated_sql || msg.generatedSql || null,
-              createdAt: createdAt,
-              visualization: msg.visualization || null,
-              conversationId: msgConversationId,
-              isImportant: msg.is_important || false,
-            };
-          } catch (error) {
-            console.error("[ChatSlice] Error processing message:", error, msg);
-            return null;
-          }
-        })
-        .filter((msg) => msg !== null);
+      const response = await fetch(`${API_BASE}/search?${queryParams}`, {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
 
-      // Validate that we have a conversation
-      if (!conversation || !conversation.id) {
-        console.error("Invalid conversation data:", conversation);
-        return thunkAPI.rejectWithValue(
-          "Invalid conversation data received from server."
-        );
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        return thunkAPI.rejectWithValue(errorData.detail || "Search failed");
       }
 
-      // Ensure all messages have the correct conversationId
-      messages = messages.map((msg) => ({
-        ...msg,
-        conversationId: msg.conversationId || conversation.id,
+      const result = await response.json();
+      const results = (result.data || []).map((item) => ({
+        type: item.type || (item.message_id ? "message" : "conversation"),
+        conversationId: item.conversation_id || item.conversationId,
+        messageId: item.message_id || item.messageId || null,
+        conversationTitle: item.conversation_title || item.title || null,
+        field:
+          (item.match_field || item.field) === "generated_sql"
+            ? "sql"
+            : item.match_field || item.field || "content",
+        text:
+          item.snippet || item.content || item.generated_sql || item.title || "",
+        role: item.role || null,
+        createdAt: item.created_at || item.createdAt || null,
       }));
+      return { query, results };
+    } catch (error) {
+      const message =
+        (error.response &&
+          error.response.data &&
+          error.response.data.message) ||
+        error.message ||
+        error.toString();
+      return thunkAPI.rejectWithValue(message);
+    }
+  }
+);
 
-      // Ensure messages are sorted by createdAt
-      messages.sort((a, b) => {
-        try {
-          const dateA = new Date(a.createdAt || 0).getTime();
-          const dateB = new Date(b.createdAt || 0).getTime();
-          if (isNaN(dateA) || isNaN(dateB)) {
-            return 0;
-          }
-          return dateA - dateB;
-        } catch (error) {
-          console.error("[ChatSlice] Error sorting messages:", error);
-          return 0;
+// Get all conversations for a project
+export const getConversations = createAsyncThunk(
+  "chat/getConversations",
+  async (projectId, thunkAPI) => {
+    const { token } = thunkAPI.getState().auth;
+
+    if (!token) {
+      return thunkAPI.rejectWithValue(
+        "No authorization token found. Please log in."
+      );
+    }
+
+    try {
+      console.log("📋 Fetching conversations for project:", projectId);
+      
+      const response = await fetch(
+        `${API_BASE}/conversations?project_id=${projectId}`,
+        {
+          method: "GET",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
         }
-      });
+      );
 
-      console.log("getChatHistory - Successfully loaded:", {
-        conversationId: conversation.id,
-        messageCount: messages.length,
-        messagesWithVisualization: messages.filter((m) => m.visualization)
-          .length,
-      });
+      if (!response.ok) {
+        const errorData = await response
+          .json()
+          .catch(() => ({ detail: "Failed to fetch conversations" }));
+        console.error("❌ Failed to fetch conversations:", errorData);
+        return thunkAPI.rejectWithValue(
+          errorData.detail || "Failed to fetch conversations"
+        );
+      }
 
-      return {
-        conversation,
-        messages,
-      };
+      const result = await response.json();
+      console.log("✅ Conversations fetched:", result.data?.length || 0, "conversations");
+      return result.data || [];
     } catch (error) {
-      console.error("getChatHistory - Fetch error:", error);
-      const message = error.message || error.toString();
+      console.error("❌ Error fetching conversations:", error);
+      const message =
+        (error.response &&
+          error.response.data &&
+          error.response.data.message) ||
+        error.message ||
+        error.toString();
       return thunkAPI.rejectWithValue(message);
     }
   }
 );
 
-// Get all conversations for a project
-export const getConversations = createAsyncThunk(
-  "chat/getConversations",
+// Get archived conversations for a project
+export const getArchivedConversations = createAsyncThunk(
+  "chat/getArchivedConversations",
   async (projectId, thunkAPI) => {
     const { token } = thunkAPI.getState().auth;
 
@@ -521,10 +1089,8 @@ export const getConversations = createAsyncThunk(
     }
 
     try {
-      console.log("📋 Fetching conversations for project:", projectId);
-      
       const response = await fetch(
-        `${API_BASE}/conversations?project_id=${projectId}`,
+        `${API_BASE}/conversations?project_id=${projectId}&archived=true`,
         {
           method: "GET",
           headers: {
@@ -536,18 +1102,17 @@ export const getConversations = createAsyncThunk(
       if (!response.ok) {
         const errorData = await response
           .json()
-          .catch(() => ({ detail: "Failed to fetch conversations" }));
-        console.error("❌ Failed to fetch conversations:", errorData);
+          .catch(() => ({ detail: "Failed to fetch archived conversations" }));
         return thunkAPI.rejectWithValue(
-          errorData.detail || "Failed to fetch conversations"
+          errorData.detail || "Failed to fetch archived conversations"
         );
       }
 
       const result = await response.json();
-      console.log("✅ Conversations fetched:", result.data?.length || 0, "conversations");
-      return result.data || [];
+      return (result.data || []).filter(
+        (conv) => isArchivedConversation(conv) && conv.status !== "deleted"
+      );
     } catch (error) {
-      console.error("❌ Error fetching conversations:", error);
       const message =
         (error.response &&
           error.response.data &&
@@ -863,10 +1428,10 @@ export const updateConversationTitle = createAsyncThunk(
   }
 );
 
-// Rename (update) conversation title
+// Rename, archive or unarchive a conversation
 export const updateConversation = createAsyncThunk(
   "chat/updateConversation",
-  async ({ conversationId, title }, thunkAPI) => {
+  async ({ conversationId, title, isArchived }, thunkAPI) => {
     const { token } = thunkAPI.getState().auth;
     if (!token) {
       return thunkAPI.rejectWithValue(
@@ -882,7 +1447,10 @@ export const updateConversation = createAsyncThunk(
             "Content-Type": "application/json",
             Authorization: `Bearer ${token}`,
           },
-          body: JSON.stringify({ title }),
+          body: JSON.stringify({
+            ...(title !== undefined && { title }),
+            ...(isArchived !== undefined && { is_archived: isArchived }),
+          }),
         }
       );
       if (!response.ok) {
@@ -891,7 +1459,155 @@ export const updateConversation = createAsyncThunk(
           errorData.detail || "Failed to update conversation"
         );
       }
-      return { conversationId, title };
+      return { conversationId, title, isArchived };
+    } catch (error) {
+      const message =
+        (error.response &&
+          error.response.data &&
+          error.response.data.message) ||
+        error.message ||
+        error.toString();
+      return thunkAPI.rejectWithValue(message);
+    }
+  }
+);
+
+// Keep the answer version on screen and delete its other regenerated versions
+export const keepAnswerVersion = createAsyncThunk(
+  "chat/keepAnswerVersion",
+  async (messageId, thunkAPI) => {
+    const { auth, chat } = thunkAPI.getState();
+    const { token } = auth;
+
+    if (!token) {
+      return thunkAPI.rejectWithValue(
+        "No authorization token found. Please log in."
+      );
+    }
+
+    const message = chat.messages.find((m) => m.id === messageId);
+    // Stopped versions were never saved
+    const discarded = (message?.versions || [])
+      .filter((version) => !version.isCancelled)
+      .map((version) => version.id)
+      .filter((id) => id && id !== messageId);
+
+    try {
+      for (const id of discarded) {
+        const response = await fetch(`${API_BASE}/messages/${id}`, {
+          method: "DELETE",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        if (!response.ok && response.status !== 404) {
+          const errorData = await response.json().catch(() => ({}));
+          return thunkAPI.rejectWithValue(
+            errorData.detail || "Failed to discard the other versions"
+          );
+        }
+      }
+
+      return { messageId, discarded };
+    } catch (error) {
+      const message =
+        (error.response &&
+          error.response.data &&
+          error.response.data.message) ||
+        error.message ||
+        error.toString();
+      return thunkAPI.rejectWithValue(message);
+    }
+  }
+);
+
+// Rate an AI answer, optionally with a reason and a comment
+export const submitMessageFeedback = createAsyncThunk(
+  "chat/submitMessageFeedback",
+  async ({ messageId, rating, category = null, comment = "" }, thunkAPI) => {
+    const { token } = thunkAPI.getState().auth;
+
+    if (!token) {
+      return thunkAPI.rejectWithValue(
+        "No authorization token found. Please log in."
+      );
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/messages/${messageId}/feedback`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ rating, category, comment }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        return thunkAPI.rejectWithValue(
+          errorData.detail || "Failed to save feedback"
+        );
+      }
+
+      return { messageId, feedback: { rating, category, comment } };
+    } catch (error) {
+      const message =
+        (error.response &&
+          error.response.data &&
+          error.response.data.message) ||
+        error.message ||
+        error.toString();
+      return thunkAPI.rejectWithValue(message);
+    }
+  }
+);
+
+// Get rated answers of a project for the feedback report
+export const getProjectFeedback = createAsyncThunk(
+  "chat/getProjectFeedback",
+  async (projectId, thunkAPI) => {
+    const { token } = thunkAPI.getState().auth;
+
+    if (!token) {
+      return thunkAPI.rejectWithValue(
+        "No authorization token found. Please log in."
+      );
+    }
+
+    try {
+      const response = await fetch(
+        `${API_BASE}/feedback?project_id=${projectId}`,
+        {
+          method: "GET",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        return thunkAPI.rejectWithValue(
+          errorData.detail || "Failed to fetch feedback"
+        );
+      }
+
+      const result = await response.json();
+      return (result.data || []).map((item) => ({
+        id: item.id || item.message_id,
+        messageId: item.message_id || item.messageId,
+        conversationId: item.conversation_id || item.conversationId,
+        conversationTitle: item.conversation_title || null,
+        question: item.question || item.user_message || "",
+        answer: item.answer || item.content || "",
+        generatedSql: item.generated_sql || item.generatedSql || null,
+        rating: item.rating,
+        category: item.category || null,
+        comment: item.comment || "",
+        createdAt: item.created_at || item.createdAt || null,
+      }));
     } catch (error) {
       const message =
         (error.response &&
@@ -957,10 +1673,136 @@ const initialState = {
   importantMessagesStatus: "idle", // Separate status for important messages
   importanceOperationStatus: "idle", // Separate status for importance operations
   visualizationsStatus: "idle", // Separate status for visualizations
+  refreshingVisualizationIds: [], // Visualizations currently re-running their query
+  archivedConversations: [], // Archived conversations, loaded on demand
+  archivedConversationsStatus: "idle", // Separate status for archived conversations
+  branches: {}, // Alternate message tails per edited question, keyed by branch group id
+  regeneration: null, // { message } - the answer being regenerated, restored if regeneration fails
+  feedbackReport: [], // Rated answers of the current project
+  feedbackReportStatus: "idle", // Separate status for the feedback report
+  searchQuery: "", // Latest project search query
+  searchResults: [], // Matches returned by the server for searchQuery
+  searchStatus: "idle", // Separate status for project search
+  inputInsertion: null, // { id, text } waiting to be inserted into the chat input
+  revealMaskedValues: false, // Admins and managers can turn off the project's masking rules
   deleteStatus: "idle", // Separate status for delete operations
+  streamProgress: null, // Real progress (0-100) reported by a streaming response, null when not streaming
+  streamStage: null, // Optional stage label sent with stream progress events
   error: null,
 };
 
+// Mark the first message of a branch tail with its group and position
+const tagBranchHead = (tail, groupId, branchIndex) =>
+  tail.map((message, i) =>
+    i === 0 ? { ...message, branchGroupId: groupId, branchIndex } : message
+  );
+
+// The parts of an answer that differ between its regenerated versions
+const toAnswerVersion = (message) => ({
+  id: message.id,
+  content: message.content,
+  queryType: message.queryType || null,
+  generatedSql: message.generatedSql || null,
+  resultSet: message.resultSet || null,
+  visualization: message.visualization || null,
+  accuracy: message.accuracy ?? null,
+  feedback: message.feedback || null,
+  isCancelled: Boolean(message.isCancelled),
+  createdAt: message.createdAt,
+});
+
+// Rebuild branches from history messages that reference their parent.
+// Returns the path to show (newest branch at every fork) and the alternate
+// tails of every fork, keyed by the id of the fork's first question.
+const buildBranches = (messages) => {
+  if (!messages.some((m) => m.parentId)) return { path: messages, branches: {} };
+
+  const ids = new Set(messages.map((m) => m.id));
+  const children = new Map();
+  messages.forEach((message, index) => {
+    // Legacy messages without a parent, and messages whose parent is missing
+    // from the history, continue from the previous message; only the first
+    // message starts the thread
+    const parentKey = message.parentId && ids.has(message.parentId)
+      ? message.parentId
+      : messages[index - 1]?.id ?? null;
+    if (!children.has(parentKey)) children.set(parentKey, []);
+    children.get(parentKey).push(message);
+  });
+
+  const branches = {};
+  const walk = (parentKey) => {
+    const options = children.get(parentKey) || [];
+    if (options.length === 0) return [];
+    if (options.length === 1) return [options[0], ...walk(options[0].id)];
+
+    // Several answers to one question are regenerated versions of that answer;
+    // show the one the conversation continued from, or else the newest
+    if (options.every((option) => option.role === "ai")) {
+      const continued = options.findIndex((option) => children.has(option.id));
+      const versionIndex = continued === -1 ? options.length - 1 : continued;
+      const answer = {
+        ...options[versionIndex],
+        versions: options.map(toAnswerVersion),
+        versionIndex,
+      };
+      return [answer, ...walk(answer.id)];
+    }
+
+    // Siblings are in chronological order, so the first one names the group
+    const groupId = options[0].id;
+    branches[groupId] = {
+      tails: options.map((option, branchIndex) =>
+        tagBranchHead([option, ...walk(option.id)], groupId, branchIndex)
+      ),
+    };
+    return branches[groupId].tails[options.length - 1];
+  };
+
+  return { path: walk(null), branches };
+};
+
+// Close out the in-flight streaming placeholder message.
+// Partial text is kept (flagged as cancelled) when the user stopped the stream.
+const finalizeStreamingMessage = (state, { cancelled = false } = {}) => {
+  const index = state.messages.findIndex((m) => m.isStreaming);
+  if (index !== -1) {
+    const message = state.messages[index];
+    if (cancelled && message.content) {
+      message.isStreaming = false;
+      message.isCancelled = true;
+    } else {
+      state.messages.splice(index, 1);
+    }
+  }
+  state.streamProgress = null;
+  state.streamStage = null;
+};
+
+// Put the answer being regenerated back after a failed or stopped regeneration.
+// The partial text of a stopped one, left last in the thread, becomes another
+// version of that answer instead of a second answer to the same question.
+const restoreRegeneratedAnswer = (state) => {
+  const previous = state.regeneration.message;
+  const last = state.messages[state.messages.length - 1];
+  if (last?.role === "ai" && last.isCancelled && !last.id) {
+    state.messages.pop();
+    const versions = [
+      ...(previous.versions || [toAnswerVersion(previous)]),
+      // Never saved, so it gets a local id that is not sent to the server
+      { ...toAnswerVersion(last), id: `cancelled-${uuidv4()}` },
+    ];
+    state.messages.push({
+      ...previous,
+      versions,
+      versionIndex: previous.versionIndex ?? 0,
+    });
+  } else {
+    state.messages.push(previous);
+  }
+  state.regeneration = null;
+};
+
 export const chatSlice = createSlice({
   name: "chat",
   initialState,
@@ -992,6 +1834,21 @@ export const chatSlice = createSlice({
         state.conversationId = action.payload.conversationId;
       }
     },
+    // Answer a question in place when it names objects the access policy blocks; it is never sent
+    addPolicyNotice: (state, action) => {
+      const { question, blockedObjects } = action.payload;
+      const createdAt = new Date().toISOString();
+      state.messages.push(
+        { role: "human", content: question, id: null, createdAt, isPolicyBlocked: true },
+        {
+          role: "ai",
+          content: "I can't answer this question because it uses data this project's access policy blocks.",
+          isError: true,
+          blockedObjects,
+          createdAt,
+        }
+      );
+    },
     addAiMessage: (state, action) => {
       // Only add message if it's for the current conversation
       const messageConversationId = action.payload.conversationId;
@@ -1013,6 +1870,7 @@ export const chatSlice = createSlice({
         createdAt: action.payload.createdAt || new Date().toISOString(),
         queryType: action.payload.queryType || null,
         generatedSql: action.payload.generatedSql || null,
+        resultSet: normalizeResultSet(action.payload),
         isImportant: action.payload.isImportant || false,
         visualization: action.payload.visualization || null,
         accuracy: action.payload.accuracy || null,
@@ -1023,13 +1881,103 @@ export const chatSlice = createSlice({
     // Used to clear the chat when a user navigates away or starts a new project chat
     clearChat: (state) => {
       state.messages = [];
+      state.branches = {};
+      state.regeneration = null;
       state.conversationId = null;
       state.currentConversation = null;
       state.status = "idle";
       state.error = null;
+      state.streamProgress = null;
+      state.streamStage = null;
       // Don't clear conversations list - keep it for sidebar
     },
 
+    // Fork the conversation at a human message: the current tail from that
+    // message on is kept as a branch and the edited question starts a new one
+    editAndBranch: (state, action) => {
+      const { messageId, content } = action.payload;
+      const index = state.messages.findIndex((m) => m.id === messageId);
+      if (index === -1 || state.messages[index].role !== "human") return;
+
+      const head = state.messages[index];
+      const groupId = head.branchGroupId || head.id;
+      const group = state.branches[groupId] || { tails: [] };
+      const currentIndex = head.branchGroupId ? head.branchIndex : 0;
+      group.tails[currentIndex] = tagBranchHead(
+        state.messages.slice(index),
+        groupId,
+        currentIndex
+      );
+
+      const branchIndex = group.tails.length;
+      const newHead = {
+        role: "human",
+        content,
+        id: null,
+        createdAt: new Date().toISOString(),
+        branchGroupId: groupId,
+        branchIndex,
+      };
+      group.tails.push([newHead]);
+      state.branches[groupId] = group;
+      state.messages = [...state.messages.slice(0, index), newHead];
+    },
+
+    // Show another branch of an edited question in place of the current one
+    switchBranch: (state, action) => {
+      const { groupId, branchIndex } = action.payload;
+      const group = state.branches[groupId];
+      const index = state.messages.findIndex(
+        (m) => m.branchGroupId === groupId
+      );
+      if (!group || index === -1 || !group.tails[branchIndex]) return;
+
+      const currentIndex = state.messages[index].branchIndex;
+      if (currentIndex === branchIndex) return;
+      group.tails[currentIndex] = state.messages.slice(index);
+      state.messages = [
+        ...state.messages.slice(0, index),
+        ...group.tails[branchIndex],
+      ];
+    },
+
+    // Take the latest answer off screen while a new version is generated
+    regenerateStarted: (state, action) => {
+      const index = state.messages.findIndex(
+        (m) => m.id === action.payload.messageId
+      );
+      if (index === -1 || state.messages[index].role !== "ai") return;
+      state.regeneration = { message: state.messages[index] };
+      state.messages.splice(index, 1);
+    },
+
+    // Show another generated version of an answer
+    selectAnswerVersion: (state, action) => {
+      const { messageId, versionIndex } = action.payload;
+      const message = state.messages.find((m) => m.id === messageId);
+      const version = message?.versions?.[versionIndex];
+      if (!version) return;
+      Object.assign(message, version, { versionIndex });
+    },
+
+    // Reset project search results
+    clearSearch: (state) => {
+      state.searchQuery = "";
+      state.searchResults = [];
+      state.searchStatus = "idle";
+    },
+
+    // Queue text (e.g. a table or column name) for the chat input to insert at its cursor
+    insertIntoChatInput: (state, action) => {
+      state.inputInsertion = { id: uuidv4(), text: action.payload };
+    },
+    clearInputInsertion: (state) => {
+      state.inputInsertion = null;
+    },
+    setRevealMaskedValues: (state, action) => {
+      state.revealMaskedValues = Boolean(action.payload);
+    },
+
     // Set current conversation
     setCurrentConversation: (state, action) => {
       state.currentConversation = action.payload;
@@ -1048,6 +1996,38 @@ export const chatSlice = createSlice({
     cancelChat: (state) => {
       state.status = "idle";
       state.error = null;
+      finalizeStreamingMessage(state, { cancelled: true });
+    },
+
+    // Add an empty AI message that streamed tokens are appended to
+    streamStarted: (state) => {
+      state.messages.push({
+        role: "ai",
+        content: "",
+        id: null,
+        createdAt: new Date().toISOString(),
+        isStreaming: true,
+      });
+      state.streamProgress = 0;
+    },
+
+    // Append a chunk of streamed AI text to the pending message
+    streamChunkReceived: (state, action) => {
+      const message = state.messages.find((m) => m.isStreaming);
+      if (message && action.payload) {
+        message.content += action.payload;
+      }
+    },
+
+    // Update the real progress reported by the stream
+    streamProgressUpdated: (state, action) => {
+      const { progress, stage } = action.payload;
+      if (typeof progress === "number" && !isNaN(progress)) {
+        state.streamProgress = Math.max(0, Math.min(100, progress));
+      }
+      if (stage) {
+        state.streamStage = stage;
+      }
     },
   },
   extraReducers: (builder) => {
@@ -1055,9 +2035,17 @@ export const chatSlice = createSlice({
       // sendMessage Thunk
       .addCase(sendMessage.pending, (state) => {
         state.status = "loading"; // Used to show "AI is typing..."
+        state.streamProgress = null;
+        state.streamStage = null;
       })
       .addCase(sendMessage.fulfilled, (state, action) => {
         state.status = "succeeded";
+
+        // Swap the streaming placeholder for the final message below
+        const streamedContent =
+          state.messages.find((m) => m.isStreaming)?.content || "";
+        finalizeStreamingMessage(state);
+
         const wasNewConversation =
           !state.conversationId && action.payload.conversationId;
         const responseConversationId = action.payload.conversationId;
@@ -1082,6 +2070,7 @@ export const chatSlice = createSlice({
           (msg) =>
             msg.role === "human" &&
             !msg.id &&
+            !msg.isPolicyBlocked &&
             (!responseConversationId ||
               !state.conversationId ||
               state.conversationId === responseConversationId)
@@ -1089,9 +2078,10 @@ export const chatSlice = createSlice({
 
         let aiMessage = {
           role: "ai",
-          content: action.payload.analysis, // The AI's response text
+          content: action.payload.analysis ?? streamedContent, // The AI's response text
           queryType: action.payload.queryType,
           generatedSql: action.payload.generatedSql,
+          resultSet: normalizeResultSet(action.payload),
           id: action.payload.aiMessageId || uuidv4(),
           createdAt: action.payload.aiCreatedAt || new Date().toISOString(),
           isImportant: false,
@@ -1101,6 +2091,15 @@ export const chatSlice = createSlice({
           accuracy: action.payload.accuracy || null,
         };
 
+        // A regenerated answer may repeat another answer word for word
+        // ("No results found."), so only its id marks it as a duplicate
+        const isSameAnswer = (msg) =>
+          msg.id === aiMessage.id ||
+          (!state.regeneration &&
+            msg.role === "ai" &&
+            msg.content === aiMessage.content &&
+            msg.id);
+
         if (lastUserMessageIndex !== -1 && action.payload.userMessageId) {
           // Update the user message with the correct ID and createdAt from backend
           state.messages[lastUserMessageIndex].id =
@@ -1111,11 +2110,7 @@ export const chatSlice = createSlice({
           }
 
           // Check if AI message already exists (prevent duplicates)
-          const aiMessageExists = state.messages.some(
-            (msg) =>
-              msg.id === aiMessage.id ||
-              (msg.role === "ai" && msg.content === aiMessage.content && msg.id)
-          );
+          const aiMessageExists = state.messages.some(isSameAnswer);
 
           if (!aiMessageExists) {
             // Insert the AI message immediately after the user message
@@ -1129,19 +2124,31 @@ export const chatSlice = createSlice({
             state.conversationId === responseConversationId
           ) {
             // Check if message already exists
-            const aiMessageExists = state.messages.some(
-              (msg) =>
-                msg.id === aiMessage.id ||
-                (msg.role === "ai" &&
-                  msg.content === aiMessage.content &&
-                  msg.id)
-            );
+            const aiMessageExists = state.messages.some(isSameAnswer);
             if (!aiMessageExists) {
               state.messages.push(aiMessage);
             }
           }
         }
 
+        // A regenerated answer keeps every earlier version of itself
+        if (state.regeneration) {
+          const previous = state.regeneration.message;
+          const regenerated = state.messages.find((m) => m.id === aiMessage.id);
+          if (regenerated) {
+            const versions = [
+              ...(previous.versions || [toAnswerVersion(previous)]),
+              toAnswerVersion(regenerated),
+            ];
+            regenerated.versions = versions;
+            regenerated.versionIndex = versions.length - 1;
+          } else {
+            // The new answer was not added; keep the question answered
+            state.messages.push(previous);
+          }
+          state.regeneration = null;
+        }
+
         // If this was a new conversation, add it optimistically
         // Components will refresh explicitly to get fresh data from backend
         if (wasNewConversation) {
@@ -1199,14 +2206,37 @@ export const chatSlice = createSlice({
         );
       })
       .addCase(sendMessage.rejected, (state, action) => {
+        // A failed or stopped regeneration puts the previous answer back
+        if (state.regeneration) {
+          finalizeStreamingMessage(state, {
+            cancelled: action.payload === "Request cancelled",
+          });
+          restoreRegeneratedAnswer(state);
+          state.status = "idle";
+          if (action.payload !== "Request cancelled") {
+            toast.error(action.payload || "Failed to regenerate the answer");
+          }
+          return;
+        }
         // Don't show error message if it was cancelled
         if (action.payload === "Request cancelled") {
           state.status = "idle";
           state.error = null;
+          finalizeStreamingMessage(state, { cancelled: true });
           return;
         }
+        finalizeStreamingMessage(state);
         state.status = "failed";
         state.error = action.payload;
+        if (action.meta.blockedObjects) {
+          state.messages.push({
+            role: "ai",
+            content: action.payload,
+            isError: true,
+            blockedObjects: action.meta.blockedObjects,
+          });
+          return;
+        }
         state.messages.push({
           role: "ai",
           content: `Sorry, an error occurred: ${action.payload}`,
@@ -1214,6 +2244,37 @@ export const chatSlice = createSlice({
         });
         toast.error("An error occurred while getting a response.");
       })
+      // rerunGeneratedSql Thunk
+      .addCase(rerunGeneratedSql.pending, (state) => {
+        state.status = "loading";
+      })
+      .addCase(rerunGeneratedSql.fulfilled, (state, action) => {
+        state.status = "succeeded";
+        state.messages.push({
+          role: "ai",
+          content:
+            action.payload.analysis ||
+            `Query re-run completed${
+              action.payload.rowCount !== undefined
+                ? ` (${action.payload.rowCount} rows)`
+                : ""
+            }.`,
+          queryType: action.payload.queryType || "sql_rerun",
+          generatedSql: action.payload.generatedSql || action.payload.sql,
+          resultSet: normalizeResultSet(action.payload),
+          id: action.payload.aiMessageId || uuidv4(),
+          createdAt: action.payload.aiCreatedAt || new Date().toISOString(),
+          conversationId: state.conversationId,
+          isImportant: false,
+          visualization: action.payload.visualization || null,
+          accuracy: action.payload.accuracy || null,
+        });
+      })
+      .addCase(rerunGeneratedSql.rejected, (state, action) => {
+        // Keep the conversation on screen - a failed re-run is not a failed chat
+        state.status = "idle";
+        toast.error(action.payload || "Failed to re-run query");
+      })
       // getChatHistory Thunk
       .addCase(getChatHistory.pending, (state) => {
         state.status = "loading"; // Show loading state
@@ -1258,7 +2319,7 @@ export const chatSlice = createSlice({
       if (msg.visualization) {
         // Direct visualization object
         visualization = msg.visualization;
-      } else if (msg.chart_data || msg.chart_type) {
+      } else if (msg.chart_data || msg.chart_type || msg.chart_spec) {
         // Chart data from backend (common format)
         // Check if chart_data is a JSON string that needs parsing
         if (msg.chart_data && typeof msg.chart_data === 'string') {
@@ -1269,6 +2330,7 @@ export const chatSlice = createSlice({
               visualization = {
                 type: parsed.type || msg.chart_type,
                 data: parsed.data, // The actual base64 string
+                spec: parsed.spec || parsed.chart_spec || msg.chart_spec,
                 title: parsed.title || msg.title,
                 query: parsed.query || msg.query_used,
                 createdAt: msg.created_at || msg.createdAt
@@ -1279,6 +2341,7 @@ export const chatSlice = createSlice({
               visualization = {
                 type: msg.chart_type,
                 data: msg.chart_data,
+                spec: msg.chart_spec,
                 title: msg.title,
                 query: msg.query_used,
                 createdAt: msg.created_at || msg.createdAt
@@ -1289,11 +2352,21 @@ export const chatSlice = createSlice({
             visualization = {
               type: msg.chart_type,
               data: msg.chart_data,
+              spec: msg.chart_spec,
               title: msg.title,
               query: msg.query_used,
               createdAt: msg.created_at || msg.createdAt
             };
           }
+        } else if (msg.chart_spec) {
+          // Spec-only visualization, drawn entirely on the client
+          visualization = {
+            type: msg.chart_type,
+            spec: msg.chart_spec,
+            title: msg.title,
+            query: msg.query_used,
+            createdAt: msg.created_at || msg.createdAt
+          };
         }
       }
 
@@ -1301,12 +2374,15 @@ export const chatSlice = createSlice({
         id: messageId,
         role: msg.role || (msg.sender === 'user' ? 'human' : 'ai'),
         content: msg.content || msg.message_content,
-        queryType: msg.query_type,
-        generatedSql: msg.generated_sql,
+        queryType: msg.query_type || msg.queryType,
+        generatedSql: msg.generated_sql || msg.generatedSql,
+        resultSet: msg.resultSet || normalizeResultSet(msg),
         createdAt: msg.created_at || msg.createdAt || new Date().toISOString(),
         isImportant: msg.is_important || false,
         conversationId: fetchedConversationId,
-        visualization: visualization
+        visualization: visualization,
+        parentId: msg.parentId || msg.parent_message_id || null,
+        feedback: msg.feedback || null
       };
     };
 
@@ -1412,7 +2488,10 @@ export const chatSlice = createSlice({
       return message;
     });
 
-    state.messages = finalMessages;
+    const { path, branches } = buildBranches(finalMessages);
+    state.messages = path;
+    state.branches = branches;
+    state.regeneration = null;
     state.currentConversation = action.payload.conversation;
     state.conversationId = fetchedConversationId;
     state.status = "succeeded";
@@ -1478,10 +2557,7 @@ export const chatSlice = createSlice({
         const validConversations = freshConversations.filter((conv) => {
           const status = conv.status;
           // Handle both boolean and numeric is_archived (0/1 or false/true)
-          const isArchived =
-            conv.is_archived === true ||
-            conv.is_archived === 1 ||
-            conv.is_archived === "1";
+          const isArchived = isArchivedConversation(conv);
 
           // Only include active, non-archived, non-deleted conversations
           // NULL status is treated as active, explicit 'deleted' status is excluded
@@ -1581,10 +2657,7 @@ export const chatSlice = createSlice({
           if (conv.id === state.conversationId) return true;
 
           // Remove deleted/archived conversations
-          const isArchived =
-            conv.is_archived === true ||
-            conv.is_archived === 1 ||
-            conv.is_archived === "1";
+          const isArchived = isArchivedConversation(conv);
           const isDeleted = conv.status === "deleted";
           return !isDeleted && !isArchived;
         });
@@ -1639,6 +2712,9 @@ export const chatSlice = createSlice({
         state.conversations = state.conversations.filter(
           (conv) => conv.id !== deletedId
         );
+        state.archivedConversations = state.archivedConversations.filter(
+          (conv) => conv.id !== deletedId
+        );
 
         // If the deleted conversation was the current one, clear chat state
         if (state.conversationId === deletedId) {
@@ -1676,9 +2752,88 @@ export const chatSlice = createSlice({
       })
       // updateConversation Thunk
       .addCase(updateConversation.fulfilled, (state, action) => {
-        const { conversationId, title } = action.payload;
-        const conv = state.conversations.find((c) => c.id === conversationId);
-        if (conv) conv.title = title;
+        const { conversationId, title, isArchived } = action.payload;
+        const conv =
+          state.conversations.find((c) => c.id === conversationId) ||
+          state.archivedConversations.find((c) => c.id === conversationId);
+        if (!conv) return;
+        if (title !== undefined) conv.title = title;
+        if (isArchived === undefined) return;
+
+        // Move the conversation between the active and archived lists
+        const updated = { ...conv, is_archived: isArchived };
+        state.conversations = state.conversations.filter(
+          (c) => c.id !== conversationId
+        );
+        state.archivedConversations = state.archivedConversations.filter(
+          (c) => c.id !== conversationId
+        );
+        const target = isArchived
+          ? state.archivedConversations
+          : state.conversations;
+        target.push(updated);
+        target.sort(
+          (a, b) =>
+            new Date(b.updated_at || b.created_at || 0) -
+            new Date(a.updated_at || a.created_at || 0)
+        );
+      })
+      // submitMessageFeedback Thunk
+      .addCase(submitMessageFeedback.fulfilled, (state, action) => {
+        const { messageId, feedback } = action.payload;
+        const message = state.messages.find((m) => m.id === messageId);
+        if (message) {
+          message.feedback = feedback;
+          const version = message.versions?.find((v) => v.id === messageId);
+          if (version) version.feedback = feedback;
+        }
+        toast.success("Thanks for the feedback");
+      })
+      .addCase(submitMessageFeedback.rejected, (state, action) => {
+        toast.error(action.payload || "Failed to save feedback");
+      })
+      // getProjectFeedback Thunk
+      .addCase(getProjectFeedback.pending, (state) => {
+        state.feedbackReportStatus = "loading";
+      })
+      .addCase(getProjectFeedback.fulfilled, (state, action) => {
+        state.feedbackReport = action.payload;
+        state.feedbackReportStatus = "succeeded";
+      })
+      .addCase(getProjectFeedback.rejected, (state, action) => {
+        state.feedbackReportStatus = "failed";
+        console.error("Failed to get feedback report:", action.payload);
+      })
+      // keepAnswerVersion Thunk
+      .addCase(keepAnswerVersion.fulfilled, (state, action) => {
+        const { messageId, discarded } = action.payload;
+        const message = state.messages.find((m) => m.id === messageId);
+        if (message) {
+          delete message.versions;
+          delete message.versionIndex;
+        }
+        state.importantMessages = state.importantMessages.filter(
+          (msg) => !discarded.includes(msg.id)
+        );
+      })
+      .addCase(keepAnswerVersion.rejected, (state, action) => {
+        toast.error(action.payload || "Failed to keep this version");
+      })
+      // getArchivedConversations Thunk
+      .addCase(getArchivedConversations.pending, (state) => {
+        state.archivedConversationsStatus = "loading";
+      })
+      .addCase(getArchivedConversations.fulfilled, (state, action) => {
+        state.archivedConversations = action.payload.sort(
+          (a, b) =>
+            new Date(b.updated_at || b.created_at || 0) -
+            new Date(a.updated_at || a.created_at || 0)
+        );
+        state.archivedConversationsStatus = "succeeded";
+      })
+      .addCase(getArchivedConversations.rejected, (state, action) => {
+        state.archivedConversationsStatus = "failed";
+        console.error("Failed to get archived conversations:", action.payload);
       })
       // markMessageImportant Thunk - FIXED
       .addCase(markMessageImportant.pending, (state) => {
@@ -1946,16 +3101,85 @@ export const chatSlice = createSlice({
       .addCase(deleteVisualization.rejected, (state, action) => {
         state.error = action.payload;
         toast.error(action.payload || "Failed to delete visualization");
+      })
+      // refreshVisualization Thunk
+      .addCase(refreshVisualization.pending, (state, action) => {
+        const { visualizationId } = action.meta.arg;
+        if (!state.refreshingVisualizationIds.includes(visualizationId)) {
+          state.refreshingVisualizationIds.push(visualizationId);
+        }
+      })
+      .addCase(refreshVisualization.fulfilled, (state, action) => {
+        const { visualizationId, ...updates } = action.payload;
+        state.refreshingVisualizationIds = state.refreshingVisualizationIds.filter(
+          (id) => id !== visualizationId
+        );
+        const visualization = state.visualizations.find(
+          (v) => v.id === visualizationId
+        );
+        if (visualization) {
+          Object.assign(visualization, updates);
+        }
+        toast.success("Visualization refreshed");
+      })
+      .addCase(refreshVisualization.rejected, (state, action) => {
+        const { visualizationId } = action.meta.arg;
+        state.refreshingVisualizationIds = state.refreshingVisualizationIds.filter(
+          (id) => id !== visualizationId
+        );
+        toast.error(action.payload || "Failed to refresh visualization");
+      })
+      // searchProject Thunk
+      .addCase(searchProject.pending, (state, action) => {
+        state.searchQuery = action.meta.arg.query;
+        state.searchStatus = "loading";
+      })
+      .addCase(searchProject.fulfilled, (state, action) => {
+        // Ignore responses for queries the user has already typed past
+        if (action.payload.query !== state.searchQuery) return;
+        state.searchResults = action.payload.results;
+        state.searchStatus = "succeeded";
+      })
+      .addCase(searchProject.rejected, (state, action) => {
+        if (action.meta.arg.query !== state.searchQuery) return;
+        state.searchResults = [];
+        state.searchStatus = "failed";
+      })
+      // updateVisualizationSchedule Thunk
+      .addCase(updateVisualizationSchedule.fulfilled, (state, action) => {
+        const { visualizationId, refresh_schedule } = action.payload;
+        const visualization = state.visualizations.find(
+          (v) => v.id === visualizationId
+        );
+        if (visualization) {
+          visualization.refresh_schedule = refresh_schedule;
+        }
+      })
+      .addCase(updateVisualizationSchedule.rejected, (state, action) => {
+        state.error = action.payload;
+        toast.error(action.payload || "Failed to update refresh schedule");
       });
   },
 });
 
 export const {
   addHumanMessage,
+  addPolicyNotice,
   addAiMessage,
   clearChat,
+  editAndBranch,
+  switchBranch,
+  regenerateStarted,
+  selectAnswerVersion,
+  clearSearch,
+  insertIntoChatInput,
+  clearInputInsertion,
+  setRevealMaskedValues,
   setCurrentConversation,
   updateMessageImportance,
   cancelChat,
+  streamStarted,
+  streamChunkReceived,
+  streamProgressUpdated,
 } = chatSlice.actions;
 export default chatSlice.reducer;
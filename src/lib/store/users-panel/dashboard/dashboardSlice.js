@@ -0,0 +1,162 @@
+// Dashboard slice for managing the per-project board of pinned visualizations
+// Handles loading, arranging and persisting the dashboard layout
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { toast } from 'react-hot-toast';
+
+const API_URL = process.env.NEXT_PUBLIC_API_BASE || 'http://localhost:8000/api';
+
+// Tile sizes a pinned visualization can take on the board grid
+export const TILE_SIZES = ['sm', 'md', 'lg', 'xl'];
+const DEFAULT_TILE_SIZE = 'md';
+
+// --- Reusable function to handle dashboard API requests ---
+const makeApiRequest = async (url, method, body, thunkAPI) => {
+    const { token } = thunkAPI.getState().auth;
+
+    if (!token) {
+        return thunkAPI.rejectWithValue('No authorization token found. Please log in.');
+    }
+
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+            },
+            ...(body && { body: JSON.stringify(body) }),
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({ detail: `HTTP ${response.status}: ${response.statusText}` }));
+            return thunkAPI.rejectWithValue(errorData.detail || errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (data.success === false) {
+            return thunkAPI.rejectWithValue(data.message || data.detail || 'Request failed');
+        }
+        return data.data || data;
+    } catch (error) {
+        const message = (error.response && error.response.data && error.response.data.message) || error.message || error.toString();
+        return thunkAPI.rejectWithValue(message);
+    }
+};
+
+// Keep only well-formed tiles: { visualizationId, size }
+const normalizeLayout = (layout) => {
+    if (!Array.isArray(layout)) return [];
+    const seen = new Set();
+    return layout
+        .map(tile => ({
+            visualizationId: tile.visualizationId ?? tile.visualization_id,
+            size: TILE_SIZES.includes(tile.size) ? tile.size : DEFAULT_TILE_SIZE,
+        }))
+        .filter((tile) => {
+            if (!tile.visualizationId || seen.has(tile.visualizationId)) return false;
+            seen.add(tile.visualizationId);
+            return true;
+        });
+};
+
+// --- Async Thunks ---
+
+// GET the saved dashboard layout for a project
+export const getDashboardLayout = createAsyncThunk(
+    'dashboard/getLayout',
+    (projectId, thunkAPI) => makeApiRequest(`${API_URL}/projects/${projectId}/dashboard`, 'GET', null, thunkAPI)
+);
+
+// PUT the current dashboard layout for a project
+export const saveDashboardLayout = createAsyncThunk(
+    'dashboard/saveLayout',
+    ({ projectId, layout }, thunkAPI) => makeApiRequest(`${API_URL}/projects/${projectId}/dashboard`, 'PUT', { layout }, thunkAPI)
+);
+
+const initialState = {
+    projectId: null,
+    layout: [], // [{ visualizationId, size }] in display order
+    status: 'idle', // Loading status of the layout
+    saveStatus: 'idle',
+    isDirty: false, // Local edits not yet persisted
+    error: null,
+};
+
+// The board only changes once its saved layout has loaded, so a save never overwrites it
+const canEditLayout = (state) => state.status === 'succeeded';
+
+export const dashboardSlice = createSlice({
+    name: 'dashboard',
+    initialState,
+    reducers: {
+        pinVisualization: (state, action) => {
+            if (!canEditLayout(state)) return;
+            const visualizationId = action.payload;
+            if (state.layout.some(tile => tile.visualizationId === visualizationId)) return;
+            state.layout.push({ visualizationId, size: DEFAULT_TILE_SIZE });
+            state.isDirty = true;
+        },
+        unpinVisualization: (state, action) => {
+            if (!canEditLayout(state)) return;
+            state.layout = state.layout.filter(tile => tile.visualizationId !== action.payload);
+            state.isDirty = true;
+        },
+        resizeTile: (state, action) => {
+            if (!canEditLayout(state)) return;
+            const { visualizationId, size } = action.payload;
+            const tile = state.layout.find(item => item.visualizationId === visualizationId);
+            if (!tile || !TILE_SIZES.includes(size)) return;
+            tile.size = size;
+            state.isDirty = true;
+        },
+        moveTile: (state, action) => {
+            if (!canEditLayout(state)) return;
+            const { from, to } = action.payload;
+            if (from === to || from < 0 || to < 0 || from >= state.layout.length || to >= state.layout.length) return;
+            const [tile] = state.layout.splice(from, 1);
+            state.layout.splice(to, 0, tile);
+            state.isDirty = true;
+        },
+    },
+    extraReducers: (builder) => {
+        builder
+            // Get Layout
+            .addCase(getDashboardLayout.pending, (state, action) => {
+                state.status = 'loading';
+                state.error = null;
+                // Don't show another project's board while loading
+                if (state.projectId !== action.meta.arg) {
+                    state.projectId = action.meta.arg;
+                    state.layout = [];
+                }
+            })
+            .addCase(getDashboardLayout.fulfilled, (state, action) => {
+                state.status = 'succeeded';
+                state.layout = normalizeLayout(action.payload?.layout);
+                state.isDirty = false;
+            })
+            .addCase(getDashboardLayout.rejected, (state, action) => {
+                state.status = 'failed';
+                state.error = action.payload;
+            })
+
+            // Save Layout
+            .addCase(saveDashboardLayout.pending, (state) => {
+                state.saveStatus = 'loading';
+                state.isDirty = false;
+            })
+            .addCase(saveDashboardLayout.fulfilled, (state) => {
+                state.saveStatus = 'succeeded';
+            })
+            .addCase(saveDashboardLayout.rejected, (state, action) => {
+                state.saveStatus = 'failed';
+                state.error = action.payload;
+                // The board still differs from the saved layout until the user retries
+                state.isDirty = true;
+                toast.error(`Failed to save dashboard: ${action.payload}`);
+            });
+    },
+});
+
+export const { pinVisualization, unpinVisualization, resizeTile, moveTile } = dashboardSlice.actions;
+export default dashboardSlice.reducer;
@@ -2,6 +2,7 @@
 // Handles creating, reading, updating, and deleting projects
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { toast } from 'react-hot-toast';
+import { CONNECTION_ERROR_TYPES, classifyConnectionError } from '@/lib/databaseEngines';
 
 const API_URL = process.env.NEXT_PUBLIC_API_BASE || 'http://localhost:8000/api';
 
@@ -99,6 +100,43 @@ export const updateProject = createAsyncThunk(
         makeApiRequest(`${API_URL}/projects/${projectId}`, 'PUT', projectData, thunkAPI)
 );
 
+// GET the tables and columns of a project's database
+export const getProjectSchema = createAsyncThunk(
+    'projects/getSchema',
+    (projectId, thunkAPI) => makeApiRequest(`${API_URL}/projects/${projectId}/schema`, 'GET', null, thunkAPI)
+);
+
+// Try a project's connection details without saving them.
+// On edit, `projectId` lets the server fill in fields left blank from the saved project.
+export const testProjectConnection = createAsyncThunk(
+    'projects/testConnection',
+    async ({ projectId, connection }, thunkAPI) => {
+        const { token } = thunkAPI.getState().auth;
+
+        try {
+            const response = await fetch(`${API_URL}/projects/test-connection`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`,
+                },
+                body: JSON.stringify({ ...connection, ...(projectId && { projectId }) }),
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || data.success === false) {
+                return thunkAPI.rejectWithValue({
+                    errorType: data.error_type || data.errorType || null,
+                    message: data.detail || data.message || data.error || `HTTP ${response.status}: ${response.statusText}`,
+                });
+            }
+            return data.data || data;
+        } catch (error) {
+            return thunkAPI.rejectWithValue({ errorType: null, message: error.message || error.toString() });
+        }
+    }
+);
+
 // Fetch dashboard statistics
 export const getDashboardStats = createAsyncThunk(
     'projects/getDashboardStats',
@@ -135,6 +173,39 @@ export const getDashboardStats = createAsyncThunk(
     }
 );
 
+// Foreign keys arrive as "table.column" or { table, column }
+const normalizeForeignKey = (reference) => {
+    if (!reference) return null;
+    if (typeof reference === 'string') {
+        const [table, column] = reference.split('.');
+        return { table, column: column || null };
+    }
+    const table = reference.table || reference.referenced_table || reference.foreign_table;
+    return table ? { table, column: reference.column || reference.referenced_column || reference.foreign_column || null } : null;
+};
+
+const normalizeColumn = (column) => ({
+    name: column.name || column.column_name,
+    type: column.type || column.data_type || '',
+    nullable: column.nullable ?? (column.is_nullable !== undefined ? column.is_nullable !== 'NO' && column.is_nullable !== false : true),
+    isPrimaryKey: Boolean(column.primary_key ?? column.is_primary_key ?? column.isPrimaryKey),
+    foreignKey: normalizeForeignKey(column.foreign_key || column.foreignKey || column.references),
+    values: (column.enum_values || column.enumValues || column.values || []).map(String), // Known values of enum-like columns
+});
+
+// Schema responses come as a list of tables or wrapped in { tables } / { schema: { tables } }
+const normalizeSchema = (data) => {
+    const tables = Array.isArray(data) ? data : data?.tables || data?.schema?.tables || data?.data?.tables || [];
+    return tables
+        .map(table => ({
+            name: table.name || table.table_name,
+            schema: table.schema || table.table_schema || null,
+            rowCount: table.row_count ?? table.rowCount ?? null,
+            columns: (table.columns || []).map(normalizeColumn).filter(column => column.name),
+        }))
+        .filter(table => table.name)
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
 
 // --- Project Slice Definition ---
 
@@ -163,6 +234,17 @@ const initialState = {
         queries: 0,
     },
     statsStatus: 'idle',
+    schema: {
+        projectId: null, // Project the tables below belong to
+        tables: [], // [{ name, schema, rowCount, columns: [{ name, type, nullable, isPrimaryKey, foreignKey, values }] }]
+    },
+    schemaStatus: 'idle',
+    schemaError: null,
+    connectionTest: {
+        status: 'idle', // 'idle' | 'loading' | 'succeeded' | 'failed'
+        result: null, // { latencyMs, serverVersion, tables }
+        error: null, // { errorType, message }
+    },
 };
 
 export const projectSlice = createSlice({
@@ -176,6 +258,9 @@ export const projectSlice = createSlice({
             state.message = '';
             state.status = 'idle';
         },
+        resetConnectionTest: (state) => {
+            state.connectionTest = initialState.connectionTest;
+        },
     },
     extraReducers: (builder) => {
         builder
@@ -283,9 +368,53 @@ export const projectSlice = createSlice({
                 state.statsStatus = 'failed';
                 // Don't show error toast for stats, just use defaults
                 console.error('Failed to fetch dashboard stats:', action.payload);
+            })
+            // Database Schema
+            .addCase(getProjectSchema.pending, (state, action) => {
+                state.schemaStatus = 'loading';
+                state.schemaError = null;
+                // Don't show another project's tables while loading
+                if (state.schema.projectId !== action.meta.arg) {
+                    state.schema = { projectId: action.meta.arg, tables: [] };
+                }
+            })
+            .addCase(getProjectSchema.fulfilled, (state, action) => {
+                state.schemaStatus = 'succeeded';
+                state.schema = { projectId: action.meta.arg, tables: normalizeSchema(action.payload) };
+            })
+            .addCase(getProjectSchema.rejected, (state, action) => {
+                state.schemaStatus = 'failed';
+                state.schemaError = action.payload || 'Failed to load the database schema';
+            })
+            // Connection Test
+            .addCase(testProjectConnection.pending, (state) => {
+                state.connectionTest = { status: 'loading', result: null, error: null };
+            })
+            .addCase(testProjectConnection.fulfilled, (state, action) => {
+                const result = action.payload || {};
+                state.connectionTest = {
+                    status: 'succeeded',
+                    result: {
+                        latencyMs: result.latency_ms ?? result.latencyMs ?? null,
+                        serverVersion: result.server_version || result.serverVersion || null,
+                        tables: (result.tables || []).map(table => (typeof table === 'string' ? table : table.name || table.table_name)).filter(Boolean),
+                    },
+                    error: null,
+                };
+            })
+            .addCase(testProjectConnection.rejected, (state, action) => {
+                const { errorType, message } = action.payload || { message: action.error?.message };
+                state.connectionTest = {
+                    status: 'failed',
+                    result: null,
+                    error: {
+                        errorType: CONNECTION_ERROR_TYPES[errorType] ? errorType : classifyConnectionError(message),
+                        message: typeof message === 'string' ? message : JSON.stringify(message),
+                    },
+                };
             });
     },
 });
 
-export const { reset } = projectSlice.actions;
+export const { reset, resetConnectionTest } = projectSlice.actions;
 export default projectSlice.reducer;
\ No newline at end of file
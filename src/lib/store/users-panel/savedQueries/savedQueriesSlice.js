@@ -0,0 +1,196 @@
+// Saved queries slice for managing a project's library of reusable questions
+// Handles loading, saving, editing and deleting saved questions with their SQL, tags and description
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { toast } from 'react-hot-toast';
+
+const API_URL = process.env.NEXT_PUBLIC_API_BASE || 'http://localhost:8000/api';
+
+// --- Reusable function to handle saved query API requests ---
+const makeApiRequest = async (url, method, body, thunkAPI) => {
+    const { token } = thunkAPI.getState().auth;
+
+    if (!token) {
+        return thunkAPI.rejectWithValue('No authorization token found. Please log in.');
+    }
+
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+            },
+            ...(body && { body: JSON.stringify(body) }),
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({ detail: `HTTP ${response.status}: ${response.statusText}` }));
+            return thunkAPI.rejectWithValue(errorData.detail || errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        // DELETE may answer 204 without a body
+        const data = await response.json().catch(() => ({}));
+        if (data.success === false) {
+            return thunkAPI.rejectWithValue(data.message || data.detail || 'Request failed');
+        }
+        return data.data || data;
+    } catch (error) {
+        const message = (error.response && error.response.data && error.response.data.message) || error.message || error.toString();
+        return thunkAPI.rejectWithValue(message);
+    }
+};
+
+// Tags arrive as an array or a comma separated string
+const normalizeTags = (tags) => {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
+// Template field settings keyed by placeholder name: { [name]: { type, options, label } }
+const normalizeParameters = (parameters) => {
+    if (typeof parameters === 'string') {
+        try {
+            parameters = JSON.parse(parameters);
+        } catch {
+            parameters = null;
+        }
+    }
+    return parameters && typeof parameters === 'object' && !Array.isArray(parameters) ? parameters : {};
+};
+
+const normalizeSavedQuery = (query) => ({
+    id: query.id,
+    title: query.title || query.question || 'Untitled query',
+    question: query.question || query.natural_language_query || '',
+    sql: query.sql || query.generated_sql || null,
+    description: query.description || '',
+    tags: normalizeTags(query.tags),
+    parameters: normalizeParameters(query.parameters),
+    createdAt: query.created_at || query.createdAt || null,
+    updatedAt: query.updated_at || query.updatedAt || null,
+});
+
+// Request body in the API's field names
+const toRequestBody = ({ title, question, sql, description, tags, parameters }) => ({
+    title,
+    question,
+    generated_sql: sql || null,
+    description: description || '',
+    tags: normalizeTags(tags),
+    parameters: normalizeParameters(parameters),
+});
+
+// --- Async Thunks ---
+
+// GET all saved queries of a project
+export const getSavedQueries = createAsyncThunk(
+    'savedQueries/getAll',
+    (projectId, thunkAPI) => makeApiRequest(`${API_URL}/projects/${projectId}/saved-queries`, 'GET', null, thunkAPI)
+);
+
+// POST a new saved query to a project
+export const createSavedQuery = createAsyncThunk(
+    'savedQueries/create',
+    ({ projectId, query }, thunkAPI) => makeApiRequest(`${API_URL}/projects/${projectId}/saved-queries`, 'POST', toRequestBody(query), thunkAPI)
+);
+
+// PUT changes to a saved query
+export const updateSavedQuery = createAsyncThunk(
+    'savedQueries/update',
+    ({ queryId, query }, thunkAPI) => makeApiRequest(`${API_URL}/saved-queries/${queryId}`, 'PUT', toRequestBody(query), thunkAPI)
+);
+
+// DELETE a saved query
+export const deleteSavedQuery = createAsyncThunk(
+    'savedQueries/delete',
+    (queryId, thunkAPI) => makeApiRequest(`${API_URL}/saved-queries/${queryId}`, 'DELETE', null, thunkAPI)
+);
+
+const initialState = {
+    projectId: null,
+    queries: [], // [{ id, title, question, sql, description, tags, parameters, createdAt, updatedAt }]
+    status: 'idle', // Loading status of the library
+    saveStatus: 'idle', // Status of create/update requests
+    error: null,
+};
+
+export const savedQueriesSlice = createSlice({
+    name: 'savedQueries',
+    initialState,
+    reducers: {},
+    extraReducers: (builder) => {
+        builder
+            // Get All
+            .addCase(getSavedQueries.pending, (state, action) => {
+                state.status = 'loading';
+                state.error = null;
+                // Don't show another project's library while loading
+                if (state.projectId !== action.meta.arg) {
+                    state.projectId = action.meta.arg;
+                    state.queries = [];
+                }
+            })
+            .addCase(getSavedQueries.fulfilled, (state, action) => {
+                state.status = 'succeeded';
+                const list = Array.isArray(action.payload) ? action.payload : action.payload?.queries || [];
+                state.queries = list.map(normalizeSavedQuery);
+            })
+            .addCase(getSavedQueries.rejected, (state, action) => {
+                state.status = 'failed';
+                state.error = action.payload;
+            })
+
+            // Create
+            .addCase(createSavedQuery.pending, (state) => {
+                state.saveStatus = 'loading';
+            })
+            .addCase(createSavedQuery.fulfilled, (state, action) => {
+                state.saveStatus = 'succeeded';
+                // Fall back to what was sent when the API only echoes the id
+                const saved = normalizeSavedQuery({ ...action.meta.arg.query, ...action.payload });
+                state.queries.unshift(saved);
+                toast.success('Query saved to the library');
+            })
+            .addCase(createSavedQuery.rejected, (state, action) => {
+                state.saveStatus = 'failed';
+                state.error = action.payload;
+                toast.error(`Failed to save query: ${action.payload}`);
+            })
+
+            // Update
+            .addCase(updateSavedQuery.pending, (state) => {
+                state.saveStatus = 'loading';
+            })
+            .addCase(updateSavedQuery.fulfilled, (state, action) => {
+                state.saveStatus = 'succeeded';
+                const { queryId, query } = action.meta.arg;
+                const index = state.queries.findIndex(item => item.id === queryId);
+                if (index !== -1) {
+                    state.queries[index] = normalizeSavedQuery({
+                        ...state.queries[index],
+                        ...query,
+                        ...action.payload,
+                        id: queryId,
+                    });
+                }
+                toast.success('Saved query updated');
+            })
+            .addCase(updateSavedQuery.rejected, (state, action) => {
+                state.saveStatus = 'failed';
+                state.error = action.payload;
+                toast.error(`Failed to update query: ${action.payload}`);
+            })
+
+            // Delete
+            .addCase(deleteSavedQuery.fulfilled, (state, action) => {
+                state.queries = state.queries.filter(item => item.id !== action.meta.arg);
+                toast.success('Saved query deleted');
+            })
+            .addCase(deleteSavedQuery.rejected, (state, action) => {
+                state.error = action.payload;
+                toast.error(`Failed to delete query: ${action.payload}`);
+            });
+    },
+});
+
+export default savedQueriesSlice.reducer;
@@ -0,0 +1,53 @@
+// Visualization refresh helpers
+// Refresh schedule options and the checks used to decide when a visualization is due to be re-run
+
+const HOUR = 60 * 60 * 1000;
+
+// Schedule value -> interval in ms (null means manual refresh only)
+export const REFRESH_SCHEDULES = {
+    off: null,
+    hourly: HOUR,
+    daily: 24 * HOUR,
+    weekly: 7 * 24 * HOUR,
+};
+
+export const REFRESH_SCHEDULE_LABELS = {
+    off: 'Manual only',
+    hourly: 'Every hour',
+    daily: 'Every day',
+    weekly: 'Every week',
+};
+
+// How many previous snapshots are kept on a visualization
+export const MAX_VISUALIZATION_HISTORY = 5;
+
+const toTime = (value) => {
+    const time = value ? new Date(value).getTime() : NaN;
+    return isNaN(time) ? 0 : time;
+};
+
+// When the visualization's chart was last (re)generated
+export const getLastRefreshedAt = (visualization) =>
+    visualization?.last_refreshed_at || visualization?.created_at || null;
+
+// True when a scheduled visualization is past its next refresh time.
+// lastAttemptAt lets callers back off after a failed attempt.
+export const isRefreshDue = (visualization, now = Date.now(), lastAttemptAt = 0) => {
+    const interval = REFRESH_SCHEDULES[visualization?.refresh_schedule];
+    if (!interval || !visualization.query_used) return false;
+    const since = Math.max(toTime(getLastRefreshedAt(visualization)), lastAttemptAt);
+    return now - since >= interval;
+};
+
+// Previous snapshots, newest first: [{ chart_data, chart_spec, refreshed_at }]
+export const getVisualizationHistory = (visualization) => {
+    let history = visualization?.history;
+    if (typeof history === 'string') {
+        try {
+            history = JSON.parse(history);
+        } catch {
+            history = [];
+        }
+    }
+    return Array.isArray(history) ? history : [];
+};
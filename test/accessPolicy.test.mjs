@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EMPTY_ACCESS_POLICY,
+    createAllowListPolicy,
+    filterSchemaByPolicy,
+    findBlockedReferences,
+    formatBlockedReference,
+    hasRestrictions,
+    isColumnAllowed,
+    isTableAllowed,
+    normalizeAccessPolicy,
+    setColumnAccess,
+    setDefaultAccess,
+    setTableAccess,
+    toAccessPolicyPayload,
+} from '@/lib/accessPolicy';
+
+const schema = [
+    { name: 'customers', columns: [{ name: 'id' }, { name: 'name' }, { name: 'email' }] },
+    { name: 'employees', columns: [{ name: 'id' }, { name: 'name' }, { name: 'salary' }] },
+    { name: 'order_items', columns: [{ name: 'id' }, { name: 'quantity' }] },
+];
+
+const policy = normalizeAccessPolicy({
+    default_access: 'allow',
+    tables: [
+        { table: 'order_items', access: 'deny' },
+        { table: 'employees', access: 'allow', denied_columns: ['salary', 'name'] },
+    ],
+});
+
+test('reads stored policies in any of their shapes', () => {
+    assert.deepEqual(policy, {
+        defaultAccess: 'allow',
+        tables: {
+            order_items: { access: 'deny', deniedColumns: [] },
+            employees: { access: 'allow', deniedColumns: ['salary', 'name'] },
+        },
+    });
+    assert.deepEqual(normalizeAccessPolicy(JSON.stringify({ defaultAccess: 'deny', tables: { customers: { access: 'allow' } } })), {
+        defaultAccess: 'deny',
+        tables: { customers: { access: 'allow', deniedColumns: [] } },
+    });
+    assert.equal(normalizeAccessPolicy('not json'), EMPTY_ACCESS_POLICY);
+    assert.equal(normalizeAccessPolicy({ defaultAccess: 'sometimes' }).defaultAccess, 'allow');
+});
+
+test('checks tables and columns against the policy', () => {
+    assert.equal(isTableAllowed(policy, 'customers'), true);
+    assert.equal(isTableAllowed(policy, 'order_items'), false);
+    assert.equal(isColumnAllowed(policy, 'employees', 'salary'), false);
+    assert.equal(isColumnAllowed(policy, 'employees', 'id'), true);
+    assert.equal(isColumnAllowed(policy, 'order_items', 'id'), false);
+    assert.equal(hasRestrictions(policy), true);
+    assert.equal(hasRestrictions(EMPTY_ACCESS_POLICY), false);
+});
+
+test('an allow list denies every other table', () => {
+    const allowList = createAllowListPolicy(['customers']);
+    assert.equal(isTableAllowed(allowList, 'customers'), true);
+    assert.equal(isTableAllowed(allowList, 'employees'), false);
+});
+
+test('filters the schema down to what the agent may see', () => {
+    assert.deepEqual(filterSchemaByPolicy(schema, policy), [
+        schema[0],
+        { name: 'employees', columns: [{ name: 'id' }] },
+    ]);
+});
+
+test('finds blocked tables and columns a question names', () => {
+    assert.deepEqual(findBlockedReferences('How many order items shipped?', policy, schema), [{ table: 'order_items', column: null }]);
+    assert.deepEqual(findBlockedReferences('Average salary per team', policy, schema), [{ table: 'employees', column: 'salary' }]);
+    assert.deepEqual(findBlockedReferences('List orders by customer', policy, schema), []);
+    assert.deepEqual(findBlockedReferences('Anything about salary', EMPTY_ACCESS_POLICY, schema), []);
+});
+
+test('only counts a shared column name next to its table', () => {
+    assert.deepEqual(findBlockedReferences('Show customer name and email', policy, schema), []);
+    assert.deepEqual(findBlockedReferences('Show employees by name', policy, schema), [{ table: 'employees', column: 'name' }]);
+});
+
+test('edits keep the policy small and save as a list of rules', () => {
+    let edited = setColumnAccess(EMPTY_ACCESS_POLICY, 'employees', 'salary', false);
+    edited = setTableAccess(edited, 'order_items', 'deny');
+    assert.deepEqual(toAccessPolicyPayload(edited), {
+        defaultAccess: 'allow',
+        tables: [
+            { table: 'employees', access: 'allow', deniedColumns: ['salary'] },
+            { table: 'order_items', access: 'deny', deniedColumns: [] },
+        ],
+    });
+
+    edited = setColumnAccess(edited, 'employees', 'salary', true);
+    assert.deepEqual(Object.keys(edited.tables), ['order_items']);
+
+    // Switching the default keeps what each table could see before
+    const denied = setDefaultAccess(edited, 'deny', schema.map(table => table.name));
+    assert.equal(isTableAllowed(denied, 'customers'), true);
+    assert.equal(isTableAllowed(denied, 'order_items'), false);
+    assert.deepEqual(Object.keys(denied.tables).sort(), ['customers', 'employees']);
+});
+
+test('formats blocked references from the chat and the server', () => {
+    assert.equal(formatBlockedReference({ table: 'employees', column: 'salary' }), 'employees.salary');
+    assert.equal(formatBlockedReference({ table: 'order_items', column: null }), 'order_items');
+    assert.equal(formatBlockedReference('payroll'), 'payroll');
+});
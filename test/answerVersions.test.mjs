@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import reducer, {
+    getChatHistory,
+    regenerateStarted,
+    selectAnswerVersion,
+    sendMessage,
+    streamChunkReceived,
+    streamStarted,
+} from '@/lib/store/users-panel/chat/chatSlice';
+
+const withMessages = (messages) => ({ ...reducer(undefined, { type: 'init' }), conversationId: 'c1', messages });
+
+const thread = [
+    { id: 'q1', role: 'human', content: 'Sales by region' },
+    { id: 'a1', role: 'ai', content: 'EU leads' },
+    { id: 'q2', role: 'human', content: 'And by month?' },
+    { id: 'a2', role: 'ai', content: 'March peaks' },
+];
+
+const contents = (state) => state.messages.map(message => message.content);
+
+test('a stopped regeneration becomes a version of the answer', () => {
+    let state = reducer(withMessages(thread), regenerateStarted({ messageId: 'a2' }));
+    assert.deepEqual(contents(state), ['Sales by region', 'EU leads', 'And by month?']);
+
+    state = reducer(state, streamStarted());
+    state = reducer(state, streamChunkReceived('April is'));
+    state = reducer(state, { type: sendMessage.rejected.type, payload: 'Request cancelled', meta: {} });
+
+    const answers = state.messages.filter(message => message.role === 'ai');
+    assert.equal(answers.length, 2);
+    const answer = state.messages[state.messages.length - 1];
+    assert.equal(answer.id, 'a2');
+    assert.equal(answer.versionIndex, 0);
+    assert.deepEqual(answer.versions.map(version => version.content), ['March peaks', 'April is']);
+    assert.equal(answer.versions[1].isCancelled, true);
+    assert.match(answer.versions[1].id, /^cancelled-/);
+    assert.equal(state.regeneration, null);
+
+    state = reducer(state, selectAnswerVersion({ messageId: 'a2', versionIndex: 1 }));
+    assert.equal(state.messages[state.messages.length - 1].content, 'April is');
+});
+
+test('a failed regeneration puts the answer back unchanged', () => {
+    let state = reducer(withMessages(thread), regenerateStarted({ messageId: 'a2' }));
+    state = reducer(state, streamStarted());
+    state = reducer(state, streamChunkReceived('April'));
+    state = reducer(state, { type: sendMessage.rejected.type, payload: 'Server error', meta: {} });
+    assert.deepEqual(contents(state), contents(withMessages(thread)));
+    assert.equal(state.messages[3].versions, undefined);
+});
+
+test('rebuilds branches and answer versions from the history', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const at = (minute) => `2024-01-01T00:0${minute}:00Z`;
+    const history = [
+        { id: 'q1', role: 'human', content: 'Sales by region', created_at: at(1) },
+        { id: 'a1', role: 'ai', content: 'EU leads', parent_message_id: 'q1', created_at: at(2) },
+        { id: 'a1b', role: 'ai', content: 'Europe leads', parent_message_id: 'q1', created_at: at(3) },
+        { id: 'q2', role: 'human', content: 'And by month?', parent_message_id: 'a1', created_at: at(4) },
+        { id: 'q2b', role: 'human', content: 'And by week?', parent_message_id: 'a1', created_at: at(5) },
+    ];
+    const state = reducer(withMessages([]), {
+        type: getChatHistory.fulfilled.type,
+        payload: { conversation: { id: 'c1' }, messages: history },
+    });
+
+    // The answer the conversation continued from is shown, with the other as a version
+    assert.deepEqual(contents(state), ['Sales by region', 'EU leads', 'And by week?']);
+    assert.deepEqual(state.messages[1].versions.map(version => version.id), ['a1', 'a1b']);
+    assert.equal(state.messages[1].versionIndex, 0);
+    assert.deepEqual(state.branches.q2.tails.map(tail => tail[0].id), ['q2', 'q2b']);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatChartValue, getChartImage, getChartSpec, niceTicks } from '@/lib/chartSpec';
+
+test('reads a spec stored as JSON in chart_data', () => {
+    const spec = getChartSpec({
+        chart_type: 'bar',
+        chart_data: JSON.stringify({ spec: { title: 'Sales', xAxis: { categories: ['Q1', 'Q2'], label: 'Quarter' }, series: [{ name: 'EU', data: [10, '20'] }] } }),
+    });
+    assert.equal(spec.type, 'bar');
+    assert.equal(spec.title, 'Sales');
+    assert.equal(spec.xLabel, 'Quarter');
+    assert.equal(spec.xKind, 'category');
+    assert.deepEqual(spec.series, [{ name: 'EU', points: [{ x: 'Q1', y: 10 }, { x: 'Q2', y: 20 }] }]);
+});
+
+test('sorts numeric x values of a scatter plot', () => {
+    const spec = getChartSpec({ spec: { type: 'scatter', series: [{ data: [[3, 1], { x: 1, y: 2 }, ['n/a', 5]] }] } });
+    assert.equal(spec.xKind, 'number');
+    assert.deepEqual(spec.series[0].points, [{ x: 1, y: 2 }, { x: 3, y: 1 }]);
+    assert.equal(spec.series[0].name, 'Series 1');
+});
+
+test('has no spec for unsupported or empty charts', () => {
+    assert.equal(getChartSpec({ spec: { type: 'heatmap', series: [{ data: [1] }] } }), null);
+    assert.equal(getChartSpec({ spec: { series: [{ data: [null] }] } }), null);
+    assert.equal(getChartSpec({ chart_data: 'iVBORw0KGgo' }), null);
+    assert.equal(getChartSpec(null), null);
+});
+
+test('turns PNG data into a data URL', () => {
+    assert.equal(getChartImage({ chart_data: 'iVBORw0KGgo' }), 'data:image/png;base64,iVBORw0KGgo');
+    assert.equal(getChartImage({ data: 'data:image/svg+xml;base64,PHN2Zz4' }), 'data:image/svg+xml;base64,PHN2Zz4');
+    assert.equal(getChartImage({ chart_data: JSON.stringify({ spec: { series: [] } }) }), null);
+});
+
+test('spaces axis ticks evenly over the range', () => {
+    assert.deepEqual(niceTicks(0, 97), [0, 20, 40, 60, 80, 100]);
+    assert.deepEqual(niceTicks(0.1, 0.3, 2), [0.1, 0.2, 0.3]);
+    assert.deepEqual(niceTicks(5, 5), [0, 2, 4, 6, 8, 10]);
+});
+
+test('formats large values compactly', () => {
+    assert.equal(formatChartValue(2500000000), '2.5B');
+    assert.equal(formatChartValue(1200000), '1.2M');
+    assert.equal(formatChartValue(45000), '45.0K');
+    assert.equal(formatChartValue(1234), '1,234');
+    assert.equal(formatChartValue('n/a'), 'n/a');
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import reducer, {
+    editAndBranch,
+    getChatHistory,
+    switchBranch,
+} from '@/lib/store/users-panel/chat/chatSlice';
+
+const withMessages = (messages) => ({ ...reducer(undefined, { type: 'init' }), conversationId: 'c1', messages });
+
+const thread = [
+    { id: 'q1', role: 'human', content: 'Sales by region' },
+    { id: 'a1', role: 'ai', content: 'EU leads' },
+    { id: 'q2', role: 'human', content: 'And by month?' },
+    { id: 'a2', role: 'ai', content: 'March peaks' },
+];
+
+const contents = (state) => state.messages.map(message => message.content);
+
+test('an edited question starts a branch and keeps the old one', () => {
+    let state = reducer(withMessages(thread), editAndBranch({ messageId: 'q2', content: 'And by week?' }));
+    assert.deepEqual(contents(state), ['Sales by region', 'EU leads', 'And by week?']);
+    assert.equal(state.branches.q2.tails.length, 2);
+
+    state = reducer(state, switchBranch({ groupId: 'q2', branchIndex: 0 }));
+    assert.deepEqual(contents(state), ['Sales by region', 'EU leads', 'And by month?', 'March peaks']);
+
+    state = reducer(state, switchBranch({ groupId: 'q2', branchIndex: 1 }));
+    assert.deepEqual(contents(state), ['Sales by region', 'EU leads', 'And by week?']);
+});
+
+test('only questions can be edited into a branch', () => {
+    const state = reducer(withMessages(thread), editAndBranch({ messageId: 'a1', content: 'Nope' }));
+    assert.deepEqual(contents(state), contents(withMessages(thread)));
+    assert.deepEqual(state.branches, {});
+});
+
+test('rebuilds branches from the history', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const history = [
+        { id: 'q1', role: 'human', content: 'Sales by region', created_at: '2024-01-01T00:01:00Z' },
+        { id: 'a1', role: 'ai', content: 'EU leads', parent_message_id: 'q1', created_at: '2024-01-01T00:02:00Z' },
+        { id: 'q2', role: 'human', content: 'And by month?', parent_message_id: 'a1', created_at: '2024-01-01T00:03:00Z' },
+        { id: 'a2', role: 'ai', content: 'March peaks', parent_message_id: 'q2', created_at: '2024-01-01T00:04:00Z' },
+        { id: 'q2b', role: 'human', content: 'And by week?', parent_message_id: 'a1', created_at: '2024-01-01T00:05:00Z' },
+    ];
+    let state = reducer(withMessages([]), {
+        type: getChatHistory.fulfilled.type,
+        payload: { conversation: { id: 'c1' }, messages: history },
+    });
+
+    // The newest branch is shown at every fork
+    assert.deepEqual(contents(state), ['Sales by region', 'EU leads', 'And by week?']);
+    state = reducer(state, switchBranch({ groupId: 'q2', branchIndex: 0 }));
+    assert.deepEqual(contents(state), ['Sales by region', 'EU leads', 'And by month?', 'March peaks']);
+});
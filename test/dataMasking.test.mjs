@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MASK,
+    MASKING_PRESETS,
+    maskText,
+    maskResultSet,
+    maskMessage,
+    maskVisualization,
+    normalizeMaskingRules,
+    toMaskingRulesPayload,
+    withholdMessage,
+} from '@/lib/dataMasking';
+
+const emailRule = { id: 'e', type: 'pattern', target: MASKING_PRESETS.email.pattern, strategy: 'full', label: '' };
+const salaryRule = { id: 's', type: 'column', target: 'employees.salary', strategy: 'full', label: '' };
+const cardRule = { id: 'c', type: 'column', target: 'card', strategy: 'partial', label: '' };
+
+const resultSet = {
+    columns: [{ name: 'name' }, { name: 'salary' }, { name: 'card' }],
+    rows: [
+        ['Ana <ana@example.com>', 85000, '4111111111111111'],
+        ['Ben', null, ''],
+    ],
+};
+
+const chart = (categories) => ({ spec: { type: 'bar', title: 'Headcount', series: [{ name: 'People', data: [3, 5] }], xAxis: { categories } } });
+
+test('masks pattern matches anywhere in the text', () => {
+    assert.equal(maskText('Write to ana@example.com or ben@example.org.', [emailRule]), `Write to ${MASK} or ${MASK}.`);
+});
+
+test('masks masked column values where the answer repeats them', () => {
+    const text = 'The top salary is 85,000 (85,000.00 before tax).';
+    assert.equal(maskText(text, [], [{ value: 85000, strategy: 'full' }]), `The top salary is ${MASK} (${MASK} before tax).`);
+});
+
+test('masks result columns by rule and patterns in the other cells', () => {
+    const masked = maskResultSet(resultSet, [emailRule, salaryRule, cardRule]);
+    assert.deepEqual(masked.rows, [
+        [`Ana <${MASK}>`, MASK, '••••1111'],
+        ['Ben', null, ''],
+    ]);
+    assert.equal(maskResultSet(resultSet, []), resultSet);
+});
+
+test('masks an answer and leaves questions as typed', () => {
+    const question = { role: 'user', content: 'What does ana@example.com earn?' };
+    assert.equal(maskMessage(question, [emailRule]), question);
+
+    const answer = maskMessage({ role: 'ai', content: 'Ana earns 85,000.', resultSet }, [salaryRule]);
+    assert.equal(answer.content, `Ana earns ${MASK}.`);
+    assert.equal(answer.resultSet.rows[0][1], MASK);
+});
+
+test('hides charts that may show masked data', () => {
+    const safe = chart(['Sales', 'Support']);
+    assert.equal(maskVisualization(safe, [emailRule]), safe);
+    assert.equal(maskVisualization(chart(['ana@example.com', 'Support']), [emailRule]), null);
+    assert.equal(maskVisualization({ image: 'data:image/png;base64,' }, [emailRule]), null);
+
+    // Column rules need the result columns to know what a chart plots
+    assert.equal(maskVisualization(safe, [salaryRule]), null);
+    assert.equal(maskVisualization(safe, [salaryRule], { columns: ['team', 'people'] }), safe);
+    assert.equal(maskVisualization(safe, [salaryRule], resultSet), null);
+
+    const answer = maskMessage({ role: 'ai', content: 'Done', visualization: safe, resultSet }, [salaryRule]);
+    assert.equal(answer.visualization, null);
+    assert.equal(answer.isChartMasked, true);
+});
+
+test('withholds everything in an answer while the rules are not known', () => {
+    const answer = withholdMessage({ role: 'ai', content: 'Ana earns 85,000.', resultSet, visualization: chart(['Sales']) });
+    assert.equal(answer.content, MASK);
+    assert.deepEqual(answer.resultSet.rows, [[MASK, MASK, MASK], [MASK, null, '']]);
+    assert.equal(answer.visualization, null);
+    assert.equal(answer.isChartMasked, true);
+    assert.equal(answer.isWithheld, true);
+});
+
+test('reads stored rules and saves only valid ones', () => {
+    const rules = normalizeMaskingRules(JSON.stringify([
+        { type: 'column', column: 'salary', strategy: 'partial' },
+        { type: 'pattern', pattern: '[unclosed' },
+        { type: 'unknown', target: 'ssn', strategy: 'unknown' },
+        { type: 'column' },
+    ]));
+    assert.deepEqual(rules.map(({ type, target, strategy }) => ({ type, target, strategy })), [
+        { type: 'column', target: 'salary', strategy: 'partial' },
+        { type: 'pattern', target: '[unclosed', strategy: 'full' },
+        { type: 'column', target: 'ssn', strategy: 'full' },
+    ]);
+    assert.deepEqual(toMaskingRulesPayload(rules).map(rule => rule.target), ['salary', 'ssn']);
+    assert.deepEqual(normalizeMaskingRules('not json'), []);
+});
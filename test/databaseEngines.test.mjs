@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_ENGINE,
+    buildConnectionSchema,
+    classifyConnectionError,
+    detectEngine,
+    getSavedNetworkOptions,
+    toConnectionPayload,
+} from '@/lib/databaseEngines';
+
+const errorsOf = async (schema, values) => {
+    try {
+        await schema.validate(values, { abortEarly: false });
+        return [];
+    } catch (error) {
+        return error.errors;
+    }
+};
+
+test('projects without an engine are MySQL', () => {
+    assert.equal(detectEngine({}), DEFAULT_ENGINE);
+    assert.equal(detectEngine({ db_engine: 'oracle' }), DEFAULT_ENGINE);
+    assert.equal(detectEngine({ db_engine: 'postgresql' }), 'postgresql');
+});
+
+test('requires the engine\'s connection fields when adding a project', async () => {
+    const errors = await errorsOf(buildConnectionSchema('postgresql'), { dbPort: 'abc' });
+    assert.ok(errors.includes('Port must be a number'));
+    assert.equal(errors.filter(message => message.endsWith('is required')).length, 4);
+});
+
+test('blank fields keep their saved values only on the saved engine', async () => {
+    assert.deepEqual(await errorsOf(buildConnectionSchema('mysql', { isEdit: true, savedEngine: 'mysql' }), {}), []);
+    const switched = await errorsOf(buildConnectionSchema('postgresql', { isEdit: true, savedEngine: 'mysql' }), {});
+    assert.equal(switched.filter(message => message.endsWith('is required')).length, 4);
+});
+
+test('asks for the credentials of an SSH tunnel', async () => {
+    const errors = await errorsOf(buildConnectionSchema('mysql', { isEdit: true }), { sshEnabled: true, sshAuthMethod: 'password' });
+    assert.deepEqual(errors.sort(), ['Bastion host is required', 'SSH user is required']);
+    const added = await errorsOf(buildConnectionSchema('mysql'), { dbHost: 'h', dbUser: 'u', dbPassword: 'p', databaseName: 'd', sshEnabled: true, sshAuthMethod: 'key', sshHost: 'b', sshUser: 'u' });
+    assert.deepEqual(added, ['Upload or paste the private key']);
+});
+
+test('sends only the fields the engine uses', () => {
+    const payload = toConnectionPayload('mysql', { dbHost: 'h', dbUser: 'u', dbSchema: 'ignored', sshEnabled: false, sshPassword: 'secret' });
+    assert.equal(payload.dbEngine, 'mysql');
+    assert.equal(payload.dbHost, 'h');
+    assert.equal(payload.dbPassword, '');
+    assert.ok(!('dbSchema' in payload));
+    assert.ok(!('sshPassword' in payload));
+
+    const tunnel = toConnectionPayload('mysql', { sshEnabled: true, sshAuthMethod: 'key', sshPrivateKey: 'key', sshPassword: 'unused' });
+    assert.equal(tunnel.sshPrivateKey, 'key');
+    assert.ok(!('sshPassword' in tunnel));
+});
+
+test('reads saved network options without secrets', () => {
+    const options = getSavedNetworkOptions({ ssl_mode: 'require', ssh_enabled: 1, ssh_port: 2222, ssh_auth_method: 'password', ssh_password: 'secret' });
+    assert.equal(options.sslMode, 'require');
+    assert.equal(options.sshEnabled, true);
+    assert.equal(options.sshPort, '2222');
+    assert.equal(options.sshAuthMethod, 'password');
+    assert.ok(!Object.values(options).includes('secret'));
+});
+
+test('classifies connection errors', () => {
+    assert.equal(classifyConnectionError('ER_ACCESS_DENIED_ERROR: Access denied for user'), 'auth');
+    assert.equal(classifyConnectionError('getaddrinfo ENOTFOUND db.example.com'), 'dns');
+    assert.equal(classifyConnectionError('connect ECONNREFUSED 10.0.0.1:5432'), 'timeout');
+    assert.equal(classifyConnectionError('self signed certificate in certificate chain'), 'ssl');
+    assert.equal(classifyConnectionError('database "sales" does not exist'), 'database');
+    assert.equal(classifyConnectionError(null), 'unknown');
+});
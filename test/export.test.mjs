@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, toFileName } from '@/lib/export';
+
+test('quotes CSV values that need it', () => {
+    const csv = toCsv(['name', 'note'], [
+        ['Ana', 'says "hi", twice'],
+        ['Ben', 'line\nbreak'],
+        [null, new Date('2024-01-02T03:04:05Z')],
+    ]);
+    assert.equal(csv, [
+        'name,note',
+        'Ana,"says ""hi"", twice"',
+        'Ben,"line\nbreak"',
+        ',2024-01-02T03:04:05.000Z',
+    ].join('\r\n'));
+});
+
+test('makes titles safe to use as file names', () => {
+    assert.equal(toFileName('  Sales / Q1 (EU)  '), 'Sales_Q1_EU');
+    assert.equal(toFileName('***', 'results'), 'results');
+    assert.equal(toFileName('x'.repeat(100)).length, 80);
+});